@@ -6,6 +6,7 @@
 const { NETWORKS, CONFIG, getLogsOptimization } = require('../config/networks.js');
 const { 
   initializeDB, 
+  queryPool,
   closeDB, 
   sleep, 
   now,
@@ -15,6 +16,11 @@ const {
   createRpcClient
 } = require('./core.js');
 const { ensureSchema } = require('./database.js');
+const { rpcHealthSettings, syncRpcHealth } = require('./rpcHealth');
+const { flushDisagreements } = require('./quorum');
+const { deliverPendingAlerts } = require('./alerting');
+const fs = require('fs');
+const path = require('path');
 
 class Scanner {
   constructor(name, options = {}) {
@@ -80,6 +86,9 @@ class Scanner {
     this.log('🔧 Ensuring schema...');
     await ensureSchema(this.db);
     this.log('✅ Schema ready');
+
+    // Start from the endpoint health earlier runs recorded
+    await this.syncRpcHealth();
     
     if (!this.config) {
       throw new Error(`Network "${this.network}" not found in config`);
@@ -144,11 +153,23 @@ class Scanner {
       this.log(`📊 Using legacy logs optimization profile`, 'warn');
     }
 
+    // Keep sharing endpoint health while running; cleanup() stops the timer
+    this.rpcHealthTimer = setInterval(() => this.syncRpcHealth(), rpcHealthSettings().syncSeconds * 1000);
+    this.rpcHealthTimer.unref();
+
     this.log('✅ Initialization completed successfully');
   }
 
   async cleanup() {
+    if (this.rpcHealthTimer) {
+      clearInterval(this.rpcHealthTimer);
+      this.rpcHealthTimer = null;
+    }
     if (this.db) {
+      // Let a timer sync finish, then flush what was recorded since
+      if (this.rpcHealthSync) await this.rpcHealthSync;
+      await this.syncRpcHealth();
+      await this.flushRpcDisagreements();
       try {
         this.log('Releasing database client...');
         // First release the individual client back to the pool
@@ -224,6 +245,14 @@ class Scanner {
     return contractCall.getCodeHashes(this.network, addresses);
   }
 
+  async probeTokenInterfaces(addresses) {
+    return contractCall.probeTokenInterfaces(this.network, addresses);
+  }
+
+  async multicall(calls) {
+    return contractCall.aggregateCalls(this.network, calls);
+  }
+
   async getNativeBalances(addresses) {
     return contractCall.fetchNativeBalances(this.network, addresses);
   }
@@ -232,6 +261,47 @@ class Scanner {
     return contractCall.fetchErc20Balances(this.network, holders, tokens);
   }
 
+  /**
+   * Tokens checked for balances: the ranked `tokens` rows maintained by TokenDiscovery,
+   * or tokens/{network}.json until the job has ranked this network
+   * @returns {Array} { address (lowercase), symbol, name, decimals, rank }
+   */
+  async loadTokenList() {
+    try {
+      const result = await this.queryDB(`
+        SELECT token_address, symbol, name, decimals, rank
+        FROM tokens
+        WHERE network = $1 AND is_valid AND rank IS NOT NULL
+        ORDER BY rank
+      `, [this.network]);
+      if (result.rows.length > 0) {
+        this.tokenListSource = 'tokens table';
+        return result.rows.map(row => ({
+          address: row.token_address.toLowerCase(),
+          symbol: row.symbol,
+          name: row.name,
+          decimals: row.decimals,
+          rank: row.rank
+        }));
+      }
+    } catch (error) {
+      this.log(`⚠️ Failed to load tokens table: ${error.message}`, 'warn');
+    }
+
+    const tokensFilePath = path.join(__dirname, '..', 'tokens', `${this.network}.json`);
+    this.tokenListSource = `tokens/${this.network}.json`;
+    const tokensData = JSON.parse(fs.readFileSync(tokensFilePath, 'utf8'));
+    return tokensData
+      .filter(token => token.address)
+      .map(token => ({
+        address: token.address.toLowerCase(),
+        symbol: token.symbol,
+        name: token.name,
+        decimals: token.decimals,
+        rank: token.rank
+      }));
+  }
+
   // RPC operations
   async rpcCall(method, params = []) {
     // Use alchemyClient for general RPC calls
@@ -268,6 +338,64 @@ class Scanner {
     return this.db.query(query, params);
   }
 
+  // Query on a pooled connection of its own, not the scanner's client: safe while pipeline
+  // queries (or a transaction) are in flight on this.db
+  async queryPool(query, params = []) {
+    return queryPool(query, params);
+  }
+
+  /**
+   * Flush this process's RPC endpoint outcomes and reload the health every process recorded.
+   * Runs from a timer beside the pipeline, so it uses the pool; when the timer fires while a sync
+   * is still in flight, the caller gets that sync instead of a second one
+   */
+  syncRpcHealth() {
+    if (!this.rpcHealthSync) {
+      this.rpcHealthSync = (async () => {
+        try {
+          await syncRpcHealth((query, params) => this.queryPool(query, params));
+        } catch (error) {
+          this.log(`⚠️ RPC health sync failed: ${error.message}`, 'warn');
+        } finally {
+          this.rpcHealthSync = null;
+        }
+      })();
+    }
+    return this.rpcHealthSync;
+  }
+
+  /**
+   * Write the quorum disagreements recorded since the last flush; failed writes stay queued for
+   * the next one. Called at batch commits and on cleanup
+   */
+  async flushRpcDisagreements() {
+    try {
+      const disagreements = await flushDisagreements((query, params) => this.queryPool(query, params));
+      if (disagreements > 0) {
+        this.log(`⚖️ Recorded ${disagreements} RPC disagreements`);
+      }
+    } catch (error) {
+      this.log(`⚠️ RPC disagreement flush failed: ${error.message}`, 'warn');
+    }
+  }
+
+  /**
+   * POST the queued alerts that are due (see common/alerting.js); called once at the end of a run,
+   * outside the scan and balance loops, since a pass can take up to ALERT_DELIVERY_BUDGET_MS
+   */
+  async deliverAlerts() {
+    try {
+      const result = await deliverPendingAlerts((query, params) => this.queryDB(query, params), {
+        log: (message, level) => this.log(message, level)
+      });
+      if (result.delivered > 0 || result.retrying > 0 || result.failed > 0 || result.deferred > 0) {
+        this.log(`🔔 Alerts: ${result.delivered} delivered, ${result.retrying} retrying, ${result.failed} failed, ${result.deferred} deferred`);
+      }
+    } catch (error) {
+      this.log(`⚠️ Failed to deliver alerts: ${error.message}`, 'warn');
+    }
+  }
+
   /**
    * Find block number closest to target timestamp using binary search
    * @param {number} targetTimestamp - Target timestamp (Unix timestamp)
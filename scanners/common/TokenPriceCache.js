@@ -38,7 +38,8 @@ class TokenPriceCache {
       const symbolPricesQuery = `
         SELECT
           symbol,
-          price_usd
+          price_usd,
+          price_source
         FROM symbol_prices
         WHERE LOWER(symbol) = ANY($1::text[])
       `;
@@ -56,7 +57,8 @@ class TokenPriceCache {
         const symbolLower = row.symbol.toLowerCase();
         symbolDataMap.set(symbolLower, {
           symbol: row.symbol,
-          price: parseFloat(row.price_usd)
+          price: parseFloat(row.price_usd),
+          source: row.price_source || 'alchemy'
         });
         validSymbols.push(row.symbol);
       });
@@ -2,12 +2,15 @@
  * Alchemy RPC Client
  * Dedicated client for all Alchemy RPC calls (except getLogs)
  * Can use either Alchemy proxy server or direct Alchemy API based on configuration
+ * Transaction, receipt and block lookups made together share a JSON-RPC batch (common/rpcBatcher.js)
  */
 
 const axios = require('axios');
 const http = require('http');
 const https = require('https');
 const { NETWORKS } = require('../config/networks');
+const { fixtureRequest, fixtureRpc } = require('./rpcRecorder');
+const { RpcBatcher, rpcBatchSettings, mapBatchResponse } = require('./rpcBatcher');
 
 class AlchemyRPCClient {
   constructor(network) {
@@ -60,6 +63,14 @@ class AlchemyRPCClient {
       this.useProxy = false;
       console.log(`[${network}] AlchemyRPC: Using direct Alchemy API for ${alchemyNetwork} with connection pooling`);
     }
+
+    // Transaction and block lookups made together are coalesced into JSON-RPC batch arrays
+    const batchSettings = rpcBatchSettings();
+    const host = (this.alchemyUrl.split('/')[2] || '').toLowerCase();
+    const maxBatchSize = Math.min(batchSettings.maxBatchSize, batchSettings.endpointLimits.get(host) ?? Infinity);
+    this.batcher = maxBatchSize > 1
+      ? new RpcBatcher(calls => this.makeBatchRequest(calls), { ...batchSettings, maxBatchSize })
+      : null;
   }
 
   /**
@@ -179,7 +190,7 @@ class AlchemyRPCClient {
     };
 
     try {
-      const response = await axios.post(this.alchemyUrl, payload, {
+      const response = await fixtureRpc(`alchemy:${this.network}`, payload, () => axios.post(this.alchemyUrl, payload, {
         timeout: 180000, // Increased from 120s to 180s (3 minutes)
         headers: { 'Content-Type': 'application/json' },
         validateStatus: (status) => status < 500,
@@ -187,7 +198,7 @@ class AlchemyRPCClient {
         maxBodyLength: 50 * 1024 * 1024,
         httpAgent: this.httpAgent,
         httpsAgent: this.httpsAgent
-      });
+      }));
 
       if (response.data.error) {
         throw new Error(`Alchemy RPC Error: ${response.data.error.message} (code: ${response.data.error.code})`);
@@ -233,6 +244,55 @@ class AlchemyRPCClient {
     }
   }
 
+  /**
+   * Request that waits RPC_BATCH_WINDOW_MS for other lookups to share its JSON-RPC batch
+   */
+  async makeBatchedRequest(method, params = []) {
+    return this.batcher ? this.batcher.add(method, params) : this.makeRequest(method, params);
+  }
+
+  /**
+   * Send coalesced calls as one JSON-RPC batch array. A lone call, or a batch that fails or is
+   * refused as a whole, goes through makeRequest call by call, with its proxy retries
+   * @param {Array} calls - [{ method, params }]
+   * @returns {Array} One { result } or { error } per call; null for calls the response left out
+   */
+  async makeBatchRequest(calls) {
+    const oneByOne = () => Promise.all(calls.map(({ method, params }) => this.makeRequest(method, params)
+      .then(result => ({ result }), error => ({ error }))));
+    if (calls.length === 1) return oneByOne();
+
+    const ids = calls.map(() => `${this.network}-${++this.requestId}`);
+    const payload = calls.map(({ method, params }, n) => ({ jsonrpc: '2.0', method, params, id: ids[n] }));
+
+    let response;
+    try {
+      response = await fixtureRpc(`alchemy:${this.network}`, payload, () => axios.post(this.alchemyUrl, payload, {
+        timeout: 180000,
+        headers: { 'Content-Type': 'application/json' },
+        validateStatus: (status) => status < 500,
+        maxContentLength: 50 * 1024 * 1024,
+        maxBodyLength: 50 * 1024 * 1024,
+        httpAgent: this.httpAgent,
+        httpsAgent: this.httpsAgent
+      }));
+    } catch (error) {
+      if (error.code === 'FIXTURE_MISSING') throw error;
+      console.warn(`[${this.network}] Alchemy batch of ${calls.length} failed (${error.message}), sending its calls one by one`);
+      return oneByOne();
+    }
+
+    if (!Array.isArray(response.data)) {
+      const reason = response.data?.error?.message || `HTTP ${response.status}`;
+      console.warn(`[${this.network}] Alchemy refused a batch of ${calls.length} (${reason}), sending its calls one by one`);
+      return oneByOne();
+    }
+
+    return mapBatchResponse(ids, response.data).map(answer => answer?.error
+      ? { error: new Error(`Alchemy RPC Error: ${answer.error.message} (code: ${answer.error.code})`) }
+      : answer);
+  }
+
   /**
    * Fallback method to make direct Alchemy API request when proxy fails
    * This is only used as a last resort
@@ -259,14 +319,15 @@ class AlchemyRPCClient {
     console.log(`[${this.network}] Making direct Alchemy API request for ${method}`);
 
     try {
-      const response = await axios.post(directUrl, payload, {
+      // Same fixture scope as makeRequest: proxy and direct answers are interchangeable
+      const response = await fixtureRpc(`alchemy:${this.network}`, payload, () => axios.post(directUrl, payload, {
         timeout: 180000,
         headers: { 'Content-Type': 'application/json' },
         validateStatus: (status) => status < 500,
         maxContentLength: 50 * 1024 * 1024,
         maxBodyLength: 50 * 1024 * 1024,
         httpsAgent: this.httpsAgent
-      });
+      }));
 
       if (response.data.error) {
         throw new Error(`Alchemy RPC Error (direct): ${response.data.error.message} (code: ${response.data.error.code})`);
@@ -299,13 +360,13 @@ class AlchemyRPCClient {
   // Get block by number
   async getBlock(blockNumber) {
     const blockHex = typeof blockNumber === 'number' ? '0x' + blockNumber.toString(16) : blockNumber;
-    return this.makeRequest('eth_getBlockByNumber', [blockHex, false]);
+    return this.makeBatchedRequest('eth_getBlockByNumber', [blockHex, false]);
   }
 
   // Alias for getBlock with includeTxs parameter
   async getBlockByNumber(blockNumber, includeTxs = false) {
     const blockHex = typeof blockNumber === 'number' ? '0x' + blockNumber.toString(16) : blockNumber;
-    return this.makeRequest('eth_getBlockByNumber', [blockHex, includeTxs]);
+    return this.makeBatchedRequest('eth_getBlockByNumber', [blockHex, includeTxs]);
   }
   
   // Get block by hash
@@ -315,7 +376,7 @@ class AlchemyRPCClient {
   
   // Get transaction by hash
   async getTransaction(txHash) {
-    return this.makeRequest('eth_getTransactionByHash', [txHash]);
+    return this.makeBatchedRequest('eth_getTransactionByHash', [txHash]);
   }
 
   // Alias for getTransaction
@@ -325,7 +386,7 @@ class AlchemyRPCClient {
   
   // Get transaction receipt
   async getTransactionReceipt(txHash) {
-    return this.makeRequest('eth_getTransactionReceipt', [txHash]);
+    return this.makeBatchedRequest('eth_getTransactionReceipt', [txHash]);
   }
   
   // Get code at address
@@ -396,11 +457,11 @@ class AlchemyRPCClient {
         });
       }
 
-      const response = await axios.get(`${url}?${params.toString()}`, {
+      const response = await fixtureRequest('alchemy-prices', { symbols }, () => axios.get(`${url}?${params.toString()}`, {
         headers: {
           'Accept': 'application/json'
         }
-      });
+      }));
 
       return response.data;
     } catch (error) {
@@ -409,6 +470,46 @@ class AlchemyRPCClient {
     }
   }
 
+  // Get token prices by contract address (Alchemy Prices API - REST endpoint)
+  // tokens: [{ network: alchemy network name (e.g. 'eth-mainnet'), address }], max 25 per call
+  async getTokenPricesByAddress(tokens) {
+    if (!Array.isArray(tokens) || tokens.length === 0) {
+      throw new Error('tokens must be a non-empty array');
+    }
+
+    try {
+      let url;
+
+      if (this.useProxy) {
+        // Use Alchemy proxy for Prices API
+        url = `${this.proxyUrl}/prices/tokens/by-address`;
+      } else {
+        // Use direct Alchemy Prices API REST endpoint
+        const apiKey = process.env.ALCHEMY_API_KEY;
+        if (!apiKey) {
+          throw new Error('ALCHEMY_API_KEY not configured for Prices API');
+        }
+
+        url = `https://api.g.alchemy.com/prices/v1/${apiKey}/tokens/by-address`;
+      }
+
+      const body = {
+        addresses: tokens.map(({ network, address }) => ({ network, address }))
+      };
+      const response = await fixtureRequest('alchemy-prices', body, () => axios.post(url, body, {
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json'
+        }
+      }));
+
+      return response.data;
+    } catch (error) {
+      const errorMsg = error.response?.data?.message || error.message;
+      throw new Error(`Failed to fetch token prices by address: ${errorMsg}`);
+    }
+  }
+
   // Get token metadata (includes decimals)
   async getTokenMetadata(contractAddress) {
     return this.makeRequest('alchemy_getTokenMetadata', [contractAddress]);
@@ -0,0 +1,298 @@
+/**
+ * Fund alerting
+ * Rules in alert_rules are matched against the addresses FundUpdater valued and the contracts
+ * UnifiedScanner stored in each batch. Matches are queued in alert_deliveries under a dedup key
+ * (one alert per rule, address and ALERT_DEDUP_HOURS window) and POSTed to the rule's webhook,
+ * retried with exponential backoff until ALERT_MAX_ATTEMPTS. Each delivery pass stops starting
+ * new requests after ALERT_DELIVERY_BUDGET_MS; what is left stays due for the next pass.
+ */
+const axios = require('axios');
+const { FUND_PLACES, parseDecimal, fundCents } = require('./decimalMath');
+
+const ALERT_RULE_TYPES = {
+  new_contract: 'First valuation of a newly stored contract, optionally with fund >= min_fund',
+  fund_above: 'Fund crossed up through min_fund',
+  fund_drop: 'Fund fell by at least min_drop_percent, from a previous fund >= min_fund'
+};
+
+const ALERT_DEFAULTS = {
+  maxAttempts: 5,           // deliveries are marked failed after this many attempts
+  retryBaseSeconds: 60,     // backoff: 1, 2, 4, 8... minutes
+  timeoutMs: 5000,          // per webhook request
+  dedupHours: 24,           // fund_above / fund_drop alert at most once per rule and address in this window
+  deliveryBatch: 100,       // deliveries claimed per query
+  deliveryBudgetMs: 20000   // time a delivery pass may spend starting webhook requests
+};
+
+function alertSettings(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+  };
+  return {
+    maxAttempts: number(env.ALERT_MAX_ATTEMPTS, ALERT_DEFAULTS.maxAttempts),
+    retryBaseSeconds: number(env.ALERT_RETRY_BASE_SECONDS, ALERT_DEFAULTS.retryBaseSeconds),
+    timeoutMs: number(env.ALERT_WEBHOOK_TIMEOUT_MS, ALERT_DEFAULTS.timeoutMs),
+    dedupHours: number(env.ALERT_DEDUP_HOURS, ALERT_DEFAULTS.dedupHours),
+    deliveryBatch: ALERT_DEFAULTS.deliveryBatch,
+    deliveryBudgetMs: number(env.ALERT_DELIVERY_BUDGET_MS, ALERT_DEFAULTS.deliveryBudgetMs)
+  };
+}
+
+/**
+ * Problem with a rule before it is stored, or null when it is valid
+ */
+function validateAlertRule(rule) {
+  if (!rule.name) return 'name is required';
+  if (!ALERT_RULE_TYPES[rule.rule_type]) return `rule_type must be one of ${Object.keys(ALERT_RULE_TYPES).join(', ')}`;
+  if (!/^https?:\/\//i.test(rule.webhook_url || '')) return 'webhook_url must be an http(s) URL';
+  if (rule.min_fund !== null && rule.min_fund !== undefined && !(parseDecimal(rule.min_fund, FUND_PLACES) >= 0n)) {
+    return 'min_fund must be a non-negative amount';
+  }
+  if (rule.rule_type === 'fund_above' && (rule.min_fund === null || rule.min_fund === undefined)) {
+    return 'fund_above rules need min_fund';
+  }
+  if (rule.rule_type === 'fund_drop' && !(Number(rule.min_drop_percent) > 0 && Number(rule.min_drop_percent) <= 100)) {
+    return 'fund_drop rules need min_drop_percent between 0 and 100';
+  }
+  return null;
+}
+
+/**
+ * Enabled rules that apply to a network
+ * @param {Function} query - (sql, params) => pg result
+ */
+async function loadAlertRules(query, network) {
+  const result = await query(`
+    SELECT id, name, rule_type, networks, min_fund, min_drop_percent, verified_only, tags, webhook_url
+    FROM alert_rules
+    WHERE enabled AND (networks IS NULL OR cardinality(networks) = 0 OR $1 = ANY(networks))
+    ORDER BY id
+  `, [network]);
+  return result.rows;
+}
+
+/**
+ * Match rules against one batch of events
+ * @param {Array} events - { network, address, contractName, tags, isContract, verified, isNew,
+ *   previousFund (null when never measured), fund (null when not valued yet) }
+ * @returns {Array} { rule, event, dedupKey, changePercent }
+ */
+function matchAlertRules(rules, events, now, settings = ALERT_DEFAULTS) {
+  const window = Math.floor(now / (settings.dedupHours * 3600));
+  const matches = [];
+
+  for (const rule of rules) {
+    const minFund = rule.min_fund === null || rule.min_fund === undefined ? null : fundCents(rule.min_fund);
+
+    for (const event of events) {
+      if (rule.networks?.length > 0 && !rule.networks.includes(event.network)) continue;
+      if (rule.verified_only && !event.verified) continue;
+      if (rule.tags?.length > 0 && !rule.tags.some(tag => (event.tags || []).includes(tag))) continue;
+
+      const fund = event.fund === null || event.fund === undefined ? null : fundCents(event.fund);
+      const previous = event.previousFund === null || event.previousFund === undefined ? null : fundCents(event.previousFund);
+      let changePercent = null;
+      let matched = false;
+
+      if (rule.rule_type === 'new_contract') {
+        matched = Boolean(event.isNew && event.isContract) && (minFund === null || (fund !== null && fund >= minFund));
+      } else if (rule.rule_type === 'fund_above') {
+        matched = previous !== null && fund !== null && previous < minFund && fund >= minFund;
+      } else if (rule.rule_type === 'fund_drop') {
+        if (previous !== null && fund !== null && previous > 0n && fund < previous && (minFund === null || previous >= minFund)) {
+          changePercent = (Number(fund - previous) / Number(previous)) * 100;
+          matched = -changePercent >= Number(rule.min_drop_percent);
+        }
+      }
+      if (!matched) continue;
+
+      // A contract is new once; threshold alerts repeat at most once per dedup window
+      const dedupKey = rule.rule_type === 'new_contract'
+        ? `${rule.id}:${event.network}:${event.address}:new_contract`
+        : `${rule.id}:${event.network}:${event.address}:${rule.rule_type}:${window}`;
+      matches.push({ rule, event, dedupKey, changePercent });
+    }
+  }
+  return matches;
+}
+
+/**
+ * Queue matches in alert_deliveries; matches whose dedup key was already queued are skipped
+ * @returns {number} Deliveries queued
+ */
+async function recordAlerts(query, matches, now) {
+  let recorded = 0;
+  for (let i = 0; i < matches.length; i += 500) {
+    const batch = matches.slice(i, i + 500);
+    const params = [];
+    const values = batch.map(({ rule, event, dedupKey, changePercent }) => {
+      const payload = {
+        rule: { id: Number(rule.id), name: rule.name, type: rule.rule_type },
+        network: event.network,
+        address: event.address,
+        contract_name: event.contractName || null,
+        tags: event.tags || [],
+        fund: event.fund ?? null,
+        previous_fund: event.previousFund ?? null,
+        change_percent: changePercent,
+        detected_at: now
+      };
+      const row = [rule.id, event.network, event.address, dedupKey, JSON.stringify(payload), rule.webhook_url, now, now];
+      return `(${row.map(value => {
+        params.push(value);
+        return `$${params.length}`;
+      }).join(', ')})`;
+    });
+
+    const result = await query(`
+      INSERT INTO alert_deliveries (rule_id, network, address, dedup_key, payload, webhook_url, next_attempt_at, created_at)
+      VALUES ${values.join(', ')}
+      ON CONFLICT (dedup_key) DO NOTHING
+      RETURNING id
+    `, params);
+    recorded += result.rows.length;
+  }
+  return recorded;
+}
+
+async function postWebhook(url, payload, headers, timeoutMs) {
+  const response = await axios.post(url, payload, {
+    headers,
+    timeout: timeoutMs,
+    validateStatus: () => true
+  });
+  return { status: response.status };
+}
+
+/**
+ * Claim up to settings.deliveryBatch due deliveries by pushing next_attempt_at past the request
+ * timeout, so concurrent passes never send the same delivery twice
+ */
+async function claimDueAlerts(query, now, settings) {
+  const result = await query(`
+    UPDATE alert_deliveries SET next_attempt_at = $2
+    WHERE id IN (
+      SELECT id FROM alert_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= $1
+      ORDER BY next_attempt_at
+      LIMIT $3
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id, dedup_key, payload, webhook_url, attempts
+  `, [now, now + Math.ceil(settings.timeoutMs / 1000) * 2 + 1, settings.deliveryBatch]);
+  return result.rows;
+}
+
+/**
+ * Attempt the deliveries that are due, until none are left or settings.deliveryBudgetMs has passed.
+ * Claims, delivery times and backoff use the wall clock, not the caller's scan time; claimed rows
+ * that were not attempted in time are released for the next pass.
+ * @param {Object} options - { clock, settings, post, log }; clock returns the current unix time
+ * @returns {Object} { delivered, retrying, failed, deferred }
+ */
+async function deliverPendingAlerts(query, options = {}) {
+  const {
+    clock = () => Math.floor(Date.now() / 1000),
+    settings = alertSettings(),
+    post = postWebhook,
+    log = () => {}
+  } = options;
+  const stats = { delivered: 0, retrying: 0, failed: 0, deferred: 0 };
+  const started = Date.now();
+  const outOfTime = () => Date.now() - started >= settings.deliveryBudgetMs;
+
+  while (!outOfTime()) {
+    const claimed = await claimDueAlerts(query, clock(), settings);
+    if (claimed.length === 0) break;
+
+    for (let i = 0; i < claimed.length; i++) {
+      if (outOfTime()) {
+        const released = claimed.slice(i).map(delivery => delivery.id);
+        await query('UPDATE alert_deliveries SET next_attempt_at = $2 WHERE id = ANY($1)', [released, clock()]);
+        stats.deferred += released.length;
+        break;
+      }
+      await attemptDelivery(query, claimed[i], { clock, settings, post, log }, stats);
+    }
+    if (claimed.length < settings.deliveryBatch) break;
+  }
+  return stats;
+}
+
+/**
+ * POST one claimed delivery and record the outcome in stats
+ */
+async function attemptDelivery(query, delivery, { clock, settings, post, log }, stats) {
+  const attempts = Number(delivery.attempts) + 1;
+  const payload = typeof delivery.payload === 'string' ? JSON.parse(delivery.payload) : delivery.payload;
+  let status = null;
+  let error = null;
+  try {
+    ({ status } = await post(delivery.webhook_url, { delivery_id: Number(delivery.id), ...payload }, {
+      'Content-Type': 'application/json',
+      'X-Alert-Delivery-Id': String(delivery.id),
+      'X-Alert-Dedup-Key': delivery.dedup_key
+    }, settings.timeoutMs));
+    if (status < 200 || status >= 300) error = `HTTP ${status}`;
+  } catch (err) {
+    error = err.message;
+  }
+
+  if (!error) {
+    await query(`
+      UPDATE alert_deliveries
+      SET status = 'delivered', attempts = $2, last_status = $3, last_error = NULL, delivered_at = $4
+      WHERE id = $1
+    `, [delivery.id, attempts, status, clock()]);
+    stats.delivered++;
+    return;
+  }
+
+  const final = attempts >= settings.maxAttempts;
+  await query(`
+    UPDATE alert_deliveries
+    SET status = $2, attempts = $3, last_status = $4, last_error = $5, next_attempt_at = $6
+    WHERE id = $1
+  `, [
+    delivery.id,
+    final ? 'failed' : 'pending',
+    attempts,
+    status,
+    error.substring(0, 500),
+    clock() + settings.retryBaseSeconds * 2 ** (attempts - 1)
+  ]);
+  if (final) {
+    stats.failed++;
+    log(`❌ Alert ${delivery.dedup_key} failed after ${attempts} attempts: ${error}`, 'warn');
+  } else {
+    stats.retrying++;
+  }
+}
+
+/**
+ * Match and queue one batch of events detected at `now`, then deliver whatever is due (including
+ * earlier retries) unless options.deliver is false
+ * @returns {Object} { matched, recorded, delivered, retrying, failed, deferred }
+ */
+async function processAlerts(query, rules, events, options = {}) {
+  const { now = Math.floor(Date.now() / 1000), settings = alertSettings(), deliver = true } = options;
+  const matches = rules.length > 0 && events.length > 0 ? matchAlertRules(rules, events, now, settings) : [];
+  const recorded = matches.length > 0 ? await recordAlerts(query, matches, now) : 0;
+  const delivery = deliver
+    ? await deliverPendingAlerts(query, { ...options, settings })
+    : { delivered: 0, retrying: 0, failed: 0, deferred: 0 };
+  return { matched: matches.length, recorded, ...delivery };
+}
+
+module.exports = {
+  ALERT_RULE_TYPES,
+  ALERT_DEFAULTS,
+  alertSettings,
+  validateAlertRule,
+  loadAlertRules,
+  matchAlertRules,
+  recordAlerts,
+  deliverPendingAlerts,
+  processAlerts
+};
@@ -0,0 +1,87 @@
+/**
+ * Runtime bytecode analysis
+ * Extracts the function selectors a contract dispatches on and flags notable opcodes, so
+ * unverified contracts can be searched by the functions they expose
+ */
+
+// Opcodes worth flagging for security triage
+const NOTABLE_OPCODES = {
+  0xf2: 'CALLCODE',
+  0xf4: 'DELEGATECALL',
+  0xf5: 'CREATE2',
+  0xff: 'SELFDESTRUCT'
+};
+
+const PUSH1 = 0x60;
+const PUSH4 = 0x63;
+const PUSH32 = 0x7f;
+const DUP1 = 0x80;
+const DUP16 = 0x8f;
+const EQ = 0x14;
+
+/**
+ * Drop the trailing CBOR metadata solc/vyper append to runtime code
+ * The last two bytes hold the CBOR length; the blob itself is a small map (0xa1-0xa7)
+ */
+function stripMetadata(bytes) {
+  if (bytes.length < 2) return bytes;
+  const metadataLength = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+  const start = bytes.length - 2 - metadataLength;
+  if (metadataLength === 0 || start < 0) return bytes;
+  const marker = bytes[start];
+  return marker >= 0xa1 && marker <= 0xa7 ? bytes.subarray(0, start) : bytes;
+}
+
+function toBytes(code) {
+  if (!code || typeof code !== 'string') return new Uint8Array(0);
+  const hex = code.replace(/^0x/i, '');
+  if (hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) return new Uint8Array(0);
+  return Uint8Array.from(Buffer.from(hex, 'hex'));
+}
+
+/**
+ * Analyze runtime bytecode with a linear sweep (PUSH data is skipped, not decoded)
+ * A selector is a PUSH4 value compared with EQ, directly or after a DUP - the solc and vyper
+ * dispatcher shapes (`DUP1 PUSH4 sel EQ PUSH2 dest JUMPI`, `PUSH4 sel DUP2 EQ ...`)
+ * @param {string} code - Runtime bytecode (0x-prefixed hex)
+ * @returns {Object} { selectors, opcodes, codeSize } - selectors and opcodes sorted and unique
+ */
+function analyzeBytecode(code) {
+  const bytes = toBytes(code);
+  const body = stripMetadata(bytes);
+  const selectors = new Set();
+  const opcodes = new Set();
+
+  for (let pc = 0; pc < body.length; pc++) {
+    const op = body[pc];
+
+    if (NOTABLE_OPCODES[op]) {
+      opcodes.add(NOTABLE_OPCODES[op]);
+      continue;
+    }
+
+    if (op < PUSH1 || op > PUSH32) continue;
+
+    const size = op - PUSH1 + 1;
+    if (op === PUSH4 && pc + size < body.length) {
+      let next = body[pc + size + 1];
+      if (next >= DUP1 && next <= DUP16) next = body[pc + size + 2];
+      if (next === EQ) {
+        selectors.add('0x' + Buffer.from(body.subarray(pc + 1, pc + 1 + size)).toString('hex'));
+      }
+    }
+    pc += size;
+  }
+
+  return {
+    selectors: [...selectors].sort(),
+    opcodes: [...opcodes].sort(),
+    codeSize: bytes.length
+  };
+}
+
+module.exports = {
+  NOTABLE_OPCODES,
+  stripMetadata,
+  analyzeBytecode
+};
@@ -10,6 +10,28 @@ const { NETWORKS, CONFIG } = require('../config/networks.js');
 const { cleanAddressParams } = require('./addressUtils');
 const { AlchemyRPCClient } = require('./alchemyRpc');
 const { ChunkSizeOptimizer } = require('./chunkOptimizer');
+const { MULTICALL3_ADDRESS, TOKEN_PROBES } = require('./tokenClassifier');
+const { parseDelegation } = require('./eip7702');
+const {
+  rpcBatchSettings,
+  isBatchable,
+  rpcErrorMessage,
+  isBatchRejection,
+  isRetryableCallError,
+  mapBatchResponse,
+  RpcBatcher
+} = require('./rpcBatcher');
+const {
+  recordRpcOutcome,
+  orderRpcsByHealth,
+  rpcValidationSettings,
+  classifyRpcEndpoints,
+  isQuarantined,
+  recordRpcValidation,
+  displayRpcUrl
+} = require('./rpcHealth');
+const { quorumSize, quorumRead } = require('./quorum');
+const { fixtureRequest, fixtureRpc, replaying } = require('./rpcRecorder');
 // ====== CONSTANTS (MERGED FROM HELPERS.JS) ======
 const BATCH_SIZES = {
   LOGS_MIN: 1,
@@ -68,6 +90,7 @@ const NETWORK_LIST = [
 const BLOCKCHAIN_CONSTANTS = {
   TRANSFER_EVENT: '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef',
   ZERO_HASH: '0x0000000000000000000000000000000000000000000000000000000000000000',
+  DEFAULT_CONFIRMATIONS: 12, // Reorg tail depth for networks without a `confirmations` setting
 };
 
 const API_LIMITS = {
@@ -152,6 +175,15 @@ async function initializeDB() {
   return dbPool.connect();
 }
 
+/**
+ * Run a query on a pooled connection of its own, for work that runs beside a scanner's
+ * pipeline queries (initializeDB must have created the pool)
+ */
+async function queryPool(query, params = []) {
+  if (!dbPool) throw new Error('Database pool not initialized');
+  return dbPool.query(query, params);
+}
+
 async function closeDB() {
   if (dbPool) {
     try {
@@ -251,6 +283,11 @@ class APILimiter {
     
     await Promise.all(processPromises);
     this.processing = false;
+
+    // Requests queued while the other queue type was finishing found processing still set
+    if (this.etherscanQueue.length > 0 || this.rpcQueue.length > 0) {
+      this.processQueues();
+    }
   }
 
   async processQueueType(type) {
@@ -267,7 +304,8 @@ class APILimiter {
       
       this.executeRequest(request);
       
-      const delay = limits.minDelay + Math.random() * (limits.maxDelay - limits.minDelay);
+      // Replayed fixtures have no rate limit to respect
+      const delay = replaying() ? 0 : limits.minDelay + Math.random() * (limits.maxDelay - limits.minDelay);
       await new Promise(resolve => setTimeout(resolve, delay));
     }
   }
@@ -333,12 +371,12 @@ async function etherscanRequestInternal(network, params, maxRetries = 3) {
         // Remove apikey as proxy manages it
         delete requestBody.apikey;
         
-        const response = await axios.post(`${proxyUrl}/api/etherscan/${network}`, requestBody, {
+        const response = await fixtureRequest(`etherscan-proxy:${network}`, requestBody, () => axios.post(`${proxyUrl}/api/etherscan/${network}`, requestBody, {
           timeout: 120000,
           headers: {
             'Content-Type': 'application/json'
           }
-        });
+        }));
         
         if (response.data?.success) {
           // Handle proxy module special case - it might return result directly
@@ -402,10 +440,11 @@ async function etherscanRequestInternal(network, params, maxRetries = 3) {
         ? { ...cleanedParams, chainid: config.chainId, apikey }
         : { ...cleanedParams, apikey };
 
-      const response = await axios.get(baseURL, {
+      // Recorded without the API key and chain ID, which the fixture does not depend on
+      const response = await fixtureRequest(`etherscan:${network}`, cleanedParams, () => axios.get(baseURL, {
         params,
         timeout: 20000
-      });
+      }));
 
       // Handle proxy module differently (no status field)
       if (cleanedParams.module === 'proxy') {
@@ -487,6 +526,8 @@ const failedRpcs = new Map();
 const permanentlyFailedRpcs = new Map(); // Track permanently failed RPCs (403, sanctioned, etc)
 const temporarilyFailedRpcs = new Map(); // Track temporarily failed RPCs (can be retried)
 const slowRpcs = new Map(); // Track temporarily slow RPCs
+const rpcBatchLimits = new Map(); // Batch size an endpoint accepted after rejecting a larger one
+const endpointValidations = new Map(); // network -> { validatedAt, pending, quarantined: Map url -> validation result }
 
 class HttpRpcClient {
   constructor(network) {
@@ -497,6 +538,16 @@ class HttpRpcClient {
     if (!this.config?.rpcUrls?.length) {
       throw new Error(`No RPC URLs configured for network: ${network}`);
     }
+
+    // Concurrent calls are coalesced into JSON-RPC batch arrays, sent as one queued request
+    this.batchSettings = rpcBatchSettings();
+    this.batcher = this.batchSettings.maxBatchSize > 1
+      ? new RpcBatcher(calls => globalAPILimiter.queueRPCRequest(
+        () => this.makeBatchRequestInternal(calls),
+        this.network,
+        `batch(${calls.length})`
+      ), this.batchSettings)
+      : null;
     
     // Log primary RPC on initialization (commented for production)
     // const primaryRpc = this.config.rpcUrls[0];
@@ -575,7 +626,298 @@ class HttpRpcClient {
     }
   }
 
+  /**
+   * Check each endpoint's eth_chainId against config.chainId and its head against the best head of
+   * the endpoints on that chain. Endpoints on the wrong chain or more than maxHeadLag blocks behind
+   * are quarantined until the next validation. Runs on first use, then every intervalSeconds
+   * (0 validates once per process); concurrent callers share one run.
+   */
+  async validateEndpoints() {
+    const settings = rpcValidationSettings(this.config);
+    if (!settings.enabled) return;
+
+    let state = endpointValidations.get(this.network);
+    if (state?.pending) return state.pending;
+    if (state && (settings.intervalSeconds === 0 || Date.now() - state.validatedAt < settings.intervalSeconds * 1000)) return;
+
+    if (!state) {
+      state = { validatedAt: 0, pending: null, quarantined: new Map(), bestHead: null };
+      endpointValidations.set(this.network, state);
+    }
+    state.pending = this.runEndpointValidation(settings, state)
+      .then(({ quarantined, bestHead }) => {
+        state.quarantined = quarantined;
+        state.bestHead = bestHead;
+      })
+      .catch(error => console.log(`[${this.network}] ⚠️ RPC endpoint validation failed: ${error.message}`))
+      .finally(() => {
+        state.validatedAt = Date.now();
+        state.pending = null;
+      });
+    return state.pending;
+  }
+
+  /**
+   * Probe every non-Alchemy endpoint and record the results
+   * @param {Object} previous - { quarantined, bestHead } of the last validation
+   * @returns {Object} { quarantined: Map url -> validation result, bestHead }
+   */
+  async runEndpointValidation(settings, previous = {}) {
+    const previouslyQuarantined = previous.quarantined || new Map();
+    const rpcUrls = this.config.rpcUrls.filter(url => !url.includes('alchemy.com') && !url.includes(':3001/rpc/'));
+    const probes = await Promise.all(rpcUrls.map(async rpcUrl => {
+      const started = Date.now();
+      try {
+        const [chainId, head] = await Promise.all([
+          this.probeRpc(rpcUrl, 'eth_chainId'),
+          this.probeRpc(rpcUrl, 'eth_blockNumber')
+        ]);
+        recordRpcOutcome(this.network, rpcUrl, { ok: true, latencyMs: Date.now() - started });
+        return { rpcUrl, chainId: parseInt(chainId, 16), head: parseInt(head, 16) };
+      } catch (error) {
+        recordRpcOutcome(this.network, rpcUrl, { ok: false, timeout: error.message?.includes('timeout'), error: error.message });
+        return { rpcUrl, error: error.message };
+      }
+    }));
+
+    // A head seen earlier keeps a lone stale endpoint from setting the bar
+    const results = classifyRpcEndpoints(probes, {
+      chainId: this.config.chainId,
+      maxHeadLag: settings.maxHeadLag,
+      knownHead: previous.bestHead
+    });
+    const quarantined = new Map();
+    for (const result of results) {
+      recordRpcValidation(this.network, result.rpcUrl, result);
+      const host = displayRpcUrl(result.rpcUrl).split('/')[2];
+      if (isQuarantined(result.status)) {
+        quarantined.set(result.rpcUrl, result);
+        if (!previouslyQuarantined.has(result.rpcUrl)) {
+          const reason = result.status === 'wrong_chain'
+            ? `serves chain ${result.chainId}, expected ${this.config.chainId}`
+            : `${result.lag} blocks behind head ${result.bestHead}`;
+          console.log(`[${this.network}] 🚧 Quarantined ${host}: ${reason}`);
+        }
+      } else if (previouslyQuarantined.has(result.rpcUrl) && result.status === 'ok') {
+        console.log(`[${this.network}] ✅ ${host} passed validation, back in rotation`);
+      } else if (previouslyQuarantined.has(result.rpcUrl)) {
+        // Unreachable endpoints cannot prove they recovered
+        quarantined.set(result.rpcUrl, previouslyQuarantined.get(result.rpcUrl));
+      }
+    }
+
+    const ok = results.filter(result => result.status === 'ok').length;
+    console.log(`[${this.network}] 🩺 Validated ${results.length} RPC endpoints: ${ok} ok, ${quarantined.size} quarantined, ${results.length - ok - quarantined.size} unreachable`);
+    return { quarantined, bestHead: results[0]?.bestHead ?? previous.bestHead ?? null };
+  }
+
+  /**
+   * Single validation request, bypassing failover so each endpoint answers for itself
+   */
+  async probeRpc(rpcUrl, method) {
+    const response = await this.postRpc(rpcUrl, { jsonrpc: '2.0', method, params: [], id: ++this.requestId }, TIMEOUTS.RPC_CALL);
+    if (response.data?.error) {
+      throw new Error(rpcErrorMessage(response.data.error));
+    }
+    if (typeof response.data?.result !== 'string') {
+      throw new Error(`Invalid RPC response: missing result for ${method}`);
+    }
+    return response.data.result;
+  }
+
+  /**
+   * Configured endpoints minus quarantined ones. When every public endpoint is quarantined, lagging
+   * ones remain a last resort for methods other than eth_getLogs; endpoints on the wrong chain are
+   * never used
+   */
+  unquarantinedRpcs(method = null) {
+    const quarantined = endpointValidations.get(this.network)?.quarantined;
+    if (!quarantined?.size) return this.config.rpcUrls;
+
+    const usable = this.config.rpcUrls.filter(url => !quarantined.has(url));
+    if (usable.some(url => !url.includes('alchemy.com') && !url.includes(':3001/rpc/'))) return usable;
+    if (method === 'eth_getLogs') {
+      throw new Error(`No validated RPC endpoints for eth_getLogs on ${this.network}: all ${quarantined.size} public endpoints are quarantined`);
+    }
+    return this.config.rpcUrls.filter(url => quarantined.get(url)?.status !== 'wrong_chain');
+  }
+
+  /**
+   * Endpoints to try in order: non-Alchemy fast RPCs, then slow ones, each ordered by a random draw
+   * weighted by endpoint health (common/rpcHealth.js). Quarantined endpoints are left out; failed
+   * endpoints are skipped until every endpoint has failed
+   * @param {string} method - JSON-RPC method, when the request is for a single method
+   */
+  getAvailableRpcs(method = null) {
+    const candidates = this.unquarantinedRpcs(method);
+    const failedSet = failedRpcs.get(this.network) || new Set();
+    const permanentFailedSet = permanentlyFailedRpcs.get(this.network) || new Set();
+    const tempFailedSet = temporarilyFailedRpcs.get(this.network) || new Set();
+    
+    // Filter out permanently failed RPCs first, then temporarily failed ones
+    let availableRpcs = candidates.filter(url => 
+      !permanentFailedSet.has(url) && !failedSet.has(url) && !tempFailedSet.has(url)
+    );
+    
+    if (availableRpcs.length === 0) {
+      // If all RPCs failed, only reset non-permanent failures
+      failedRpcs.delete(this.network);
+      temporarilyFailedRpcs.delete(this.network);
+      // Try again with RPCs that aren't permanently failed
+      availableRpcs = candidates.filter(url => !permanentFailedSet.has(url));
+      
+      if (availableRpcs.length === 0) {
+        // If even all non-permanent RPCs are exhausted, reset everything as last resort
+        console.log(`[${this.network}] WARNING: All RPCs permanently failed, resetting for emergency retry`);
+        permanentlyFailedRpcs.delete(this.network);
+        availableRpcs = [...candidates];
+      }
+    }
+    
+    // Separate slow and non-slow RPCs, excluding Alchemy
+    const slowRpcList = [];
+    const fastRpcList = [];
+    
+    for (const rpc of availableRpcs) {
+      // Skip Alchemy URLs as they're handled separately
+      if (rpc.includes('alchemy.com') || rpc.includes(':3001/rpc/')) {
+        continue;
+      } else if (this.isRpcSlow(rpc)) {
+        slowRpcList.push(rpc);
+      } else {
+        fastRpcList.push(rpc);
+      }
+    }
+    
+    // Use non-Alchemy RPCs only (Alchemy handled separately); healthier endpoints tend to go first,
+    // endpoints without history are shuffled as before
+    availableRpcs = [
+      ...orderRpcsByHealth(this.network, fastRpcList),
+      ...orderRpcsByHealth(this.network, slowRpcList)
+    ];
+    
+    if (availableRpcs.length === 0) {
+      throw new Error(`No non-Alchemy RPC endpoints available for ${this.network}`);
+    }
+
+    return availableRpcs;
+  }
+
+  /**
+   * Classify a failed request and mark the endpoint (slow, temporarily or permanently failed)
+   */
+  handleRpcError(rpcUrl, error) {
+    // Check for timeout errors
+    const isTimeoutError = error.code === 'ECONNABORTED' ||
+                          error.message?.includes('timeout') ||
+                          error.message?.includes('ETIMEDOUT') ||
+                          error.message?.includes('request timeout') ||
+                          error.message?.includes('fetch timeout');
+    
+    if (isTimeoutError) {
+      console.log(`[${this.network}] RPC timeout detected for ${rpcUrl} - marking as slow and switching to next RPC`);
+      this.markRpcAsSlow(rpcUrl);
+      // Don't mark as permanently failed for timeouts, just move to next RPC
+    }
+    
+    // Gas errors should be temporary, not permanent
+    const isGasError = error.message?.includes('out of gas') ||
+                       error.message?.includes('gas exhausted') ||
+                       error.message?.includes('gas required exceeds');
+
+    // Method not supported errors should be temporary (RPC may not support specific methods)
+    const isMethodError = error.message?.toLowerCase().includes('method not found') ||
+                         error.message?.toLowerCase().includes('method not available');
+
+    // Network/DNS errors should be temporary (may be intermittent)
+    const isNetworkError = error.code === 'ENOTFOUND' ||
+                          error.code === 'ECONNREFUSED' ||
+                          error.code === 'ECONNRESET' ||
+                          error.message?.includes('getaddrinfo ENOTFOUND') ||
+                          error.message?.includes('ECONNREFUSED') ||
+                          error.message?.includes('ECONNRESET');
+
+    // Response format errors should be temporary
+    const isResponseError = error.message?.includes('Invalid RPC response') ||
+                           error.message?.includes('missing result') ||
+                           error.message?.includes('invalid json response');
+
+    const isPermanentError = !isGasError && !isMethodError && !isNetworkError && !isResponseError && (
+                           error.response?.status === 401 ||
+                           error.response?.status === 403 ||
+                           error.message?.includes('Unauthorized') ||
+                           error.message?.includes('Must be authenticated') ||
+                           error.message?.includes('API key disabled') ||
+                           error.message?.includes('Please specify an address') ||
+                           error.message?.includes('does not match certificate') ||
+                           error.message?.includes('sanctioned')); // LlamaRPC sanctioned addresses
+
+    if (isPermanentError) {
+      console.log(`[${this.network}] ❌ RPC endpoint permanently failed: ${rpcUrl} - ${error.message}`);
+      this.markRpcAsPermanentlyFailed(rpcUrl);
+      console.log(`[${this.network}] ⚠️  This RPC will be excluded from future attempts in this session`);
+    } else if (isMethodError) {
+      // Method not supported - mark as temporarily failed and try later
+      console.log(`[${this.network}] ⚠️  RPC method not supported on ${rpcUrl.split('/')[2]} - will retry later`);
+      this.markRpcAsTemporarilyFailed(rpcUrl);
+      this.markRpcAsSlow(rpcUrl); // Also mark as slow to deprioritize
+    } else if (isNetworkError) {
+      // Network/DNS error - mark as temporarily failed
+      console.log(`[${this.network}] 🔌 Network error for ${rpcUrl.split('/')[2]} - will retry later`);
+      this.markRpcAsTemporarilyFailed(rpcUrl);
+      this.markRpcAsSlow(rpcUrl); // Deprioritize unreachable endpoints
+    } else if (isResponseError) {
+      // Invalid response - mark as temporarily failed
+      console.log(`[${this.network}] 📡 Invalid response from ${rpcUrl.split('/')[2]} - will retry later`);
+      this.markRpcAsTemporarilyFailed(rpcUrl);
+    } else {
+      // For other temporary errors, mark as temporarily failed
+      this.markRpcAsTemporarilyFailed(rpcUrl);
+    }
+
+    // Call-specific gas errors say nothing about the endpoint
+    if (!isGasError) {
+      recordRpcOutcome(this.network, rpcUrl, { ok: false, timeout: isTimeoutError, error: error.message });
+    }
+
+    // Log the error with RPC URL for better debugging
+    const errorType = isTimeoutError ? 'TIMEOUT' :
+                     (isPermanentError ? 'PERMANENT' :
+                     (isMethodError ? 'METHOD_UNSUPPORTED' :
+                     (isNetworkError ? 'NETWORK_ERROR' :
+                     (isResponseError ? 'INVALID_RESPONSE' : 'TEMPORARY'))));
+    console.log(`[${this.network}][${errorType}] RPC error on ${rpcUrl.split('/')[2]}: ${error.message?.slice(0, 100)}`);
+  }
+
+  /**
+   * Wait before the next round over all endpoints; longer after rate limits
+   */
+  async waitForGlobalRetry(globalRetryCount, maxGlobalRetries, lastError) {
+    const isRateLimitError = lastError?.message?.includes('Too many requests') || 
+                           lastError?.message?.includes('rate limit') ||
+                           lastError?.message?.includes('429');
+    
+    if (globalRetryCount < maxGlobalRetries && isRateLimitError) {
+      const waitTime = Math.min(5000 * Math.pow(2, globalRetryCount - 1), 30000);
+      console.log(`[${this.network}] Rate limit hit, waiting ${waitTime/1000}s before retry ${globalRetryCount}/${maxGlobalRetries}`);
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+      
+      // Only clear non-permanent failures
+      failedRpcs.delete(this.network);
+      temporarilyFailedRpcs.delete(this.network);
+      // Do NOT clear permanentlyFailedRpcs here
+    } else if (globalRetryCount < maxGlobalRetries) {
+      const waitTime = 2000 * globalRetryCount;
+      console.log(`[${this.network}] All RPCs failed, waiting ${waitTime/1000}s before retry ${globalRetryCount}/${maxGlobalRetries}`);
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    }
+  }
+
   async makeRequest(method, params = [], maxGlobalRetries = 3) {
+    if (this.batcher && isBatchable(method)) {
+      return this.batcher.add(method, params);
+    }
+
     const description = `${method}(${params.length > 0 ? '...' : ''})`;
     
     return globalAPILimiter.queueRPCRequest(
@@ -588,65 +930,11 @@ class HttpRpcClient {
   async makeRequestInternal(method, params = [], maxGlobalRetries = 3) {
     let globalRetryCount = 0;
     let lastError;
+
+    await this.validateEndpoints();
     
     while (globalRetryCount < maxGlobalRetries) {
-      const failedSet = failedRpcs.get(this.network) || new Set();
-      const permanentFailedSet = permanentlyFailedRpcs.get(this.network) || new Set();
-      const tempFailedSet = temporarilyFailedRpcs.get(this.network) || new Set();
-      
-      // Filter out permanently failed RPCs first, then temporarily failed ones
-      let availableRpcs = this.config.rpcUrls.filter(url => 
-        !permanentFailedSet.has(url) && !failedSet.has(url) && !tempFailedSet.has(url)
-      );
-      
-      if (availableRpcs.length === 0) {
-        // If all RPCs failed, only reset non-permanent failures
-        failedRpcs.delete(this.network);
-        temporarilyFailedRpcs.delete(this.network);
-        // Try again with RPCs that aren't permanently failed
-        availableRpcs = this.config.rpcUrls.filter(url => !permanentFailedSet.has(url));
-        
-        if (availableRpcs.length === 0) {
-          // If even all non-permanent RPCs are exhausted, reset everything as last resort
-          console.log(`[${this.network}] WARNING: All RPCs permanently failed, resetting for emergency retry`);
-          permanentlyFailedRpcs.delete(this.network);
-          availableRpcs = [...this.config.rpcUrls];
-        }
-      }
-      
-      // Separate slow and non-slow RPCs, excluding Alchemy
-      const slowRpcList = [];
-      const fastRpcList = [];
-      
-      for (const rpc of availableRpcs) {
-        // Skip Alchemy URLs as they're handled separately
-        if (rpc.includes('alchemy.com') || rpc.includes(':3001/rpc/')) {
-          continue;
-        } else if (this.isRpcSlow(rpc)) {
-          slowRpcList.push(rpc);
-        } else {
-          fastRpcList.push(rpc);
-        }
-      }
-      
-      // Shuffle non-Alchemy fast RPCs for load balancing
-      for (let i = fastRpcList.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [fastRpcList[i], fastRpcList[j]] = [fastRpcList[j], fastRpcList[i]];
-      }
-      
-      // Shuffle slow RPCs
-      for (let i = slowRpcList.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [slowRpcList[i], slowRpcList[j]] = [slowRpcList[j], slowRpcList[i]];
-      }
-      
-      // Use non-Alchemy RPCs only (Alchemy handled separately)
-      availableRpcs = [...fastRpcList, ...slowRpcList];
-      
-      if (availableRpcs.length === 0) {
-        throw new Error(`No non-Alchemy RPC endpoints available for ${this.network}`);
-      }
+      const availableRpcs = this.getAvailableRpcs(method);
       
       for (let i = 0; i < availableRpcs.length; i++) {
         const rpcUrl = availableRpcs[i];
@@ -676,24 +964,8 @@ class HttpRpcClient {
         };
 
         try {
-          // Create promise with timeout
-          const axiosPromise = axios.post(rpcUrl, payload, {
-            timeout: 25000,  // 25 seconds for axios
-            headers: { 'Content-Type': 'application/json' },
-            validateStatus: (status) => status < 500,
-            // Additional settings to prevent hanging
-            maxContentLength: 50 * 1024 * 1024,  // 50MB max
-            maxBodyLength: 50 * 1024 * 1024,
-            decompress: true,
-            responseType: 'json'
-          });
-          
-          // Wrap with race to enforce timeout
-          const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error(`RPC timeout after 120s: ${rpcUrl}`)), 120000);
-          });
-          
-          const response = await Promise.race([axiosPromise, timeoutPromise]);
+          const started = Date.now();
+          const response = await this.postRpc(rpcUrl, payload);
           
           // Special handling for Alchemy proxy response format
           if (rpcUrl.includes(':3001/rpc/')) {
@@ -709,88 +981,16 @@ class HttpRpcClient {
             throw new Error('Invalid RPC response: missing result');
           }
 
+          recordRpcOutcome(this.network, rpcUrl, { ok: true, latencyMs: Date.now() - started });
           const currentIndex = this.config.rpcUrls.indexOf(rpcUrl);
           rpcRotation.set(this.network, (currentIndex + 1) % this.config.rpcUrls.length);
           
           return response.data.result;
         } catch (error) {
+          // A request missing from the fixtures is missing for every endpoint
+          if (error.code === 'FIXTURE_MISSING') throw error;
           lastError = error;
-          
-          // Check for timeout errors
-          const isTimeoutError = error.code === 'ECONNABORTED' ||
-                                error.message?.includes('timeout') ||
-                                error.message?.includes('ETIMEDOUT') ||
-                                error.message?.includes('request timeout') ||
-                                error.message?.includes('fetch timeout');
-          
-          if (isTimeoutError) {
-            console.log(`[${this.network}] RPC timeout detected for ${rpcUrl} - marking as slow and switching to next RPC`);
-            this.markRpcAsSlow(rpcUrl);
-            // Don't mark as permanently failed for timeouts, just move to next RPC
-          }
-          
-          // Gas errors should be temporary, not permanent
-          const isGasError = error.message?.includes('out of gas') ||
-                             error.message?.includes('gas exhausted') ||
-                             error.message?.includes('gas required exceeds');
-
-          // Method not supported errors should be temporary (RPC may not support specific methods)
-          const isMethodError = error.message?.toLowerCase().includes('method not found') ||
-                               error.message?.toLowerCase().includes('method not available');
-
-          // Network/DNS errors should be temporary (may be intermittent)
-          const isNetworkError = error.code === 'ENOTFOUND' ||
-                                error.code === 'ECONNREFUSED' ||
-                                error.code === 'ECONNRESET' ||
-                                error.message?.includes('getaddrinfo ENOTFOUND') ||
-                                error.message?.includes('ECONNREFUSED') ||
-                                error.message?.includes('ECONNRESET');
-
-          // Response format errors should be temporary
-          const isResponseError = error.message?.includes('Invalid RPC response') ||
-                                 error.message?.includes('missing result') ||
-                                 error.message?.includes('invalid json response');
-
-          const isPermanentError = !isGasError && !isMethodError && !isNetworkError && !isResponseError && (
-                                 error.response?.status === 401 ||
-                                 error.response?.status === 403 ||
-                                 error.message?.includes('Unauthorized') ||
-                                 error.message?.includes('Must be authenticated') ||
-                                 error.message?.includes('API key disabled') ||
-                                 error.message?.includes('Please specify an address') ||
-                                 error.message?.includes('does not match certificate') ||
-                                 error.message?.includes('sanctioned')); // LlamaRPC sanctioned addresses
-
-          if (isPermanentError) {
-            console.log(`[${this.network}] ❌ RPC endpoint permanently failed: ${rpcUrl} - ${error.message}`);
-            this.markRpcAsPermanentlyFailed(rpcUrl);
-            console.log(`[${this.network}] ⚠️  This RPC will be excluded from future attempts in this session`);
-          } else if (isMethodError) {
-            // Method not supported - mark as temporarily failed and try later
-            console.log(`[${this.network}] ⚠️  RPC method not supported on ${rpcUrl.split('/')[2]} - will retry later`);
-            this.markRpcAsTemporarilyFailed(rpcUrl);
-            this.markRpcAsSlow(rpcUrl); // Also mark as slow to deprioritize
-          } else if (isNetworkError) {
-            // Network/DNS error - mark as temporarily failed
-            console.log(`[${this.network}] 🔌 Network error for ${rpcUrl.split('/')[2]} - will retry later`);
-            this.markRpcAsTemporarilyFailed(rpcUrl);
-            this.markRpcAsSlow(rpcUrl); // Deprioritize unreachable endpoints
-          } else if (isResponseError) {
-            // Invalid response - mark as temporarily failed
-            console.log(`[${this.network}] 📡 Invalid response from ${rpcUrl.split('/')[2]} - will retry later`);
-            this.markRpcAsTemporarilyFailed(rpcUrl);
-          } else {
-            // For other temporary errors, mark as temporarily failed
-            this.markRpcAsTemporarilyFailed(rpcUrl);
-          }
-
-          // Log the error with RPC URL for better debugging
-          const errorType = isTimeoutError ? 'TIMEOUT' :
-                           (isPermanentError ? 'PERMANENT' :
-                           (isMethodError ? 'METHOD_UNSUPPORTED' :
-                           (isNetworkError ? 'NETWORK_ERROR' :
-                           (isResponseError ? 'INVALID_RESPONSE' : 'TEMPORARY'))));
-          console.log(`[${this.network}][${errorType}] RPC error on ${rpcUrl.split('/')[2]}: ${error.message?.slice(0, 100)}`);
+          this.handleRpcError(rpcUrl, error);
           
           if (i < availableRpcs.length - 1) {
             await new Promise(resolve => setTimeout(resolve, 200));
@@ -800,30 +1000,214 @@ class HttpRpcClient {
 
       globalRetryCount++;
       
-      const isRateLimitError = lastError?.message?.includes('Too many requests') || 
-                             lastError?.message?.includes('rate limit') ||
-                             lastError?.message?.includes('429');
-      
-      if (globalRetryCount < maxGlobalRetries && isRateLimitError) {
-        const waitTime = Math.min(5000 * Math.pow(2, globalRetryCount - 1), 30000);
-        console.log(`[${this.network}] Rate limit hit, waiting ${waitTime/1000}s before retry ${globalRetryCount}/${maxGlobalRetries}`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-        
-        // Only clear non-permanent failures
-        failedRpcs.delete(this.network);
-        temporarilyFailedRpcs.delete(this.network);
-        // Do NOT clear permanentlyFailedRpcs here
-      } else if (globalRetryCount < maxGlobalRetries) {
-        const waitTime = 2000 * globalRetryCount;
-        console.log(`[${this.network}] All RPCs failed, waiting ${waitTime/1000}s before retry ${globalRetryCount}/${maxGlobalRetries}`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-      }
+      await this.waitForGlobalRetry(globalRetryCount, maxGlobalRetries, lastError);
     }
 
     const totalAttempts = this.config.rpcUrls.length * maxGlobalRetries;
     throw new Error(`All ${totalAttempts} RPC attempts failed for ${this.network} after ${maxGlobalRetries} global retries. Last error: ${lastError.message}`);
   }
 
+  /**
+   * POST a JSON-RPC payload (single request or batch array) to one endpoint
+   */
+  async postRpc(rpcUrl, payload, timeout = 25000) {
+    let timer;
+    // Create promise with timeout
+    const axiosPromise = fixtureRpc(`rpc:${this.network}`, payload, () => axios.post(rpcUrl, payload, {
+      timeout,  // 25 seconds for axios unless given
+      headers: { 'Content-Type': 'application/json' },
+      validateStatus: (status) => status < 500,
+      // Additional settings to prevent hanging
+      maxContentLength: 50 * 1024 * 1024,  // 50MB max
+      maxBodyLength: 50 * 1024 * 1024,
+      decompress: true,
+      responseType: 'json'
+    }));
+
+    // Wrap with race to enforce timeout
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`RPC timeout after 120s: ${rpcUrl}`)), 120000);
+    });
+
+    try {
+      return await Promise.race([axiosPromise, timeoutPromise]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Largest batch to send to an endpoint: RPC_BATCH_SIZE, its RPC_BATCH_LIMITS entry, or what it
+   * accepted after rejecting a larger batch
+   */
+  batchLimit(rpcUrl) {
+    const host = (rpcUrl.split('/')[2] || '').toLowerCase();
+    const configured = this.batchSettings.endpointLimits.get(host) ?? this.batchSettings.maxBatchSize;
+    return Math.min(configured, rpcBatchLimits.get(rpcUrl) ?? Infinity);
+  }
+
+  lowerBatchLimit(rpcUrl, rejectedSize) {
+    const limit = Math.max(1, Math.floor(rejectedSize / 2));
+    rpcBatchLimits.set(rpcUrl, limit);
+    console.log(`[${this.network}] 📦 ${rpcUrl.split('/')[2]} rejected a batch of ${rejectedSize}, sending at most ${limit} per batch`);
+  }
+
+  /**
+   * Send coalesced calls as JSON-RPC batches with the same failover as makeRequestInternal. Calls an
+   * endpoint did not answer (missing from the response, rate limited, method unsupported) move on to
+   * the next endpoint; every other per-call error is returned to its caller.
+   * @param {Array} calls - [{ method, params }]
+   * @returns {Array} One { result } or { error } per call
+   */
+  async makeBatchRequestInternal(calls, maxGlobalRetries = 3) {
+    const outcomes = new Array(calls.length).fill(null);
+    const unanswered = () => calls.map((_, index) => index).filter(index => outcomes[index] === null);
+    let globalRetryCount = 0;
+    let lastError;
+
+    await this.validateEndpoints();
+
+    while (globalRetryCount < maxGlobalRetries) {
+      const availableRpcs = this.getAvailableRpcs();
+
+      for (let i = 0; i < availableRpcs.length; i++) {
+        const rpcUrl = availableRpcs[i];
+
+        try {
+          await this.sendBatchToRpc(rpcUrl, calls, unanswered(), outcomes);
+        } catch (error) {
+          if (error.code === 'FIXTURE_MISSING') throw error;
+          lastError = error;
+          this.handleRpcError(rpcUrl, error);
+        }
+
+        if (unanswered().length === 0) {
+          const currentIndex = this.config.rpcUrls.indexOf(rpcUrl);
+          rpcRotation.set(this.network, (currentIndex + 1) % this.config.rpcUrls.length);
+          return outcomes;
+        }
+
+        if (i < availableRpcs.length - 1) {
+          await new Promise(resolve => setTimeout(resolve, 200));
+        }
+      }
+
+      globalRetryCount++;
+      await this.waitForGlobalRetry(globalRetryCount, maxGlobalRetries, lastError);
+    }
+
+    const totalAttempts = this.config.rpcUrls.length * maxGlobalRetries;
+    const failure = new Error(`All ${totalAttempts} RPC attempts failed for ${this.network} after ${maxGlobalRetries} global retries. Last error: ${lastError?.message || 'no response'}`);
+    return outcomes.map(outcome => outcome || { error: failure });
+  }
+
+  /**
+   * Send the given calls to one endpoint in batches of its batch limit, recording answers in outcomes
+   * Throws when the endpoint fails or answers none of a batch, so the caller can fail over
+   */
+  async sendBatchToRpc(rpcUrl, calls, indexes, outcomes) {
+    let remaining = indexes;
+
+    while (remaining.length > 0) {
+      const chunk = remaining.slice(0, this.batchLimit(rpcUrl));
+      const ids = chunk.map(() => ++this.requestId);
+      const requests = chunk.map((index, n) => ({
+        jsonrpc: '2.0',
+        method: calls[index].method,
+        params: calls[index].params,
+        id: ids[n]
+      }));
+
+      const started = Date.now();
+      const response = await this.postRpc(rpcUrl, requests.length === 1 ? requests[0] : requests);
+      const data = response.data;
+
+      if (requests.length > 1 && isBatchRejection(response.status, data)) {
+        this.lowerBatchLimit(rpcUrl, requests.length);
+        continue;
+      }
+
+      // A lone object answering no request in particular is an error for the whole batch
+      if (!Array.isArray(data) && (requests.length > 1 || String(data?.id) !== String(ids[0]))) {
+        if (data?.error) {
+          throw new Error(rpcErrorMessage(data.error));
+        }
+        throw new Error('Invalid RPC response: expected a batch response array');
+      }
+
+      const answers = mapBatchResponse(ids, Array.isArray(data) ? data : [data]);
+      let retryableError = null;
+      chunk.forEach((index, n) => {
+        const answer = answers[n];
+        if (!answer) return;
+        if (answer.error && isRetryableCallError(answer.error)) {
+          retryableError = answer.error;
+          return;
+        }
+        outcomes[index] = answer.error
+          ? { error: new Error(rpcErrorMessage(answer.error)) }
+          : { result: answer.result };
+      });
+
+      if (chunk.every(index => outcomes[index] === null)) {
+        throw new Error(retryableError
+          ? rpcErrorMessage(retryableError)
+          : 'Invalid RPC response: missing result for every call in batch');
+      }
+      recordRpcOutcome(this.network, rpcUrl, { ok: true, latencyMs: Date.now() - started });
+      remaining = remaining.slice(chunk.length);
+    }
+  }
+
+  /**
+   * Up to `count` healthy, unquarantined endpoints on distinct hosts, for reads that must come from
+   * independent providers (common/quorum.js)
+   */
+  async independentEndpoints(count, method = 'eth_call') {
+    await this.validateEndpoints();
+    const hosts = new Set();
+    const endpoints = [];
+    for (const rpcUrl of this.getAvailableRpcs(method)) {
+      const host = (rpcUrl.split('/')[2] || '').toLowerCase();
+      if (hosts.has(host)) continue;
+      hosts.add(host);
+      endpoints.push(rpcUrl);
+      if (endpoints.length >= count) break;
+    }
+    return endpoints;
+  }
+
+  /**
+   * Client pinned to one endpoint: no failover, so each answer is that endpoint's own
+   */
+  endpointClient(rpcUrl) {
+    return {
+      rpcUrl,
+      getCode: (address) => this.requestFrom(rpcUrl, 'eth_getCode', [address, 'latest']),
+      call: (transaction) => this.requestFrom(rpcUrl, 'eth_call', [transaction, 'latest'])
+    };
+  }
+
+  async requestFrom(rpcUrl, method, params = []) {
+    return globalAPILimiter.queueRPCRequest(async () => {
+      const started = Date.now();
+      try {
+        const response = await this.postRpc(rpcUrl, { jsonrpc: '2.0', method, params, id: ++this.requestId });
+        if (response.data?.error) {
+          throw new Error(rpcErrorMessage(response.data.error));
+        }
+        if (!response.data || !('result' in response.data)) {
+          throw new Error('Invalid RPC response: missing result');
+        }
+        recordRpcOutcome(this.network, rpcUrl, { ok: true, latencyMs: Date.now() - started });
+        return response.data.result;
+      } catch (error) {
+        this.handleRpcError(rpcUrl, error);
+        throw error;
+      }
+    }, this.network, `${method}@${rpcUrl.split('/')[2]}`);
+  }
+
   async getBlockNumber() {
     const result = await this.makeRequest('eth_blockNumber');
     return parseInt(result, 16);
@@ -895,12 +1279,17 @@ const BALANCE_HELPER_ABI = [
 
 const ERC20_ABI = ['function balanceOf(address) external view returns(uint256)'];
 
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
 class ContractCall {
   constructor() {
     this.validatorCache = new Map();
     this.balanceCache = new Map();
     this.rpcClients = new Map();
     this.chunkOptimizers = new Map(); // Learning-based chunk size optimizers per network
+    this.publicClients = new Map();   // HttpRpcClient per network for quorum reads
   }
 
   getRpcClient(network) {
@@ -958,6 +1347,25 @@ class ContractCall {
     return this.balanceCache.get(network);
   }
 
+  /**
+   * Read through the preferred (Alchemy) client, and for operations the network lists in its
+   * `quorum` config also through independent public endpoints (common/quorum.js)
+   * @param {Function} read - async (client, addresses) => values in address order
+   */
+  async quorumRead(network, operation, addresses, rpc, read) {
+    const size = quorumSize(NETWORKS[network], operation);
+    if (size < 2) return read(rpc, addresses);
+
+    if (!this.publicClients.has(network)) {
+      this.publicClients.set(network, new HttpRpcClient(network));
+    }
+    const client = this.publicClients.get(network);
+    const others = (await client.independentEndpoints(size - 1).catch(() => []))
+      .map(rpcUrl => ({ name: displayRpcUrl(rpcUrl), client: client.endpointClient(rpcUrl) }));
+
+    return quorumRead({ network, operation, addresses, preferred: { name: 'alchemy', client: rpc }, others, read });
+  }
+
   getChunkOptimizer(network, operationType = 'erc20') {
     const key = `${network}-${operationType}`;
     if (!this.chunkOptimizers.has(key)) {
@@ -1116,15 +1524,15 @@ class ContractCall {
 
     if (!validator) {
       return this.chunkOperation(addresses, async (chunk) => {
-        const promises = chunk.map(async (addr) => {
+        const values = await this.quorumRead(network, 'isContracts', chunk, rpc, (client, addrs) => Promise.all(addrs.map(async (addr) => {
           try {
-            const code = await rpc.getCode(addr);
+            const code = await client.getCode(addr);
             return code && code !== '0x';
           } catch (e) {
-            return false;
+            return null;
           }
-        });
-        return Promise.all(promises);
+        })));
+        return values.map(value => value ?? false);
       }, 500); // No contract validator - use individual calls with larger chunks
     }
 
@@ -1147,17 +1555,17 @@ class ContractCall {
       try {
         const iface = new ethers.Interface(validator.abi);
         const checksumChunk = chunk.map(addr => ethers.getAddress(addr));
-        const calldata = iface.encodeFunctionData('isContract', [checksumChunk]);
 
-        const result = await rpc.call({
-          to: ethers.getAddress(validator.address),
-          data: calldata
+        const decoded = await this.quorumRead(network, 'isContracts', checksumChunk, rpc, async (client, addrs) => {
+          const result = await client.call({
+            to: ethers.getAddress(validator.address),
+            data: iface.encodeFunctionData('isContract', [addrs])
+          });
+          return [...iface.decodeFunctionResult('isContract', result)[0]];
         });
-
-        const decoded = iface.decodeFunctionResult('isContract', result);
         const duration = Date.now() - startTime;
         optimizer.recordChunkExecution(chunkSize, duration, true, false);
-        return decoded[0];
+        return decoded;
       } catch (error) {
         const duration = Date.now() - startTime;
         const isSocketError = error.message?.includes('socket hang up');
@@ -1413,15 +1821,15 @@ class ContractCall {
 
     if (!validator) {
       return this.chunkOperation(addresses, async (chunk) => {
-        const promises = chunk.map(async (addr) => {
+        const values = await this.quorumRead(network, 'getCodeHashes', chunk, rpc, (client, addrs) => Promise.all(addrs.map(async (addr) => {
           try {
-            const code = await rpc.getCode(addr);
+            const code = await client.getCode(addr);
             return code && code !== '0x' ? ethers.keccak256(code) : ZERO_HASH;
           } catch (e) {
-            return ZERO_HASH;
+            return null;
           }
-        });
-        return Promise.all(promises);
+        })));
+        return values.map(value => value ?? ZERO_HASH);
       }, 200); // No contract validator - moderate chunk size for getCode calls
     }
 
@@ -1444,17 +1852,17 @@ class ContractCall {
       try {
         const iface = new ethers.Interface(validator.abi);
         const checksumChunk = chunk.map(addr => ethers.getAddress(addr));
-        const calldata = iface.encodeFunctionData('getCodeHashes', [checksumChunk]);
 
-        const result = await rpc.call({
-          to: ethers.getAddress(validator.address),
-          data: calldata
+        const decoded = await this.quorumRead(network, 'getCodeHashes', checksumChunk, rpc, async (client, addrs) => {
+          const result = await client.call({
+            to: ethers.getAddress(validator.address),
+            data: iface.encodeFunctionData('getCodeHashes', [addrs])
+          });
+          return [...iface.decodeFunctionResult('getCodeHashes', result)[0]];
         });
-
-        const decoded = iface.decodeFunctionResult('getCodeHashes', result);
         const duration = Date.now() - startTime;
         optimizer.recordChunkExecution(chunkSize, duration, true, false);
-        return decoded[0];
+        return decoded;
       } catch (error) {
         const duration = Date.now() - startTime;
         const isSocketError = error.message?.includes('socket hang up');
@@ -1473,6 +1881,66 @@ class ContractCall {
 
     return results;
   }
+
+  /**
+   * Run the token standard probes (tokenClassifier TOKEN_PROBES) for many contracts in one
+   * Multicall3 aggregate3 call per chunk; failed probes come back as null
+   * @returns {Array} Per address { [probeName]: returnData|null }, or false if the chunk failed
+   */
+  async probeTokenInterfaces(network, addresses) {
+    if (!addresses?.length) return [];
+
+    const rpc = this.getAlchemyClient(network);
+    const iface = new ethers.Interface(MULTICALL3_ABI);
+    const multicall = ethers.getAddress(NETWORKS[network]?.multicall3 || MULTICALL3_ADDRESS);
+
+    // TOKEN_PROBES.length view calls per address, so chunks stay small
+    return this.chunkOperation(addresses, async (chunk) => {
+      const calls = chunk.flatMap(addr => TOKEN_PROBES.map(probe => ({
+        target: ethers.getAddress(addr),
+        allowFailure: true,
+        callData: probe.data
+      })));
+
+      const result = await rpc.call({
+        to: multicall,
+        data: iface.encodeFunctionData('aggregate3', [calls])
+      });
+
+      const [returnData] = iface.decodeFunctionResult('aggregate3', result);
+      return chunk.map((_, i) => Object.fromEntries(TOKEN_PROBES.map((probe, j) => {
+        const { success, returnData: data } = returnData[i * TOKEN_PROBES.length + j];
+        return [probe.name, success ? data : null];
+      })));
+    }, 50, 100);
+  }
+
+  /**
+   * Arbitrary view calls batched through Multicall3 aggregate3
+   * @param {Array} calls - { target, callData }
+   * @returns {Array} Return data per call; null for reverted calls (false if the chunk failed)
+   */
+  async aggregateCalls(network, calls) {
+    if (!calls?.length) return [];
+
+    const rpc = this.getAlchemyClient(network);
+    const iface = new ethers.Interface(MULTICALL3_ABI);
+    const multicall = ethers.getAddress(NETWORKS[network]?.multicall3 || MULTICALL3_ADDRESS);
+
+    return this.chunkOperation(calls, async (chunk) => {
+      const result = await rpc.call({
+        to: multicall,
+        data: iface.encodeFunctionData('aggregate3', [chunk.map(call => ({
+          target: ethers.getAddress(call.target),
+          allowFailure: true,
+          callData: call.callData
+        }))])
+      });
+
+      const [returnData] = iface.decodeFunctionResult('aggregate3', result);
+      return returnData.map(({ success, returnData: data }) => (success ? data : null));
+    }, 200, 500);
+  }
 }
 
 const contractCall = new ContractCall();
@@ -1549,12 +2017,17 @@ function validateFinancialValue(value) {
   return false;
 }
 
-function safeGetAddressType(address, codeHash, deploymentTime) {
+function safeGetAddressType(address, codeHash, deploymentTime, code = null) {
   try {
     if (!address ) {
       return 'invalid';
     }
 
+    // EIP-7702 delegation designator in the runtime code (a code hash alone cannot show it)
+    if (code && parseDelegation(code)) {
+      return 'eip7702_eoa';
+    }
+
     // Explicit EOA: deploymentTime === 0
     if (deploymentTime === 0) {
       return 'eoa';
@@ -1828,24 +2301,26 @@ async function getContractDeploymentTimeBatch(scanner, addresses) {
     const contractsWithTxHash = Array.from(results.entries())
       .filter(([_, data]) => data.txHash && !data.isGenesis);
     
-    // Process transaction details one by one (can't batch eth_getTransactionByHash)
-    for (const [address, data] of contractsWithTxHash) {
-      try {
-        const txData = await scanner.alchemyClient.getTransactionByHash(data.txHash);
-
-        if (txData && txData.blockNumber) {
-          results.set(address, { ...data, blockNumber: txData.blockNumber });
-        } else if (!txData) {
-          // Transaction not found - might be pending or pruned
-          // Skip silently as this is expected for some contracts
-        }
-      } catch (error) {
+    // Look up the transactions together: the Alchemy client sends them as one JSON-RPC batch
+    const txLookups = await Promise.allSettled(contractsWithTxHash.map(([_, data]) =>
+      scanner.alchemyClient.getTransactionByHash(data.txHash)));
+    txLookups.forEach((lookup, index) => {
+      const [address, data] = contractsWithTxHash[index];
+      if (lookup.status === 'rejected') {
         // Only log unexpected errors, not null responses
+        const error = lookup.reason;
         if (error && error.message && !error.message.includes('null')) {
           console.warn(`Failed to get tx data for ${address}:`, error.message);
         }
+        return;
       }
-    }
+
+      const txData = lookup.value;
+      if (txData && txData.blockNumber) {
+        results.set(address, { ...data, blockNumber: txData.blockNumber });
+      }
+      // Transaction not found - might be pending or pruned; expected for some contracts
+    });
     
     // Batch fetch block timestamps
     const uniqueBlockNumbers = [...new Set(
@@ -1854,19 +2329,18 @@ async function getContractDeploymentTimeBatch(scanner, addresses) {
         .map(data => data.blockNumber)
     )];
     
-    // Fetch block details for unique block numbers
+    // Fetch block details for unique block numbers, batched the same way
     const blockTimestamps = new Map();
-    for (const blockNumber of uniqueBlockNumbers) {
-      try {
-        const blockData = await scanner.alchemyClient.getBlockByNumber(blockNumber, false);
-
-        if (blockData && blockData.timestamp) {
-          blockTimestamps.set(blockNumber, parseInt(blockData.timestamp, 16));
-        }
-      } catch (error) {
-        console.warn(`Failed to get block data for ${blockNumber}:`, error.message);
+    const blockLookups = await Promise.allSettled(uniqueBlockNumbers.map(blockNumber =>
+      scanner.alchemyClient.getBlockByNumber(blockNumber, false)));
+    blockLookups.forEach((lookup, index) => {
+      const blockNumber = uniqueBlockNumbers[index];
+      if (lookup.status === 'rejected') {
+        console.warn(`Failed to get block data for ${blockNumber}:`, lookup.reason?.message);
+      } else if (lookup.value && lookup.value.timestamp) {
+        blockTimestamps.set(blockNumber, parseInt(lookup.value.timestamp, 16));
       }
-    }
+    });
     
     // Update results with timestamps
     for (const [address, data] of results.entries()) {
@@ -1889,7 +2363,8 @@ async function getContractDeploymentTimeBatch(scanner, addresses) {
     if (addressesWithoutTimestamp.length > 0) {
       console.log(`[getContractDeploymentTimeBatch] ${addressesWithoutTimestamp.length} addresses missing from batch response, fetching individually...`);
 
-      for (const address of addressesWithoutTimestamp) {
+      // Concurrent, so their chain lookups share batches too; Etherscan calls still queue in its limiter
+      await Promise.all(addressesWithoutTimestamp.map(async (address) => {
         try {
           const individualResult = await getContractDeploymentTime(scanner, address);
           if (individualResult.timestamp > 0) {
@@ -1899,7 +2374,7 @@ async function getContractDeploymentTimeBatch(scanner, addresses) {
         } catch (error) {
           console.warn(`[getContractDeploymentTimeBatch] Failed to fetch ${address} individually:`, error.message);
         }
-      }
+      }));
     }
 
     return results;
@@ -2040,6 +2515,7 @@ module.exports = {
   
   // Database
   initializeDB,
+  queryPool,
   closeDB,
   
   // API Limiter
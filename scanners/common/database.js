@@ -15,12 +15,16 @@ async function ensureSchema(client) {
       network TEXT NOT NULL,
       first_seen BIGINT,
       tags TEXT[] DEFAULT '{}',
-      fund BIGINT DEFAULT 0,
+      fund NUMERIC(30, 2) DEFAULT 0,
       last_fund_updated BIGINT DEFAULT 0,
       name_checked BOOLEAN NOT NULL DEFAULT false,
       name_checked_at BIGINT NOT NULL DEFAULT 0,
+      implementation TEXT,
       PRIMARY KEY (address, network)
     )`,
+
+    // Proxy implementation (on-chain slots / EIP-1167), added after the initial schema
+    `ALTER TABLE addresses ADD COLUMN IF NOT EXISTS implementation TEXT`,
     
     // Tokens table for price tracking
     `CREATE TABLE IF NOT EXISTS tokens (
@@ -35,6 +39,14 @@ async function ensureSchema(client) {
       PRIMARY KEY (token_address, network)
     )`,
 
+    // Ranked token list maintained by TokenDiscovery (core/TokenDiscovery.js)
+    `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS rank INTEGER`,
+    `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS transfer_count BIGINT`,
+    `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS priced_usd NUMERIC(30, 2)`,
+    `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS source VARCHAR(20)`,
+    `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS discovered_at BIGINT`,
+    `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS last_ranked BIGINT`,
+
     // Token metadata cache table (30 day cache for token metadata)
     `CREATE TABLE IF NOT EXISTS token_metadata_cache (
       network TEXT NOT NULL,
@@ -53,9 +65,13 @@ async function ensureSchema(client) {
       price_usd NUMERIC(20, 8) NOT NULL,
       decimals INTEGER DEFAULT 18,
       name VARCHAR(100),
-      last_updated BIGINT
+      last_updated BIGINT,
+      price_source VARCHAR(20)
     )`,
 
+    // Where the symbol price came from ('alchemy', or 'placeholder' until it is fetched)
+    `ALTER TABLE symbol_prices ADD COLUMN IF NOT EXISTS price_source VARCHAR(20)`,
+
     // Network log density statistics for dynamic optimization
     `CREATE TABLE IF NOT EXISTS network_log_density_stats (
       network VARCHAR(50) PRIMARY KEY,
@@ -72,6 +88,256 @@ async function ensureSchema(client) {
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )`,
 
+    // Scan checkpoints - last block fully processed by UnifiedScanner per network
+    `CREATE TABLE IF NOT EXISTS scan_checkpoints (
+      network VARCHAR(50) PRIMARY KEY,
+      last_processed_block BIGINT NOT NULL,
+      updated_at BIGINT NOT NULL
+    )`,
+
+    // Block ranges that were skipped or failed during scanning (coverage gaps)
+    `CREATE TABLE IF NOT EXISTS scan_gaps (
+      network VARCHAR(50) NOT NULL,
+      from_block BIGINT NOT NULL,
+      to_block BIGINT NOT NULL,
+      reason TEXT,
+      detected_at BIGINT NOT NULL,
+      resolved_at BIGINT,
+      PRIMARY KEY (network, from_block, to_block)
+    )`,
+
+    // Historical backfill segments (resumable, one row per segment)
+    `CREATE TABLE IF NOT EXISTS backfill_segments (
+      network VARCHAR(50) NOT NULL,
+      job_id VARCHAR(100) NOT NULL,
+      from_block BIGINT NOT NULL,
+      to_block BIGINT NOT NULL,
+      last_processed_block BIGINT,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      updated_at BIGINT NOT NULL,
+      PRIMARY KEY (network, job_id, from_block)
+    )`,
+
+    // Hashes of recently scanned, still-unconfirmed blocks (reorg detection)
+    `CREATE TABLE IF NOT EXISTS block_hashes (
+      network VARCHAR(50) NOT NULL,
+      block_number BIGINT NOT NULL,
+      block_hash TEXT NOT NULL,
+      recorded_at BIGINT NOT NULL,
+      PRIMARY KEY (network, block_number)
+    )`,
+
+    // New addresses first seen in unconfirmed blocks, so a reorg can undo them
+    `CREATE TABLE IF NOT EXISTS reorg_tail_sightings (
+      network VARCHAR(50) NOT NULL,
+      address TEXT NOT NULL,
+      block_number BIGINT NOT NULL,
+      first_seen BIGINT NOT NULL,
+      PRIMARY KEY (network, address)
+    )`,
+
+    // Contract deployments found by trace discovery (deployer = creating account or factory)
+    `CREATE TABLE IF NOT EXISTS contract_creations (
+      network VARCHAR(50) NOT NULL,
+      address TEXT NOT NULL,
+      deployer TEXT,
+      block_number BIGINT NOT NULL,
+      tx_hash TEXT,
+      creation_type VARCHAR(10) NOT NULL,
+      deployed BIGINT,
+      discovered_at BIGINT NOT NULL,
+      PRIMARY KEY (network, address)
+    )`,
+
+    // Verified source code, ABI and compiler metadata, shared by every contract with the same code hash
+    // source_address/source_network record which deployment the metadata was fetched for
+    `CREATE TABLE IF NOT EXISTS contract_sources (
+      code_hash TEXT PRIMARY KEY,
+      contract_name TEXT,
+      source_code TEXT,
+      abi JSONB,
+      compiler_version TEXT,
+      optimization BOOLEAN,
+      runs INTEGER,
+      evm_version TEXT,
+      license_type TEXT,
+      library TEXT,
+      constructor_arguments TEXT,
+      proxy BOOLEAN DEFAULT false,
+      implementation TEXT,
+      swarm_source TEXT,
+      source_address TEXT NOT NULL,
+      source_network VARCHAR(50) NOT NULL,
+      fetched_at BIGINT NOT NULL
+    )`,
+
+    // Contracts grouped by runtime bytecode across all networks (rebuilt by CloneClusterer)
+    // canonical_* is the verified member whose name is propagated to unverified clones
+    `CREATE TABLE IF NOT EXISTS code_hash_clusters (
+      code_hash TEXT PRIMARY KEY,
+      cluster_size INTEGER NOT NULL,
+      network_count INTEGER NOT NULL,
+      cluster_networks TEXT[] NOT NULL DEFAULT '{}',
+      verified_count INTEGER NOT NULL DEFAULT 0,
+      canonical_name TEXT,
+      canonical_address TEXT,
+      canonical_network VARCHAR(50),
+      name_inferable BOOLEAN NOT NULL DEFAULT false,
+      clustered_at BIGINT NOT NULL
+    )`,
+
+    // Dispatcher selectors and notable opcodes per runtime bytecode (written by ContractAnalyzer)
+    `CREATE TABLE IF NOT EXISTS contract_bytecode_analysis (
+      code_hash TEXT PRIMARY KEY,
+      selectors TEXT[] NOT NULL DEFAULT '{}',
+      opcodes TEXT[] NOT NULL DEFAULT '{}',
+      code_size INTEGER NOT NULL,
+      source_address TEXT NOT NULL,
+      source_network VARCHAR(50) NOT NULL,
+      analyzed_at BIGINT NOT NULL
+    )`,
+
+    // EIP-7702 delegated EOAs and the contract each one delegates to
+    `CREATE TABLE IF NOT EXISTS eip7702_delegations (
+      network VARCHAR(50) NOT NULL,
+      address TEXT NOT NULL,
+      delegate TEXT NOT NULL,
+      code_hash TEXT NOT NULL,
+      first_seen BIGINT NOT NULL,
+      last_seen BIGINT NOT NULL,
+      PRIMARY KEY (network, address)
+    )`,
+
+    // Per-token breakdown of addresses.fund (written by FundUpdater); token is 'native' for the chain currency
+    `CREATE TABLE IF NOT EXISTS address_holdings (
+      address TEXT NOT NULL,
+      network VARCHAR(50) NOT NULL,
+      token TEXT NOT NULL,
+      symbol TEXT,
+      balance NUMERIC(78, 0) NOT NULL,
+      decimals INTEGER NOT NULL,
+      usd_value NUMERIC(30, 2),
+      updated_at BIGINT NOT NULL,
+      price_source VARCHAR(20),
+      PRIMARY KEY (network, address, token)
+    )`,
+    `ALTER TABLE address_holdings ADD COLUMN IF NOT EXISTS price_source VARCHAR(20)`,
+
+    // Per-network token prices keyed by address: Alchemy by-address prices and on-chain DEX prices (written by FundUpdater)
+    `CREATE TABLE IF NOT EXISTS token_prices (
+      network VARCHAR(50) NOT NULL,
+      token TEXT NOT NULL,
+      price_usd NUMERIC(38, 18) NOT NULL,
+      source VARCHAR(20) NOT NULL,
+      pool TEXT,
+      quote_token TEXT,
+      liquidity_usd NUMERIC(30, 2),
+      updated_at BIGINT NOT NULL,
+      PRIMARY KEY (network, token)
+    )`,
+
+    // Fund over time (written by FundUpdater, thinned out by utils/compact-fund-snapshots.js)
+    `CREATE TABLE IF NOT EXISTS fund_snapshots (
+      network VARCHAR(50) NOT NULL,
+      address TEXT NOT NULL,
+      snapshot_at BIGINT NOT NULL,
+      fund NUMERIC(30, 2) NOT NULL,
+      PRIMARY KEY (network, address, snapshot_at)
+    )`,
+
+    // Fund moves past FUND_CHANGE_MIN_PERCENT / FUND_CHANGE_MIN_USD (written by FundUpdater)
+    `CREATE TABLE IF NOT EXISTS fund_change_events (
+      id BIGSERIAL PRIMARY KEY,
+      network VARCHAR(50) NOT NULL,
+      address TEXT NOT NULL,
+      previous_fund NUMERIC(30, 2) NOT NULL,
+      new_fund NUMERIC(30, 2) NOT NULL,
+      change NUMERIC(30, 2) NOT NULL,
+      change_percent DOUBLE PRECISION,
+      previous_at BIGINT NOT NULL,
+      detected_at BIGINT NOT NULL
+    )`,
+
+    // ERC-20 Transfer logs per token seen by UnifiedScanner (candidates for TokenDiscovery)
+    `CREATE TABLE IF NOT EXISTS token_transfer_stats (
+      network VARCHAR(50) NOT NULL,
+      token_address TEXT NOT NULL,
+      transfer_count BIGINT NOT NULL DEFAULT 0,
+      first_seen BIGINT NOT NULL,
+      last_seen BIGINT NOT NULL,
+      PRIMARY KEY (network, token_address)
+    )`,
+
+    // Alert rules matched after each FundUpdater / UnifiedScanner batch (managed with utils/alert-rules.js)
+    `CREATE TABLE IF NOT EXISTS alert_rules (
+      id BIGSERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      rule_type VARCHAR(20) NOT NULL,
+      networks TEXT[],
+      min_fund NUMERIC(30, 2),
+      min_drop_percent DOUBLE PRECISION,
+      verified_only BOOLEAN NOT NULL DEFAULT false,
+      tags TEXT[],
+      webhook_url TEXT NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      created_at BIGINT NOT NULL
+    )`,
+
+    // Webhook deliveries of matched alerts; dedup_key keeps one delivery per rule, address and window
+    `CREATE TABLE IF NOT EXISTS alert_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      rule_id BIGINT NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+      network VARCHAR(50) NOT NULL,
+      address TEXT NOT NULL,
+      dedup_key TEXT NOT NULL UNIQUE,
+      payload JSONB NOT NULL,
+      webhook_url TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_status INTEGER,
+      last_error TEXT,
+      next_attempt_at BIGINT NOT NULL,
+      created_at BIGINT NOT NULL,
+      delivered_at BIGINT
+    )`,
+
+    // Per-endpoint RPC health shared by all scanner processes (common/rpcHealth.js); latency_ms and
+    // error_rate are moving averages, the counters are totals
+    `CREATE TABLE IF NOT EXISTS rpc_endpoint_health (
+      network VARCHAR(50) NOT NULL,
+      rpc_url TEXT NOT NULL,
+      requests BIGINT NOT NULL DEFAULT 0,
+      failures BIGINT NOT NULL DEFAULT 0,
+      timeouts BIGINT NOT NULL DEFAULT 0,
+      latency_ms DOUBLE PRECISION,
+      error_rate DOUBLE PRECISION NOT NULL DEFAULT 0,
+      last_success_at BIGINT,
+      last_failure_at BIGINT,
+      last_error TEXT,
+      updated_at BIGINT NOT NULL,
+      PRIMARY KEY (network, rpc_url)
+    )`,
+
+    // Latest endpoint validation by HttpRpcClient (chain ID and head lag; lagging/wrong_chain are quarantined)
+    `ALTER TABLE rpc_endpoint_health ADD COLUMN IF NOT EXISTS chain_id BIGINT`,
+    `ALTER TABLE rpc_endpoint_health ADD COLUMN IF NOT EXISTS head_block BIGINT`,
+    `ALTER TABLE rpc_endpoint_health ADD COLUMN IF NOT EXISTS head_lag BIGINT`,
+    `ALTER TABLE rpc_endpoint_health ADD COLUMN IF NOT EXISTS validation_status VARCHAR(20)`,
+    `ALTER TABLE rpc_endpoint_health ADD COLUMN IF NOT EXISTS validated_at BIGINT`,
+
+    // Quorum reads whose endpoints disagreed (common/quorum.js); resolved is the preferred provider's re-read
+    `CREATE TABLE IF NOT EXISTS rpc_disagreements (
+      id BIGSERIAL PRIMARY KEY,
+      network VARCHAR(50) NOT NULL,
+      operation VARCHAR(50) NOT NULL,
+      address TEXT NOT NULL,
+      answers JSONB NOT NULL,
+      resolved TEXT,
+      detected_at BIGINT NOT NULL
+    )`,
+
     // Essential indexes for performance - optimized for common queries
     `CREATE INDEX IF NOT EXISTS idx_addresses_network ON addresses(network)`,
     `CREATE INDEX IF NOT EXISTS idx_addresses_tags_gin ON addresses USING GIN(tags)`,
@@ -84,7 +350,26 @@ async function ensureSchema(client) {
     `CREATE INDEX IF NOT EXISTS idx_tokens_price_updated ON tokens(network, price_updated)`,
     `CREATE INDEX IF NOT EXISTS idx_token_metadata_cache_updated ON token_metadata_cache(network, last_updated)`,
     `CREATE INDEX IF NOT EXISTS idx_symbol_prices_symbol ON symbol_prices(LOWER(symbol))`,
-    `CREATE INDEX IF NOT EXISTS idx_log_density_stats_updated ON network_log_density_stats(last_updated DESC)`
+    `CREATE INDEX IF NOT EXISTS idx_log_density_stats_updated ON network_log_density_stats(last_updated DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_scan_gaps_open ON scan_gaps(network, from_block) WHERE resolved_at IS NULL`,
+    `CREATE INDEX IF NOT EXISTS idx_reorg_tail_sightings_block ON reorg_tail_sightings(network, block_number)`,
+    `CREATE INDEX IF NOT EXISTS idx_contract_creations_deployer ON contract_creations(network, deployer)`,
+    `CREATE INDEX IF NOT EXISTS idx_contract_creations_block ON contract_creations(network, block_number)`,
+    `CREATE INDEX IF NOT EXISTS idx_addresses_code_hash ON addresses(code_hash)`,
+    `CREATE INDEX IF NOT EXISTS idx_code_hash_clusters_size ON code_hash_clusters(cluster_size DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_bytecode_analysis_selectors ON contract_bytecode_analysis USING GIN(selectors)`,
+    `CREATE INDEX IF NOT EXISTS idx_bytecode_analysis_opcodes ON contract_bytecode_analysis USING GIN(opcodes)`,
+    `CREATE INDEX IF NOT EXISTS idx_eip7702_delegations_delegate ON eip7702_delegations(delegate, network)`,
+    `CREATE INDEX IF NOT EXISTS idx_address_holdings_token ON address_holdings(network, token, usd_value DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_fund_snapshots_time ON fund_snapshots(snapshot_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_fund_change_events_detected ON fund_change_events(detected_at DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_fund_change_events_address ON fund_change_events(network, address, detected_at DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_tokens_rank ON tokens(network, rank) WHERE rank IS NOT NULL`,
+    `CREATE INDEX IF NOT EXISTS idx_token_transfer_stats_count ON token_transfer_stats(network, transfer_count DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_alert_deliveries_pending ON alert_deliveries(next_attempt_at) WHERE status = 'pending'`,
+    `CREATE INDEX IF NOT EXISTS idx_alert_deliveries_rule ON alert_deliveries(rule_id, created_at DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_rpc_disagreements_network ON rpc_disagreements(network, detected_at DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_rpc_disagreements_address ON rpc_disagreements(address, network)`
   ];
 
   for (const schema of schemas) {
@@ -184,7 +469,8 @@ async function batchUpsertAddresses(client, addresses, options = {}) {
         data.fund || 0,
         data.lastFundUpdated || 0,
         data.nameChecked || false,
-        data.nameCheckedAt || 0
+        data.nameCheckedAt || 0,
+        data.implementation || null
       ];
       
       const placeholders = rowParams.map(() => `$${paramIndex++}`).join(', ');
@@ -196,7 +482,8 @@ async function batchUpsertAddresses(client, addresses, options = {}) {
       INSERT INTO addresses (
         address, code_hash, contract_name, deployed,
         last_updated, network, first_seen, tags,
-        fund, last_fund_updated, name_checked, name_checked_at
+        fund, last_fund_updated, name_checked, name_checked_at,
+        implementation
       ) VALUES ${values.join(', ')}
       ON CONFLICT (address, network) DO UPDATE SET
         -- Update with new value, but keep existing if new is null (protection)
@@ -215,6 +502,12 @@ async function batchUpsertAddresses(client, addresses, options = {}) {
         last_updated = EXCLUDED.last_updated,
         first_seen = COALESCE(addresses.first_seen, EXCLUDED.first_seen),
         tags = CASE
+          -- A clone name inferred by CloneClusterer is kept below, so keep its marker too
+          WHEN EXCLUDED.tags IS NOT NULL AND array_length(EXCLUDED.tags, 1) > 0
+            AND EXCLUDED.contract_name IS NULL
+            AND 'InferredName' = ANY(COALESCE(addresses.tags, '{}'))
+            AND NOT ('InferredName' = ANY(EXCLUDED.tags))
+          THEN array_append(EXCLUDED.tags, 'InferredName')
           WHEN EXCLUDED.tags IS NOT NULL AND array_length(EXCLUDED.tags, 1) > 0
           THEN EXCLUDED.tags
           ELSE addresses.tags
@@ -222,7 +515,8 @@ async function batchUpsertAddresses(client, addresses, options = {}) {
         fund = EXCLUDED.fund,
         last_fund_updated = EXCLUDED.last_fund_updated,
         name_checked = EXCLUDED.name_checked,
-        name_checked_at = EXCLUDED.name_checked_at
+        name_checked_at = EXCLUDED.name_checked_at,
+        implementation = COALESCE(EXCLUDED.implementation, addresses.implementation)
     `;
     
     const result = await client.query(query, params);
@@ -232,6 +526,89 @@ async function batchUpsertAddresses(client, addresses, options = {}) {
   return { rowCount: totalRowCount };
 }
 
+/**
+ * Store verified source metadata keyed by code hash
+ * Existing rows are refreshed, but a missing value never overwrites a stored one
+ * @param {Array} contracts - Verified contracts as produced by UnifiedScanner.verifyContracts
+ *   (address, network, codeHash, contractName, sourceCode, abi, compilerVersion, ...)
+ */
+async function upsertContractSources(client, contracts, options = {}) {
+  const rows = contracts.filter(c => c.codeHash && c.sourceCode);
+  if (rows.length === 0) {
+    return { rowCount: 0 };
+  }
+
+  const batchSize = options.batchSize || 50; // Source code rows can be large
+  const now = Math.floor(Date.now() / 1000);
+  let totalRowCount = 0;
+
+  for (let i = 0; i < rows.length; i += batchSize) {
+    // Same code hash twice in one statement would make ON CONFLICT fail
+    const batch = [...new Map(rows.slice(i, i + batchSize).map(c => [c.codeHash, c])).values()];
+
+    const values = [];
+    const params = [];
+    let paramIndex = 1;
+
+    for (const data of batch) {
+      const rowParams = [
+        data.codeHash,
+        data.contractName || null,
+        data.sourceCode,
+        data.abi ? JSON.stringify(data.abi) : null,
+        data.compilerVersion || null,
+        data.optimization ?? null,
+        data.runs ?? null,
+        data.evmVersion || null,
+        data.licenseType || null,
+        data.library || null,
+        data.constructorArguments || null,
+        data.proxy || false,
+        data.implementation || null,
+        data.swarmSource || null,
+        data.address.toLowerCase(),
+        data.network,
+        now
+      ];
+
+      const placeholders = rowParams.map(() => `$${paramIndex++}`).join(', ');
+      values.push(`(${placeholders})`);
+      params.push(...rowParams);
+    }
+
+    const query = `
+      INSERT INTO contract_sources (
+        code_hash, contract_name, source_code, abi,
+        compiler_version, optimization, runs, evm_version,
+        license_type, library, constructor_arguments, proxy,
+        implementation, swarm_source, source_address, source_network, fetched_at
+      ) VALUES ${values.join(', ')}
+      ON CONFLICT (code_hash) DO UPDATE SET
+        contract_name = COALESCE(EXCLUDED.contract_name, contract_sources.contract_name),
+        source_code = COALESCE(EXCLUDED.source_code, contract_sources.source_code),
+        abi = COALESCE(EXCLUDED.abi, contract_sources.abi),
+        compiler_version = COALESCE(EXCLUDED.compiler_version, contract_sources.compiler_version),
+        optimization = COALESCE(EXCLUDED.optimization, contract_sources.optimization),
+        runs = COALESCE(EXCLUDED.runs, contract_sources.runs),
+        evm_version = COALESCE(EXCLUDED.evm_version, contract_sources.evm_version),
+        license_type = COALESCE(EXCLUDED.license_type, contract_sources.license_type),
+        library = COALESCE(EXCLUDED.library, contract_sources.library),
+        constructor_arguments = COALESCE(EXCLUDED.constructor_arguments, contract_sources.constructor_arguments),
+        proxy = EXCLUDED.proxy OR contract_sources.proxy,
+        implementation = COALESCE(EXCLUDED.implementation, contract_sources.implementation),
+        swarm_source = COALESCE(EXCLUDED.swarm_source, contract_sources.swarm_source),
+        source_address = EXCLUDED.source_address,
+        source_network = EXCLUDED.source_network,
+        fetched_at = EXCLUDED.fetched_at
+    `;
+
+    const result = await client.query(query, params);
+    totalRowCount += result.rowCount;
+  }
+
+  return { rowCount: totalRowCount };
+}
+
 // ====== PERFORMANCE OPTIMIZATION ======
 
 // Optimized batch upsert for high-volume data
@@ -879,6 +1256,7 @@ module.exports = {
   // Basic operations
   batchUpsertAddresses,
   optimizedBatchUpsert,
+  upsertContractSources,
   
   // Index management
   ensureIndexesExist,
@@ -0,0 +1,99 @@
+/**
+ * Exact decimal arithmetic for fund valuation
+ * Amounts are BigInts scaled by 10^scale; prices and funds are parsed from and formatted to
+ * decimal strings so nothing passes through a floating point Number on the way to NUMERIC columns
+ */
+
+const VALUE_SCALE = 18; // USD values are kept to 18 decimal places until they are rounded for storage
+const FUND_PLACES = 2;  // addresses.fund, address_holdings.usd_value: cents
+
+const pow10 = (exponent) => 10n ** BigInt(exponent);
+
+/**
+ * Decimal value as a BigInt scaled by 10^scale, rounded half away from zero
+ * Accepts decimal strings ('0.9998', '-12', '1.5e-7'), Numbers and BigInts
+ * @returns {bigint|null} null when the value is not a finite decimal
+ */
+function parseDecimal(value, scale = VALUE_SCALE) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'bigint') return value * pow10(scale);
+  if (typeof value === 'number' && !Number.isFinite(value)) return null;
+
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(value).trim());
+  if (!match || (match[2] === '' && !match[3])) return null;
+
+  const [, sign, integerDigits, fractionDigits = '', exponentText] = match;
+  const shift = scale + (exponentText ? parseInt(exponentText, 10) : 0) - fractionDigits.length;
+  const digits = BigInt((integerDigits + fractionDigits) || '0');
+
+  let scaled;
+  if (shift >= 0) {
+    scaled = digits * pow10(shift);
+  } else {
+    const divisor = pow10(-shift);
+    scaled = digits / divisor;
+    if ((digits % divisor) * 2n >= divisor) scaled += 1n;
+  }
+  return sign === '-' ? -scaled : scaled;
+}
+
+/**
+ * Round a scaled value to fewer decimal places, half away from zero
+ */
+function roundScaled(scaled, fromScale, toScale) {
+  if (toScale >= fromScale) return scaled * pow10(toScale - fromScale);
+  const divisor = pow10(fromScale - toScale);
+  const magnitude = scaled < 0n ? -scaled : scaled;
+  let rounded = magnitude / divisor;
+  if ((magnitude % divisor) * 2n >= divisor) rounded += 1n;
+  return scaled < 0n ? -rounded : rounded;
+}
+
+/**
+ * Scaled value as a decimal string with a fixed number of places ('1234.50')
+ */
+function formatDecimal(scaled, scale = VALUE_SCALE, places = FUND_PLACES) {
+  const rounded = roundScaled(scaled, scale, places);
+  const magnitude = (rounded < 0n ? -rounded : rounded).toString().padStart(places + 1, '0');
+  const sign = rounded < 0n ? '-' : '';
+  if (places === 0) return sign + magnitude;
+  return `${sign}${magnitude.slice(0, -places)}.${magnitude.slice(-places)}`;
+}
+
+/**
+ * USD value of a raw token balance: balance / 10^decimals * price, scaled by 10^VALUE_SCALE
+ * @param {string|bigint} balance - Raw on-chain balance (wei)
+ * @param {string|number} price - USD price of one whole token
+ * @returns {bigint}
+ */
+function tokenValue(balance, decimals, price) {
+  const raw = BigInt(balance);
+  const scaledPrice = parseDecimal(price, VALUE_SCALE);
+  if (scaledPrice === null) throw new Error(`Invalid price: ${price}`);
+  return (raw * scaledPrice) / pow10(decimals);
+}
+
+/**
+ * Fund as a NUMERIC(30, 2) string ('1234.56')
+ */
+function formatFund(scaled, scale = VALUE_SCALE) {
+  return formatDecimal(scaled, scale, FUND_PLACES);
+}
+
+/**
+ * Stored fund ('1234.56', 1234, null) as integer cents
+ */
+function fundCents(value) {
+  return parseDecimal(value ?? 0, FUND_PLACES) ?? 0n;
+}
+
+module.exports = {
+  VALUE_SCALE,
+  FUND_PLACES,
+  parseDecimal,
+  roundScaled,
+  formatDecimal,
+  tokenValue,
+  formatFund,
+  fundCents
+};
@@ -0,0 +1,190 @@
+/**
+ * On-chain DEX price oracle
+ * Prices tokens that have no Alchemy price from Uniswap V2-style reserves and V3-style slot0
+ * against the quote tokens configured per network (`dexOracle` in config/networks.js).
+ * Pools below the liquidity threshold are ignored, and a token is left unpriced when its
+ * qualifying pools disagree, since a single thin or manipulated pool must not set a fund value.
+ */
+const { Interface } = require('ethers');
+
+const DEX_ORACLE_DEFAULTS = {
+  minLiquidityUsd: 50000, // quote-side liquidity a pool needs to be trusted
+  maxDeviation: 10        // percent; qualifying pools further apart than this reject the token
+};
+
+const V2_FACTORY = new Interface(['function getPair(address tokenA, address tokenB) view returns (address)']);
+const V3_FACTORY = new Interface(['function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)']);
+const POOL = new Interface([
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function slot0() view returns (uint160 sqrtPriceX96)',
+  'function token0() view returns (address)'
+]);
+const ERC20 = new Interface(['function balanceOf(address account) view returns (uint256)']);
+
+const Q96 = 2 ** 96;
+
+// Return data is decoded by word: slot0 layouts differ between forks past sqrtPriceX96
+const word = (data, index = 0) => {
+  if (typeof data !== 'string' || data.length < 2 + (index + 1) * 64) return null;
+  return BigInt('0x' + data.slice(2 + index * 64, 2 + (index + 1) * 64));
+};
+const addressWord = (data) => {
+  const value = word(data);
+  return value ? '0x' + value.toString(16).padStart(40, '0') : null;
+};
+const units = (raw, decimals) => Number(raw) / 10 ** decimals;
+
+function dexOracleSettings(env = process.env) {
+  const number = (value, fallback) => (value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback);
+  return {
+    minLiquidityUsd: number(env.DEX_ORACLE_MIN_LIQUIDITY_USD, DEX_ORACLE_DEFAULTS.minLiquidityUsd),
+    maxDeviation: number(env.DEX_ORACLE_MAX_DEVIATION, DEX_ORACLE_DEFAULTS.maxDeviation)
+  };
+}
+
+/**
+ * Pools pairing each token with each quote token, from the configured factories
+ * @returns {Array} { token, quote, type: 'v2'|'v3', pool, fee }
+ */
+async function findPools(multicall, tokens, config) {
+  const candidates = [];
+  for (const token of tokens) {
+    for (const quote of config.quoteTokens || []) {
+      if (quote.address.toLowerCase() === token.address) continue;
+      for (const factory of config.v2Factories || []) {
+        candidates.push({ token, quote, type: 'v2', fee: null, target: factory,
+          callData: V2_FACTORY.encodeFunctionData('getPair', [token.address, quote.address]) });
+      }
+      for (const factory of config.v3Factories || []) {
+        for (const fee of config.v3Fees || [500, 3000, 10000]) {
+          candidates.push({ token, quote, type: 'v3', fee, target: factory,
+            callData: V3_FACTORY.encodeFunctionData('getPool', [token.address, quote.address, fee]) });
+        }
+      }
+    }
+  }
+  if (candidates.length === 0) return [];
+
+  const results = await multicall(candidates.map(({ target, callData }) => ({ target, callData })));
+  return candidates
+    .map((candidate, i) => ({ ...candidate, pool: addressWord(results[i]) }))
+    .filter(candidate => candidate.pool)
+    .map(({ token, quote, type, fee, pool }) => ({ token, quote, type, fee, pool }));
+}
+
+/**
+ * Price of one token in quote units and the quote-side liquidity, or null when unusable
+ */
+function poolPrice(pool, state) {
+  const token0 = addressWord(state.token0);
+  if (!token0) return null;
+  const tokenIsToken0 = token0 === pool.token.address;
+  const tokenDecimals = pool.token.decimals;
+  const quoteDecimals = pool.quote.decimals;
+
+  if (pool.type === 'v2') {
+    const reserve0 = word(state.reserves, 0);
+    const reserve1 = word(state.reserves, 1);
+    if (!reserve0 || !reserve1) return null;
+    const tokenReserve = units(tokenIsToken0 ? reserve0 : reserve1, tokenDecimals);
+    const quoteReserve = units(tokenIsToken0 ? reserve1 : reserve0, quoteDecimals);
+    return { price: quoteReserve / tokenReserve, quoteLiquidity: quoteReserve };
+  }
+
+  const sqrtPriceX96 = word(state.slot0);
+  const quoteBalance = word(state.quoteBalance);
+  if (!sqrtPriceX96 || quoteBalance === null) return null;
+  // token1 per token0 in raw units
+  const raw = (Number(sqrtPriceX96) / Q96) ** 2;
+  if (!Number.isFinite(raw) || raw === 0) return null;
+  const rawQuotePerToken = tokenIsToken0 ? raw : 1 / raw;
+  return {
+    price: rawQuotePerToken * 10 ** (tokenDecimals - quoteDecimals),
+    quoteLiquidity: units(quoteBalance, quoteDecimals)
+  };
+}
+
+/**
+ * USD prices for tokens from DEX pools
+ * @param {Function} multicall - (calls[{ target, callData }]) => returnData|null per call
+ * @param {Array} tokens - { address (lowercase), decimals }
+ * @param {Object} options - { config, quotePrices: Map quote address (lowercase) -> USD, minLiquidityUsd, maxDeviation }
+ * @returns {Object} { prices: Map token -> { priceUsd, source, pool, quoteToken, liquidityUsd }, rejected: Map token -> reason }
+ */
+async function priceTokens(multicall, tokens, options) {
+  const { config, quotePrices } = options;
+  const { minLiquidityUsd, maxDeviation } = { ...DEX_ORACLE_DEFAULTS, ...options };
+  const prices = new Map();
+  const rejected = new Map();
+
+  // Only quotes with a USD price are usable
+  const quoteTokens = (config.quoteTokens || [])
+    .map(quote => ({ ...quote, address: quote.address.toLowerCase() }))
+    .filter(quote => quotePrices.get(quote.address) > 0);
+  const pools = await findPools(multicall, tokens, { ...config, quoteTokens });
+  if (pools.length === 0) return { prices, rejected };
+
+  const calls = [];
+  const stateCalls = pools.map(pool => {
+    const start = calls.length;
+    calls.push({ target: pool.pool, callData: POOL.encodeFunctionData('token0') });
+    if (pool.type === 'v2') {
+      calls.push({ target: pool.pool, callData: POOL.encodeFunctionData('getReserves') });
+    } else {
+      calls.push({ target: pool.pool, callData: POOL.encodeFunctionData('slot0') });
+      calls.push({ target: pool.quote.address, callData: ERC20.encodeFunctionData('balanceOf', [pool.pool]) });
+    }
+    return start;
+  });
+  const results = await multicall(calls);
+
+  const quotesByToken = new Map();
+  pools.forEach((pool, i) => {
+    const start = stateCalls[i];
+    const state = pool.type === 'v2'
+      ? { token0: results[start], reserves: results[start + 1] }
+      : { token0: results[start], slot0: results[start + 1], quoteBalance: results[start + 2] };
+    const quoted = poolPrice(pool, state);
+    if (!quoted || !Number.isFinite(quoted.price) || quoted.price <= 0) return;
+
+    const quoteUsd = quotePrices.get(pool.quote.address);
+    const entry = {
+      priceUsd: quoted.price * quoteUsd,
+      source: pool.type === 'v2' ? 'uniswap_v2' : 'uniswap_v3',
+      pool: pool.pool,
+      quoteToken: pool.quote.address,
+      liquidityUsd: quoted.quoteLiquidity * quoteUsd
+    };
+    const list = quotesByToken.get(pool.token.address) || [];
+    list.push(entry);
+    quotesByToken.set(pool.token.address, list);
+  });
+
+  for (const token of tokens) {
+    const qualifying = (quotesByToken.get(token.address) || [])
+      .filter(entry => entry.liquidityUsd >= minLiquidityUsd)
+      .sort((a, b) => b.liquidityUsd - a.liquidityUsd);
+    if (qualifying.length === 0) {
+      if (quotesByToken.has(token.address)) rejected.set(token.address, 'insufficient liquidity');
+      continue;
+    }
+
+    const best = qualifying[0];
+    const outlier = qualifying.find(entry => Math.abs(entry.priceUsd - best.priceUsd) / best.priceUsd * 100 > maxDeviation);
+    if (outlier) {
+      rejected.set(token.address, `pools disagree (${best.pool} vs ${outlier.pool})`);
+      continue;
+    }
+    prices.set(token.address, best);
+  }
+
+  return { prices, rejected };
+}
+
+module.exports = {
+  DEX_ORACLE_DEFAULTS,
+  dexOracleSettings,
+  findPools,
+  poolPrice,
+  priceTokens
+};
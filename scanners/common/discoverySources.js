@@ -0,0 +1,132 @@
+/**
+ * Log-based address discovery sources
+ * Each source names the event topics it matches and where addresses sit in a matching log:
+ * the emitting contract, indexed topics, and/or 32-byte words of the data field
+ */
+const { id } = require('ethers');
+const { normalizeAddress } = require('./addressUtils');
+const { BLOCKCHAIN_CONSTANTS } = require('./core');
+
+const DEFAULT_DISCOVERY_SOURCES = ['transfer'];
+
+const BUILTIN_DISCOVERY_SOURCES = {
+  // ERC-20 and ERC-721 share the Transfer signature (ERC-721 also indexes tokenId)
+  transfer: {
+    topics: [BLOCKCHAIN_CONSTANTS.TRANSFER_EVENT],
+    emitter: true,
+    addressTopics: [1, 2]
+  },
+  erc1155: {
+    topics: [
+      id('TransferSingle(address,address,address,uint256,uint256)'),
+      id('TransferBatch(address,address,address,uint256[],uint256[])')
+    ],
+    emitter: true,
+    addressTopics: [1, 2, 3] // operator, from, to
+  },
+  approval: {
+    topics: [
+      id('Approval(address,address,uint256)'),
+      id('ApprovalForAll(address,address,bool)')
+    ],
+    emitter: true,
+    addressTopics: [1, 2] // owner, spender/operator
+  },
+  uniswapV2Pairs: {
+    topics: [id('PairCreated(address,address,address,uint256)')],
+    emitter: true,
+    addressTopics: [1, 2], // token0, token1
+    addressDataWords: [0]  // pair
+  },
+  uniswapV3Pools: {
+    topics: [id('PoolCreated(address,address,uint24,int24,address)')],
+    emitter: true,
+    addressTopics: [1, 2], // token0, token1 (topic 3 is the fee tier)
+    addressDataWords: [1]  // pool (word 0 is tickSpacing)
+  }
+};
+
+/**
+ * Resolve a network's source list into source definitions
+ * @param {Array} entries - Built-in source names and/or custom definitions
+ *   ({ name, topics, emitter?, addressTopics?, addressDataWords? })
+ * @returns {Array} Sources as { name, topics, emitter, addressTopics, addressDataWords }
+ */
+function resolveDiscoverySources(entries = DEFAULT_DISCOVERY_SOURCES) {
+  const sources = [];
+
+  for (const entry of entries) {
+    const definition = typeof entry === 'string'
+      ? BUILTIN_DISCOVERY_SOURCES[entry] && { name: entry, ...BUILTIN_DISCOVERY_SOURCES[entry] }
+      : entry;
+
+    if (!definition) {
+      throw new Error(`Unknown discovery source: ${entry} (built-in: ${Object.keys(BUILTIN_DISCOVERY_SOURCES).join(', ')})`);
+    }
+    if (!definition.name || !Array.isArray(definition.topics) || definition.topics.length === 0) {
+      throw new Error(`Invalid discovery source ${JSON.stringify(entry)}: name and topics are required`);
+    }
+
+    sources.push({
+      name: definition.name,
+      topics: definition.topics.map(topic => topic.toLowerCase()),
+      emitter: definition.emitter !== false,
+      addressTopics: definition.addressTopics || [],
+      addressDataWords: definition.addressDataWords || []
+    });
+  }
+
+  return sources;
+}
+
+/**
+ * Build the getLogs topic filter and a topic0 -> sources lookup
+ * @returns {Object} { topics: [topic0 | topic0[]], sourcesByTopic: Map }
+ */
+function buildTopicFilter(sources) {
+  const sourcesByTopic = new Map();
+  for (const source of sources) {
+    for (const topic of source.topics) {
+      if (!sourcesByTopic.has(topic)) sourcesByTopic.set(topic, []);
+      sourcesByTopic.get(topic).push(source);
+    }
+  }
+
+  const topic0s = [...sourcesByTopic.keys()];
+  return {
+    topics: [topic0s.length === 1 ? topic0s[0] : topic0s],
+    sourcesByTopic
+  };
+}
+
+/**
+ * Pull the addresses a source cares about out of a log
+ * @returns {Array<string>} Normalized addresses (invalid/missing positions are skipped)
+ */
+function extractAddresses(source, log) {
+  const addresses = [];
+
+  if (source.emitter) {
+    addresses.push(normalizeAddress(log.address));
+  }
+  for (const index of source.addressTopics) {
+    const topic = log.topics[index];
+    if (topic) addresses.push(normalizeAddress('0x' + topic.slice(26)));
+  }
+  for (const word of source.addressDataWords) {
+    const start = 2 + word * 64;
+    if (log.data && log.data.length >= start + 64) {
+      addresses.push(normalizeAddress('0x' + log.data.slice(start + 24, start + 64)));
+    }
+  }
+
+  return addresses.filter(Boolean);
+}
+
+module.exports = {
+  DEFAULT_DISCOVERY_SOURCES,
+  BUILTIN_DISCOVERY_SOURCES,
+  resolveDiscoverySources,
+  buildTopicFilter,
+  extractAddresses
+};
@@ -0,0 +1,35 @@
+/**
+ * EIP-7702 delegated EOAs
+ * A delegated EOA's code is the 23-byte designator 0xef0100 || delegate address; its code hash
+ * depends only on the delegate, so known delegates can be recognized from the code hash alone
+ */
+const { keccak256 } = require('ethers');
+const { normalizeAddress } = require('./addressUtils');
+
+const DELEGATION_PREFIX = '0xef0100';
+const DELEGATION_CODE_LENGTH = 2 + 23 * 2;
+
+/**
+ * Delegate address from runtime code, or null when the code is not a delegation designator
+ */
+function parseDelegation(code) {
+  if (!code || typeof code !== 'string') return null;
+  const normalized = code.toLowerCase();
+  if (normalized.length !== DELEGATION_CODE_LENGTH || !normalized.startsWith(DELEGATION_PREFIX)) {
+    return null;
+  }
+  return normalizeAddress('0x' + normalized.slice(DELEGATION_PREFIX.length));
+}
+
+/**
+ * Code hash every EOA delegating to `delegate` has
+ */
+function delegationCodeHash(delegate) {
+  return keccak256(DELEGATION_PREFIX + delegate.toLowerCase().replace(/^0x/, ''));
+}
+
+module.exports = {
+  DELEGATION_PREFIX,
+  parseDelegation,
+  delegationCodeHash
+};
@@ -0,0 +1,99 @@
+/**
+ * Fund history
+ * FundUpdater records a fund_snapshots row per update and a fund_change_events row when the fund
+ * moves past the configured thresholds; old snapshots are thinned out by compactFundSnapshots
+ */
+const { FUND_PLACES, parseDecimal, formatDecimal, fundCents } = require('./decimalMath');
+
+const DAY = 24 * 60 * 60;
+
+const FUND_CHANGE_DEFAULTS = {
+  minPercent: 50,     // relative move, against the previous fund
+  minUsd: 100000,     // absolute move in USD
+  minFund: 1000       // percentage moves only count when either side is at least this much
+};
+
+// Snapshots older than `afterDays` keep only the latest one per `bucketSeconds`
+const SNAPSHOT_RETENTION = [
+  { afterDays: 7, bucketSeconds: DAY },
+  { afterDays: 90, bucketSeconds: 7 * DAY }
+];
+
+function fundChangeThresholds(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+  };
+  return {
+    minPercent: number(env.FUND_CHANGE_MIN_PERCENT, FUND_CHANGE_DEFAULTS.minPercent),
+    minUsd: number(env.FUND_CHANGE_MIN_USD, FUND_CHANGE_DEFAULTS.minUsd),
+    minFund: number(env.FUND_CHANGE_MIN_FUND, FUND_CHANGE_DEFAULTS.minFund)
+  };
+}
+
+/**
+ * Fund change event for one update, or null when the move is below both thresholds
+ * Funds are compared in exact cents; the event carries them as NUMERIC(30, 2) strings
+ * @param {string|number|null} previous - Fund before the update; null when it was never measured
+ * @param {string|number} current - Fund after the update
+ */
+function detectFundChange(previous, current, thresholds = FUND_CHANGE_DEFAULTS) {
+  if (previous === null || previous === undefined) return null;
+
+  const before = fundCents(previous);
+  const after = fundCents(current);
+  const change = after - before;
+  if (change === 0n) return null;
+
+  const threshold = (usd) => parseDecimal(usd, FUND_PLACES) ?? 0n;
+  const magnitude = change < 0n ? -change : change;
+  const changePercent = before > 0n ? (Number(change) / Number(before)) * 100 : null;
+  const bigEnough = (before > after ? before : after) >= threshold(thresholds.minFund);
+  const percentHit = bigEnough && (changePercent === null || Math.abs(changePercent) >= thresholds.minPercent);
+  const usdHit = magnitude >= threshold(thresholds.minUsd);
+  if (!percentHit && !usdHit) return null;
+
+  return {
+    previousFund: formatDecimal(before, FUND_PLACES),
+    newFund: formatDecimal(after, FUND_PLACES),
+    change: formatDecimal(change, FUND_PLACES),
+    changePercent
+  };
+}
+
+/**
+ * Thin out old snapshots according to SNAPSHOT_RETENTION
+ * @param {Function} query - (sql, params) => pg result
+ * @returns {number} Snapshots deleted
+ */
+async function compactFundSnapshots(query, now, retention = SNAPSHOT_RETENTION) {
+  let deleted = 0;
+  for (const tier of retention) {
+    const result = await query(`
+      DELETE FROM fund_snapshots s
+      USING (
+        SELECT network, address, snapshot_at,
+          ROW_NUMBER() OVER (
+            PARTITION BY network, address, snapshot_at / $2
+            ORDER BY snapshot_at DESC
+          ) AS rn
+        FROM fund_snapshots
+        WHERE snapshot_at < $1
+      ) ranked
+      WHERE ranked.rn > 1
+        AND s.network = ranked.network
+        AND s.address = ranked.address
+        AND s.snapshot_at = ranked.snapshot_at
+    `, [now - tier.afterDays * DAY, tier.bucketSeconds]);
+    deleted += result.rowCount;
+  }
+  return deleted;
+}
+
+module.exports = {
+  FUND_CHANGE_DEFAULTS,
+  SNAPSHOT_RETENTION,
+  fundChangeThresholds,
+  detectFundChange,
+  compactFundSnapshots
+};
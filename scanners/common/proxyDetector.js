@@ -0,0 +1,113 @@
+/**
+ * On-chain proxy detection
+ * Resolves proxies from standard storage slots and minimal-proxy bytecode, so proxies are
+ * recognized whether or not Etherscan has the source verified
+ */
+const { normalizeAddress } = require('./addressUtils');
+
+const PROXY_SLOTS = {
+  // EIP-1967: keccak256('eip1967.proxy.*') - 1
+  EIP1967_IMPLEMENTATION: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+  EIP1967_ADMIN: '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103',
+  EIP1967_BEACON: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50',
+  // EIP-1822 (UUPS): keccak256('PROXIABLE')
+  EIP1822_PROXIABLE: '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7',
+  // OpenZeppelin legacy (zos) proxies
+  OZ_LEGACY_IMPLEMENTATION: '0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3',
+  OZ_LEGACY_ADMIN: '0x10d6a54a4754c8869d6886b5f5d7fbfa5b4522237ea5c60d11bc4e7a1ff9390b'
+};
+
+// Beacon: implementation()
+const BEACON_IMPLEMENTATION_SELECTOR = '0x5c60da1b';
+
+// EIP-1167 minimal proxy runtime code around the 20-byte implementation address
+const EIP1167_PREFIX = '363d3d373d3d3d363d73';
+const EIP1167_SUFFIX = '5af43d82803e903d91602b57fd5bf3';
+
+const PROXY_TAGS = {
+  EIP1967: 'EIP1967Proxy',
+  Beacon: 'BeaconProxy',
+  EIP1822: 'UUPSProxy',
+  OZLegacy: 'LegacyOZProxy',
+  EIP1167: 'MinimalProxy'
+};
+
+/**
+ * Address stored in the low 20 bytes of a storage word, or null when empty
+ */
+function addressFromWord(word) {
+  if (!word || typeof word !== 'string' || word.length < 42) return null;
+  const address = normalizeAddress('0x' + word.slice(-40));
+  return address && !/^0x0{40}$/.test(address) ? address : null;
+}
+
+/**
+ * Implementation address of an EIP-1167 minimal proxy, or null for any other bytecode
+ */
+function parseMinimalProxy(code) {
+  if (!code || typeof code !== 'string') return null;
+  const hex = code.toLowerCase().replace(/^0x/, '');
+  if (hex.length !== EIP1167_PREFIX.length + 40 + EIP1167_SUFFIX.length) return null;
+  if (!hex.startsWith(EIP1167_PREFIX) || !hex.endsWith(EIP1167_SUFFIX)) return null;
+  return normalizeAddress('0x' + hex.slice(EIP1167_PREFIX.length, EIP1167_PREFIX.length + 40));
+}
+
+/**
+ * Detect whether a contract is a proxy and where it points
+ * @param {Object} client - RPC client with getCode, getStorageAt and call (AlchemyRPCClient)
+ * @param {string} address - Contract address
+ * @param {string} [code] - Runtime bytecode, if already fetched
+ * @returns {Object|null} { type, implementation, admin, beacon, tags } or null when not a proxy
+ */
+async function detectProxy(client, address, code = null) {
+  const bytecode = code ?? await client.getCode(address);
+  const minimalImplementation = parseMinimalProxy(bytecode);
+  if (minimalImplementation) {
+    return { type: 'EIP1167', implementation: minimalImplementation, admin: null, beacon: null, tags: ['Proxy', PROXY_TAGS.EIP1167] };
+  }
+
+  const [implementationWord, beaconWord, uupsWord, legacyWord] = await Promise.all([
+    client.getStorageAt(address, PROXY_SLOTS.EIP1967_IMPLEMENTATION),
+    client.getStorageAt(address, PROXY_SLOTS.EIP1967_BEACON),
+    client.getStorageAt(address, PROXY_SLOTS.EIP1822_PROXIABLE),
+    client.getStorageAt(address, PROXY_SLOTS.OZ_LEGACY_IMPLEMENTATION)
+  ]);
+
+  let type = null;
+  let implementation = null;
+  let beacon = null;
+  let adminSlot = null;
+
+  if ((implementation = addressFromWord(implementationWord))) {
+    type = 'EIP1967';
+    adminSlot = PROXY_SLOTS.EIP1967_ADMIN;
+  } else if ((beacon = addressFromWord(beaconWord))) {
+    type = 'Beacon';
+    adminSlot = PROXY_SLOTS.EIP1967_ADMIN;
+    try {
+      implementation = addressFromWord(await client.call({ to: beacon, data: BEACON_IMPLEMENTATION_SELECTOR }));
+    } catch (error) {
+      implementation = null; // Beacon without implementation() - still a beacon proxy
+    }
+  } else if ((implementation = addressFromWord(uupsWord))) {
+    type = 'EIP1822';
+  } else if ((implementation = addressFromWord(legacyWord))) {
+    type = 'OZLegacy';
+    adminSlot = PROXY_SLOTS.OZ_LEGACY_ADMIN;
+  } else {
+    return null;
+  }
+
+  const admin = adminSlot ? addressFromWord(await client.getStorageAt(address, adminSlot)) : null;
+
+  return { type, implementation, admin, beacon, tags: ['Proxy', PROXY_TAGS[type]] };
+}
+
+module.exports = {
+  PROXY_SLOTS,
+  PROXY_TAGS,
+  BEACON_IMPLEMENTATION_SELECTOR,
+  addressFromWord,
+  parseMinimalProxy,
+  detectProxy
+};
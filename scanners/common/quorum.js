@@ -0,0 +1,144 @@
+/**
+ * Cross-Provider Quorum Reads
+ * Classification reads (EOA vs contract, code hashes) normally trust a single RPC answer. A network
+ * can opt operations into quorum mode in config/networks.js:
+ *
+ *   quorum: { isContracts: 2, getCodeHashes: 3 }   // endpoints per read, the preferred provider included
+ *
+ * Each read then also goes to independent public endpoints (distinct hosts). Addresses the answers
+ * disagree on are re-read from the preferred provider, whose answer is used, and every disagreement
+ * is kept for rpc_disagreements.
+ */
+
+// Disagreements not yet written to rpc_disagreements
+const pendingDisagreements = [];
+const stats = { reads: 0, unverified: 0, disagreements: 0 };
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+const answerKey = (value) => (value === null || value === undefined ? null : String(value).toLowerCase());
+
+/**
+ * Endpoints a network reads an operation from; below 2 the operation is not verified
+ */
+function quorumSize(networkConfig, operation) {
+  const size = parseInt(networkConfig?.quorum?.[operation], 10);
+  return Number.isFinite(size) && size > 1 ? size : 1;
+}
+
+/**
+ * Indexes whose answers differ between endpoints; missing answers (null) are not compared
+ * @param {Array} answers - [{ endpoint, values }], values in address order
+ */
+function disputedIndexes(answers) {
+  const length = answers[0]?.values.length || 0;
+  const disputed = [];
+  for (let index = 0; index < length; index++) {
+    const keys = new Set(answers.map(answer => answerKey(answer.values[index])).filter(key => key !== null));
+    if (keys.size > 1) disputed.push(index);
+  }
+  return disputed;
+}
+
+/**
+ * Read through the preferred provider and the independent endpoints, and settle disagreements by
+ * re-reading the disputed addresses from the preferred provider
+ * @param {Object} options
+ * @param {string} options.network
+ * @param {string} options.operation - e.g. 'isContracts'
+ * @param {Array} options.addresses
+ * @param {Object} options.preferred - { name, client }
+ * @param {Array} options.others - [{ name, client }] independent endpoints
+ * @param {Function} options.read - async (client, addresses) => values in address order (null = no answer)
+ * @returns {Array} values in address order
+ */
+async function quorumRead({ network, operation, addresses, preferred, others = [], read, now = nowSeconds() }) {
+  stats.reads++;
+  const [primary, ...rest] = await Promise.allSettled([
+    read(preferred.client, addresses),
+    ...others.map(other => read(other.client, addresses))
+  ]);
+  if (primary.status === 'rejected') throw primary.reason;
+
+  const answers = [{ endpoint: preferred.name, values: [...primary.value] }];
+  // Endpoints that failed, or answered nothing (every value null), do not count towards the quorum
+  rest.forEach((result, index) => {
+    if (result.status === 'fulfilled' && result.value?.length === addresses.length
+      && [...result.value].some(value => value !== null && value !== undefined)) {
+      answers.push({ endpoint: others[index].name, values: [...result.value] });
+    }
+  });
+
+  // A missing preferred answer takes the first answer another endpoint gave
+  const values = answers[0].values.map((value, index) => {
+    if (value !== null && value !== undefined) return value;
+    const other = answers.find(answer => answer.values[index] !== null && answer.values[index] !== undefined);
+    return other ? other.values[index] : value;
+  });
+
+  if (answers.length < 2) {
+    stats.unverified++;
+    console.log(`[${network}] ⚠️ ${operation} quorum not reached: no independent endpoint answered, using ${preferred.name}`);
+    return values;
+  }
+
+  const disputed = disputedIndexes(answers);
+  if (disputed.length === 0) return values;
+
+  const recheck = await read(preferred.client, disputed.map(index => addresses[index]));
+  disputed.forEach((index, n) => {
+    values[index] = recheck[n];
+    pendingDisagreements.push({
+      network,
+      operation,
+      address: String(addresses[index]).toLowerCase(),
+      answers: Object.fromEntries(answers.map(answer => [answer.endpoint, answerKey(answer.values[index])])),
+      resolved: answerKey(recheck[n]),
+      detectedAt: now
+    });
+  });
+  stats.disagreements += disputed.length;
+  console.log(`[${network}] ⚖️ ${disputed.length}/${addresses.length} ${operation} answers disagreed across ${answers.length} endpoints, re-read from ${preferred.name}`);
+  return values;
+}
+
+/**
+ * Write recorded disagreements to rpc_disagreements
+ * @param {Function} query - (sql, params) => pg result
+ * @returns {number} Rows written
+ */
+async function flushDisagreements(query) {
+  let written = 0;
+  while (pendingDisagreements.length > 0) {
+    const batch = pendingDisagreements.splice(0, 500);
+    try {
+      const params = [];
+      const rows = batch.map((entry, index) => {
+        const base = index * 6;
+        params.push(entry.network, entry.operation, entry.address, JSON.stringify(entry.answers), entry.resolved, entry.detectedAt);
+        return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}::jsonb, $${base + 5}, $${base + 6})`;
+      });
+      await query(`
+        INSERT INTO rpc_disagreements (network, operation, address, answers, resolved, detected_at)
+        VALUES ${rows.join(', ')}
+      `, params);
+      written += batch.length;
+    } catch (error) {
+      // Keep them for the next flush
+      pendingDisagreements.unshift(...batch);
+      throw error;
+    }
+  }
+  return written;
+}
+
+function quorumStats() {
+  return { ...stats, pending: pendingDisagreements.length };
+}
+
+module.exports = {
+  quorumSize,
+  disputedIndexes,
+  quorumRead,
+  flushDisagreements,
+  quorumStats
+};
@@ -0,0 +1,153 @@
+/**
+ * JSON-RPC Batching
+ * Coalesces calls made within RPC_BATCH_WINDOW_MS into JSON-RPC batch arrays (up to RPC_BATCH_SIZE
+ * calls), and maps each batch response back to its callers by request id. HttpRpcClient sends the
+ * batches through its usual failover; endpoints that reject a batch are retried with smaller ones.
+ * AlchemyRPCClient batches its transaction and block lookups the same way.
+ */
+
+const RPC_BATCH_DEFAULTS = {
+  maxBatchSize: 50,   // calls per batch array; 1 disables batching
+  windowMs: 10        // how long a call waits for others to join its batch
+};
+
+// Methods with large or slow responses keep their own request
+const UNBATCHED_METHODS = /^(eth_getLogs|trace_|debug_)/;
+
+/**
+ * Batch settings from the environment
+ * RPC_BATCH_LIMITS caps individual endpoints, e.g. "rpc.example.org=10,other.example.org=1"
+ */
+function rpcBatchSettings(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  const endpointLimits = new Map();
+  for (const entry of (env.RPC_BATCH_LIMITS || '').split(/[,\s]+/).filter(Boolean)) {
+    const [host, limit] = entry.split('=');
+    const parsed = parseInt(limit, 10);
+    if (host && Number.isFinite(parsed)) endpointLimits.set(host.toLowerCase(), Math.max(parsed, 1));
+  }
+  return {
+    maxBatchSize: Math.max(number(env.RPC_BATCH_SIZE, RPC_BATCH_DEFAULTS.maxBatchSize), 1),
+    windowMs: number(env.RPC_BATCH_WINDOW_MS, RPC_BATCH_DEFAULTS.windowMs),
+    endpointLimits
+  };
+}
+
+function isBatchable(method) {
+  return !UNBATCHED_METHODS.test(method);
+}
+
+function rpcErrorMessage(error) {
+  return `RPC Error: ${error?.message} (code: ${error?.code})`;
+}
+
+/**
+ * Whether an endpoint refused a batch as a whole (too large or not supported), rather than failing
+ * @param {number} status - HTTP status
+ * @param {*} data - Response body
+ */
+function isBatchRejection(status, data) {
+  if (status === 413) return true;
+  if (Array.isArray(data)) return false;
+  const message = typeof data === 'string' ? data : data?.error?.message;
+  return /batch/i.test(message || '');
+}
+
+/**
+ * Per-call errors another endpoint may answer (rate limits, methods this endpoint does not serve)
+ */
+function isRetryableCallError(error) {
+  const message = error?.message || '';
+  return error?.code === -32005 || error?.code === -32601 ||
+    /too many requests|rate limit|429|method not found|method not available/i.test(message);
+}
+
+/**
+ * Match batch response items to the request ids that were sent
+ * @param {Array} ids - Request ids in call order
+ * @param {Array} items - Batch response array, in any order
+ * @returns {Array} Per call: { result } | { error } | null when the response had no answer for it
+ */
+function mapBatchResponse(ids, items) {
+  const byId = new Map();
+  for (const item of items) {
+    if (item && item.id !== undefined && item.id !== null) byId.set(String(item.id), item);
+  }
+  return ids.map(id => {
+    const item = byId.get(String(id));
+    if (!item) return null;
+    if (item.error) return { error: item.error };
+    if (!('result' in item)) return null;
+    return { result: item.result };
+  });
+}
+
+/**
+ * Collects calls and hands them to `send` as one batch once the window closes or the batch is full
+ */
+class RpcBatcher {
+  /**
+   * @param {Function} send - async (calls: [{ method, params }]) => [{ result } | { error: Error }], one per call
+   * @param {Object} options - { maxBatchSize, windowMs }
+   */
+  constructor(send, options = {}) {
+    this.send = send;
+    this.maxBatchSize = options.maxBatchSize || RPC_BATCH_DEFAULTS.maxBatchSize;
+    this.windowMs = options.windowMs ?? RPC_BATCH_DEFAULTS.windowMs;
+    this.pending = [];
+    this.timer = null;
+    this.stats = { batches: 0, calls: 0 };
+  }
+
+  add(method, params = []) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ method, params, resolve, reject });
+      if (this.pending.length >= this.maxBatchSize) {
+        this.flush();
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.windowMs);
+      }
+    });
+  }
+
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    const calls = this.pending.splice(0, this.maxBatchSize);
+    if (this.pending.length > 0) {
+      this.timer = setTimeout(() => this.flush(), this.windowMs);
+    }
+    if (calls.length === 0) return;
+
+    this.stats.batches++;
+    this.stats.calls += calls.length;
+    this.send(calls.map(({ method, params }) => ({ method, params })))
+      .then(outcomes => {
+        calls.forEach((call, index) => {
+          const outcome = outcomes[index];
+          if (outcome && 'result' in outcome) {
+            call.resolve(outcome.result);
+          } else {
+            call.reject(outcome?.error || new Error(`No response for ${call.method} in batch`));
+          }
+        });
+      })
+      .catch(error => calls.forEach(call => call.reject(error)));
+  }
+}
+
+module.exports = {
+  RPC_BATCH_DEFAULTS,
+  rpcBatchSettings,
+  isBatchable,
+  rpcErrorMessage,
+  isBatchRejection,
+  isRetryableCallError,
+  mapBatchResponse,
+  RpcBatcher
+};
@@ -0,0 +1,408 @@
+/**
+ * RPC Endpoint Health
+ * HttpRpcClient records the latency and outcome of every request here. Outcomes are kept as
+ * exponentially weighted averages per network and endpoint, flushed to rpc_endpoint_health and
+ * reloaded by every scanner process, so endpoint order starts from what earlier runs learned
+ * instead of a random shuffle. Endpoints without history on a network inherit the average score
+ * their host earned on other networks.
+ *
+ * Endpoint validation results (chain ID, head lag, quarantine) are persisted in the same rows so
+ * the health report shows why an endpoint is out of rotation.
+ *
+ * Endpoint URLs often carry an API key in the path, so rows are keyed by redactRpcUrl: scheme and
+ * host in the clear, the path and query replaced by a short hash.
+ */
+const crypto = require('crypto');
+
+const RPC_HEALTH_DEFAULTS = {
+  alpha: 0.2,                   // weight of each new request in the moving averages
+  latencyRefMs: 1000,           // latency at which the latency factor halves the score
+  failureCooldownSeconds: 300,  // a failure newer than the last success cuts the score for this long
+  failurePenalty: 0.1,
+  unknownScore: 0.5,            // endpoints never measured anywhere
+  minScore: 0.01,               // keeps every endpoint in rotation, however rarely
+  syncSeconds: 60               // how often scanners flush and reload health
+};
+
+const RPC_VALIDATION_DEFAULTS = {
+  maxHeadLag: 50,               // blocks an endpoint may trail the best-known head
+  intervalSeconds: 600          // how often a network's endpoints are validated again
+};
+
+function rpcHealthSettings(env = process.env) {
+  const parsed = parseInt(env.RPC_HEALTH_SYNC_SECONDS, 10);
+  return {
+    ...RPC_HEALTH_DEFAULTS,
+    syncSeconds: Number.isFinite(parsed) && parsed > 0 ? parsed : RPC_HEALTH_DEFAULTS.syncSeconds
+  };
+}
+
+// network|url -> current health (persisted rows merged with this process's outcomes)
+const endpointHealth = new Map();
+// network|url -> outcomes not yet flushed
+const pendingOutcomes = new Map();
+// network|url -> latest validation not yet flushed
+const pendingValidations = new Map();
+
+const rpcHost = (rpcUrl) => (rpcUrl.split('/')[2] || rpcUrl).toLowerCase();
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Stored form of an endpoint URL: 'https://host' when it has no path, otherwise
+ * 'https://host/#<sha256 of path and query, 12 hex chars>'
+ */
+function redactRpcUrl(rpcUrl) {
+  const [scheme, rest] = rpcUrl.includes('://') ? rpcUrl.split('://') : ['', rpcUrl];
+  const slash = rest.search(/[/?]/);
+  const host = (slash === -1 ? rest : rest.slice(0, slash)).toLowerCase();
+  const path = slash === -1 ? '' : rest.slice(slash);
+  const origin = scheme ? `${scheme.toLowerCase()}://${host}` : host;
+  if (path === '' || path === '/') return origin;
+  return `${origin}/#${crypto.createHash('sha256').update(path).digest('hex').slice(0, 12)}`;
+}
+
+const endpointKey = (network, rpcUrl) => `${network}|${redactRpcUrl(rpcUrl)}`;
+
+/**
+ * Endpoint URL for logs and reports, with API-key-like path segments masked
+ */
+function displayRpcUrl(rpcUrl) {
+  const [scheme, rest] = rpcUrl.includes('://') ? rpcUrl.split('://') : ['', rpcUrl];
+  const masked = rest.split('/').map((segment, index) => (index > 0 && /^[A-Za-z0-9_-]{20,}$/.test(segment) ? '***' : segment)).join('/');
+  return scheme ? `${scheme}://${masked}` : masked;
+}
+
+/**
+ * Record one request outcome
+ * @param {Object} outcome - { ok, latencyMs, timeout, error, now }
+ */
+function recordRpcOutcome(network, rpcUrl, outcome, settings = RPC_HEALTH_DEFAULTS) {
+  const at = outcome.now ?? nowSeconds();
+  const key = endpointKey(network, rpcUrl);
+  const { alpha } = settings;
+
+  const health = endpointHealth.get(key) || {
+    network, rpcUrl: redactRpcUrl(rpcUrl), requests: 0, failures: 0, timeouts: 0, latencyMs: null, errorRate: 0,
+    lastSuccessAt: null, lastFailureAt: null, lastError: null
+  };
+  health.requests++;
+  health.errorRate = health.errorRate * (1 - alpha) + (outcome.ok ? 0 : alpha);
+  if (outcome.ok) {
+    if (Number.isFinite(outcome.latencyMs)) {
+      health.latencyMs = health.latencyMs === null ? outcome.latencyMs : health.latencyMs * (1 - alpha) + outcome.latencyMs * alpha;
+    }
+    health.lastSuccessAt = at;
+  } else {
+    health.failures++;
+    if (outcome.timeout) health.timeouts++;
+    health.lastFailureAt = at;
+    health.lastError = outcome.error ? String(outcome.error).substring(0, 300) : health.lastError;
+  }
+  endpointHealth.set(key, health);
+
+  const pending = pendingOutcomes.get(key) || {
+    network, rpcUrl: redactRpcUrl(rpcUrl), requests: 0, failures: 0, timeouts: 0, latencySum: 0, latencyCount: 0,
+    lastSuccessAt: null, lastFailureAt: null, lastError: null
+  };
+  pending.requests++;
+  if (outcome.ok) {
+    if (Number.isFinite(outcome.latencyMs)) {
+      pending.latencySum += outcome.latencyMs;
+      pending.latencyCount++;
+    }
+    pending.lastSuccessAt = at;
+  } else {
+    pending.failures++;
+    if (outcome.timeout) pending.timeouts++;
+    pending.lastFailureAt = at;
+    pending.lastError = health.lastError;
+  }
+  pendingOutcomes.set(key, pending);
+}
+
+/**
+ * Validation settings for a network; a network's `maxHeadLag` overrides RPC_MAX_HEAD_LAG
+ * RPC_ENDPOINT_VALIDATION=false turns validation off
+ */
+function rpcValidationSettings(networkConfig = {}, env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    enabled: env.RPC_ENDPOINT_VALIDATION !== 'false',
+    maxHeadLag: number(networkConfig?.maxHeadLag, number(env.RPC_MAX_HEAD_LAG, RPC_VALIDATION_DEFAULTS.maxHeadLag)),
+    intervalSeconds: number(env.RPC_VALIDATION_INTERVAL_SECONDS, RPC_VALIDATION_DEFAULTS.intervalSeconds)
+  };
+}
+
+/**
+ * Classify probed endpoints against the expected chain ID and the best-known head: the highest
+ * head among endpoints on that chain, or a head seen by an earlier validation if higher
+ * @param {Array} probes - { rpcUrl, chainId, head } or { rpcUrl, error }
+ * @param {Object} options - { chainId: expected (skipped when unset), maxHeadLag, knownHead }
+ * @returns {Array} probes with { status: ok | lagging | wrong_chain | unreachable, lag, bestHead }
+ */
+function classifyRpcEndpoints(probes, options = {}) {
+  const expected = options.chainId === undefined || options.chainId === null ? null : Number(options.chainId);
+  const maxHeadLag = options.maxHeadLag ?? RPC_VALIDATION_DEFAULTS.maxHeadLag;
+  const onChain = probes.filter(probe => !probe.error && (expected === null || probe.chainId === expected));
+  const heads = [...onChain.map(probe => probe.head), ...(Number.isFinite(options.knownHead) ? [options.knownHead] : [])];
+  const bestHead = heads.length > 0 ? Math.max(...heads) : null;
+
+  return probes.map(probe => {
+    if (probe.error) return { ...probe, status: 'unreachable', lag: null, bestHead };
+    if (expected !== null && probe.chainId !== expected) return { ...probe, status: 'wrong_chain', lag: null, bestHead };
+    const lag = bestHead - probe.head;
+    return { ...probe, status: lag > maxHeadLag ? 'lagging' : 'ok', lag, bestHead };
+  });
+}
+
+const isQuarantined = (status) => status === 'wrong_chain' || status === 'lagging';
+
+/**
+ * Record an endpoint's validation result for the next flush
+ * @param {Object} result - classifyRpcEndpoints entry
+ */
+function recordRpcValidation(network, rpcUrl, result, now = nowSeconds()) {
+  pendingValidations.set(endpointKey(network, rpcUrl), {
+    network,
+    rpcUrl: redactRpcUrl(rpcUrl),
+    chainId: Number.isFinite(result.chainId) ? result.chainId : null,
+    headBlock: Number.isFinite(result.head) ? result.head : null,
+    headLag: Number.isFinite(result.lag) ? result.lag : null,
+    status: result.status,
+    validatedAt: now
+  });
+}
+
+/**
+ * Score in [minScore, 1]: success rate squared times a latency factor, cut while a recent failure
+ * has not been followed by a success
+ */
+function scoreRpcHealth(health, now = nowSeconds(), settings = RPC_HEALTH_DEFAULTS) {
+  if (!health) return null;
+  const successRate = 1 - Math.min(Math.max(Number(health.errorRate) || 0, 0), 1);
+  const latency = health.latencyMs === null || health.latencyMs === undefined ? settings.latencyRefMs : Number(health.latencyMs);
+  let score = successRate ** 2 * (settings.latencyRefMs / (settings.latencyRefMs + latency));
+
+  const lastFailure = Number(health.lastFailureAt) || 0;
+  const lastSuccess = Number(health.lastSuccessAt) || 0;
+  if (lastFailure > lastSuccess && now - lastFailure < settings.failureCooldownSeconds) {
+    score *= settings.failurePenalty;
+  }
+  return Math.max(score, settings.minScore);
+}
+
+/**
+ * Score of every URL on a network; unmeasured URLs get their host's average score on other
+ * networks, or unknownScore
+ * @returns {Map} url -> { score, measured }
+ */
+function scoreRpcUrls(network, rpcUrls, now = nowSeconds(), settings = RPC_HEALTH_DEFAULTS) {
+  const hostScores = new Map();
+  for (const health of endpointHealth.values()) {
+    const host = rpcHost(health.rpcUrl);
+    const entry = hostScores.get(host) || { total: 0, count: 0 };
+    entry.total += scoreRpcHealth(health, now, settings);
+    entry.count++;
+    hostScores.set(host, entry);
+  }
+
+  const scores = new Map();
+  for (const rpcUrl of rpcUrls) {
+    const health = endpointHealth.get(endpointKey(network, rpcUrl));
+    if (health) {
+      scores.set(rpcUrl, { score: scoreRpcHealth(health, now, settings), measured: true });
+    } else {
+      const host = hostScores.get(rpcHost(rpcUrl));
+      scores.set(rpcUrl, { score: host ? host.total / host.count : settings.unknownScore, measured: false });
+    }
+  }
+  return scores;
+}
+
+/**
+ * Weighted random order: higher scores tend to come first, equal scores are a plain shuffle
+ * (Efraimidis-Spirakis keys, u^(1/score))
+ */
+function orderRpcsByHealth(network, rpcUrls, random = Math.random, now = nowSeconds()) {
+  const scores = scoreRpcUrls(network, rpcUrls, now);
+  return rpcUrls
+    .map(rpcUrl => ({ rpcUrl, key: random() ** (1 / scores.get(rpcUrl).score) }))
+    .sort((a, b) => b.key - a.key)
+    .map(entry => entry.rpcUrl);
+}
+
+/**
+ * Merge this process's outcomes into rpc_endpoint_health
+ * @param {Function} query - (sql, params) => pg result
+ * @returns {number} Endpoints written
+ */
+async function flushRpcHealth(query, now = nowSeconds(), settings = RPC_HEALTH_DEFAULTS) {
+  const batch = [...pendingOutcomes.entries()];
+  let written = 0;
+  for (const [key, pending] of batch) {
+    pendingOutcomes.delete(key);
+    const latencyMs = pending.latencyCount > 0 ? pending.latencySum / pending.latencyCount : null;
+    try {
+      await query(`
+        INSERT INTO rpc_endpoint_health (network, rpc_url, requests, failures, timeouts, latency_ms, error_rate,
+          last_success_at, last_failure_at, last_error, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (network, rpc_url) DO UPDATE SET
+          requests = rpc_endpoint_health.requests + EXCLUDED.requests,
+          failures = rpc_endpoint_health.failures + EXCLUDED.failures,
+          timeouts = rpc_endpoint_health.timeouts + EXCLUDED.timeouts,
+          latency_ms = CASE
+            WHEN EXCLUDED.latency_ms IS NULL THEN rpc_endpoint_health.latency_ms
+            WHEN rpc_endpoint_health.latency_ms IS NULL THEN EXCLUDED.latency_ms
+            ELSE rpc_endpoint_health.latency_ms * (1 - $12::double precision) + EXCLUDED.latency_ms * $12::double precision
+          END,
+          error_rate = rpc_endpoint_health.error_rate * (1 - $13::double precision) + EXCLUDED.error_rate * $13::double precision,
+          last_success_at = GREATEST(rpc_endpoint_health.last_success_at, EXCLUDED.last_success_at),
+          last_failure_at = GREATEST(rpc_endpoint_health.last_failure_at, EXCLUDED.last_failure_at),
+          last_error = COALESCE(EXCLUDED.last_error, rpc_endpoint_health.last_error),
+          updated_at = EXCLUDED.updated_at
+      `, [
+        pending.network, pending.rpcUrl, pending.requests, pending.failures, pending.timeouts,
+        latencyMs, pending.failures / pending.requests,
+        pending.lastSuccessAt, pending.lastFailureAt, pending.lastError, now,
+        1 - (1 - settings.alpha) ** pending.latencyCount,
+        1 - (1 - settings.alpha) ** pending.requests
+      ]);
+      written++;
+    } catch (error) {
+      // Keep the outcomes for the next flush, together with any recorded meanwhile
+      const newer = pendingOutcomes.get(key);
+      if (newer) {
+        for (const field of ['requests', 'failures', 'timeouts', 'latencySum', 'latencyCount']) pending[field] += newer[field];
+        pending.lastSuccessAt = newer.lastSuccessAt ?? pending.lastSuccessAt;
+        pending.lastFailureAt = newer.lastFailureAt ?? pending.lastFailureAt;
+        pending.lastError = newer.lastError ?? pending.lastError;
+      }
+      pendingOutcomes.set(key, pending);
+      throw error;
+    }
+  }
+
+  for (const [key, validation] of [...pendingValidations.entries()]) {
+    pendingValidations.delete(key);
+    try {
+      await query(`
+        INSERT INTO rpc_endpoint_health (network, rpc_url, chain_id, head_block, head_lag, validation_status,
+          validated_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (network, rpc_url) DO UPDATE SET
+          chain_id = EXCLUDED.chain_id,
+          head_block = EXCLUDED.head_block,
+          head_lag = EXCLUDED.head_lag,
+          validation_status = EXCLUDED.validation_status,
+          validated_at = EXCLUDED.validated_at,
+          updated_at = EXCLUDED.updated_at
+      `, [
+        validation.network, validation.rpcUrl, validation.chainId, validation.headBlock, validation.headLag,
+        validation.status, validation.validatedAt, now
+      ]);
+      written++;
+    } catch (error) {
+      if (!pendingValidations.has(key)) pendingValidations.set(key, validation);
+      throw error;
+    }
+  }
+  return written;
+}
+
+/**
+ * Replace cached health with the persisted rows of every network
+ * @returns {number} Endpoints loaded
+ */
+async function loadRpcHealth(query) {
+  const result = await query(`
+    SELECT network, rpc_url, requests, failures, timeouts, latency_ms, error_rate,
+      last_success_at, last_failure_at, last_error, chain_id, head_block, head_lag, validation_status, validated_at
+    FROM rpc_endpoint_health
+  `);
+  endpointHealth.clear();
+  for (const row of result.rows) {
+    // rpc_url is already the redacted form
+    endpointHealth.set(`${row.network}|${row.rpc_url}`, rowToHealth(row));
+  }
+  return result.rows.length;
+}
+
+function rowToHealth(row) {
+  const numberOrNull = (value) => (value === null || value === undefined ? null : Number(value));
+  return {
+    network: row.network,
+    rpcUrl: row.rpc_url,
+    requests: Number(row.requests),
+    failures: Number(row.failures),
+    timeouts: Number(row.timeouts),
+    latencyMs: row.latency_ms === null ? null : Number(row.latency_ms),
+    errorRate: Number(row.error_rate),
+    lastSuccessAt: row.last_success_at === null ? null : Number(row.last_success_at),
+    lastFailureAt: row.last_failure_at === null ? null : Number(row.last_failure_at),
+    lastError: row.last_error,
+    chainId: numberOrNull(row.chain_id),
+    headBlock: numberOrNull(row.head_block),
+    headLag: numberOrNull(row.head_lag),
+    validationStatus: row.validation_status ?? null,
+    validatedAt: numberOrNull(row.validated_at),
+    quarantined: isQuarantined(row.validation_status)
+  };
+}
+
+/**
+ * Flush this process's outcomes, then reload what every process has learned
+ */
+async function syncRpcHealth(query, now = nowSeconds()) {
+  const flushed = await flushRpcHealth(query, now);
+  const loaded = await loadRpcHealth(query);
+  return { flushed, loaded };
+}
+
+/**
+ * Rank a network's endpoints for reporting: configured endpoints without rows are listed unmeasured,
+ * rows for endpoints no longer configured are flagged; quarantined endpoints rank last
+ * @param {Array} rows - rpc_endpoint_health rows of the network
+ * @returns {Array} { rpcUrl (configured URL, or the stored redacted form), score, measured, configured, health }
+ */
+function rankRpcEndpoints(rows, configuredUrls = [], now = nowSeconds(), settings = RPC_HEALTH_DEFAULTS) {
+  const byKey = new Map(rows.map(row => [row.rpc_url, rowToHealth(row)]));
+  const configuredByKey = new Map(configuredUrls.map(rpcUrl => [redactRpcUrl(rpcUrl), rpcUrl]));
+  const keys = [...new Set([...configuredByKey.keys(), ...byKey.keys()])];
+  return keys
+    .map(key => {
+      const health = byKey.get(key) || null;
+      return {
+        rpcUrl: configuredByKey.get(key) || key,
+        score: health ? scoreRpcHealth(health, now, settings) : null,
+        measured: Boolean(health),
+        configured: configuredByKey.has(key),
+        health
+      };
+    })
+    .sort((a, b) => (Number(a.health?.quarantined ?? false) - Number(b.health?.quarantined ?? false))
+      || (b.score ?? -1) - (a.score ?? -1));
+}
+
+module.exports = {
+  RPC_HEALTH_DEFAULTS,
+  RPC_VALIDATION_DEFAULTS,
+  rpcHealthSettings,
+  rpcValidationSettings,
+  displayRpcUrl,
+  redactRpcUrl,
+  recordRpcOutcome,
+  classifyRpcEndpoints,
+  isQuarantined,
+  recordRpcValidation,
+  scoreRpcHealth,
+  scoreRpcUrls,
+  orderRpcsByHealth,
+  flushRpcHealth,
+  loadRpcHealth,
+  syncRpcHealth,
+  rankRpcEndpoints
+};
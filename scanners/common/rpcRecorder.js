@@ -0,0 +1,222 @@
+/**
+ * RPC / Etherscan Fixture Recorder
+ * Records the request/response pairs that HttpRpcClient, AlchemyRPCClient and the Etherscan client
+ * exchange, and replays them later so tests run offline and deterministically.
+ *
+ *   RPC_FIXTURES=record   send requests and write every answer to the fixture file
+ *   RPC_FIXTURES=replay   answer from the fixture file; a request it does not hold fails
+ *   RPC_FIXTURES=off      (default) requests go out untouched
+ *
+ * The file is RPC_FIXTURES_FILE, or whatever a test passes to useFixtures(). Entries are keyed by
+ * scope (e.g. 'alchemy:ethereum') and the request itself - JSON-RPC ids, endpoint URLs and API keys
+ * are never stored, so a recording replays whichever endpoint, key or batch layout asks for it.
+ * A request recorded several times is replayed in recorded order, the last answer repeating.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MODES = ['record', 'replay', 'off'];
+
+const fixtures = {
+  mode: null,       // null until useFixtures() or the environment selects a mode
+  file: null,
+  entries: new Map(), // key -> recorded answers, in order
+  served: new Map(),  // key -> answers replayed so far
+  recorded: []
+};
+
+// Object keys sorted so equal requests always give the same key
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const fixtureKey = (scope, request) => `${scope} ${stableStringify(request)}`;
+
+function loadFixtureFile(file) {
+  fixtures.entries.clear();
+  fixtures.served.clear();
+  if (!fs.existsSync(file)) return;
+  const { entries = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  for (const entry of entries) {
+    const key = fixtureKey(entry.scope, entry.request);
+    if (!fixtures.entries.has(key)) fixtures.entries.set(key, []);
+    fixtures.entries.get(key).push(entry);
+  }
+}
+
+/**
+ * Select the fixture file and mode; RPC_FIXTURES overrides the mode a test asks for
+ * @param {string} file - Fixture file path
+ * @param {string} mode - 'replay' (default), 'record' or 'off'
+ */
+function useFixtures(file, mode = 'replay') {
+  const selected = process.env.RPC_FIXTURES || mode;
+  if (!MODES.includes(selected)) {
+    throw new Error(`Invalid RPC_FIXTURES mode: ${selected} (expected ${MODES.join(', ')})`);
+  }
+  fixtures.mode = selected;
+  fixtures.file = process.env.RPC_FIXTURES_FILE || file;
+  fixtures.recorded = [];
+  if (selected === 'replay') loadFixtureFile(fixtures.file);
+  return selected;
+}
+
+function fixtureMode() {
+  if (fixtures.mode === null) {
+    const mode = process.env.RPC_FIXTURES;
+    if (mode && mode !== 'off' && process.env.RPC_FIXTURES_FILE) {
+      useFixtures(process.env.RPC_FIXTURES_FILE, mode);
+    } else {
+      fixtures.mode = 'off';
+    }
+  }
+  return fixtures.mode;
+}
+
+const replaying = () => fixtureMode() === 'replay';
+
+/**
+ * Write everything recorded so far; record mode also does this when the process exits
+ */
+function saveFixtures() {
+  if (fixtures.mode !== 'record' || fixtures.recorded.length === 0) return 0;
+  fs.mkdirSync(path.dirname(fixtures.file), { recursive: true });
+  const entries = fixtures.recorded.flat().filter(Boolean);
+  fs.writeFileSync(fixtures.file, `${JSON.stringify({
+    version: 1,
+    note: `Recorded ${new Date().toISOString()}. Re-record with RPC_FIXTURES=record.`,
+    entries
+  }, null, 2)}\n`);
+  return entries.length;
+}
+
+process.on('exit', () => {
+  try {
+    saveFixtures();
+  } catch (error) {
+    console.error(`❌ Failed to save RPC fixtures to ${fixtures.file}: ${error.message}`);
+  }
+});
+
+function missingFixture(scope, request) {
+  const error = new Error(`No recorded ${scope} response for ${stableStringify(request).substring(0, 200)} in ${fixtures.file}`);
+  error.code = 'FIXTURE_MISSING';
+  return error;
+}
+
+// Next recorded answer for a request, or null
+function nextAnswer(scope, request) {
+  const key = fixtureKey(scope, request);
+  const answers = fixtures.entries.get(key);
+  if (!answers) return null;
+  const served = fixtures.served.get(key) || 0;
+  fixtures.served.set(key, served + 1);
+  return answers[Math.min(served, answers.length - 1)];
+}
+
+// Replayed answer as the axios response (or error) it was recorded from
+function replayAnswer(answer) {
+  if (answer.error) {
+    const error = new Error(answer.error);
+    error.response = { status: answer.status, data: answer.data };
+    throw error;
+  }
+  return { status: answer.status, data: answer.data, headers: {} };
+}
+
+// Reserve the entry slot when the request is sent, so concurrent requests replay in sending order
+async function recordAnswer(scope, request, send, toData = (data) => data) {
+  const slot = fixtures.recorded.push(null) - 1;
+  try {
+    const response = await send();
+    fixtures.recorded[slot] = { scope, request, status: response.status, data: toData(response.data) };
+    return response;
+  } catch (error) {
+    // Errors with an HTTP answer (4xx/5xx) are replayed; connection failures are not recorded
+    if (error.response) {
+      fixtures.recorded[slot] = { scope, request, status: error.response.status, data: error.response.data, error: error.message };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Send (or replay) a REST request
+ * @param {string} scope - e.g. 'etherscan:ethereum'
+ * @param {Object} request - What identifies the request: its parameters, never URL or API key
+ * @param {Function} send - () => axios promise, called unless replaying
+ */
+async function fixtureRequest(scope, request, send) {
+  const mode = fixtureMode();
+  if (mode === 'off') return send();
+  if (mode === 'record') return recordAnswer(scope, request, send);
+
+  const answer = nextAnswer(scope, request);
+  if (!answer) throw missingFixture(scope, request);
+  return replayAnswer(answer);
+}
+
+const callKey = ({ method, params = [] }) => ({ method, params });
+const withoutId = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+  const { id, ...rest } = data;
+  return rest;
+};
+
+/**
+ * Send (or replay) a JSON-RPC payload, single call or batch. Batch calls are recorded one by
+ * one, so a replay answers them whatever batches they are grouped into
+ */
+async function fixtureRpc(scope, payload, send) {
+  const mode = fixtureMode();
+  if (mode === 'off') return send();
+
+  if (!Array.isArray(payload)) {
+    if (mode === 'record') return recordAnswer(scope, callKey(payload), send, withoutId);
+    const answer = nextAnswer(scope, callKey(payload));
+    if (!answer) throw missingFixture(scope, callKey(payload));
+    const response = replayAnswer(answer);
+    return { ...response, data: response.data && typeof response.data === 'object' ? { ...response.data, id: payload.id } : response.data };
+  }
+
+  const batchKey = payload.map(callKey);
+  if (mode === 'record') {
+    const slot = fixtures.recorded.length;
+    const response = await recordAnswer(scope, batchKey, send);
+    const entry = fixtures.recorded[slot];
+    if (entry && Array.isArray(response.data)) {
+      // Split a successful batch into its calls
+      const byId = new Map(response.data.map(item => [String(item?.id), item]));
+      fixtures.recorded[slot] = payload
+        .filter(call => byId.has(String(call.id)))
+        .map(call => ({ scope, request: callKey(call), status: response.status, data: withoutId(byId.get(String(call.id))) }));
+    }
+    return response;
+  }
+
+  // A batch the endpoint rejected as a whole replays as recorded; otherwise answer call by call
+  const whole = nextAnswer(scope, batchKey);
+  if (whole) return replayAnswer(whole);
+  const data = payload.map(call => {
+    const answer = nextAnswer(scope, callKey(call));
+    if (!answer) throw missingFixture(scope, callKey(call));
+    return { ...answer.data, id: call.id };
+  });
+  return { status: 200, data, headers: {} };
+}
+
+module.exports = {
+  useFixtures,
+  fixtureMode,
+  replaying,
+  saveFixtures,
+  fixtureRequest,
+  fixtureRpc
+};
@@ -0,0 +1,123 @@
+/**
+ * Token standard classification
+ * Tags contracts as ERC20 / ERC721 / ERC1155 / ERC4626 / ERC777 from on-chain probes
+ * (ERC-165 supportsInterface and view calls, batched through Multicall3), dispatcher selectors
+ * from contract_bytecode_analysis and the verified ABI
+ */
+const { Interface } = require('ethers');
+
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const INTERFACE_IDS = {
+  ERC165: '0x01ffc9a7',
+  ERC721: '0x80ac58cd',
+  ERC1155: '0xd9b67a26',
+  INVALID: '0xffffffff'
+};
+
+const supportsInterface = (interfaceId) => '0x01ffc9a7' + interfaceId.slice(2).padEnd(64, '0');
+
+// One eth_call per probe per contract; order is the order results come back from aggregate3
+const TOKEN_PROBES = [
+  { name: 'erc165', data: supportsInterface(INTERFACE_IDS.ERC165) },
+  { name: 'invalidInterface', data: supportsInterface(INTERFACE_IDS.INVALID) },
+  { name: 'erc721', data: supportsInterface(INTERFACE_IDS.ERC721) },
+  { name: 'erc1155', data: supportsInterface(INTERFACE_IDS.ERC1155) },
+  { name: 'totalSupply', data: '0x18160ddd' },
+  { name: 'decimals', data: '0x313ce567' },
+  { name: 'asset', data: '0x38d52e0f' },
+  { name: 'totalAssets', data: '0x01e1d114' },
+  { name: 'granularity', data: '0x556f0dc7' }
+];
+
+// Selectors a contract must expose in full for selector/ABI evidence of a standard
+const STANDARD_SELECTORS = {
+  // transfer, transferFrom, approve, allowance, balanceOf(address), totalSupply
+  ERC20: ['0xa9059cbb', '0x23b872dd', '0x095ea7b3', '0xdd62ed3e', '0x70a08231', '0x18160ddd'],
+  // ownerOf, safeTransferFrom(address,address,uint256), setApprovalForAll, isApprovedForAll, balanceOf(address)
+  ERC721: ['0x6352211e', '0x42842e0e', '0xa22cb465', '0xe985e9c5', '0x70a08231'],
+  // balanceOf(address,uint256), balanceOfBatch, safeTransferFrom(...,bytes), safeBatchTransferFrom, setApprovalForAll
+  ERC1155: ['0x00fdd58e', '0x4e1273f4', '0xf242432a', '0x2eb2c2d6', '0xa22cb465'],
+  // asset, totalAssets, convertToShares, deposit(uint256,address), redeem
+  ERC4626: ['0x38d52e0f', '0x01e1d114', '0xc6e6f592', '0x6e553f65', '0xba087652'],
+  // granularity, defaultOperators, send
+  ERC777: ['0x556f0dc7', '0x06e48538', '0x9bd9bbc6']
+};
+
+const TOKEN_STANDARDS = Object.keys(STANDARD_SELECTORS);
+
+const isWord = (data) => typeof data === 'string' && data.length === 66;
+const isTrue = (data) => isWord(data) && BigInt(data) === 1n;
+const isAddressWord = (data) => isWord(data) && /^0x0{24}/.test(data) && BigInt(data) !== 0n;
+
+/**
+ * Function selectors declared in a verified ABI (array or JSON string); [] when unusable
+ */
+function abiSelectors(abi) {
+  if (!abi) return [];
+  try {
+    const iface = new Interface(typeof abi === 'string' ? JSON.parse(abi) : abi);
+    const selectors = [];
+    iface.forEachFunction(fn => selectors.push(fn.selector));
+    return selectors;
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Standards proven by on-chain probes
+ * ERC-165 answers only count when the contract also rejects 0xffffffff, which filters out
+ * contracts whose fallback returns true for everything
+ */
+function standardsFromProbes(probes) {
+  const standards = new Set();
+  if (!probes) return standards;
+
+  const erc165 = isTrue(probes.erc165) && isWord(probes.invalidInterface) && !isTrue(probes.invalidInterface);
+  if (erc165 && isTrue(probes.erc721)) standards.add('ERC721');
+  if (erc165 && isTrue(probes.erc1155)) standards.add('ERC1155');
+
+  const fungible = isWord(probes.totalSupply) && isWord(probes.decimals) && BigInt(probes.decimals) <= 255n;
+  if (fungible && !standards.has('ERC721') && !standards.has('ERC1155')) {
+    standards.add('ERC20');
+    if (isAddressWord(probes.asset) && isWord(probes.totalAssets)) standards.add('ERC4626');
+    if (isWord(probes.granularity) && BigInt(probes.granularity) > 0n) standards.add('ERC777');
+  }
+
+  return standards;
+}
+
+/**
+ * Classify one contract
+ * @param {Object} evidence - { probes, selectors, abi }; any of them may be missing
+ * @returns {Array} Token standard tags, in TOKEN_STANDARDS order
+ */
+function classifyToken({ probes = null, selectors = [], abi = null } = {}) {
+  const standards = standardsFromProbes(probes);
+
+  const exposed = new Set([...(selectors || []), ...abiSelectors(abi)].map(s => s.toLowerCase()));
+  if (exposed.size > 0) {
+    for (const standard of TOKEN_STANDARDS) {
+      if (STANDARD_SELECTORS[standard].every(selector => exposed.has(selector))) {
+        standards.add(standard);
+      }
+    }
+  }
+
+  // ERC-4626 vault shares are ERC20 tokens by definition
+  if (standards.has('ERC4626')) standards.add('ERC20');
+
+  return TOKEN_STANDARDS.filter(standard => standards.has(standard));
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  INTERFACE_IDS,
+  TOKEN_PROBES,
+  STANDARD_SELECTORS,
+  TOKEN_STANDARDS,
+  abiSelectors,
+  standardsFromProbes,
+  classifyToken
+};
@@ -0,0 +1,74 @@
+/**
+ * Token discovery
+ * UnifiedScanner counts the ERC-20 Transfer logs it already fetches per token (token_transfer_stats);
+ * TokenDiscovery turns the busiest tokens into the ranked `tokens` list the scanners check balances for
+ */
+const { BLOCKCHAIN_CONSTANTS } = require('./core');
+
+const TOKEN_DISCOVERY_DEFAULTS = {
+  minTransfers: 100,   // transfers a token needs before it is a candidate
+  windowDays: 30,      // candidates must have been seen transferring this recently
+  candidates: 500,     // busiest tokens considered per run
+  listSize: 200        // ranked tokens per network
+};
+
+function tokenDiscoverySettings(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+  };
+  return {
+    minTransfers: number(env.TOKEN_DISCOVERY_MIN_TRANSFERS, TOKEN_DISCOVERY_DEFAULTS.minTransfers),
+    windowDays: number(env.TOKEN_DISCOVERY_WINDOW_DAYS, TOKEN_DISCOVERY_DEFAULTS.windowDays),
+    candidates: number(env.TOKEN_DISCOVERY_CANDIDATES, TOKEN_DISCOVERY_DEFAULTS.candidates),
+    listSize: number(env.TOKEN_LIST_SIZE, TOKEN_DISCOVERY_DEFAULTS.listSize)
+  };
+}
+
+/**
+ * ERC-20 Transfer logs per emitting token
+ * ERC-721 shares the Transfer topic but indexes the token id as a fourth topic, so it is skipped
+ * @returns {Map} token address (lowercase) -> transfer count
+ */
+function countTokenTransfers(logs) {
+  const counts = new Map();
+  for (const log of logs) {
+    if (log.topics?.length !== 3 || log.topics[0]?.toLowerCase() !== BLOCKCHAIN_CONSTANTS.TRANSFER_EVENT) continue;
+    const token = log.address?.toLowerCase();
+    if (!token) continue;
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Ranking score: transfer activity and priced liquidity, both on a log scale so neither dominates
+ */
+function tokenScore({ transferCount = 0, pricedUsd = 0 }) {
+  return Math.log10(1 + Number(transferCount)) + Math.log10(1 + Number(pricedUsd));
+}
+
+/**
+ * Rank candidates; only priced tokens are ranked, since an unpriced balance adds nothing to a fund
+ * @param {Array} candidates - { address, transferCount, pricedUsd, priced }
+ * @returns {Array} the candidates with score and rank (null when not in the top listSize)
+ */
+function rankTokens(candidates, listSize = TOKEN_DISCOVERY_DEFAULTS.listSize) {
+  const scored = candidates
+    .map(candidate => ({ ...candidate, score: candidate.priced ? tokenScore(candidate) : null }))
+    .sort((a, b) => (b.score ?? -1) - (a.score ?? -1) || Number(b.transferCount || 0) - Number(a.transferCount || 0));
+
+  let rank = 0;
+  return scored.map(candidate => ({
+    ...candidate,
+    rank: candidate.score !== null && rank < listSize ? ++rank : null
+  }));
+}
+
+module.exports = {
+  TOKEN_DISCOVERY_DEFAULTS,
+  tokenDiscoverySettings,
+  countTokenTransfers,
+  tokenScore,
+  rankTokens
+};
@@ -0,0 +1,119 @@
+/**
+ * Token prices keyed by address
+ * Alchemy by-address prices cached in token_prices. Tokens listed in config/canonical-assets.js
+ * take the price of their canonical asset instead of their own. Used by FundUpdater for the
+ * token list and by TokenDiscovery for new candidates.
+ */
+const { CONFIG } = require('../config/networks.js');
+const { canonicalAsset } = require('../config/canonical-assets');
+
+const PRICE_BY_ADDRESS_BATCH = 25; // Alchemy Prices API limit per by-address call
+
+const priceKey = (network, address) => `${network}:${address}`;
+
+/**
+ * By-address prices for tokens of one network, reusing token_prices rows newer than maxAgeSeconds
+ * @param {Function} query - (sql, params) => pg result
+ * @param {Object} client - AlchemyRPCClient (getTokenPricesByAddress)
+ * @param {Object} options - { now, maxAgeSeconds, log, sleep }
+ * @returns {Map} token address (lowercase) -> { price, source: 'alchemy'|'canonical' }
+ */
+async function loadAddressPrices(query, client, network, tokenAddresses, options) {
+  const { now, maxAgeSeconds, log = () => {}, sleep = async () => {} } = options;
+  const prices = new Map();
+
+  // Token -> the (network, address) whose price it takes
+  const targets = new Map();
+  for (const address of tokenAddresses) {
+    const token = address.toLowerCase();
+    targets.set(token, canonicalAsset(network, token) || { network, address: token });
+  }
+  const wanted = [...new Map([...targets.values()].map(t => [priceKey(t.network, t.address), t])).values()];
+  if (wanted.length === 0) return prices;
+
+  const found = new Map();
+  try {
+    const cached = await query(`
+      SELECT network, token, price_usd
+      FROM token_prices
+      WHERE (network, token) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+        AND source = 'alchemy' AND updated_at >= $3
+    `, [wanted.map(t => t.network), wanted.map(t => t.address), now - maxAgeSeconds]);
+    for (const row of cached.rows) {
+      found.set(priceKey(row.network, row.token), parseFloat(row.price_usd));
+    }
+
+    // Alchemy names networks its own way ('eth-mainnet'); map the answers back to ours
+    const stale = wanted.filter(t => !found.has(priceKey(t.network, t.address)) && CONFIG[t.network]?.alchemyNetwork);
+    const byAlchemyNetwork = new Map(Object.keys(CONFIG)
+      .filter(name => CONFIG[name]?.alchemyNetwork)
+      .map(name => [CONFIG[name].alchemyNetwork, name]));
+    let fetched = 0;
+
+    for (let i = 0; i < stale.length; i += PRICE_BY_ADDRESS_BATCH) {
+      const batch = stale.slice(i, i + PRICE_BY_ADDRESS_BATCH);
+      try {
+        const result = await client.getTokenPricesByAddress(
+          batch.map(t => ({ network: CONFIG[t.network].alchemyNetwork, address: t.address }))
+        );
+
+        const rows = [];
+        for (const entry of result?.data || []) {
+          const entryNetwork = byAlchemyNetwork.get(entry.network);
+          const price = parseFloat(entry.prices?.find(p => p.currency?.toLowerCase() === 'usd')?.value);
+          if (!entryNetwork || !entry.address || entry.error || !(price > 0)) continue;
+          const address = entry.address.toLowerCase();
+          found.set(priceKey(entryNetwork, address), price);
+          rows.push([entryNetwork, address, price, 'alchemy', now]);
+        }
+
+        if (rows.length > 0) {
+          const params = [];
+          const values = rows.map(row => `(${row.map(value => {
+            params.push(value);
+            return `$${params.length}`;
+          }).join(', ')})`);
+          await query(`
+            INSERT INTO token_prices (network, token, price_usd, source, updated_at)
+            VALUES ${values.join(', ')}
+            ON CONFLICT (network, token) DO UPDATE SET
+              price_usd = EXCLUDED.price_usd,
+              source = EXCLUDED.source,
+              pool = NULL,
+              quote_token = NULL,
+              liquidity_usd = NULL,
+              updated_at = EXCLUDED.updated_at
+          `, params);
+          fetched += rows.length;
+        }
+      } catch (error) {
+        log(`❌ Failed to fetch prices by address for batch: ${error.message}`, 'warn');
+      }
+
+      // Rate limiting
+      if (i + PRICE_BY_ADDRESS_BATCH < stale.length) {
+        await sleep(300);
+      }
+    }
+
+    if (stale.length > 0) {
+      log(`💰 Fetched ${fetched}/${stale.length} prices from Alchemy Prices API by address`);
+    }
+  } catch (error) {
+    log(`⚠️ Failed to load prices by address: ${error.message}`, 'warn');
+  }
+
+  for (const [token, target] of targets) {
+    const price = found.get(priceKey(target.network, target.address));
+    if (price > 0) {
+      const canonical = target.network !== network || target.address !== token;
+      prices.set(token, { price, source: canonical ? 'canonical' : 'alchemy' });
+    }
+  }
+  return prices;
+}
+
+module.exports = {
+  PRICE_BY_ADDRESS_BATCH,
+  loadAddressPrices
+};
@@ -0,0 +1,117 @@
+/**
+ * Trace-based contract creation discovery
+ * Finds CREATE/CREATE2 deployments (including factory deployments inside other calls)
+ * with their deployer and creation block, using trace_block or debug_traceBlockByNumber
+ */
+const { normalizeAddress } = require('./addressUtils');
+
+const TRACE_METHODS = ['trace_block', 'debug_traceBlockByNumber'];
+
+/**
+ * Parse Parity/Erigon style trace_block output
+ * Traces inside a reverted frame are skipped, since their deployments were rolled back
+ * @param {Array} traces - trace_block result
+ * @param {number} blockNumber - Block the traces belong to
+ * @returns {Array} Creations as { address, deployer, blockNumber, txHash, creationType }
+ */
+function parseTraceBlockCreations(traces, blockNumber) {
+  if (!Array.isArray(traces)) return [];
+
+  // Reverted frames per transaction, as traceAddress prefixes
+  const reverted = new Map();
+  for (const trace of traces) {
+    if (trace.error && trace.transactionHash) {
+      if (!reverted.has(trace.transactionHash)) reverted.set(trace.transactionHash, []);
+      reverted.get(trace.transactionHash).push(trace.traceAddress || []);
+    }
+  }
+
+  const isReverted = (trace) => {
+    const prefixes = reverted.get(trace.transactionHash);
+    if (!prefixes) return false;
+    const traceAddress = trace.traceAddress || [];
+    return prefixes.some(prefix =>
+      prefix.length <= traceAddress.length && prefix.every((value, i) => traceAddress[i] === value)
+    );
+  };
+
+  const creations = [];
+  for (const trace of traces) {
+    if (trace.type !== 'create' || !trace.result?.address || isReverted(trace)) continue;
+
+    const address = normalizeAddress(trace.result.address);
+    if (!address) continue;
+
+    creations.push({
+      address,
+      deployer: normalizeAddress(trace.action?.from),
+      blockNumber,
+      txHash: trace.transactionHash || null,
+      creationType: trace.action?.creationMethod === 'create2' ? 'CREATE2' : 'CREATE'
+    });
+  }
+  return creations;
+}
+
+/**
+ * Parse geth debug_traceBlockByNumber output produced by the callTracer
+ * @param {Array} results - Per-transaction results ({ txHash?, result })
+ * @param {number} blockNumber - Block the traces belong to
+ * @returns {Array} Creations as { address, deployer, blockNumber, txHash, creationType }
+ */
+function parseCallTracerCreations(results, blockNumber) {
+  if (!Array.isArray(results)) return [];
+
+  const creations = [];
+  const walk = (frame, txHash) => {
+    // A reverted frame undoes everything below it
+    if (!frame || frame.error) return;
+
+    if ((frame.type === 'CREATE' || frame.type === 'CREATE2') && frame.to) {
+      const address = normalizeAddress(frame.to);
+      if (address) {
+        creations.push({
+          address,
+          deployer: normalizeAddress(frame.from),
+          blockNumber,
+          txHash,
+          creationType: frame.type
+        });
+      }
+    }
+
+    for (const child of frame.calls || []) {
+      walk(child, txHash);
+    }
+  };
+
+  for (const entry of results) {
+    walk(entry.result, entry.txHash || null);
+  }
+  return creations;
+}
+
+/**
+ * Trace a single block and return the contracts created in it
+ * @param {Object} client - RPC client exposing makeRequest (HttpRpcClient)
+ * @param {number} blockNumber - Block to trace
+ * @param {string} method - 'trace_block' or 'debug_traceBlockByNumber'
+ */
+async function fetchBlockCreations(client, blockNumber, method = 'trace_block') {
+  const blockHex = `0x${blockNumber.toString(16)}`;
+
+  if (method === 'debug_traceBlockByNumber') {
+    const results = await client.makeRequest('debug_traceBlockByNumber', [blockHex, { tracer: 'callTracer' }]);
+    return parseCallTracerCreations(results, blockNumber);
+  }
+
+  const traces = await client.makeRequest('trace_block', [blockHex]);
+  return parseTraceBlockCreations(traces, blockNumber);
+}
+
+module.exports = {
+  TRACE_METHODS,
+  parseTraceBlockCreations,
+  parseCallTracerCreations,
+  fetchBlockCreations
+};
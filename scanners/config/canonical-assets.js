@@ -0,0 +1,89 @@
+/**
+ * Canonical assets for wrapped and bridged tokens
+ * FundUpdater prices the tokens listed here as the asset they represent, so a bridged USDC
+ * never picks up the price of another token that shares its ticker.
+ * Keys are lowercase token addresses per network; each target is the canonical token
+ * ({ network, address }) whose by-address price is used.
+ */
+
+const ETHEREUM = {
+  WETH: { network: 'ethereum', address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2' },
+  USDC: { network: 'ethereum', address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48' },
+  USDT: { network: 'ethereum', address: '0xdAC17F958D2ee523a2206206994597C13D831ec7' },
+  DAI: { network: 'ethereum', address: '0x6B175474E89094C44Da98b954EedeAC495271d0F' },
+  WBTC: { network: 'ethereum', address: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599' }
+};
+
+const CANONICAL_ASSETS = {
+  binance: {
+    '0x2170ed0880ac9a755fd29b2688956bd959f933f8': ETHEREUM.WETH,  // ETH (Binance-Peg)
+    '0x7130d2a12b9bcbfae4f2634d864a1ee1ce3ead9c': ETHEREUM.WBTC,  // BTCB
+    '0x55d398326f99059ff775485246999027b3197955': ETHEREUM.USDT,  // BSC-USD (Binance-Peg USDT)
+    '0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d': ETHEREUM.USDC,  // USDC (Binance-Peg)
+    '0x1af3f329e8be154074d8769d1ffa4ee058b1dbc3': ETHEREUM.DAI     // DAI (Binance-Peg)
+  },
+
+  polygon: {
+    '0x7ceb23fd6bc0add59e62ac25578270cff1b9f619': ETHEREUM.WETH,  // WETH
+    '0x2791bca1f2de4661ed88a30c99a7a9449aa84174': ETHEREUM.USDC,  // USDC.e
+    '0xc2132d05d31c914a87c6611c10748aeb04b58e8f': ETHEREUM.USDT,  // USDT
+    '0x8f3cf7ad23cd3cadbd9735aff958023239c6a063': ETHEREUM.DAI,   // DAI
+    '0x1bfd67037b42cf73acf2047067bd4f2c47d9bfd6': ETHEREUM.WBTC   // WBTC
+  },
+
+  arbitrum: {
+    '0x82af49447d8a07e3bd95bd0d56f35241523fbab1': ETHEREUM.WETH,  // WETH
+    '0xff970a61a04b1ca14834a43f5de4533ebddb5cc8': ETHEREUM.USDC,  // USDC.e
+    '0xfd086bc7cd5c481dcc9c85ebe478a1c0b69fcbb9': ETHEREUM.USDT,  // USDT
+    '0xda10009cbd5d07dd0cecc66161fc93d7c9000da1': ETHEREUM.DAI,   // DAI
+    '0x2f2a2543b76a4166549f7aab2e75bef0aefc5b0f': ETHEREUM.WBTC   // WBTC
+  },
+
+  optimism: {
+    '0x4200000000000000000000000000000000000006': ETHEREUM.WETH,  // WETH
+    '0x7f5c764cbc14f9669b88837ca1490cca17c31607': ETHEREUM.USDC,  // USDC.e
+    '0x94b008aa00579c1307b0ef2c499ad98a8ce58e58': ETHEREUM.USDT,  // USDT
+    '0xda10009cbd5d07dd0cecc66161fc93d7c9000da1': ETHEREUM.DAI,   // DAI
+    '0x68f180fcce6836688e9084f035309e29bf0a2095': ETHEREUM.WBTC   // WBTC
+  },
+
+  base: {
+    '0x4200000000000000000000000000000000000006': ETHEREUM.WETH,  // WETH
+    '0xd9aaec86b65d86f6a7b5b1b0c42ffa531710b6ca': ETHEREUM.USDC,  // USDbC
+    '0x50c5725949a6f0c72e6c4a641f24049a917db0cb': ETHEREUM.DAI    // DAI
+  },
+
+  avalanche: {
+    '0x49d5c2bdffac6ce2bfdb6640f4f80f226bc10bab': ETHEREUM.WETH,  // WETH.e
+    '0xa7d7079b0fead91f3e65f86e8915cb59c1a4c664': ETHEREUM.USDC,  // USDC.e
+    '0xc7198437980c041c805a1edcba50c1ce5db95118': ETHEREUM.USDT,  // USDT.e
+    '0xd586e7f844cea2f87f50152665bcbc2c279d8d70': ETHEREUM.DAI,   // DAI.e
+    '0x50b7545627a5162f82a992c33b87adc75187b218': ETHEREUM.WBTC   // WBTC.e
+  },
+
+  linea: {
+    '0xe5d7c2a44ffddf6b295a15c148167daaaf5cf34f': ETHEREUM.WETH   // WETH
+  },
+
+  scroll: {
+    '0x5300000000000000000000000000000000000004': ETHEREUM.WETH   // WETH
+  },
+
+  unichain: {
+    '0x4200000000000000000000000000000000000006': ETHEREUM.WETH   // WETH
+  }
+};
+
+/**
+ * Canonical asset of a token, or null when the token is priced as itself
+ * @returns {Object|null} { network, address (lowercase) }
+ */
+function canonicalAsset(network, tokenAddress) {
+  const target = CANONICAL_ASSETS[network]?.[tokenAddress.toLowerCase()];
+  return target ? { network: target.network, address: target.address.toLowerCase() } : null;
+}
+
+module.exports = {
+  CANONICAL_ASSETS,
+  canonicalAsset
+};
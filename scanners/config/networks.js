@@ -12,6 +12,9 @@ const envArray = (name, fallback = []) => {
   return value ? value.split(/[,\s]+/).filter(Boolean) : fallback;
 };
 
+// Uniswap V3 factory (same address on Ethereum, Arbitrum, Optimism and Polygon)
+const UNISWAP_V3_FACTORY = '0x1F98431c8aD98523631AE4a59f267346ea31F984';
+
 // Alchemy API configuration
 const ALCHEMY_API_KEY = process.env.ALCHEMY_API_KEY || 'demo';
 
@@ -412,6 +415,9 @@ const NETWORKS = {
     ].filter(Boolean)),
     apiKeys: DEFAULT_ETHERSCAN_KEYS,
     contractValidator: '0xfE53a230a2AEd6E52f2dEf488DA408d47a80A8bF',
+    // Cross-check classification reads on independent public endpoints (common/quorum.js);
+    // endpoints per read, Alchemy included
+    // quorum: { isContracts: 2, getCodeHashes: 2 },
     nativeCurrency: 'ETH',
     BalanceHelper: '0xF6eDe5F60e6fB769F7571Ad635bF1Db0735a7386',
     // Alchemy getLogs block range limits
@@ -422,7 +428,19 @@ const NETWORKS = {
     // Logs optimization configuration
     // Ethereum has ultra-high log density (150+ logs/block)
     // Use string profile name, Scanner will apply tier-specific optimization
-    logsOptimization: 'ultra-high-density'
+    logsOptimization: 'ultra-high-density',
+    // Confirmation depth for reorg detection - PoS reorgs are rarely deeper than a few blocks
+    confirmations: 12,
+    // On-chain DEX pricing for tokens without an Alchemy price (common/dexPriceOracle.js)
+    dexOracle: {
+      v2Factories: ['0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f'],
+      v3Factories: [UNISWAP_V3_FACTORY],
+      quoteTokens: [
+        { address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', symbol: 'ETH', decimals: 18 },  // WETH
+        { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', symbol: 'USDC', decimals: 6 },
+        { address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', symbol: 'USDT', decimals: 6 }
+      ]
+    }
   },
 
   binance: {
@@ -463,7 +481,20 @@ const NETWORKS = {
       premium: 10000     // BSC: 10000 blocks
     },
     // BSC has ultra-high log density similar to Ethereum
-    logsOptimization: 'ultra-high-density'
+    logsOptimization: 'ultra-high-density',
+    // Parlia reorgs can be several blocks deep
+    confirmations: 15,
+    // PancakeSwap V2/V3 (Uniswap-compatible interfaces)
+    dexOracle: {
+      v2Factories: ['0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73'],
+      v3Factories: ['0x0BFbCF9fa4f9C56B0F40a671Ad40E0805A091865'],
+      v3Fees: [100, 500, 2500, 10000],
+      quoteTokens: [
+        { address: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', symbol: 'BNB', decimals: 18 },  // WBNB
+        { address: '0x55d398326f99059fF775485246999027B3197955', symbol: 'USDT', decimals: 18 },
+        { address: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', symbol: 'USDC', decimals: 18 }
+      ]
+    }
   },
 
   polygon: {
@@ -503,7 +534,16 @@ const NETWORKS = {
       premium: 2000      // Polygon: 2000 blocks
     },
     // Polygon has high log density (50-150 logs/block)
-    logsOptimization: 'high-density'
+    logsOptimization: 'high-density',
+    // Bor has had reorgs over 100 blocks deep
+    confirmations: 128,
+    dexOracle: {
+      v3Factories: [UNISWAP_V3_FACTORY],
+      quoteTokens: [
+        { address: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', symbol: 'MATIC', decimals: 18 },  // WMATIC
+        { address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', symbol: 'USDC', decimals: 6 }
+      ]
+    }
   },
 
   arbitrum: {
@@ -543,7 +583,15 @@ const NETWORKS = {
       premium: 999999    // Arbitrum (Layer 2): unlimited
     },
     // Arbitrum has low log density (5-20 logs/block)
-    logsOptimization: 'low-density'
+    logsOptimization: 'low-density',
+    confirmations: 20,
+    dexOracle: {
+      v3Factories: [UNISWAP_V3_FACTORY],
+      quoteTokens: [
+        { address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', symbol: 'ETH', decimals: 18 },  // WETH
+        { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', symbol: 'USDC', decimals: 6 }
+      ]
+    }
   },
 
   optimism: {
@@ -584,7 +632,15 @@ const NETWORKS = {
       premium: 999999    // Optimism (Layer 2): unlimited
     },
     // Optimism has medium log density (20-50 logs/block)
-    logsOptimization: 'medium-density'
+    logsOptimization: 'medium-density',
+    confirmations: 10,
+    dexOracle: {
+      v3Factories: [UNISWAP_V3_FACTORY],
+      quoteTokens: [
+        { address: '0x4200000000000000000000000000000000000006', symbol: 'ETH', decimals: 18 },  // WETH
+        { address: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85', symbol: 'USDC', decimals: 6 }
+      ]
+    }
   },
 
   base: {
@@ -624,7 +680,16 @@ const NETWORKS = {
       premium: 999999    // Base (Layer 2): unlimited
     },
     // Base has high log density (50-150 logs/block)
-    logsOptimization: 'high-density'
+    logsOptimization: 'high-density',
+    confirmations: 10,
+    dexOracle: {
+      v2Factories: ['0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6'],
+      v3Factories: ['0x33128a8fC17869897dcE68Ed026d694621f6FDfD'],
+      quoteTokens: [
+        { address: '0x4200000000000000000000000000000000000006', symbol: 'ETH', decimals: 18 },  // WETH
+        { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', symbol: 'USDC', decimals: 6 }
+      ]
+    }
   },
 
   avalanche: {
@@ -662,7 +727,9 @@ const NETWORKS = {
       premium: 10000     // All Other Chains: 10000 blocks
     },
     // Avalanche has medium log density (20-50 logs/block)
-    logsOptimization: 'medium-density'
+    logsOptimization: 'medium-density',
+    // Snowman consensus finalizes almost immediately
+    confirmations: 3
   }
 };
 
@@ -693,7 +760,8 @@ const ADDITIONAL_NETWORKS = {
       premium: 10000     // All Other Chains: 10000 blocks
     },
     // Gnosis has low log density (5-20 logs/block)
-    logsOptimization: 'low-density'
+    logsOptimization: 'low-density',
+    confirmations: 12
   },
 
   linea: {
@@ -719,7 +787,8 @@ const ADDITIONAL_NETWORKS = {
       premium: 10000     // All Other Chains: 10000 blocks
     },
     // Linea has low log density (5-20 logs/block)
-    logsOptimization: 'low-density'
+    logsOptimization: 'low-density',
+    confirmations: 10
   },
 
   scroll: {
@@ -746,7 +815,8 @@ const ADDITIONAL_NETWORKS = {
       premium: 10000     // All Other Chains: 10000 blocks
     },
     // Scroll has low log density (5-20 logs/block)
-    logsOptimization: 'low-density'
+    logsOptimization: 'low-density',
+    confirmations: 10
   },
 
   mantle: {
@@ -772,7 +842,8 @@ const ADDITIONAL_NETWORKS = {
       premium: 10000     // All Other Chains: 10000 blocks
     },
     // Mantle has low log density (5-20 logs/block)
-    logsOptimization: 'low-density'
+    logsOptimization: 'low-density',
+    confirmations: 10
   },
 
   unichain: {
@@ -798,7 +869,8 @@ const ADDITIONAL_NETWORKS = {
       premium: 10000     // All Other Chains: 10000 blocks
     },
     // Unichain has low log density (5-20 logs/block)
-    logsOptimization: 'low-density'
+    logsOptimization: 'low-density',
+    confirmations: 10
   },
 
   berachain: {
@@ -824,7 +896,8 @@ const ADDITIONAL_NETWORKS = {
       premium: 10000     // All Other Chains: 10000 blocks
     },
     // Berachain has low log density (5-20 logs/block)
-    logsOptimization: 'low-density'
+    logsOptimization: 'low-density',
+    confirmations: 12
   },
 
   sui: {
@@ -860,6 +933,8 @@ const CONFIG = {
   // Time settings (in hours/days) - can be overridden by env vars
   TIMEDELAY: parseInt(process.env.TIMEDELAY_HOURS || '4', 10),
   FUNDUPDATEDELAY: parseInt(process.env.FUNDUPDATEDELAY_DAYS || '7', 10),
+  // Oldest checkpoint (in hours) UnifiedScanner will resume from; older ranges are recorded as gaps
+  CHECKPOINT_MAX_LOOKBACK: parseInt(process.env.CHECKPOINT_MAX_LOOKBACK_HOURS || '48', 10),
   
   // Script timeout settings
   TIMEOUT_SECONDS: parseInt(process.env.TIMEOUT_SECONDS || TIMEOUT_SECONDS.toString(), 10),
@@ -0,0 +1,205 @@
+/* eslint-disable no-console */
+/**
+ * Clone Clusterer - Group contracts by runtime bytecode across all networks
+ * Rebuilds code_hash_clusters (how often and on how many chains a code hash is deployed) and
+ * copies the verified contract name to unverified clones, tagged InferredName
+ */
+const Scanner = require('../common/Scanner');
+
+class CloneClusterer extends Scanner {
+  constructor() {
+    super('CloneClusterer', {
+      timeout: 7200
+    });
+
+    // Single deployments are not clusters; they stay out of the table
+    this.minClusterSize = parseInt(process.env.CLONE_MIN_CLUSTER_SIZE || '2', 10);
+    this.propagateBatchSize = parseInt(process.env.CLONE_PROPAGATE_BATCH || '500', 10);
+
+    this.stats = {
+      clusters: 0,
+      multiChainClusters: 0,
+      inferableClusters: 0,
+      namesInferred: 0,
+      staleClustersRemoved: 0
+    };
+  }
+
+  /**
+   * Recompute every cluster in one pass over addresses
+   * The canonical name is the most common name among verified members, earliest deployment first.
+   * Names are only inferable when the bytecode is not a proxy: proxies that share bytecode point
+   * at different implementations, and their verified name is the implementation's. EIP-1167
+   * clones are the exception - the implementation is part of the bytecode.
+   */
+  async buildClusters() {
+    const result = await this.queryDB(`
+      WITH members AS (
+        SELECT address, network, code_hash, contract_name, deployed, COALESCE(tags, '{}') AS tags
+        FROM addresses
+        WHERE code_hash IS NOT NULL
+          AND code_hash <> $1
+          AND NOT ('EOA' = ANY(COALESCE(tags, '{}')))
+          AND NOT ('SelfDestroyed' = ANY(COALESCE(tags, '{}')))
+      ),
+      sizes AS (
+        SELECT
+          code_hash,
+          COUNT(*)::int AS cluster_size,
+          COUNT(DISTINCT network)::int AS network_count,
+          array_agg(DISTINCT network ORDER BY network) AS cluster_networks,
+          COUNT(*) FILTER (WHERE 'Verified' = ANY(tags))::int AS verified_count
+        FROM members
+        GROUP BY code_hash
+        HAVING COUNT(*) >= $3
+      ),
+      canonical AS (
+        SELECT DISTINCT ON (code_hash) code_hash, contract_name, address, network, tags
+        FROM (
+          SELECT m.*, COUNT(*) OVER (PARTITION BY m.code_hash, m.contract_name) AS name_votes
+          FROM members m
+          JOIN sizes s ON s.code_hash = m.code_hash
+          WHERE 'Verified' = ANY(m.tags)
+            AND m.contract_name IS NOT NULL
+            AND m.contract_name <> ''
+        ) verified
+        ORDER BY code_hash, name_votes DESC, deployed ASC NULLS LAST, address ASC
+      )
+      INSERT INTO code_hash_clusters (
+        code_hash, cluster_size, network_count, cluster_networks, verified_count,
+        canonical_name, canonical_address, canonical_network, name_inferable, clustered_at
+      )
+      SELECT
+        s.code_hash, s.cluster_size, s.network_count, s.cluster_networks, s.verified_count,
+        c.contract_name, c.address, c.network,
+        c.code_hash IS NOT NULL AND (
+          'MinimalProxy' = ANY(c.tags)
+          OR (
+            NOT ('Proxy' = ANY(c.tags))
+            AND NOT EXISTS (SELECT 1 FROM contract_sources cs WHERE cs.code_hash = s.code_hash AND cs.proxy)
+          )
+        ),
+        $2
+      FROM sizes s
+      LEFT JOIN canonical c ON c.code_hash = s.code_hash
+      ON CONFLICT (code_hash) DO UPDATE SET
+        cluster_size = EXCLUDED.cluster_size,
+        network_count = EXCLUDED.network_count,
+        cluster_networks = EXCLUDED.cluster_networks,
+        verified_count = EXCLUDED.verified_count,
+        canonical_name = EXCLUDED.canonical_name,
+        canonical_address = EXCLUDED.canonical_address,
+        canonical_network = EXCLUDED.canonical_network,
+        name_inferable = EXCLUDED.name_inferable,
+        clustered_at = EXCLUDED.clustered_at
+    `, [this.ZERO_HASH, this.currentTime, this.minClusterSize]);
+
+    this.stats.clusters = result.rowCount;
+
+    // Clusters not touched by this run shrank below the minimum or disappeared
+    const stale = await this.queryDB(
+      `DELETE FROM code_hash_clusters WHERE clustered_at < $1`,
+      [this.currentTime]
+    );
+    this.stats.staleClustersRemoved = stale.rowCount;
+  }
+
+  async findInferableCodeHashes() {
+    const result = await this.queryDB(`
+      SELECT code_hash
+      FROM code_hash_clusters
+      WHERE name_inferable = true
+        AND canonical_name IS NOT NULL
+        AND verified_count < cluster_size
+      ORDER BY cluster_size DESC
+    `);
+    return result.rows.map(row => row.code_hash);
+  }
+
+  /**
+   * Copy the canonical name to unverified clones that have no name yet, or an inferred name that
+   * is out of date. Verified names are never touched.
+   */
+  async propagateNames(codeHashes) {
+    let updated = 0;
+
+    for (let i = 0; i < codeHashes.length; i += this.propagateBatchSize) {
+      const batch = codeHashes.slice(i, i + this.propagateBatchSize);
+      const result = await this.queryDB(`
+        UPDATE addresses a
+        SET contract_name = c.canonical_name,
+            tags = array_append(array_remove(COALESCE(a.tags, '{}'), 'InferredName'), 'InferredName'),
+            last_updated = $2
+        FROM code_hash_clusters c
+        WHERE c.code_hash = ANY($1)
+          AND a.code_hash = c.code_hash
+          AND NOT ('Verified' = ANY(COALESCE(a.tags, '{}')))
+          AND NOT ('EOA' = ANY(COALESCE(a.tags, '{}')))
+          AND NOT ('SelfDestroyed' = ANY(COALESCE(a.tags, '{}')))
+          AND (
+            a.contract_name IS NULL
+            OR a.contract_name = ''
+            OR ('InferredName' = ANY(a.tags) AND a.contract_name IS DISTINCT FROM c.canonical_name)
+          )
+      `, [batch, this.currentTime]);
+
+      updated += result.rowCount;
+    }
+
+    this.stats.namesInferred = updated;
+    return updated;
+  }
+
+  async logTopClusters(limit = 10) {
+    const result = await this.queryDB(`
+      SELECT code_hash, cluster_size, network_count, canonical_name
+      FROM code_hash_clusters
+      ORDER BY cluster_size DESC
+      LIMIT $1
+    `, [limit]);
+
+    const multiChain = await this.queryDB(
+      `SELECT COUNT(*)::int AS count FROM code_hash_clusters WHERE network_count > 1`
+    );
+    this.stats.multiChainClusters = multiChain.rows[0]?.count || 0;
+
+    if (result.rows.length === 0) return;
+
+    this.log('🏆 Largest clusters:');
+    for (const row of result.rows) {
+      const name = row.canonical_name || 'unverified';
+      this.log(`  ${row.code_hash.slice(0, 10)}… deployed ${Number(row.cluster_size).toLocaleString()} times across ${row.network_count} chain(s) (${name})`);
+    }
+  }
+
+  async run() {
+    this.log(`🚀 Starting clone clustering across all networks (min cluster size: ${this.minClusterSize})`);
+
+    await this.buildClusters();
+    this.log(`🧬 ${this.stats.clusters} clusters rebuilt, ${this.stats.staleClustersRemoved} stale removed`);
+
+    const codeHashes = await this.findInferableCodeHashes();
+    this.stats.inferableClusters = codeHashes.length;
+    this.log(`🏷️ ${codeHashes.length} clusters have a verified name and unverified clones`);
+
+    if (codeHashes.length > 0) {
+      await this.propagateNames(codeHashes);
+    }
+
+    await this.logTopClusters();
+
+    this.log('🎉 Clone clustering complete');
+    this.log(`📊 Clusters: ${this.stats.clusters} (${this.stats.multiChainClusters} multi-chain), names inferred: ${this.stats.namesInferred}`);
+  }
+}
+
+// Execute if run directly
+if (require.main === module) {
+  const clusterer = new CloneClusterer();
+  clusterer.execute().catch(error => {
+    console.error('Clone clustering failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = CloneClusterer;
@@ -0,0 +1,154 @@
+/* eslint-disable no-console */
+/**
+ * Contract Analyzer - Extract function selectors and notable opcodes from runtime bytecode
+ * Fetches code once per code hash that has no analysis yet (highest fund first) and stores the
+ * result in contract_bytecode_analysis, so contracts can be searched by selector, verified or not
+ */
+const { keccak256 } = require('ethers');
+const Scanner = require('../common/Scanner');
+const { analyzeBytecode } = require('../common/bytecodeAnalyzer');
+
+class ContractAnalyzer extends Scanner {
+  constructor() {
+    super('ContractAnalyzer', {
+      timeout: 7200
+    });
+
+    this.maxContracts = parseInt(process.env.BYTECODE_ANALYSIS_LIMIT || '10000', 10);
+    this.batchSize = parseInt(process.env.BYTECODE_ANALYSIS_CONCURRENCY || '10', 10);
+
+    this.stats = {
+      candidates: 0,
+      analyzed: 0,
+      codeChanged: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * One live contract per code hash without an analysis, highest fund first
+   */
+  async findUnanalyzedContracts() {
+    const result = await this.queryDB(`
+      SELECT address, code_hash
+      FROM (
+        SELECT DISTINCT ON (a.code_hash) a.address, a.code_hash, a.fund
+        FROM addresses a
+        WHERE a.network = $1
+          AND a.code_hash IS NOT NULL
+          AND a.code_hash <> $2
+          AND NOT ('EOA' = ANY(COALESCE(a.tags, '{}')))
+          AND NOT ('SelfDestroyed' = ANY(COALESCE(a.tags, '{}')))
+          AND NOT EXISTS (SELECT 1 FROM contract_bytecode_analysis b WHERE b.code_hash = a.code_hash)
+        ORDER BY a.code_hash, a.fund DESC NULLS LAST
+      ) candidates
+      ORDER BY fund DESC NULLS LAST
+      LIMIT $3
+    `, [this.network, this.ZERO_HASH, this.maxContracts]);
+
+    return result.rows;
+  }
+
+  /**
+   * Fetch and analyze one contract
+   * @returns {Object|null} Analysis row, or null when the code no longer matches the stored hash
+   */
+  async analyzeContract(row) {
+    const code = await this.alchemyClient.getCode(row.address);
+    if (!code || code === '0x' || keccak256(code) !== row.code_hash) {
+      // Self-destructed or redeployed since it was scanned; DataRevalidator will fix the row
+      return null;
+    }
+
+    return {
+      codeHash: row.code_hash,
+      address: row.address,
+      ...analyzeBytecode(code)
+    };
+  }
+
+  async storeAnalyses(analyses) {
+    if (analyses.length === 0) return 0;
+
+    const values = [];
+    const params = [];
+    let paramIndex = 1;
+    for (const analysis of analyses) {
+      const rowParams = [
+        analysis.codeHash,
+        analysis.selectors,
+        analysis.opcodes,
+        analysis.codeSize,
+        analysis.address.toLowerCase(),
+        this.network,
+        this.currentTime
+      ];
+      values.push(`(${rowParams.map(() => `$${paramIndex++}`).join(', ')})`);
+      params.push(...rowParams);
+    }
+
+    const result = await this.queryDB(`
+      INSERT INTO contract_bytecode_analysis (
+        code_hash, selectors, opcodes, code_size, source_address, source_network, analyzed_at
+      ) VALUES ${values.join(', ')}
+      ON CONFLICT (code_hash) DO UPDATE SET
+        selectors = EXCLUDED.selectors,
+        opcodes = EXCLUDED.opcodes,
+        code_size = EXCLUDED.code_size,
+        analyzed_at = EXCLUDED.analyzed_at
+    `, params);
+
+    return result.rowCount;
+  }
+
+  async run() {
+    this.log('🚀 Starting bytecode analysis');
+
+    const candidates = await this.findUnanalyzedContracts();
+    this.stats.candidates = candidates.length;
+
+    if (candidates.length === 0) {
+      this.log('✅ All contract code hashes are already analyzed');
+      return;
+    }
+
+    this.log(`🔬 ${candidates.length} code hashes need analysis (limit: ${this.maxContracts})`);
+
+    for (let i = 0; i < candidates.length; i += this.batchSize) {
+      const batch = candidates.slice(i, i + this.batchSize);
+      const results = await Promise.allSettled(batch.map(row => this.analyzeContract(row)));
+
+      const analyses = [];
+      results.forEach((result, j) => {
+        if (result.status === 'rejected') {
+          this.stats.failed++;
+          this.log(`⚠️ ${batch[j].address}: ${result.reason?.message || result.reason}`, 'warn');
+        } else if (result.value) {
+          analyses.push(result.value);
+        } else {
+          this.stats.codeChanged++;
+        }
+      });
+
+      this.stats.analyzed += await this.storeAnalyses(analyses);
+
+      if ((i / this.batchSize) % 50 === 0) {
+        this.log(`📦 Progress: ${Math.min(i + this.batchSize, candidates.length)}/${candidates.length} (${this.stats.analyzed} analyzed)`);
+      }
+    }
+
+    this.log('🎉 Bytecode analysis complete');
+    this.log(`📊 Analyzed: ${this.stats.analyzed}, code changed: ${this.stats.codeChanged}, failed: ${this.stats.failed}`);
+  }
+}
+
+// Execute if run directly
+if (require.main === module) {
+  const analyzer = new ContractAnalyzer();
+  analyzer.execute().catch(error => {
+    console.error('Bytecode analysis failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = ContractAnalyzer;
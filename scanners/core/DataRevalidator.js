@@ -10,6 +10,7 @@ const {
   normalizeAddress,
   BLOCKCHAIN_CONSTANTS
 } = require('../common');
+const { FUND_PLACES, formatDecimal, fundCents } = require('../common/decimalMath');
 
 class DataRevalidator extends Scanner {
   constructor() {
@@ -75,6 +76,7 @@ class DataRevalidator extends Scanner {
       this.unifiedScanner.network = this.network;
       this.unifiedScanner.db = this.db;
       this.unifiedScanner.rpcClient = this.rpcClient;
+      this.unifiedScanner.alchemyClient = this.alchemyClient;
       this.unifiedScanner.currentTime = this.currentTime;
       this.unifiedScanner.ZERO_HASH = BLOCKCHAIN_CONSTANTS.ZERO_HASH;
 
@@ -123,14 +125,14 @@ class DataRevalidator extends Scanner {
     const result = await this.queryDB(query, [this.network]);
     const allAddresses = result.rows.map(row => row.address);
 
-    // Log fund range statistics
+    // Log fund range statistics (funds stay exact: NUMERIC strings summed as integer cents)
     if (result.rows.length > 0) {
-      const topFund = Number(result.rows[0].fund) || 0;
-      const bottomFund = Number(result.rows[result.rows.length - 1].fund) || 0;
-      const fundValues = result.rows.map(r => Number(r.fund) || 0).filter(f => f > 0);
-      const avgFund = fundValues.length > 0 ? fundValues.reduce((a, b) => a + b, 0) / fundValues.length : 0;
+      const funds = result.rows.map(r => fundCents(r.fund));
+      const fundValues = funds.filter(f => f > 0n);
+      const avgFund = fundValues.length > 0 ? fundValues.reduce((a, b) => a + b, 0n) / BigInt(fundValues.length) : 0n;
+      const usd = (cents) => formatDecimal(cents, FUND_PLACES, FUND_PLACES);
 
-      this.log(`💰 Fund range: Top=${topFund.toFixed(4)} ETH, Avg=${avgFund.toFixed(4)} ETH, Bottom=${bottomFund.toFixed(4)} ETH`);
+      this.log(`💰 Fund range: Top=$${usd(funds[0])}, Avg=$${usd(avgFund)}, Bottom=$${usd(funds[funds.length - 1])}`);
       this.log(`📊 Addresses with non-zero fund: ${fundValues.length}/${result.rows.length} (${(fundValues.length / result.rows.length * 100).toFixed(2)}%)`);
     }
 
@@ -198,13 +200,14 @@ class DataRevalidator extends Scanner {
         updates.push({
           address: normalizeAddress(eoa.address),
           network: this.network,
-          tags: ['EOA'],
-          codeHash: null,
+          tags: eoa.tags || ['EOA'],
+          codeHash: eoa.codeHash || null,
           deployed: null,
           contractName: null,
           nameChecked: false,
           nameCheckedAt: 0,
-          lastUpdated: this.currentTime
+          lastUpdated: this.currentTime,
+          implementation: eoa.delegate || null
         });
       }
 
@@ -243,6 +246,7 @@ class DataRevalidator extends Scanner {
       if (updates.length > 0) {
         this.log(`  💾 Updating ${updates.length} addresses in database...`);
         await batchUpsertAddresses(this.db, updates, { batchSize: 1000 });
+        await this.unifiedScanner.saveDelegations(eoas);
         this.log(`  ✅ Batch update complete`);
       }
 
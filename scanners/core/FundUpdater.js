@@ -4,12 +4,28 @@
  * Updates asset prices and balances using Alchemy API
  */
 const Scanner = require('../common/Scanner');
-const fs = require('fs');
-const path = require('path');
 // Token addresses loaded from network config
-const { batchUpsertAddresses, normalizeAddress } = require('../common');
+const { batchUpsertAddresses, normalizeAddress, normalizeAddressArray } = require('../common');
 const { CONFIG } = require('../config/networks.js');
 const TokenPriceCache = require('../common/TokenPriceCache');
+const { fundChangeThresholds, detectFundChange } = require('../common/fundHistory');
+const { dexOracleSettings, priceTokens } = require('../common/dexPriceOracle');
+const { loadAddressPrices } = require('../common/tokenPrices');
+const { VALUE_SCALE, parseDecimal, formatDecimal, formatFund, tokenValue } = require('../common/decimalMath');
+const { loadAlertRules, processAlerts } = require('../common/alerting');
+
+// address_holdings token key for the network's native currency
+const NATIVE_TOKEN = 'native';
+const INSERT_BATCH_SIZE = 1000; // rows per multi-row INSERT
+const LARGE_FUND = parseDecimal(10000000, VALUE_SCALE); // > 10M USD is logged for review
+
+const isPositiveBalance = (balance) => {
+  try {
+    return BigInt(balance || '0') > 0n;
+  } catch (error) {
+    return false;
+  }
+};
 
 class FundUpdater extends Scanner {
   constructor(network) {
@@ -23,6 +39,9 @@ class FundUpdater extends Scanner {
 
     this.delayDays = CONFIG.FUNDUPDATEDELAY || 7;
     this.priceCache = new TokenPriceCache();
+    this.fundChangeThresholds = fundChangeThresholds();
+    this.fundChangeEvents = 0;
+    this.alertsQueued = 0;
 
     // Dynamic batch sizing for balance calls (for BalanceHelper mode)
     this.currentBatchSize = 200;  // Start with 200
@@ -65,16 +84,15 @@ class FundUpdater extends Scanner {
     return chunks;
   }
 
-  // Load token addresses and symbol mapping from tokens/{network}.json file
+  // Load token addresses and symbol mapping from the ranked token list (see Scanner.loadTokenList)
   // Returns: { tokenAddresses: [], addressToSymbolMap: {}, addressToTokenMap: {} }
-  loadTokenAddressMapping() {
-    const tokensFilePath = path.join(__dirname, '..', 'tokens', `${this.network}.json`);
+  async loadTokenAddressMapping() {
     let tokenAddresses = [];
     let addressToSymbolMap = {};
     let addressToTokenMap = {};
 
     try {
-      const tokensData = JSON.parse(fs.readFileSync(tokensFilePath, 'utf8'));
+      const tokensData = await this.loadTokenList();
 
       // 🔧 TEMPORARY: Limit to top 50 tokens by rank for testing
       const TEST_TOKEN_LIMIT = 50;
@@ -91,13 +109,13 @@ class FundUpdater extends Scanner {
           symbol: token.symbol,
           name: token.name,
           address: token.address,
-          decimals: token.decimals  // Use decimals from tokens file (no default)
+          decimals: token.decimals  // Use decimals from the token list (no default)
         };
       });
 
-      this.log(`📋 Loaded ${tokenAddresses.length} token addresses from tokens/${this.network}.json (limited to top ${TEST_TOKEN_LIMIT} for testing)`);
+      this.log(`📋 Loaded ${tokenAddresses.length} token addresses from ${this.tokenListSource} (limited to top ${TEST_TOKEN_LIMIT} for testing)`);
     } catch (error) {
-      this.log(`⚠️  Failed to load tokens from file: ${error.message}`, 'warn');
+      this.log(`⚠️  Failed to load token list: ${error.message}`, 'warn');
       this.log('📋 Falling back to empty token list', 'warn');
     }
 
@@ -133,8 +151,9 @@ class FundUpdater extends Scanner {
       params.push(this.ZERO_HASH);    // $3: zero hash to exclude
     }
     
+    // Delegated EOAs run their delegate's code and hold funds like any smart wallet
     query += `
-      AND (tags IS NULL OR NOT ('EOA' = ANY(tags)))`;
+      AND (tags IS NULL OR NOT ('EOA' = ANY(tags)) OR 'EIP7702' = ANY(tags))`;
     
     // Add high fund filter if enabled
     if (highFundFlag) {
@@ -189,7 +208,7 @@ class FundUpdater extends Scanner {
       this.log('✅ Lock acquired');
 
       // Load all tokens from tokens/{network}.json
-      const { addressToSymbolMap, addressToTokenMap } = this.loadTokenAddressMapping();
+      const { addressToSymbolMap, addressToTokenMap } = await this.loadTokenAddressMapping();
       const allSymbols = [...new Set(Object.values(addressToSymbolMap))];
 
       if (allSymbols.length === 0) {
@@ -236,13 +255,14 @@ class FundUpdater extends Scanner {
 
           // Update symbol_prices table with fetched prices
           const updateQuery = `
-            INSERT INTO symbol_prices (symbol, price_usd, decimals, name, last_updated)
-            VALUES ($1, $2, $3, $4, $5)
+            INSERT INTO symbol_prices (symbol, price_usd, decimals, name, last_updated, price_source)
+            VALUES ($1, $2, $3, $4, $5, 'alchemy')
             ON CONFLICT (symbol) DO UPDATE SET
               price_usd = EXCLUDED.price_usd,
               decimals = EXCLUDED.decimals,
               name = EXCLUDED.name,
-              last_updated = EXCLUDED.last_updated
+              last_updated = EXCLUDED.last_updated,
+              price_source = EXCLUDED.price_source
           `;
 
           for (const tokenData of pricesResult.data) {
@@ -340,7 +360,7 @@ class FundUpdater extends Scanner {
       this.log('✅ Lock acquired');
 
       // Load all tokens from tokens/{network}.json
-      const { tokenAddresses, addressToSymbolMap } = this.loadTokenAddressMapping();
+      const { tokenAddresses, addressToSymbolMap } = await this.loadTokenAddressMapping();
       const allSymbols = [...new Set(Object.values(addressToSymbolMap))];
 
       if (allSymbols.length === 0) {
@@ -369,8 +389,8 @@ class FundUpdater extends Scanner {
 
       // Insert missing symbols with placeholder price 0
       const insertQuery = `
-        INSERT INTO symbol_prices (symbol, price_usd, decimals, name, last_updated)
-        VALUES ($1, $2, $3, $4, $5)
+        INSERT INTO symbol_prices (symbol, price_usd, decimals, name, last_updated, price_source)
+        VALUES ($1, $2, $3, $4, $5, 'placeholder')
         ON CONFLICT (symbol) DO NOTHING
       `;
 
@@ -415,7 +435,7 @@ class FundUpdater extends Scanner {
     await this.updateTokenPrices();
 
     // Load token data from tokens/{network}.json file (includes decimals for each token)
-    const { tokenAddresses, addressToSymbolMap, addressToTokenMap } = this.loadTokenAddressMapping();
+    const { tokenAddresses, addressToSymbolMap, addressToTokenMap } = await this.loadTokenAddressMapping();
 
     // Get unique symbols from loaded tokens
     const symbols = [...new Set(Object.values(addressToSymbolMap))];
@@ -432,6 +452,12 @@ class FundUpdater extends Scanner {
     const { symbols: validSymbols, symbolDataMap } = await this.priceCache.fetchTokenPrices(symbols);
     this.log(`💰 Loaded ${validSymbols.length}/${symbols.length} token prices`);
 
+    // Prices keyed by token address: Alchemy by-address (or the canonical asset's), then DEX pools.
+    // Symbol prices are only the last resort, since tickers collide across tokens.
+    const addressPrices = await this.updateAddressPrices(addressToTokenMap);
+    const dexPrices = await this.updateDexPrices(addressToTokenMap, addressPrices);
+    const tokenPrices = new Map([...addressPrices, ...dexPrices]);
+
     const processor = async (addressBatch) => {
 
       let nativeBalances = [];
@@ -511,6 +537,14 @@ class FundUpdater extends Scanner {
         erc20Failed = true;
       }
 
+      // Per-token breakdown of every fund, stored in address_holdings
+      const holdings = [];
+      const holding = (address, token, symbol, balance, decimals, usdValue, priceSource = null) => {
+        if (isPositiveBalance(balance)) {
+          holdings.push({ address: normalizeAddress(address), token, symbol, balance, decimals, usdValue, priceSource });
+        }
+      };
+
       // Process each address using symbol-based data
       const updates = addressBatch.map((address, index) => {
         const nativeBalance = nativeBalances[index]?.toString() || '0';
@@ -519,8 +553,17 @@ class FundUpdater extends Scanner {
         const nativeSymbol = CONFIG[this.network]?.nativeCurrency || 'ETH';
         const nativeSymbolData = symbolDataMap.get(nativeSymbol.toLowerCase());
         const nativePrice = nativeSymbolData ? nativeSymbolData.price : 0;
-        const nativeValue = (parseFloat(nativeBalance) / 1e18) * nativePrice;
+        const nativePriced = nativePrice > 0;
+        let nativeValue = 0n;
+        try {
+          nativeValue = nativePriced ? tokenValue(nativeBalance, 18, nativePrice) : 0n;
+        } catch (err) {
+          this.log(`⚠️  Failed to parse native balance at ${address}: ${err.message}`, 'warn');
+        }
+        holding(address, NATIVE_TOKEN, nativeSymbol, nativeBalance, 18,
+          nativePriced ? formatFund(nativeValue) : null, nativePriced ? nativeSymbolData.source : null);
 
+        // Exact decimal sum (scaled by 10^VALUE_SCALE), rounded to cents once at the end
         let totalValue = nativeValue;
         const debugValues = { native: nativeValue, tokens: {} }; // Debug tracking
 
@@ -542,28 +585,24 @@ class FundUpdater extends Scanner {
             return; // Skip if no symbol
           }
 
-          // Get symbol data (price only, not decimals)
+          // Price of this token address, else the price of its symbol
           const symbolData = symbolDataMap.get(symbol.toLowerCase());
-          if (!symbolData) {
-            return; // Skip if no symbol data (price)
+          const priceData = tokenPrices.get(tokenAddr.toLowerCase())
+            || (symbolData?.price > 0 ? { price: symbolData.price, source: 'alchemy_symbol' } : null);
+          if (!priceData) {
+            // No price: listed in the breakdown without a value, not counted in fund
+            holding(address, tokenAddr, symbol, tokenData.balance, tokenMetadata.decimals, null);
+            return;
           }
 
           const decimals = tokenMetadata.decimals;  // Use decimals from tokens file
-          const price = symbolData.price;           // Use price from symbol_prices table
+          const price = priceData.price;
 
-          // Use BigInt to avoid precision loss for large wei values
-          // Divide first as BigInt, then convert to Number for decimal precision
+          // Balance and price stay exact: BigInt wei times the decimal price, no Number conversion
           try {
-            const balanceBigInt = BigInt(tokenData.balance);
-            const divisor = BigInt(10) ** BigInt(decimals);
-
-            // Perform integer division with BigInt to avoid overflow
-            const integerPart = balanceBigInt / divisor;
-            const remainder = balanceBigInt % divisor;
-
-            // Convert to decimal: integerPart + (remainder / divisor)
-            const balanceInUnits = Number(integerPart) + (Number(remainder) / Number(divisor));
-            const value = balanceInUnits * price;
+            const value = tokenValue(tokenData.balance, decimals, price);
+            const balanceInUnits = formatDecimal(BigInt(tokenData.balance), decimals, decimals);
+            holding(address, tokenAddr, symbol, tokenData.balance, decimals, formatFund(value), priceData.source);
 
             // DEBUG: Track token values and warn on abnormal values
             // Use token address as key to avoid symbol collision (e.g., IBC appears 3 times)
@@ -582,7 +621,7 @@ class FundUpdater extends Scanner {
               this.log(`   Raw: ${tokenData.balance} (${tokenData.balance.length} digits)`, 'warn');
               this.log(`   Units: ${balanceInUnits}`, 'warn');
               this.log(`   Price: $${price}`, 'warn');
-              this.log(`   Value: $${value}`, 'warn');
+              this.log(`   Value: $${formatFund(value)}`, 'warn');
             }
 
             totalValue += value;
@@ -593,13 +632,13 @@ class FundUpdater extends Scanner {
         });
 
         // DEBUG: Log if total fund is abnormally large
-        const finalFund = Math.floor(totalValue);
-        if (finalFund > 10000000) { // > 10M USD
-          this.log(`🔍 [FUND-DEBUG][${address}] Large fund value detected: $${finalFund.toLocaleString()}`, 'warn');
-          this.log(`   Native: $${debugValues.native.toFixed(2)}`, 'warn');
+        const finalFund = formatFund(totalValue);
+        if (totalValue > LARGE_FUND) {
+          this.log(`🔍 [FUND-DEBUG][${address}] Large fund value detected: $${finalFund}`, 'warn');
+          this.log(`   Native: $${formatFund(debugValues.native)}`, 'warn');
           this.log(`   Token values:`, 'warn');
           Object.entries(debugValues.tokens).forEach(([symbol, data]) => {
-            this.log(`     ${symbol}: ${data.balanceInUnits} × $${data.price} = $${data.value.toFixed(2)}`, 'warn');
+            this.log(`     ${symbol}: ${data.balanceInUnits} × $${data.price} = $${formatFund(data.value)}`, 'warn');
           });
         }
 
@@ -611,12 +650,27 @@ class FundUpdater extends Scanner {
         };
       });
 
+      // Token balances are only known for holders the ERC20 call answered for. Without them the
+      // fund is native-only and would be snapshotted and alerted on as a drop, so those addresses
+      // keep their stored fund and stay due for the next run
+      const tokensKnown = new Set(addressBatch
+        .filter(address => tokenAddresses.length === 0 || (!erc20Failed && erc20Balances.has(address)))
+        .map(address => normalizeAddress(address)));
+      const knownUpdates = updates.filter(update => tokensKnown.has(update.address));
+      if (knownUpdates.length < updates.length) {
+        this.log(`⏭️ Skipped ${updates.length - knownUpdates.length}/${updates.length} addresses without token balances - left for the next run`, 'warn');
+      }
+
       // Batch database updates
-      if (updates.length > 0) {
-        await batchUpsertAddresses(this.db, updates, { batchSize: 250 });
+      if (knownUpdates.length > 0) {
+        const previousFunds = await this.loadPreviousFunds(knownUpdates.map(update => update.address));
+        await batchUpsertAddresses(this.db, knownUpdates, { batchSize: 250 });
+        await this.recordFundHistory(knownUpdates, previousFunds);
+        await this.sendFundAlerts(knownUpdates, previousFunds);
+        await this.storeHoldings(holdings.filter(h => tokensKnown.has(h.address)), [...tokensKnown]);
       }
 
-      return updates.length;
+      return knownUpdates.length;
     };
 
     return this.processBatch(addresses, processor, {
@@ -628,6 +682,268 @@ class FundUpdater extends Scanner {
 
 
 
+  /**
+   * Alchemy by-address prices for the token list, reusing token_prices rows from the last
+   * FUNDUPDATEDELAY days (see common/tokenPrices.js)
+   * @returns {Map} token address (lowercase) -> { price, source: 'alchemy'|'canonical' }
+   */
+  async updateAddressPrices(addressToTokenMap) {
+    const tokenAddresses = Object.keys(addressToTokenMap);
+    const prices = await loadAddressPrices(
+      (query, params) => this.queryDB(query, params),
+      this.alchemyClient,
+      this.network,
+      tokenAddresses,
+      {
+        now: this.currentTime,
+        maxAgeSeconds: this.delayDays * 24 * 60 * 60,
+        log: (message, level) => this.log(message, level),
+        sleep: (ms) => this.sleep(ms)
+      }
+    );
+    this.log(`💰 Priced ${prices.size}/${tokenAddresses.length} tokens by address`);
+    return prices;
+  }
+
+  /**
+   * DEX prices for tokens with no by-address price, reusing token_prices rows from the last
+   * FUNDUPDATEDELAY days and asking the on-chain oracle for the rest
+   * @param {Map} knownPrices - token address (lowercase) -> { price } already priced by address
+   * @returns {Map} token address (lowercase) -> { price, source }
+   */
+  async updateDexPrices(addressToTokenMap, knownPrices) {
+    const prices = new Map();
+    const oracleConfig = CONFIG[this.network]?.dexOracle;
+    if (!oracleConfig) return prices;
+
+    const unpriced = Object.entries(addressToTokenMap)
+      .filter(([address, token]) => token.decimals && !knownPrices.has(address.toLowerCase()))
+      .map(([address, token]) => ({ address: address.toLowerCase(), decimals: Number(token.decimals) }));
+    if (unpriced.length === 0) return prices;
+
+    try {
+      const cached = await this.queryDB(`
+        SELECT token, price_usd, source
+        FROM token_prices
+        WHERE network = $1 AND token = ANY($2) AND updated_at >= $3 AND source <> 'alchemy'
+      `, [this.network, unpriced.map(token => token.address), this.currentTime - this.delayDays * 24 * 60 * 60]);
+      for (const row of cached.rows) {
+        prices.set(row.token, { price: parseFloat(row.price_usd), source: row.source });
+      }
+
+      const stale = unpriced.filter(token => !prices.has(token.address));
+      if (stale.length === 0) return prices;
+
+      // Quote tokens are valued by address when possible, else with their symbol prices
+      const quoteSymbols = oracleConfig.quoteTokens.map(quote => quote.symbol);
+      const { symbolDataMap: quoteData } = await this.priceCache.fetchTokenPrices(quoteSymbols);
+      const quotePrices = new Map(oracleConfig.quoteTokens.map(quote => [
+        quote.address.toLowerCase(),
+        knownPrices.get(quote.address.toLowerCase())?.price || quoteData.get(quote.symbol.toLowerCase())?.price || 0
+      ]));
+
+      const { prices: dexPrices, rejected } = await priceTokens(
+        calls => this.multicall(calls),
+        stale,
+        { config: oracleConfig, quotePrices, ...dexOracleSettings() }
+      );
+      for (const [token, reason] of rejected) {
+        this.log(`⚠️ DEX price rejected for ${token}: ${reason}`, 'warn');
+      }
+
+      if (dexPrices.size > 0) {
+        const params = [];
+        const values = [...dexPrices].map(([token, p]) => {
+          const rowParams = [this.network, token, p.priceUsd, p.source, p.pool, p.quoteToken, p.liquidityUsd, this.currentTime];
+          const placeholders = rowParams.map(value => {
+            params.push(value);
+            return `$${params.length}`;
+          });
+          return `(${placeholders.join(', ')})`;
+        });
+        await this.queryDB(`
+          INSERT INTO token_prices (network, token, price_usd, source, pool, quote_token, liquidity_usd, updated_at)
+          VALUES ${values.join(', ')}
+          ON CONFLICT (network, token) DO UPDATE SET
+            price_usd = EXCLUDED.price_usd,
+            source = EXCLUDED.source,
+            pool = EXCLUDED.pool,
+            quote_token = EXCLUDED.quote_token,
+            liquidity_usd = EXCLUDED.liquidity_usd,
+            updated_at = EXCLUDED.updated_at
+        `, params);
+
+        for (const [token, p] of dexPrices) {
+          prices.set(token, { price: p.priceUsd, source: p.source });
+        }
+      }
+
+      this.log(`🦄 DEX prices: ${prices.size}/${unpriced.length} unpriced tokens priced on-chain (${dexPrices.size} refreshed)`);
+    } catch (error) {
+      this.log(`⚠️ DEX price fallback failed: ${error.message}`, 'warn');
+    }
+    return prices;
+  }
+
+  /**
+   * Fund before this update, for addresses that had been measured before
+   * @returns {Map} address -> { fund, updatedAt }
+   */
+  async loadPreviousFunds(addresses) {
+    const previous = new Map();
+    try {
+      const result = await this.queryDB(`
+        SELECT address, fund, last_fund_updated
+        FROM addresses
+        WHERE network = $1 AND address = ANY($2) AND last_fund_updated > 0
+      `, [this.network, addresses]);
+      for (const row of result.rows) {
+        previous.set(row.address, { fund: row.fund ?? '0', updatedAt: Number(row.last_fund_updated) });
+      }
+    } catch (error) {
+      this.log(`⚠️ Failed to load previous funds: ${error.message}`, 'warn');
+    }
+    return previous;
+  }
+
+  /**
+   * Snapshot every updated fund and record the moves past the fund change thresholds
+   */
+  async recordFundHistory(updates, previousFunds) {
+    const events = [];
+    for (const update of updates) {
+      const previous = previousFunds.get(update.address);
+      const event = detectFundChange(previous ? previous.fund : null, update.fund, this.fundChangeThresholds);
+      if (event) events.push({ address: update.address, previousAt: previous.updatedAt, ...event });
+    }
+
+    const insertRows = async (table, columns, rows) => {
+      for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+        const batch = rows.slice(i, i + INSERT_BATCH_SIZE);
+        const params = [];
+        const values = batch.map(row => {
+          const placeholders = row.map(value => {
+            params.push(value);
+            return `$${params.length}`;
+          });
+          return `(${placeholders.join(', ')})`;
+        });
+        await this.queryDB(
+          `INSERT INTO ${table} (${columns}) VALUES ${values.join(', ')} ON CONFLICT DO NOTHING`,
+          params
+        );
+      }
+    };
+
+    try {
+      await insertRows('fund_snapshots', 'network, address, snapshot_at, fund',
+        updates.map(update => [this.network, update.address, this.currentTime, update.fund]));
+
+      if (events.length > 0) {
+        await insertRows('fund_change_events',
+          'network, address, previous_fund, new_fund, change, change_percent, previous_at, detected_at',
+          events.map(e => [this.network, e.address, e.previousFund, e.newFund, e.change, e.changePercent, e.previousAt, this.currentTime]));
+        this.fundChangeEvents += events.length;
+
+        const drains = events.filter(e => e.change.startsWith('-') && e.newFund === '0.00');
+        for (const drain of drains) {
+          this.log(`🚨 ${drain.address} drained: $${drain.previousFund} → $0`, 'warn');
+        }
+      }
+    } catch (error) {
+      this.log(`⚠️ Failed to record fund history: ${error.message}`, 'warn');
+    }
+  }
+
+  /**
+   * Match the alert rules of this network against the updated funds and queue the matches
+   * (see common/alerting.js); webhooks are sent by deliverAlerts once the balance batches are done
+   * Addresses without a previous fund are valued for the first time and count as new. Only updates
+   * with known token balances get here, so a failed ERC20 call never reads as a fund_drop
+   */
+  async sendFundAlerts(updates, previousFunds) {
+    try {
+      const rules = await loadAlertRules((query, params) => this.queryDB(query, params), this.network);
+      let events = [];
+      if (rules.length > 0) {
+        const metadata = await this.queryDB(`
+          SELECT address, contract_name, tags
+          FROM addresses
+          WHERE network = $1 AND address = ANY($2)
+        `, [this.network, updates.map(update => update.address)]);
+        const byAddress = new Map(metadata.rows.map(row => [row.address, row]));
+
+        events = updates.map(update => {
+          const row = byAddress.get(update.address) || {};
+          const tags = row.tags || [];
+          const previous = previousFunds.get(update.address);
+          return {
+            network: this.network,
+            address: update.address,
+            contractName: row.contract_name || null,
+            tags,
+            isContract: tags.includes('Contract'),
+            verified: tags.includes('Verified'),
+            isNew: !previous,
+            previousFund: previous ? previous.fund : null,
+            fund: update.fund
+          };
+        });
+      }
+
+      const result = await processAlerts((query, params) => this.queryDB(query, params), rules, events, {
+        now: this.currentTime,
+        deliver: false
+      });
+      this.alertsQueued += result.recorded;
+    } catch (error) {
+      this.log(`⚠️ Failed to process alerts: ${error.message}`, 'warn');
+    }
+  }
+
+  /**
+   * Upsert the per-token breakdown and drop holdings that were not seen in this update
+   * @param {Array} holdings - { address, token, symbol, balance, decimals, usdValue }
+   * @param {Array} addresses - Every address updated in this batch (native and ERC20 balances refreshed)
+   */
+  async storeHoldings(holdings, addresses) {
+    try {
+      for (let i = 0; i < holdings.length; i += INSERT_BATCH_SIZE) {
+        const batch = holdings.slice(i, i + INSERT_BATCH_SIZE);
+        const values = [];
+        const params = [];
+        let paramIndex = 1;
+        for (const h of batch) {
+          const rowParams = [h.address, this.network, h.token, h.symbol, h.balance, h.decimals, h.usdValue, this.currentTime, h.priceSource];
+          values.push(`(${rowParams.map(() => `$${paramIndex++}`).join(', ')})`);
+          params.push(...rowParams);
+        }
+
+        await this.queryDB(`
+          INSERT INTO address_holdings (address, network, token, symbol, balance, decimals, usd_value, updated_at, price_source)
+          VALUES ${values.join(', ')}
+          ON CONFLICT (network, address, token) DO UPDATE SET
+            symbol = EXCLUDED.symbol,
+            balance = EXCLUDED.balance,
+            decimals = EXCLUDED.decimals,
+            usd_value = EXCLUDED.usd_value,
+            updated_at = EXCLUDED.updated_at,
+            price_source = EXCLUDED.price_source
+        `, params);
+      }
+
+      // Balances that went to zero
+      if (addresses.length > 0) {
+        await this.queryDB(
+          'DELETE FROM address_holdings WHERE network = $1 AND address = ANY($2) AND updated_at < $3',
+          [this.network, normalizeAddressArray(addresses), this.currentTime]
+        );
+      }
+    } catch (error) {
+      this.log(`⚠️ Failed to store holdings: ${error.message}`, 'warn');
+    }
+  }
+
   async run() {
     this.log('🚀 Starting fund update process');
 
@@ -636,6 +952,7 @@ class FundUpdater extends Scanner {
     
     if (addresses.length === 0) {
       this.log('✅ No addresses need fund updates');
+      await this.deliverAlerts();
       return;
     }
 
@@ -645,6 +962,13 @@ class FundUpdater extends Scanner {
     const totalUpdated = results.reduce((sum, count) => sum + count, 0);
     
     this.log(`Updated ${totalUpdated} addresses successfully`);
+    if (this.fundChangeEvents > 0) {
+      this.log(`📈 Recorded ${this.fundChangeEvents} fund change events`);
+    }
+    if (this.alertsQueued > 0) {
+      this.log(`🔔 Queued ${this.alertsQueued} alerts`);
+    }
+    await this.deliverAlerts();
   }
 }
 
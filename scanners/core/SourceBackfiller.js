@@ -0,0 +1,155 @@
+/* eslint-disable no-console */
+/**
+ * Source Backfiller - Fill contract_sources for contracts verified before sources were stored
+ * Finds verified contracts (name_checked) whose code hash has no stored source and fetches
+ * the metadata once per code hash from Etherscan
+ */
+const Scanner = require('../common/Scanner');
+const { upsertContractSources } = require('../common');
+
+class SourceBackfiller extends Scanner {
+  constructor() {
+    super('SourceBackfiller', {
+      timeout: 7200
+    });
+
+    this.maxContracts = parseInt(process.env.SOURCE_BACKFILL_LIMIT || '5000', 10);
+    this.batchSize = 5; // Etherscan rate limit: 5/sec
+
+    this.stats = {
+      candidates: 0,
+      stored: 0,
+      notVerified: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * One verified contract per code hash that has no stored source, highest fund first
+   */
+  async findContractsMissingSource() {
+    const result = await this.queryDB(`
+      SELECT address, code_hash, contract_name
+      FROM (
+        SELECT DISTINCT ON (a.code_hash) a.address, a.code_hash, a.contract_name, a.fund
+        FROM addresses a
+        WHERE a.network = $1
+          AND a.name_checked = true
+          AND a.code_hash IS NOT NULL
+          AND a.code_hash <> $2
+          AND NOT ('SelfDestroyed' = ANY(COALESCE(a.tags, '{}')))
+          AND NOT EXISTS (SELECT 1 FROM contract_sources s WHERE s.code_hash = a.code_hash)
+        ORDER BY a.code_hash, a.fund DESC NULLS LAST
+      ) candidates
+      ORDER BY fund DESC NULLS LAST
+      LIMIT $3
+    `, [this.network, this.ZERO_HASH, this.maxContracts]);
+
+    return result.rows;
+  }
+
+  /**
+   * Fetch getsourcecode for one contract and map it to the contract_sources shape
+   * @returns {Object|null} Source record, or null when Etherscan has no verified source
+   */
+  async fetchSource(row) {
+    const result = await this.etherscanCall({
+      module: 'contract',
+      action: 'getsourcecode',
+      address: row.address
+    });
+
+    const sourceData = Array.isArray(result) ? result[0] : null;
+    if (!sourceData || !sourceData.SourceCode) {
+      return null;
+    }
+
+    let abi = null;
+    try {
+      abi = sourceData.ABI ? JSON.parse(sourceData.ABI) : null;
+    } catch (error) {
+      abi = null; // "Contract source code not verified" and similar strings
+    }
+
+    return {
+      address: row.address,
+      network: this.network,
+      codeHash: row.code_hash,
+      // Keep the name already resolved by the scanner (it may come from the proxy implementation)
+      contractName: row.contract_name || sourceData.ContractName || null,
+      sourceCode: sourceData.SourceCode,
+      abi,
+      compilerVersion: sourceData.CompilerVersion || null,
+      optimization: sourceData.OptimizationUsed === '1',
+      runs: parseInt(sourceData.Runs) || 0,
+      constructorArguments: sourceData.ConstructorArguments || null,
+      evmVersion: sourceData.EVMVersion || 'default',
+      library: sourceData.Library || null,
+      licenseType: sourceData.LicenseType || null,
+      proxy: sourceData.Proxy === '1',
+      implementation: sourceData.Implementation || null,
+      swarmSource: sourceData.SwarmSource || null
+    };
+  }
+
+  async run() {
+    this.log('🚀 Starting contract source backfill');
+
+    const candidates = await this.findContractsMissingSource();
+    this.stats.candidates = candidates.length;
+
+    if (candidates.length === 0) {
+      this.log('✅ All verified contracts already have stored sources');
+      return;
+    }
+
+    this.log(`📖 ${candidates.length} code hashes need source metadata (limit: ${this.maxContracts})`);
+
+    const useEtherscanProxy = process.env.USE_ETHERSCAN_PROXY === 'true';
+
+    for (let i = 0; i < candidates.length; i += this.batchSize) {
+      const batch = candidates.slice(i, i + this.batchSize);
+      const results = await Promise.allSettled(batch.map(row => this.fetchSource(row)));
+
+      const sources = [];
+      results.forEach((result, j) => {
+        if (result.status === 'rejected') {
+          this.stats.failed++;
+          this.log(`⚠️ ${batch[j].address}: ${result.reason?.message || result.reason}`, 'warn');
+        } else if (result.value) {
+          sources.push(result.value);
+        } else {
+          this.stats.notVerified++;
+        }
+      });
+
+      if (sources.length > 0) {
+        const { rowCount } = await upsertContractSources(this.db, sources);
+        this.stats.stored += rowCount;
+      }
+
+      if ((i / this.batchSize) % 20 === 0) {
+        this.log(`📦 Progress: ${Math.min(i + this.batchSize, candidates.length)}/${candidates.length} (${this.stats.stored} stored)`);
+      }
+
+      // Delay between batches to respect rate limits (skip if using proxy)
+      if (!useEtherscanProxy && i + this.batchSize < candidates.length) {
+        await this.sleep(1000);
+      }
+    }
+
+    this.log('🎉 Source backfill complete');
+    this.log(`📊 Stored: ${this.stats.stored}, no longer verified: ${this.stats.notVerified}, failed: ${this.stats.failed}`);
+  }
+}
+
+// Execute if run directly
+if (require.main === module) {
+  const backfiller = new SourceBackfiller();
+  backfiller.execute().catch(error => {
+    console.error('Source backfill failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = SourceBackfiller;
@@ -0,0 +1,263 @@
+/* eslint-disable no-console */
+/**
+ * Token Discovery - Maintain the ranked token list from observed Transfer activity
+ * Takes the busiest tokens from token_transfer_stats (counted by UnifiedScanner), fetches their
+ * metadata once, prices them by address and ranks them together with tokens/{network}.json by
+ * transfer count and priced liquidity. The ranked `tokens` rows replace the JSON file for balance checks.
+ */
+const fs = require('fs');
+const path = require('path');
+const Scanner = require('../common/Scanner');
+const { CONFIG } = require('../config/networks.js');
+const { tokenDiscoverySettings, rankTokens } = require('../common/tokenDiscovery');
+const { loadAddressPrices } = require('../common/tokenPrices');
+
+const DAY = 24 * 60 * 60;
+
+class TokenDiscovery extends Scanner {
+  constructor() {
+    super('TokenDiscovery', {
+      timeout: 7200
+    });
+
+    this.settings = tokenDiscoverySettings();
+    this.metadataConcurrency = 10;
+    this.delayDays = CONFIG.FUNDUPDATEDELAY || 7;
+
+    this.stats = {
+      candidates: 0,
+      metadataFetched: 0,
+      invalid: 0,
+      ranked: 0,
+      newlyRanked: 0
+    };
+  }
+
+  /**
+   * Keep the curated tokens/{network}.json entries in the table so they are ranked alongside discoveries
+   */
+  async seedListTokens() {
+    const filePath = path.join(__dirname, '..', 'tokens', `${this.network}.json`);
+    if (!fs.existsSync(filePath)) return 0;
+
+    const tokens = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+      .filter(token => token.address && token.symbol && token.decimals !== undefined && token.decimals !== null);
+    if (tokens.length === 0) return 0;
+
+    await this.queryDB(`
+      INSERT INTO tokens (token_address, network, symbol, name, decimals, is_valid, source)
+      SELECT t.token_address, $1, t.symbol, t.name, t.decimals, true, 'list'
+      FROM unnest($2::text[], $3::text[], $4::text[], $5::int[]) AS t(token_address, symbol, name, decimals)
+      ON CONFLICT (token_address, network) DO UPDATE SET
+        source = COALESCE(tokens.source, 'list')
+    `, [
+      this.network,
+      tokens.map(token => token.address.toLowerCase()),
+      tokens.map(token => token.symbol.substring(0, 20)),
+      tokens.map(token => (token.name || token.symbol).substring(0, 255)),
+      tokens.map(token => Number(token.decimals))
+    ]);
+    return tokens.length;
+  }
+
+  /**
+   * Busiest recently active tokens that have no tokens row yet
+   */
+  async findNewCandidates() {
+    const result = await this.queryDB(`
+      SELECT s.token_address, s.transfer_count
+      FROM token_transfer_stats s
+      WHERE s.network = $1
+        AND s.last_seen >= $2
+        AND s.transfer_count >= $3
+        AND NOT EXISTS (
+          SELECT 1 FROM tokens t WHERE t.network = s.network AND t.token_address = s.token_address
+        )
+      ORDER BY s.transfer_count DESC
+      LIMIT $4
+    `, [
+      this.network,
+      this.currentTime - this.settings.windowDays * DAY,
+      this.settings.minTransfers,
+      this.settings.candidates
+    ]);
+    return result.rows;
+  }
+
+  /**
+   * Fetch metadata for new candidates and store them; tokens without decimals or symbol are kept
+   * as invalid so they are not fetched again
+   */
+  async addCandidates(candidates) {
+    for (let i = 0; i < candidates.length; i += this.metadataConcurrency) {
+      const batch = candidates.slice(i, i + this.metadataConcurrency);
+      const results = await Promise.allSettled(
+        batch.map(async candidate => this.alchemyClient.getTokenMetadata(candidate.token_address))
+      );
+
+      const rows = [];
+      results.forEach((result, j) => {
+        if (result.status === 'rejected') {
+          this.log(`⚠️ Metadata for ${batch[j].token_address}: ${result.reason?.message || result.reason}`, 'warn');
+          return;
+        }
+        const metadata = result.value || {};
+        const decimals = Number.isInteger(metadata.decimals) ? metadata.decimals : null;
+        const symbol = metadata.symbol ? String(metadata.symbol).substring(0, 20) : null;
+        const valid = decimals !== null && decimals <= 36 && Boolean(symbol);
+        if (!valid) this.stats.invalid++;
+        rows.push([batch[j].token_address, symbol, (metadata.name || symbol || '').substring(0, 255), decimals, valid]);
+      });
+
+      if (rows.length > 0) {
+        await this.queryDB(`
+          INSERT INTO tokens (token_address, network, symbol, name, decimals, is_valid, source, discovered_at)
+          SELECT t.token_address, $1, t.symbol, t.name, t.decimals, t.is_valid, 'discovered', $2
+          FROM unnest($3::text[], $4::text[], $5::text[], $6::int[], $7::boolean[])
+            AS t(token_address, symbol, name, decimals, is_valid)
+          ON CONFLICT (token_address, network) DO NOTHING
+        `, [
+          this.network,
+          this.currentTime,
+          rows.map(row => row[0]),
+          rows.map(row => row[1]),
+          rows.map(row => row[2]),
+          rows.map(row => row[3]),
+          rows.map(row => row[4])
+        ]);
+        this.stats.metadataFetched += rows.length;
+      }
+    }
+  }
+
+  /**
+   * Every valid token of this network with its recent transfer count and priced liquidity:
+   * USD held by indexed addresses (address_holdings) plus DEX pool liquidity (token_prices)
+   */
+  async loadRankingInputs() {
+    const tokens = await this.queryDB(`
+      SELECT t.token_address, t.rank,
+        CASE WHEN s.last_seen >= $2 THEN s.transfer_count ELSE 0 END AS transfer_count
+      FROM tokens t
+      LEFT JOIN token_transfer_stats s ON s.network = t.network AND s.token_address = t.token_address
+      WHERE t.network = $1 AND t.is_valid AND t.decimals IS NOT NULL
+    `, [this.network, this.currentTime - this.settings.windowDays * DAY]);
+    const addresses = tokens.rows.map(row => row.token_address.toLowerCase());
+    if (addresses.length === 0) return [];
+
+    const addressPrices = await loadAddressPrices(
+      (query, params) => this.queryDB(query, params),
+      this.alchemyClient,
+      this.network,
+      addresses,
+      {
+        now: this.currentTime,
+        maxAgeSeconds: this.delayDays * DAY,
+        log: (message, level) => this.log(message, level),
+        sleep: (ms) => this.sleep(ms)
+      }
+    );
+
+    const [dex, holdings] = await Promise.all([
+      this.queryDB(`
+        SELECT token, liquidity_usd
+        FROM token_prices
+        WHERE network = $1 AND token = ANY($2) AND source <> 'alchemy' AND updated_at >= $3
+      `, [this.network, addresses, this.currentTime - this.delayDays * DAY]),
+      this.queryDB(`
+        SELECT token, SUM(usd_value) AS usd_value
+        FROM address_holdings
+        WHERE network = $1 AND token = ANY($2) AND usd_value IS NOT NULL
+        GROUP BY token
+      `, [this.network, addresses])
+    ]);
+    const dexLiquidity = new Map(dex.rows.map(row => [row.token, Number(row.liquidity_usd || 0)]));
+    const heldUsd = new Map(holdings.rows.map(row => [row.token, Number(row.usd_value || 0)]));
+
+    return tokens.rows.map(row => {
+      const address = row.token_address.toLowerCase();
+      return {
+        address,
+        previousRank: row.rank,
+        transferCount: Number(row.transfer_count || 0),
+        priced: addressPrices.has(address) || dexLiquidity.has(address),
+        pricedUsd: (heldUsd.get(address) || 0) + (dexLiquidity.get(address) || 0)
+      };
+    });
+  }
+
+  /**
+   * Write ranks; tokens that fell out of the list lose their rank first, while tokens that stay keep one throughout
+   */
+  async saveRanking(ranked) {
+    const listed = ranked.filter(token => token.rank !== null);
+
+    await this.queryDB(`
+      UPDATE tokens SET rank = NULL
+      WHERE network = $1 AND rank IS NOT NULL AND NOT (token_address = ANY($2))
+    `, [this.network, listed.map(token => token.address)]);
+
+    await this.queryDB(`
+      UPDATE tokens t SET
+        rank = r.rank,
+        transfer_count = r.transfer_count,
+        priced_usd = r.priced_usd,
+        last_ranked = $2
+      FROM unnest($3::text[], $4::int[], $5::bigint[], $6::numeric[]) AS r(token_address, rank, transfer_count, priced_usd)
+      WHERE t.network = $1 AND t.token_address = r.token_address
+    `, [
+      this.network,
+      this.currentTime,
+      ranked.map(token => token.address),
+      ranked.map(token => token.rank),
+      ranked.map(token => token.transferCount),
+      ranked.map(token => Math.round(token.pricedUsd * 100) / 100)
+    ]);
+
+    this.stats.ranked = listed.length;
+    this.stats.newlyRanked = listed.filter(token => token.previousRank === null || token.previousRank === undefined).length;
+  }
+
+  async run() {
+    const { minTransfers, windowDays, listSize } = this.settings;
+    this.log(`🚀 Starting token discovery (min ${minTransfers} transfers in ${windowDays} days, list size ${listSize})`);
+
+    const seeded = await this.seedListTokens();
+    if (seeded > 0) this.log(`📋 ${seeded} tokens from tokens/${this.network}.json kept in the list`);
+
+    const candidates = await this.findNewCandidates();
+    this.stats.candidates = candidates.length;
+    if (candidates.length > 0) {
+      this.log(`🔎 ${candidates.length} new tokens with Transfer activity, fetching metadata...`);
+      await this.addCandidates(candidates);
+    }
+
+    const inputs = await this.loadRankingInputs();
+    if (inputs.length === 0) {
+      this.log('⚠️ No valid tokens to rank', 'warn');
+      return;
+    }
+
+    const ranked = rankTokens(inputs, listSize);
+    await this.saveRanking(ranked);
+
+    const top = ranked.filter(token => token.rank !== null).slice(0, 5);
+    for (const token of top) {
+      this.log(`  #${token.rank} ${token.address} (${token.transferCount.toLocaleString()} transfers, $${Math.round(token.pricedUsd).toLocaleString()} priced)`);
+    }
+
+    this.log('🎉 Token discovery complete');
+    this.log(`📊 Candidates: ${this.stats.candidates}, metadata fetched: ${this.stats.metadataFetched} (${this.stats.invalid} invalid), ranked: ${this.stats.ranked} (${this.stats.newlyRanked} new)`);
+  }
+}
+
+// Execute if run directly
+if (require.main === module) {
+  const discovery = new TokenDiscovery();
+  discovery.execute().catch(error => {
+    console.error('Token discovery failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = TokenDiscovery;
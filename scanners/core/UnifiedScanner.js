@@ -2,11 +2,12 @@
 /**
  * Unified Scanner - Complete Blockchain Analysis Pipeline
  * Combines active address scanning, EOA filtering, and contract verification in a single efficient pipeline
- * Multi-stage pipeline: Transfer Events → Filter Existing → EOA Detection → Contract Verification → Database Storage
+ * Multi-stage pipeline: Discovery Events (Transfer by default) → Filter Existing → EOA Detection → Contract Verification → Database Storage
  */
 const Scanner = require('../common/Scanner');
 const { 
   batchUpsertAddresses, 
+  upsertContractSources,
   normalizeAddress, 
   normalizeAddressArray,
   BATCH_SIZES, 
@@ -14,8 +15,17 @@ const {
   PERFORMANCE, 
   PROCESSING, 
   BLOCKCHAIN_CONSTANTS,
-  withTimeoutAndRetry
+  withTimeoutAndRetry,
+  HttpRpcClient,
+  now
 } = require('../common');
+const { TRACE_METHODS, fetchBlockCreations } = require('../common/traceDiscovery');
+const { DEFAULT_DISCOVERY_SOURCES, resolveDiscoverySources, buildTopicFilter, extractAddresses } = require('../common/discoverySources');
+const { detectProxy } = require('../common/proxyDetector');
+const { classifyToken } = require('../common/tokenClassifier');
+const { DELEGATION_PREFIX, delegationCodeHash, parseDelegation } = require('../common/eip7702');
+const { countTokenTransfers } = require('../common/tokenDiscovery');
+const { loadAlertRules, processAlerts } = require('../common/alerting');
 const { CONFIG } = require('../config/networks.js');
 
 class UnifiedScanner extends Scanner {
@@ -32,10 +42,41 @@ class UnifiedScanner extends Scanner {
     });
     
     this.timeDelay = CONFIG.TIMEDELAY || 1;
-    this.transferEvent = BLOCKCHAIN_CONSTANTS.TRANSFER_EVENT;
+    // Log discovery sources: DISCOVERY_SOURCES env (comma-separated names) overrides the network config
+    const sourceEntries = process.env.DISCOVERY_SOURCES
+      ? process.env.DISCOVERY_SOURCES.split(',').map(name => name.trim()).filter(Boolean)
+      : (this.config?.discoverySources || DEFAULT_DISCOVERY_SOURCES);
+    this.discoverySources = resolveDiscoverySources(sourceEntries);
+    this.discoveryFilter = buildTopicFilter(this.discoverySources);
     this.blockRetryCount = new Map(); // Track retry attempts for each block range
     this.permanentlyExcludedBlocks = new Set(); // Track blocks that permanently failed getLogs
 
+    // Scan checkpoint and coverage gap tracking
+    this.ignoreCheckpoint = process.env.IGNORE_CHECKPOINT === 'true';
+    this.checkpointMaxLookback = CONFIG.CHECKPOINT_MAX_LOOKBACK || 48; // hours
+    this.openGaps = [];             // Unresolved gaps loaded from scan_gaps
+
+    // Historical backfill mode (FROM_BLOCK/TO_BLOCK or FROM_DATE/TO_DATE)
+    this.backfillMode = Boolean(process.env.FROM_BLOCK || process.env.FROM_DATE);
+    this.backfillConcurrency = Math.max(1, parseInt(process.env.BACKFILL_CONCURRENCY || '2', 10));
+    this.backfillSegmentBlocks = parseInt(process.env.BACKFILL_SEGMENT_BLOCKS || '0', 10) || null;
+    this.BACKFILL_TARGET_LOGS = 2000000; // Logs per segment when sizing from learned density
+
+    // Reorg detection: blocks within `confirmations` of head form the unconfirmed tail
+    this.confirmations = this.config?.confirmations ?? BLOCKCHAIN_CONSTANTS.DEFAULT_CONFIRMATIONS;
+    this.tailStartBlock = null;       // First tail block of the current live scan
+    this.tailBlockHashes = new Map(); // blockNumber -> blockHash seen in tail logs
+    this.tailSightings = new Map();   // address -> first tail block it appeared in
+
+    // Trace-based contract creation discovery (off unless the network's RPCs support tracing)
+    this.traceMethod = process.env.TRACE_DISCOVERY || this.config?.traceDiscovery || null;
+    if (this.traceMethod && !TRACE_METHODS.includes(this.traceMethod)) {
+      throw new Error(`Invalid trace discovery method: ${this.traceMethod} (expected ${TRACE_METHODS.join(' or ')})`);
+    }
+    this.traceConcurrency = Math.max(1, parseInt(process.env.TRACE_CONCURRENCY || '5', 10));
+    this.traceClient = null;          // HttpRpcClient, created on first use
+    this.creationInfo = new Map();    // address -> traced creation awaiting processing
+
     // Log density learning system
     this.logDensityStats = {
       samples: [],           // Array of {blocks, logs, logsPerBlock}
@@ -58,9 +99,20 @@ class UnifiedScanner extends Scanner {
       contractsFound: 0,
       contractsVerified: 0,
       contractsUnverified: 0,
+      gapsRecorded: 0,
+      reorgsDetected: 0,
+      contractsCreated: 0,
+      proxiesDetected: 0,
+      tokenStandards: {},
+      eip7702Delegations: 0,
+      eip7702Revocations: 0,
+      sourceNewAddresses: {}, // source name -> new addresses found
       errors: 0
     };
 
+    // EIP-7702: designator code hash -> delegate (loaded lazily), and code hashes known not to be designators
+    this.delegationHashes = null;
+    this.regularCodeHashes = new Set();
   }
 
   /**
@@ -141,20 +193,561 @@ class UnifiedScanner extends Scanner {
 
 
 
+  /**
+   * Load the last fully processed block for this network
+   * @returns {number|null} Block number, or null if no checkpoint exists
+   */
+  async loadCheckpoint() {
+    try {
+      const result = await this.queryDB(
+        'SELECT last_processed_block FROM scan_checkpoints WHERE network = $1',
+        [this.network]
+      );
+      return result.rows.length > 0 ? parseInt(result.rows[0].last_processed_block, 10) : null;
+    } catch (error) {
+      this.log(`⚠️ Failed to load scan checkpoint: ${error.message}`, 'warn');
+      return null;
+    }
+  }
+
+  /**
+   * Persist the last fully processed block (never moves the checkpoint backwards)
+   * @param {number} blockNumber - Last block whose addresses were fully processed
+   */
+  async saveCheckpoint(blockNumber) {
+    try {
+      const query = `
+        INSERT INTO scan_checkpoints (network, last_processed_block, updated_at)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (network) DO UPDATE SET
+          last_processed_block = GREATEST(scan_checkpoints.last_processed_block, EXCLUDED.last_processed_block),
+          updated_at = EXCLUDED.updated_at
+      `;
+      await this.queryDB(query, [this.network, blockNumber, now()]);
+    } catch (error) {
+      this.log(`⚠️ Failed to save scan checkpoint ${blockNumber}: ${error.message}`, 'warn');
+    }
+  }
+
+  /**
+   * Record a block range that was not scanned so coverage reports can surface it
+   * @param {number} fromBlock - First block of the gap
+   * @param {number} toBlock - Last block of the gap
+   * @param {string} reason - Why the range was skipped
+   */
+  async recordGap(fromBlock, toBlock, reason) {
+    this.stats.gapsRecorded++;
+    this.log(`🕳️ Coverage gap: blocks ${fromBlock}-${toBlock} (${reason})`, 'warn');
+
+    try {
+      const query = `
+        INSERT INTO scan_gaps (network, from_block, to_block, reason, detected_at)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (network, from_block, to_block) DO UPDATE SET
+          reason = EXCLUDED.reason,
+          detected_at = EXCLUDED.detected_at,
+          resolved_at = NULL
+      `;
+      await this.queryDB(query, [this.network, fromBlock, toBlock, reason.slice(0, 500), now()]);
+    } catch (error) {
+      this.log(`⚠️ Failed to record gap ${fromBlock}-${toBlock}: ${error.message}`, 'warn');
+    }
+  }
+
+  /**
+   * Resolve the parts of open gaps covered by a successfully processed range
+   * Gaps inside the range are resolved; a gap that only overlaps it is resolved and its uncovered
+   * ends are stored as new open gaps, so gaps wider than one rescan batch shrink batch by batch
+   */
+  async resolveGaps(fromBlock, toBlock) {
+    const overlapping = this.openGaps.filter(gap => gap.from <= toBlock && gap.to >= fromBlock);
+    if (overlapping.length === 0) return;
+
+    try {
+      // One statement, so a failure leaves neither the resolved rows nor their remainders behind
+      const query = `
+        WITH covered AS (
+          UPDATE scan_gaps SET resolved_at = $4
+          WHERE network = $1 AND from_block <= $3 AND to_block >= $2 AND resolved_at IS NULL
+          RETURNING from_block, to_block, reason, detected_at
+        ), remainders AS (
+          SELECT from_block, $2::bigint - 1 AS to_block, reason, detected_at FROM covered WHERE from_block < $2
+          UNION ALL
+          SELECT $3::bigint + 1, to_block, reason, detected_at FROM covered WHERE to_block > $3
+        )
+        INSERT INTO scan_gaps (network, from_block, to_block, reason, detected_at)
+        SELECT DISTINCT ON (from_block, to_block) $1, from_block, to_block, reason, detected_at FROM remainders
+        ON CONFLICT (network, from_block, to_block) DO UPDATE SET resolved_at = NULL
+      `;
+      await this.queryDB(query, [this.network, fromBlock, toBlock, now()]);
+
+      const remainders = overlapping.flatMap(gap => [
+        ...(gap.from < fromBlock ? [{ ...gap, to: fromBlock - 1 }] : []),
+        ...(gap.to > toBlock ? [{ ...gap, from: toBlock + 1 }] : [])
+      ]);
+      this.openGaps = [...this.openGaps.filter(gap => !overlapping.includes(gap)), ...remainders]
+        .sort((a, b) => a.from - b.from);
+
+      const trimmed = overlapping.filter(gap => gap.from < fromBlock || gap.to > toBlock).length;
+      this.log(`🩹 Coverage gaps in blocks ${fromBlock}-${toBlock}: ${overlapping.length - trimmed} resolved, ${trimmed} trimmed`);
+    } catch (error) {
+      this.log(`⚠️ Failed to resolve gaps in ${fromBlock}-${toBlock}: ${error.message}`, 'warn');
+    }
+  }
+
+  /**
+   * Load unresolved gaps for this network and log a short coverage report
+   */
+  async reportGaps() {
+    try {
+      const result = await this.queryDB(`
+        SELECT from_block, to_block, reason
+        FROM scan_gaps
+        WHERE network = $1 AND resolved_at IS NULL
+        ORDER BY from_block
+      `, [this.network]);
+
+      this.openGaps = result.rows.map(row => ({
+        from: parseInt(row.from_block, 10),
+        to: parseInt(row.to_block, 10),
+        reason: row.reason
+      }));
+
+      if (this.openGaps.length === 0) {
+        this.log('📋 Coverage: no open gaps');
+        return;
+      }
+
+      const missingBlocks = this.openGaps.reduce((sum, gap) => sum + (gap.to - gap.from + 1), 0);
+      this.log(`📋 Coverage: ${this.openGaps.length} open gap(s), ${missingBlocks} blocks not scanned`, 'warn');
+      for (const gap of this.openGaps.slice(0, 10)) {
+        this.log(`   ${gap.from}-${gap.to}: ${gap.reason || 'unknown'}`, 'warn');
+      }
+      if (this.openGaps.length > 10) {
+        this.log(`   ... and ${this.openGaps.length - 10} more`, 'warn');
+      }
+    } catch (error) {
+      this.log(`⚠️ Failed to load coverage gaps: ${error.message}`, 'warn');
+    }
+  }
+
+  /**
+   * Move the checkpoint back (used after a reorg so the affected range is rescanned)
+   * Errors propagate so the reorg rollback transaction is undone with it
+   */
+  async rewindCheckpoint(blockNumber) {
+    await this.queryDB(`
+      UPDATE scan_checkpoints
+      SET last_processed_block = LEAST(last_processed_block, $2), updated_at = $3
+      WHERE network = $1
+    `, [this.network, blockNumber, now()]);
+  }
+
+  /**
+   * Re-check the tail block hashes recorded by the previous run against the canonical chain
+   * On mismatch, undo addresses that came from orphaned blocks and rewind the checkpoint
+   * so the affected range is rescanned by this run
+   */
+  async checkForReorg() {
+    let recorded;
+    try {
+      const result = await this.queryDB(
+        'SELECT block_number, block_hash FROM block_hashes WHERE network = $1 ORDER BY block_number',
+        [this.network]
+      );
+      recorded = result.rows.map(row => ({ block: parseInt(row.block_number, 10), hash: row.block_hash }));
+    } catch (error) {
+      this.log(`⚠️ Failed to load tail block hashes: ${error.message}`, 'warn');
+      return null;
+    }
+
+    if (recorded.length === 0) return null;
+
+    this.log(`🔗 Checking ${recorded.length} tail block hashes for reorgs...`);
+
+    // Rows are ordered, so the first mismatch is the lowest orphaned block
+    let reorgBlock = null;
+    const batchSize = 10;
+    for (let i = 0; i < recorded.length && reorgBlock === null; i += batchSize) {
+      const batch = recorded.slice(i, i + batchSize);
+      const blocks = await Promise.all(batch.map(row => this.getBlockByNumber(row.block).catch(() => null)));
+
+      for (let j = 0; j < batch.length; j++) {
+        const canonicalHash = blocks[j]?.hash;
+        if (canonicalHash && canonicalHash.toLowerCase() !== batch[j].hash.toLowerCase()) {
+          reorgBlock = batch[j].block;
+          break;
+        }
+      }
+    }
+
+    if (reorgBlock === null) {
+      this.log('🔗 No reorg detected in the recorded tail');
+      return null;
+    }
+
+    this.stats.reorgsDetected++;
+    this.log(`⚠️ Reorg detected: block ${reorgBlock} is no longer canonical`, 'warn');
+    await this.rollbackOrphanedBlocks(reorgBlock);
+    return reorgBlock;
+  }
+
+  /**
+   * Undo data indexed from orphaned blocks (fromBlock and later) in one transaction
+   * Only rows whose first sighting lies in the orphaned range and that were not re-seen since
+   * (first_seen unchanged) are removed, together with their holdings, fund history and any
+   * source metadata no remaining address uses, so the rescan re-adds only canonical addresses
+   */
+  async rollbackOrphanedBlocks(fromBlock) {
+    try {
+      await this.queryDB('BEGIN');
+
+      const removed = await this.queryDB(`
+        DELETE FROM addresses a
+        USING reorg_tail_sightings s
+        WHERE s.network = $1 AND s.block_number >= $2
+          AND a.network = s.network
+          AND a.address = s.address
+          AND a.first_seen = s.first_seen
+        RETURNING a.address, a.code_hash
+      `, [this.network, fromBlock]);
+
+      if (removed.rows.length > 0) {
+        const addresses = removed.rows.map(row => row.address);
+        for (const table of ['eip7702_delegations', 'address_holdings', 'fund_snapshots']) {
+          await this.queryDB(`DELETE FROM ${table} WHERE network = $1 AND address = ANY($2)`, [this.network, addresses]);
+        }
+
+        const codeHashes = [...new Set(removed.rows.map(row => row.code_hash).filter(Boolean))];
+        if (codeHashes.length > 0) {
+          await this.queryDB(`
+            DELETE FROM contract_sources cs
+            WHERE cs.code_hash = ANY($1)
+              AND NOT EXISTS (SELECT 1 FROM addresses a WHERE a.code_hash = cs.code_hash)
+          `, [codeHashes]);
+        }
+      }
+      await this.queryDB('DELETE FROM reorg_tail_sightings WHERE network = $1 AND block_number >= $2', [this.network, fromBlock]);
+      await this.queryDB('DELETE FROM contract_creations WHERE network = $1 AND block_number >= $2', [this.network, fromBlock]);
+      await this.queryDB('DELETE FROM block_hashes WHERE network = $1 AND block_number >= $2', [this.network, fromBlock]);
+      await this.rewindCheckpoint(fromBlock - 1);
+
+      await this.queryDB('COMMIT');
+      this.log(`⏪ Rolled back ${removed.rowCount} address(es) first seen in orphaned blocks; rescanning from ${fromBlock}`, 'warn');
+    } catch (error) {
+      await this.queryDB('ROLLBACK').catch(() => {});
+      this.log(`❌ Reorg rollback from block ${fromBlock} failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Remember tail block hashes and the first tail block each address appeared in
+   * Addresses also seen in a confirmed block of the same batch are marked with null, so a reorg
+   * never removes them
+   * @param {Object} log - Raw log entry
+   * @param {Array<string>} logAddresses - Normalized addresses extracted from the log
+   */
+  trackTailLog(log, logAddresses) {
+    const blockNumber = parseInt(log.blockNumber, 16);
+    if (this.tailStartBlock === null) return;
+
+    if (blockNumber < this.tailStartBlock) {
+      logAddresses.forEach(address => this.tailSightings.set(address, null));
+      return;
+    }
+
+    if (log.blockHash && !this.tailBlockHashes.has(blockNumber)) {
+      this.tailBlockHashes.set(blockNumber, log.blockHash.toLowerCase());
+    }
+    for (const address of logAddresses) {
+      const seenAt = this.tailSightings.get(address);
+      if (seenAt === undefined || (seenAt !== null && blockNumber < seenAt)) {
+        this.tailSightings.set(address, blockNumber);
+      }
+    }
+  }
+
+  /**
+   * Store block hashes; the first recorded hash wins so a mid-run reorg is caught next run
+   * @param {Array} entries - [blockNumber, blockHash] pairs
+   */
+  async saveTailBlockHashes(entries) {
+    if (entries.length === 0) return;
+
+    await this.queryDB(`
+      INSERT INTO block_hashes (network, block_number, block_hash, recorded_at)
+      SELECT $1, h.block_number, h.block_hash, $4
+      FROM unnest($2::bigint[], $3::text[]) AS h(block_number, block_hash)
+      ON CONFLICT (network, block_number) DO NOTHING
+    `, [this.network, entries.map(e => e[0]), entries.map(e => e[1]), now()]);
+  }
+
+  /**
+   * Record which stored addresses were first seen in unconfirmed blocks
+   * @param {Array<string>} storedAddresses - Normalized addresses that were just inserted
+   */
+  async recordTailSightings(storedAddresses) {
+    if (this.tailSightings.size === 0) return;
+
+    const sightings = storedAddresses
+      .filter(address => this.tailSightings.get(address) != null)
+      .map(address => [address, this.tailSightings.get(address)]);
+    if (sightings.length === 0) return;
+
+    try {
+      await this.queryDB(`
+        INSERT INTO reorg_tail_sightings (network, address, block_number, first_seen)
+        SELECT $1, s.address, s.block_number, $4
+        FROM unnest($2::text[], $3::bigint[]) AS s(address, block_number)
+        ON CONFLICT (network, address) DO NOTHING
+      `, [this.network, sightings.map(s => s[0]), sightings.map(s => s[1]), this.currentTime]);
+
+      // Save the hashes of those blocks right away so an interrupted run can still detect the reorg
+      const blocks = [...new Set(sightings.map(s => s[1]))].filter(block => this.tailBlockHashes.has(block));
+      await this.saveTailBlockHashes(blocks.map(block => [block, this.tailBlockHashes.get(block)]));
+    } catch (error) {
+      this.log(`⚠️ Failed to record tail sightings: ${error.message}`, 'warn');
+    }
+  }
+
+  /**
+   * After a live scan, record hashes for the whole unconfirmed tail and drop entries that are now confirmed
+   */
+  async finalizeTail(toBlock) {
+    if (this.tailStartBlock === null || this.tailStartBlock > toBlock) return;
+
+    try {
+      const missing = [];
+      for (let block = this.tailStartBlock; block <= toBlock; block++) {
+        if (!this.tailBlockHashes.has(block)) missing.push(block);
+      }
+
+      const batchSize = 10;
+      for (let i = 0; i < missing.length; i += batchSize) {
+        const batch = missing.slice(i, i + batchSize);
+        const blocks = await Promise.all(batch.map(block => this.getBlockByNumber(block).catch(() => null)));
+        blocks.forEach((block, j) => {
+          if (block?.hash) this.tailBlockHashes.set(batch[j], block.hash.toLowerCase());
+        });
+      }
+
+      const entries = [];
+      for (let block = this.tailStartBlock; block <= toBlock; block++) {
+        if (this.tailBlockHashes.has(block)) entries.push([block, this.tailBlockHashes.get(block)]);
+      }
+      await this.saveTailBlockHashes(entries);
+
+      await this.queryDB('DELETE FROM block_hashes WHERE network = $1 AND block_number < $2', [this.network, this.tailStartBlock]);
+      await this.queryDB('DELETE FROM reorg_tail_sightings WHERE network = $1 AND block_number < $2', [this.network, this.tailStartBlock]);
+
+      this.log(`🔗 Recorded ${entries.length} tail block hashes (${this.tailStartBlock}-${toBlock}, ${this.confirmations} confirmations)`);
+    } catch (error) {
+      this.log(`⚠️ Failed to record tail block hashes: ${error.message}`, 'warn');
+    }
+  }
+
+  getTraceClient() {
+    if (!this.traceClient) {
+      this.traceClient = new HttpRpcClient(this.network);
+    }
+    return this.traceClient;
+  }
+
+  /**
+   * Find contracts deployed in [fromBlock, toBlock] by tracing each block
+   * Catches deployments that never touch a Transfer event, including factory CREATE/CREATE2
+   * @returns {Object} { creations, failedBlocks } - creations carry `deployed` from the block timestamp
+   */
+  async discoverCreations(fromBlock, toBlock) {
+    const client = this.getTraceClient();
+    const creations = [];
+    const failedBlocks = [];
+
+    for (let start = fromBlock; start <= toBlock; start += this.traceConcurrency) {
+      const batch = [];
+      for (let block = start; block <= Math.min(start + this.traceConcurrency - 1, toBlock); block++) {
+        batch.push(block);
+      }
+
+      const results = await Promise.allSettled(batch.map(block => fetchBlockCreations(client, block, this.traceMethod)));
+      results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+          creations.push(...result.value);
+        } else {
+          failedBlocks.push(batch[i]);
+        }
+      });
+    }
+
+    // Block timestamps give the deployment time without a getcontractcreation lookup
+    const creationBlocks = [...new Set(creations.map(creation => creation.blockNumber))];
+    const timestamps = new Map();
+    const batchSize = 10;
+    for (let i = 0; i < creationBlocks.length; i += batchSize) {
+      const batch = creationBlocks.slice(i, i + batchSize);
+      const blocks = await Promise.all(batch.map(block => this.getBlockByNumber(block).catch(() => null)));
+      blocks.forEach((block, j) => {
+        if (block?.timestamp) timestamps.set(batch[j], parseInt(block.timestamp, 16));
+      });
+    }
+    creations.forEach(creation => {
+      creation.deployed = timestamps.get(creation.blockNumber) || null;
+    });
+
+    return { creations, failedBlocks };
+  }
+
+  /**
+   * Trace a fetched range, persist its deployments and return the addresses to feed into the pipeline
+   * @returns {Object} { addresses, failedBlocks }
+   */
+  async traceCreations(fromBlock, toBlock) {
+    const addresses = new Set();
+    let creations = [];
+    let failedBlocks = [];
+
+    try {
+      ({ creations, failedBlocks } = await this.discoverCreations(fromBlock, toBlock));
+    } catch (error) {
+      this.log(`⚠️ Trace discovery failed for blocks ${fromBlock}-${toBlock}: ${error.message}`, 'warn');
+      return { addresses, failedBlocks: [fromBlock, toBlock] };
+    }
+
+    for (const creation of creations) {
+      this.creationInfo.set(creation.address, creation);
+      addresses.add(creation.address);
+      if (creation.deployer) addresses.add(creation.deployer);
+
+      if (this.tailStartBlock !== null && toBlock >= this.tailStartBlock) {
+        this.trackTailLog({ blockNumber: `0x${creation.blockNumber.toString(16)}` }, [creation.address, creation.deployer].filter(Boolean));
+      }
+    }
+
+    if (creations.length > 0) {
+      this.stats.contractsCreated += creations.length;
+      await this.saveContractCreations(creations);
+      this.log(`🏗️ Traced ${creations.length} contract creations in blocks ${fromBlock}-${toBlock}`);
+    }
+    if (failedBlocks.length > 0) {
+      this.log(`⚠️ ${this.traceMethod} failed for ${failedBlocks.length} block(s) in ${fromBlock}-${toBlock}`, 'warn');
+    }
+
+    return { addresses, failedBlocks };
+  }
+
+  /**
+   * Store traced deployments and fill in `deployed` for already indexed addresses that lack it
+   * A later deployment at the same address (CREATE2 redeploy) replaces the earlier one
+   */
+  async saveContractCreations(creations) {
+    try {
+      await this.queryDB(`
+        INSERT INTO contract_creations (network, address, deployer, block_number, tx_hash, creation_type, deployed, discovered_at)
+        SELECT $1, c.address, c.deployer, c.block_number, c.tx_hash, c.creation_type, c.deployed, $8
+        FROM unnest($2::text[], $3::text[], $4::bigint[], $5::text[], $6::text[], $7::bigint[])
+          AS c(address, deployer, block_number, tx_hash, creation_type, deployed)
+        ON CONFLICT (network, address) DO UPDATE SET
+          deployer = EXCLUDED.deployer,
+          block_number = EXCLUDED.block_number,
+          tx_hash = EXCLUDED.tx_hash,
+          creation_type = EXCLUDED.creation_type,
+          deployed = EXCLUDED.deployed,
+          discovered_at = EXCLUDED.discovered_at
+        WHERE contract_creations.block_number < EXCLUDED.block_number
+      `, [
+        this.network,
+        creations.map(c => c.address),
+        creations.map(c => c.deployer),
+        creations.map(c => c.blockNumber),
+        creations.map(c => c.txHash),
+        creations.map(c => c.creationType),
+        creations.map(c => c.deployed),
+        now()
+      ]);
+
+      await this.queryDB(`
+        UPDATE addresses a
+        SET deployed = c.deployed
+        FROM contract_creations c
+        WHERE c.network = $1 AND c.address = ANY($2)
+          AND a.network = c.network AND a.address = c.address
+          AND a.deployed IS NULL AND c.deployed IS NOT NULL
+      `, [this.network, creations.map(c => c.address)]);
+    } catch (error) {
+      this.log(`⚠️ Failed to store contract creations: ${error.message}`, 'warn');
+    }
+  }
+
+  /**
+   * Record that a discovery source found an address
+   * @param {Map} addressSources - address -> Set of source names
+   */
+  noteAddressSource(addressSources, address, sourceName) {
+    let sources = addressSources.get(address);
+    if (!sources) {
+      sources = new Set();
+      addressSources.set(address, sources);
+    }
+    sources.add(sourceName);
+  }
+
+  /**
+   * Credit each source with the new (not yet indexed) addresses it found
+   * An address found by several sources counts for each of them
+   */
+  countSourceNewAddresses(newAddresses, addressSources) {
+    for (const address of newAddresses) {
+      for (const sourceName of addressSources.get(address) || []) {
+        this.stats.sourceNewAddresses[sourceName] = (this.stats.sourceNewAddresses[sourceName] || 0) + 1;
+      }
+    }
+  }
+
   async getTargetBlocks() {
     const targetHours = this.timeDelay;
-    
+
     // Calculate target timestamp
     const targetTimestamp = this.currentTime - (targetHours * 60 * 60);
-    
+
     this.log(`🔍 Finding blocks for last ${targetHours} hours...`);
-    
+
     // getBlockByTime now handles validation internally
-    const fromBlock = await this.getBlockByTime(targetTimestamp);
+    const windowStart = await this.getBlockByTime(targetTimestamp);
     const currentBlock = await this.getBlockNumber();
-    
-    
-    this.log(`📈 Scan range: blocks ${fromBlock} → ${currentBlock} (${currentBlock - fromBlock} blocks)`);
+    let fromBlock = windowStart;
+
+    const checkpoint = this.ignoreCheckpoint ? null : await this.loadCheckpoint();
+    if (this.ignoreCheckpoint) {
+      this.log('⚠️ IGNORE_CHECKPOINT set - scanning the full time window');
+    } else if (checkpoint !== null) {
+      const resumeBlock = checkpoint + 1;
+
+      if (resumeBlock >= windowStart) {
+        // Checkpoint is inside the window - skip blocks that were already processed
+        fromBlock = resumeBlock;
+        this.log(`⏩ Resuming from checkpoint: blocks up to ${checkpoint} already processed`);
+      } else {
+        // Checkpoint is older than the window - catch up, but only within the max lookback
+        const lookbackHours = Math.max(this.checkpointMaxLookback, targetHours);
+        const lookbackStart = await this.getBlockByTime(this.currentTime - (lookbackHours * 60 * 60));
+
+        if (resumeBlock >= lookbackStart) {
+          fromBlock = resumeBlock;
+          this.log(`⏪ Checkpoint ${checkpoint} is behind the ${targetHours}h window - catching up from it`);
+        } else {
+          fromBlock = lookbackStart;
+          await this.recordGap(resumeBlock, lookbackStart - 1, `checkpoint older than ${lookbackHours}h max lookback`);
+        }
+      }
+    } else {
+      this.log('📍 No checkpoint found - starting from the time window');
+    }
+
+    if (fromBlock > currentBlock) {
+      this.log(`✅ Already up to date (checkpoint ${checkpoint}, head ${currentBlock})`);
+    } else {
+      this.log(`📈 Scan range: blocks ${fromBlock} → ${currentBlock} (${currentBlock - fromBlock} blocks)`);
+    }
     return { fromBlock, toBlock: currentBlock };
   }
 
@@ -190,12 +783,97 @@ class UnifiedScanner extends Scanner {
     return newAddresses;
   }
 
+  /**
+   * Designator code hash -> delegate for every delegate already seen on this network
+   */
+  async loadDelegationHashes() {
+    if (this.delegationHashes) return this.delegationHashes;
+
+    this.delegationHashes = new Map();
+    try {
+      const result = await this.queryDB(
+        'SELECT DISTINCT delegate FROM eip7702_delegations WHERE network = $1',
+        [this.network]
+      );
+      for (const row of result.rows) {
+        this.delegationHashes.set(delegationCodeHash(row.delegate), row.delegate);
+      }
+    } catch (error) {
+      this.log(`⚠️ Failed to load known EIP-7702 delegates: ${error.message}`, 'warn');
+    }
+    return this.delegationHashes;
+  }
+
+  /**
+   * Find EIP-7702 delegated EOAs among addresses that have code
+   * Designator code hashes depend only on the delegate, so known delegates are matched by hash;
+   * code is fetched once per code hash that is neither a known designator nor already stored for
+   * an ordinary contract
+   * @returns {Map} address (lowercase) -> delegate
+   */
+  async resolveDelegations(addresses, contractFlags, codeHashes) {
+    const known = await this.loadDelegationHashes();
+    const unknown = new Map(); // code hash -> one address to fetch code from
+
+    addresses.forEach((address, i) => {
+      const codeHash = codeHashes[i];
+      if (!contractFlags[i] || !codeHash || codeHash === this.ZERO_HASH) return;
+      if (!known.has(codeHash) && !this.regularCodeHashes.has(codeHash) && !unknown.has(codeHash)) {
+        unknown.set(codeHash, address);
+      }
+    });
+
+    if (unknown.size > 0) {
+      try {
+        const stored = await this.queryDB(`
+          SELECT DISTINCT code_hash
+          FROM addresses
+          WHERE code_hash = ANY($1)
+            AND network = $2
+            AND NOT ('EOA' = ANY(COALESCE(tags, '{}')))
+        `, [[...unknown.keys()], this.network]);
+        for (const row of stored.rows) {
+          this.regularCodeHashes.add(row.code_hash);
+          unknown.delete(row.code_hash);
+        }
+      } catch (error) {
+        this.log(`⚠️ Failed to look up stored code hashes: ${error.message}`, 'warn');
+      }
+
+      const toFetch = [...unknown.entries()];
+      for (let i = 0; i < toFetch.length; i += 10) {
+        const batch = toFetch.slice(i, i + 10);
+        const results = await Promise.allSettled(batch.map(async ([, address]) => this.alchemyClient.getCode(address)));
+        results.forEach((result, j) => {
+          // Failed lookups are retried the next time the code hash shows up
+          if (result.status !== 'fulfilled') return;
+          const [codeHash] = batch[j];
+          const delegate = parseDelegation(result.value);
+          if (delegate) {
+            known.set(codeHash, delegate);
+          } else {
+            this.regularCodeHashes.add(codeHash);
+          }
+        });
+      }
+    }
+
+    const delegations = new Map();
+    addresses.forEach((address, i) => {
+      if (contractFlags[i] && known.has(codeHashes[i])) {
+        delegations.set(address.toLowerCase(), known.get(codeHashes[i]));
+      }
+    });
+    return delegations;
+  }
+
   async performEOAFiltering(addresses) {
     this.log(`Processing ${addresses.length} addresses for advanced EOA filtering...`);
     
     // Check which are contracts vs EOA
     const contractFlags = await this.isContracts(addresses);
     const codeHashes = await this.getCodeHashes(addresses);
+    const delegations = await this.resolveDelegations(addresses, contractFlags, codeHashes);
     
     // Batch fetch deployment times from database for all potential contracts
     const deploymentCache = new Map();
@@ -203,7 +881,7 @@ class UnifiedScanner extends Scanner {
     try {
       // Get all existing contract data in a single query
       const deploymentQuery = `
-        SELECT address, deployed, code_hash, contract_name, name_checked
+        SELECT address, deployed, code_hash, contract_name, name_checked, tags
         FROM addresses
         WHERE address = ANY($1)
         AND network = $2
@@ -216,7 +894,8 @@ class UnifiedScanner extends Scanner {
           deployed: row.deployed,
           codeHash: row.code_hash,
           contractName: row.contract_name,
-          nameChecked: row.name_checked
+          nameChecked: row.name_checked,
+          tags: row.tags || []
         });
       }
       
@@ -244,9 +923,13 @@ class UnifiedScanner extends Scanner {
         
         // Check if we have cached deployment time
         const cached = deploymentCache.get(address.toLowerCase());
+        const created = this.creationInfo.get(address.toLowerCase());
         if (cached && cached.deployed && cached.deployed > 0) {
           deployTime = cached.deployed;
           this.log(`📋 Using cached deployment time for ${address}`);
+        } else if (created && created.deployed) {
+          deployTime = created.deployed;
+          this.log(`🏗️ Using traced creation block ${created.blockNumber} as deployment time for ${address}`);
         } else {
           // Mark for async deployment time fetching later
           needsDeploymentTime = true;
@@ -264,7 +947,9 @@ class UnifiedScanner extends Scanner {
         
         // Now use actual deployment time for address type classification
         const { safeGetAddressType } = require('../common');
-        const addressType = safeGetAddressType(address, codeHash, deployTime);
+        const delegate = delegations.get(address.toLowerCase());
+        const designator = delegate ? DELEGATION_PREFIX + delegate.slice(2) : null;
+        const addressType = safeGetAddressType(address, codeHash, deployTime, designator);
         
         if (!addressType || addressType === 'unknown') {
           this.log(`⚠️ Unknown address type for ${address} - skipping`, 'warn');
@@ -275,20 +960,15 @@ class UnifiedScanner extends Scanner {
           // True EOA
           eoas.push({ address, codeHash: null, isContract: false });
         } else if (addressType === 'eip7702_eoa') {
-          // EIP-7702 EOA - treat as enhanced EOA
-          // Strict validation: EIP-7702 should have specific code hash
-          if (!codeHash || codeHash === this.ZERO_HASH) {
-            this.log(`⚠️ Skipping EIP-7702 EOA ${address} - invalid code hash (${codeHash})`, 'warn');
-            continue;
-          }
-          
-          this.log(`🎯 EIP-7702 EOA detected: ${address}`, 'info');
+          // EIP-7702 delegated EOA - still an EOA, but it runs the delegate's code
+          this.log(`🎯 EIP-7702 EOA detected: ${address} → ${delegate}`, 'info');
           eoas.push({ 
             address, 
-            codeHash: codeHash, // Store the actual code hash for EIP-7702 pattern
+            codeHash: codeHash, // Designator code hash, unique per delegate
             isContract: false, // Still classified as EOA
             type: 'eip7702_eoa',
-            tags: ['EOA', 'SmartWallet']
+            delegate,
+            tags: ['EOA', 'EIP7702']
           });
         } else if (addressType === 'smart_contract' || addressType === 'contract') {
           // Smart Contract - deployment time will be fetched asynchronously if needed
@@ -318,7 +998,11 @@ class UnifiedScanner extends Scanner {
         // No code on chain currently - check if it was a contract before (self-destructed)
         const cached = deploymentCache.get(address.toLowerCase());
 
-        if (cached && cached.codeHash && cached.codeHash !== this.ZERO_HASH) {
+        if (cached && cached.tags.includes('EIP7702')) {
+          // Delegation cleared (delegated to the zero address) → plain EOA again, not a self-destruct
+          this.log(`↩️ EIP-7702 delegation revoked: ${address}`);
+          eoas.push({ address, codeHash: null, isContract: false, delegationRevoked: true });
+        } else if (cached && cached.codeHash && cached.codeHash !== this.ZERO_HASH) {
           // DB has code_hash but chain has no code → Self-Destroyed Contract
           this.log(`💥 Self-destructed contract detected: ${address}`);
           selfDestructed.push({
@@ -497,8 +1181,8 @@ class UnifiedScanner extends Scanner {
             verified: true,
             contractName: finalContractName || sourceData.ContractName || 'Unknown',
             codeHash: contract.codeHash || null,  // Preserve codeHash from input
-            deployTime: null,  // Will be fetched separately by fetchDeploymentTimesAsync
-            needsDeploymentTime: true,  // Flag that this contract needs deployment time
+            deployTime: contract.deployTime || null,  // Known from traces, otherwise fetched by fetchDeploymentTimesAsync
+            needsDeploymentTime: !contract.deployTime,  // Flag that this contract needs deployment time
             sourceCode: sourceData.SourceCode,
             abi: sourceData.ABI ? JSON.parse(sourceData.ABI) : null,
             compilerVersion: sourceData.CompilerVersion || null,
@@ -618,6 +1302,75 @@ class UnifiedScanner extends Scanner {
     return verifiedContracts;
   }
 
+  /**
+   * Resolve proxies on-chain (EIP-1967 / beacon / EIP-1822 / OZ legacy slots, EIP-1167 bytecode)
+   * Sets `proxyInfo` on each contract that is a proxy; works for unverified contracts too
+   */
+  async detectProxies(contracts = []) {
+    if (contracts.length === 0) return 0;
+
+    let detected = 0;
+    const batchSize = 5;
+    for (let i = 0; i < contracts.length; i += batchSize) {
+      const batch = contracts.slice(i, i + batchSize);
+      const results = await Promise.allSettled(batch.map(contract => detectProxy(this.alchemyClient, contract.address)));
+
+      results.forEach((result, j) => {
+        if (result.status === 'rejected') {
+          this.log(`⚠️ Proxy detection failed for ${batch[j].address}: ${result.reason?.message || result.reason}`, 'warn');
+        } else if (result.value) {
+          batch[j].proxyInfo = result.value;
+          detected++;
+          this.log(`🔗 ${result.value.type} proxy ${batch[j].address} -> ${result.value.implementation || 'unknown implementation'}`);
+        }
+      });
+    }
+
+    this.stats.proxiesDetected += detected;
+    return detected;
+  }
+
+  /**
+   * Tag token standards (ERC20/721/1155/4626/777) from batched on-chain probes, stored
+   * bytecode selectors (contract_bytecode_analysis) and the verified ABI
+   * Sets `tokenTags` on each contract
+   */
+  async classifyTokens(contracts = []) {
+    if (contracts.length === 0) return;
+
+    let probes = [];
+    try {
+      probes = await this.probeTokenInterfaces(contracts.map(c => c.address));
+    } catch (error) {
+      this.log(`⚠️ Token probes failed, classifying from selectors/ABI only: ${error.message}`, 'warn');
+    }
+
+    const selectorsByHash = new Map();
+    const codeHashes = [...new Set(contracts.map(c => c.codeHash).filter(Boolean))];
+    if (codeHashes.length > 0) {
+      try {
+        const result = await this.queryDB(
+          `SELECT code_hash, selectors FROM contract_bytecode_analysis WHERE code_hash = ANY($1)`,
+          [codeHashes]
+        );
+        for (const row of result.rows) selectorsByHash.set(row.code_hash, row.selectors);
+      } catch (error) {
+        this.log(`⚠️ Failed to load bytecode selectors: ${error.message}`, 'warn');
+      }
+    }
+
+    contracts.forEach((contract, i) => {
+      contract.tokenTags = classifyToken({
+        probes: probes[i] || null,
+        selectors: selectorsByHash.get(contract.codeHash) || [],
+        abi: contract.abi
+      });
+      for (const tag of contract.tokenTags) {
+        this.stats.tokenStandards[tag] = (this.stats.tokenStandards[tag] || 0) + 1;
+      }
+    });
+  }
+
   async storeResults(eoas, verifiedContracts, selfDestructed = []) {
     this.log(`Storing ${eoas.length + verifiedContracts.length + selfDestructed.length} addresses...`);
 
@@ -625,22 +1378,25 @@ class UnifiedScanner extends Scanner {
     const eoaData = eoas.map(eoa => ({
       address: normalizeAddress(eoa.address),
       network: this.network,
-      codeHash: null,
+      codeHash: eoa.codeHash || null,
       deployed: null,
-      tags: ['EOA'],
+      tags: eoa.tags || ['EOA'],
       contractName: null,
       lastUpdated: this.currentTime,
       firstSeen: this.currentTime,
       fund: 0,
       lastFundUpdated: 0,
       nameChecked: false,
-      nameCheckedAt: 0
+      nameCheckedAt: 0,
+      implementation: eoa.delegate || null
     }));
 
-    // Prepare contract data with normalized addresses and balance information
+    // Prepare contract data with normalized addresses
+    // fund is a USD value: it starts at 0 and FundUpdater prices the balance on its next run
     const contractData = verifiedContracts.map(contract => {
-      // Convert BigInt balance to string for database storage
-      const balanceValue = contract.balance ? contract.balance.toString() : '0';
+      // On-chain proxy detection wins; Etherscan's Proxy/Implementation fields are the fallback
+      const baseTags = contract.verified ? ['Contract', 'Verified'] : ['Contract', 'Unverified'];
+      const proxyTags = contract.proxyInfo?.tags || (contract.proxy ? ['Proxy'] : []);
 
       return {
         address: normalizeAddress(contract.address),
@@ -649,14 +1405,15 @@ class UnifiedScanner extends Scanner {
         // IMPORTANT: Keep deployed as null if we couldn't get valid deployment time
         // Never use currentTime as a fallback for deployed field
         deployed: (contract.deployTime && contract.deployTime > 0) ? contract.deployTime : null,
-        tags: contract.verified ? ['Contract', 'Verified'] : ['Contract', 'Unverified'],
+        tags: [...baseTags, ...proxyTags, ...(contract.tokenTags || [])],
         contractName: contract.contractName,
         lastUpdated: this.currentTime,
         firstSeen: this.currentTime,
-        fund: balanceValue,
-        lastFundUpdated: this.currentTime,
+        fund: 0,
+        lastFundUpdated: 0,
         nameChecked: contract.verified || false,
-        nameCheckedAt: contract.verified ? this.currentTime : 0
+        nameCheckedAt: contract.verified ? this.currentTime : 0,
+        implementation: contract.proxyInfo?.implementation || normalizeAddress(contract.implementation) || null
       };
     });
 
@@ -681,9 +1438,24 @@ class UnifiedScanner extends Scanner {
     
     if (allData.length > 0) {
       await batchUpsertAddresses(this.db, allData, { batchSize: 250 }); // Smaller batch for complex data with more fields
+      await this.recordTailSightings(allData.map(item => item.address));
+      await this.saveDelegations(eoas);
+      await this.sendContractAlerts(contractData);
+    }
+
+    // Keep the verified source metadata so it never has to be fetched from Etherscan again
+    let sourcesStored = 0;
+    const withSource = verifiedContracts.filter(contract => contract.verified && contract.sourceCode);
+    if (withSource.length > 0) {
+      try {
+        const result = await upsertContractSources(this.db, withSource);
+        sourcesStored = result.rowCount;
+      } catch (error) {
+        this.log(`⚠️ Failed to store contract sources: ${error.message}`, 'warn');
+      }
     }
     
-    this.log(`✅ Stored: ${eoaData.length} EOAs, ${contractData.length} contracts, ${selfDestroyedData.length} self-destroyed`);
+    this.log(`✅ Stored: ${eoaData.length} EOAs, ${contractData.length} contracts (${sourcesStored} sources), ${selfDestroyedData.length} self-destroyed`);
     
     return {
       eoasStored: eoaData.length,
@@ -693,20 +1465,117 @@ class UnifiedScanner extends Scanner {
     };
   }
 
+  /**
+   * Match new_contract alert rules against the contracts just stored and queue the matches;
+   * webhooks are sent by deliverAlerts at the end of the run, not inside the scan pipeline
+   * Their fund is not known yet, so rules with min_fund match when FundUpdater first values them
+   */
+  async sendContractAlerts(contracts) {
+    try {
+      const rules = (await loadAlertRules((query, params) => this.queryDB(query, params), this.network))
+        .filter(rule => rule.rule_type === 'new_contract');
+      if (rules.length === 0) return;
+      const events = contracts.map(contract => ({
+        network: this.network,
+        address: contract.address,
+        contractName: contract.contractName || null,
+        tags: contract.tags,
+        isContract: true,
+        verified: contract.tags.includes('Verified'),
+        isNew: true,
+        previousFund: null,
+        fund: null
+      }));
+
+      const result = await processAlerts((query, params) => this.queryDB(query, params), rules, events, {
+        now: this.currentTime,
+        deliver: false
+      });
+      if (result.recorded > 0) {
+        this.log(`🔔 Alerts: ${result.recorded} queued`);
+      }
+    } catch (error) {
+      this.log(`⚠️ Failed to process alerts: ${error.message}`, 'warn');
+    }
+  }
+
+  /**
+   * Keep eip7702_delegations in step with the classified EOAs
+   * first_seen restarts when an EOA switches to a different delegate; revoked delegations lose
+   * their row and the designator hash / delegate stored on the address
+   */
+  async saveDelegations(eoas) {
+    const delegated = new Map();
+    const revoked = [];
+    for (const eoa of eoas) {
+      const address = normalizeAddress(eoa.address);
+      if (eoa.delegate) delegated.set(address, eoa);
+      else if (eoa.delegationRevoked) revoked.push(address);
+    }
+
+    try {
+      if (delegated.size > 0) {
+        const values = [];
+        const params = [];
+        let paramIndex = 1;
+        for (const [address, eoa] of delegated) {
+          const rowParams = [this.network, address, eoa.delegate, eoa.codeHash, this.currentTime, this.currentTime];
+          values.push(`(${rowParams.map(() => `$${paramIndex++}`).join(', ')})`);
+          params.push(...rowParams);
+        }
+
+        await this.queryDB(`
+          INSERT INTO eip7702_delegations (network, address, delegate, code_hash, first_seen, last_seen)
+          VALUES ${values.join(', ')}
+          ON CONFLICT (network, address) DO UPDATE SET
+            first_seen = CASE
+              WHEN eip7702_delegations.delegate = EXCLUDED.delegate THEN eip7702_delegations.first_seen
+              ELSE EXCLUDED.first_seen
+            END,
+            delegate = EXCLUDED.delegate,
+            code_hash = EXCLUDED.code_hash,
+            last_seen = EXCLUDED.last_seen
+        `, params);
+        this.stats.eip7702Delegations += delegated.size;
+      }
+
+      if (revoked.length > 0) {
+        await this.queryDB(
+          'DELETE FROM eip7702_delegations WHERE network = $1 AND address = ANY($2)',
+          [this.network, revoked]
+        );
+        // batchUpsertAddresses never clears code_hash / implementation, so reset them here
+        await this.queryDB(
+          'UPDATE addresses SET code_hash = NULL, implementation = NULL WHERE network = $1 AND address = ANY($2)',
+          [this.network, revoked]
+        );
+        this.stats.eip7702Revocations += revoked.length;
+      }
+    } catch (error) {
+      this.log(`⚠️ Failed to store EIP-7702 delegations: ${error.message}`, 'warn');
+    }
+  }
+
   /**
    * Execute the streaming pipeline with parallel processing
    * @param {number} fromBlock - Starting block number
    * @param {number} toBlock - Ending block number
+   * @param {Object} options - Pipeline options
+   * @param {Function} options.onCommit - Called with the last block whose range (and every range before it) finished processing
    * @returns {Object} Pipeline results with processed addresses and total count
    */
-  async executeStreamingPipeline(fromBlock, toBlock) {
+  async executeStreamingPipeline(fromBlock, toBlock, options = {}) {
     const processedAddresses = new Set();
     let batchCount = 0;
     let totalProcessed = 0;
-    
+
     // Queue for async processing
     const processingQueue = [];
     const maxProcessingQueue = PROCESSING.MAX_CONCURRENT_PROCESSING;
+
+    // Block ranges in scan order - progress is only committed over a contiguous
+    // prefix of ranges whose processing tasks have finished
+    const pendingRanges = [];
     
     // Adaptive batch sizing parameters
     // Use network-specific optimization config if available, otherwise use global defaults
@@ -734,7 +1603,7 @@ class UnifiedScanner extends Scanner {
       if (currentBlock <= toBlock && processingQueue.length < maxProcessingQueue) {
         const result = await this.fetchAndQueueBatch(
           currentBlock, toBlock, currentBatchSize, minBatchSize, maxBatchSize,
-          batchCount + 1, processedAddresses, processingQueue, logsOptimization
+          batchCount + 1, processedAddresses, processingQueue, logsOptimization, pendingRanges
         );
 
         currentBlock = result.nextBlock;
@@ -747,23 +1616,60 @@ class UnifiedScanner extends Scanner {
       if (processingQueue.length >= maxProcessingQueue || (currentBlock > toBlock && processingQueue.length > 0)) {
         await this.processCompletedTasks(processingQueue);
       }
+
+      await this.commitCompletedRanges(pendingRanges, options.onCommit);
     }
-    
-    return { 
+
+    return {
       processedAddresses: processedAddresses.size, 
       totalProcessed 
     };
   }
 
+  /**
+   * Advance the commit point over ranges that finished processing, in block order, and write the
+   * quorum disagreements their reads recorded
+   * @param {Array} pendingRanges - Ranges in scan order ({ from, to, done, gap })
+   * @param {Function} onCommit - Receives the new last fully processed block
+   */
+  async commitCompletedRanges(pendingRanges, onCommit) {
+    let committedBlock = null;
+    // Contiguous run of scanned ranges, resolved against open gaps as one span
+    let span = null;
+
+    while (pendingRanges.length > 0 && pendingRanges[0].done) {
+      const range = pendingRanges.shift();
+      if (range.gap) {
+        if (span) await this.resolveGaps(span.from, span.to);
+        span = null;
+      } else {
+        span = span ? { from: span.from, to: range.to } : { from: range.from, to: range.to };
+      }
+      committedBlock = range.to;
+    }
+    if (span) {
+      await this.resolveGaps(span.from, span.to);
+    }
+
+    if (committedBlock !== null && onCommit) {
+      await onCommit(committedBlock);
+    }
+    if (committedBlock !== null) {
+      await this.flushRpcDisagreements();
+    }
+  }
+
   /**
    * Fetch a batch of logs and queue for processing
    */
-  async fetchAndQueueBatch(currentBlock, toBlock, currentBatchSize, minBatchSize, maxBatchSize, batchNum, processedAddresses, processingQueue, logsOptimization) {
+  async fetchAndQueueBatch(currentBlock, toBlock, currentBatchSize, minBatchSize, maxBatchSize, batchNum, processedAddresses, processingQueue, logsOptimization, pendingRanges = []) {
     const endBlock = Math.min(currentBlock + currentBatchSize - 1, toBlock);
 
     // Check if this is a single block and it's permanently excluded
     if (currentBatchSize === 1 && this.permanentlyExcludedBlocks.has(currentBlock)) {
       this.log(`⏭️  Skipping permanently excluded block ${currentBlock}`, 'info');
+      await this.recordGap(currentBlock, currentBlock, 'permanently excluded block');
+      pendingRanges.push({ from: currentBlock, to: currentBlock, done: true, gap: true });
       return {
         nextBlock: currentBlock + 1,
         newBatchSize: minBatchSize,
@@ -778,6 +1684,20 @@ class UnifiedScanner extends Scanner {
       // Fetch logs with timeout
       const result = await this.fetchLogsWithAdaptiveBatching(currentBlock, endBlock);
 
+      // Add contracts deployed in this range (and their deployers) found via traces
+      let traceFailed = false;
+      if (this.traceMethod) {
+        const traced = await this.traceCreations(currentBlock, endBlock);
+        traced.addresses.forEach(address => {
+          result.addresses.add(address);
+          this.noteAddressSource(result.addressSources, address, 'trace');
+        });
+        if (traced.failedBlocks.length > 0) {
+          traceFailed = true;
+          await this.recordGap(Math.min(...traced.failedBlocks), Math.max(...traced.failedBlocks), `${this.traceMethod} failed`);
+        }
+      }
+
       // Adjust batch size based on performance using network-specific optimization
       const newBatchSize = this.adjustBatchSize(currentBatchSize, result.duration, result.logCount, minBatchSize, maxBatchSize, logsOptimization);
 
@@ -786,12 +1706,21 @@ class UnifiedScanner extends Scanner {
       newAddresses.forEach(addr => processedAddresses.add(addr));
 
       let totalProcessed = 0;
+      const range = { from: currentBlock, to: endBlock, done: newAddresses.length === 0, gap: traceFailed };
+      pendingRanges.push(range);
+
       if (newAddresses.length > 0) {
         this.log(`📦 Batch ${batchNum}: ${newAddresses.length} new addresses queued`);
 
-        const processingPromise = this.processAddressBatch(newAddresses, batchNum)
-          .then(result => {
+        const batchSources = new Map(newAddresses.map(address => [address, result.addressSources.get(address)]));
+        const processingPromise = this.processAddressBatch(newAddresses, batchNum, batchSources)
+          .then(async result => {
             totalProcessed += result.total || 0;
+            if (result.error) {
+              range.gap = true;
+              await this.recordGap(currentBlock, endBlock, 'address processing failed');
+            }
+            range.done = true;
             return { batchNum, ...result };
           });
 
@@ -806,7 +1735,15 @@ class UnifiedScanner extends Scanner {
       };
       
     } catch (error) {
-      return await this.handleBatchError(error, currentBlock, endBlock, currentBatchSize, minBatchSize, batchNum, logsOptimization);
+      const result = await this.handleBatchError(error, currentBlock, endBlock, currentBatchSize, minBatchSize, batchNum, logsOptimization);
+
+      // Anything handleBatchError moved past without fetching is a coverage gap
+      if (result.nextBlock > currentBlock) {
+        await this.recordGap(currentBlock, result.nextBlock - 1, `getLogs failed: ${error.message.slice(0, 200)}`);
+        pendingRanges.push({ from: currentBlock, to: result.nextBlock - 1, done: true, gap: true });
+      }
+
+      return result;
     }
   }
 
@@ -822,7 +1759,7 @@ class UnifiedScanner extends Scanner {
         () => this.getLogs({
           fromBlock: `0x${currentBlock.toString(16)}`,
           toBlock: `0x${endBlock.toString(16)}`,
-          topics: [this.transferEvent]
+          topics: this.discoveryFilter.topics
         }),
         TIMEOUTS.GET_LOGS,
         {
@@ -833,12 +1770,22 @@ class UnifiedScanner extends Scanner {
       const duration = Date.now() - startTime;
       this.log(`✅ getLogs completed in ${duration}ms`);
       
-      // Parse addresses from logs with normalization
+      // Parse addresses from logs with normalization, remembering which source found each
       const addresses = new Set();
+      const addressSources = new Map();
+      const inTail = this.tailStartBlock !== null && endBlock >= this.tailStartBlock;
       logs.forEach(log => {
-        addresses.add(normalizeAddress(log.address));
-        if (log.topics[1]) addresses.add(normalizeAddress('0x' + log.topics[1].slice(26)));
-        if (log.topics[2]) addresses.add(normalizeAddress('0x' + log.topics[2].slice(26)));
+        const sources = this.discoveryFilter.sourcesByTopic.get(log.topics[0]?.toLowerCase()) || [];
+        const logAddresses = [];
+        for (const source of sources) {
+          for (const address of extractAddresses(source, log)) {
+            logAddresses.push(address);
+            this.noteAddressSource(addressSources, address, source.name);
+          }
+        }
+        logAddresses.forEach(address => addresses.add(address));
+
+        if (inTail) this.trackTailLog(log, logAddresses);
       });
       
       this.log(`Fetched ${logs.length} logs with ${addresses.size} unique addresses in ${duration}ms`);
@@ -846,7 +1793,10 @@ class UnifiedScanner extends Scanner {
       // Update log density statistics for learning
       await this.updateLogDensityStats(endBlock - currentBlock + 1, logs.length);
 
-      return { addresses, duration, logCount: logs.length };
+      // Transfer activity per token, for TokenDiscovery
+      await this.recordTransferStats(logs);
+
+      return { addresses, addressSources, duration, logCount: logs.length };
     } catch (error) {
       const duration = Date.now() - startTime;
       this.log(`❌ getLogs failed after ${duration}ms: ${error.message}`, 'error');
@@ -945,6 +1895,27 @@ class UnifiedScanner extends Scanner {
     }
   }
 
+  /**
+   * Add this range's ERC-20 Transfer counts to token_transfer_stats
+   */
+  async recordTransferStats(logs) {
+    const counts = countTokenTransfers(logs);
+    if (counts.size === 0) return;
+
+    try {
+      await this.queryDB(`
+        INSERT INTO token_transfer_stats (network, token_address, transfer_count, first_seen, last_seen)
+        SELECT $1, c.token_address, c.transfer_count, $4, $4
+        FROM unnest($2::text[], $3::bigint[]) AS c(token_address, transfer_count)
+        ON CONFLICT (network, token_address) DO UPDATE SET
+          transfer_count = token_transfer_stats.transfer_count + EXCLUDED.transfer_count,
+          last_seen = EXCLUDED.last_seen
+      `, [this.network, [...counts.keys()], [...counts.values()], this.currentTime]);
+    } catch (error) {
+      this.log(`⚠️ Failed to record transfer stats: ${error.message}`, 'warn');
+    }
+  }
+
   /**
    * Save log density statistics to database
    */
@@ -1271,12 +2242,18 @@ class UnifiedScanner extends Scanner {
   /**
    * Process a batch of addresses through the complete pipeline
    */
-  async processAddressBatch(addresses, batchNum) {
+  /**
+   * @param {Array<string>} addresses - Addresses found in one fetched range
+   * @param {number} batchNum - Batch number for logging
+   * @param {Map} addressSources - address -> Set of discovery source names (for per-source stats)
+   */
+  async processAddressBatch(addresses, batchNum, addressSources = new Map()) {
     if (addresses.length === 0) return { eoas: 0, contracts: 0, total: 0 };
 
     try {
       // Filter existing addresses
       const newAddresses = await this.filterExistingAddresses(addresses);
+      this.countSourceNewAddresses(newAddresses, addressSources);
 
       if (newAddresses.length === 0) {
         return { eoas: 0, contracts: 0, total: 0 };
@@ -1290,18 +2267,14 @@ class UnifiedScanner extends Scanner {
       let contractsWithBalance = [];
 
       if (contracts.length > 0) {
-        // Load token addresses from tokens/{network}.json
-        const fs = require('fs');
-        const path = require('path');
-        const tokensFilePath = path.join(__dirname, '..', 'tokens', `${this.network}.json`);
+        // Load token addresses from the ranked token list (tokens table, else tokens/{network}.json)
         let tokenAddresses = [];
 
         try {
-          const tokensData = JSON.parse(fs.readFileSync(tokensFilePath, 'utf8'));
-          tokenAddresses = tokensData.map(t => t.address.toLowerCase()).filter(Boolean);
-          this.log(`📋 Loaded ${tokenAddresses.length} token addresses for balance check`);
+          tokenAddresses = (await this.loadTokenList()).map(t => t.address);
+          this.log(`📋 Loaded ${tokenAddresses.length} token addresses for balance check from ${this.tokenListSource}`);
         } catch (error) {
-          this.log(`⚠️ Failed to load tokens file: ${error.message}`, 'warn');
+          this.log(`⚠️ Failed to load token list: ${error.message}`, 'warn');
         }
 
         // Get balances for all contracts using BalanceHelper contract
@@ -1357,6 +2330,12 @@ class UnifiedScanner extends Scanner {
           
           // Fetch deployment times for verified contracts (MUST await before storing)
           await this.fetchDeploymentTimesAsync(verifiedContracts);
+
+          // Resolve proxies on-chain so unverified proxies get an implementation too
+          await this.detectProxies(verifiedContracts);
+
+          // Token standard tags (one batched Multicall3 call per chunk)
+          await this.classifyTokens(verifiedContracts);
         }
 
         // Only store contracts with balance (skip zero-balance contracts)
@@ -1380,6 +2359,300 @@ class UnifiedScanner extends Scanner {
     } catch (error) {
       this.log(`Batch ${batchNum} processing failed: ${error.message}`, 'error');
       return { eoas: 0, contracts: 0, total: 0, error: true };
+    } finally {
+      addresses.forEach(address => this.creationInfo.delete(address));
+    }
+  }
+
+  /**
+   * Parse backfill range settings from the environment
+   * Block numbers take precedence over dates when both are given
+   */
+  parseBackfillOptions() {
+    const { FROM_BLOCK, TO_BLOCK, FROM_DATE, TO_DATE } = process.env;
+
+    const parseBlock = (value, name) => {
+      const block = Number(value);
+      if (!Number.isInteger(block) || block < 0) {
+        throw new Error(`Invalid ${name}: ${value}`);
+      }
+      return block;
+    };
+    const parseDate = (value, name) => {
+      const ms = Date.parse(value);
+      if (Number.isNaN(ms)) {
+        throw new Error(`Invalid ${name}: ${value} (expected ISO date, e.g. 2024-01-31)`);
+      }
+      return Math.floor(ms / 1000);
+    };
+
+    return {
+      fromBlock: FROM_BLOCK ? parseBlock(FROM_BLOCK, 'FROM_BLOCK') : null,
+      toBlock: TO_BLOCK ? parseBlock(TO_BLOCK, 'TO_BLOCK') : null,
+      fromTime: !FROM_BLOCK && FROM_DATE ? parseDate(FROM_DATE, 'FROM_DATE') : null,
+      toTime: !TO_BLOCK && TO_DATE ? parseDate(TO_DATE, 'TO_DATE') : null
+    };
+  }
+
+  /**
+   * Resolve the backfill block range and the job it belongs to
+   * An open-ended range (no TO_BLOCK/TO_DATE) resumes the latest unfinished job with the same start block
+   * @returns {Object} { fromBlock, toBlock, jobId }
+   */
+  async resolveBackfillRange() {
+    const options = this.parseBackfillOptions();
+    const fromBlock = options.fromBlock !== null ? options.fromBlock : await this.getBlockByTime(options.fromTime);
+    const openEnded = options.toBlock === null && options.toTime === null;
+
+    if (openEnded) {
+      const existing = await this.queryDB(`
+        SELECT job_id, MAX(to_block) AS to_block
+        FROM backfill_segments
+        WHERE network = $1 AND job_id LIKE $2
+        GROUP BY job_id
+        HAVING bool_or(status <> 'done')
+        ORDER BY MAX(updated_at) DESC
+        LIMIT 1
+      `, [this.network, `${fromBlock}-%`]);
+
+      if (existing.rows.length > 0) {
+        const toBlock = parseInt(existing.rows[0].to_block, 10);
+        this.log(`♻️ Resuming unfinished backfill job ${existing.rows[0].job_id}`);
+        return { fromBlock, toBlock, jobId: existing.rows[0].job_id };
+      }
+    }
+
+    const head = await this.getBlockNumber();
+    let toBlock = head;
+    if (options.toBlock !== null) {
+      toBlock = Math.min(options.toBlock, head);
+    } else if (options.toTime !== null) {
+      toBlock = Math.min(await this.getBlockByTime(options.toTime), head);
+    }
+
+    if (fromBlock > toBlock) {
+      throw new Error(`Invalid backfill range: from ${fromBlock} is after to ${toBlock}`);
+    }
+
+    return { fromBlock, toBlock, jobId: `${fromBlock}-${toBlock}` };
+  }
+
+  /**
+   * Choose a segment size: explicit BACKFILL_SEGMENT_BLOCKS, or sized from learned log density
+   */
+  getBackfillSegmentSize() {
+    if (this.backfillSegmentBlocks) return this.backfillSegmentBlocks;
+
+    const maxBatchSize = Math.min(
+      this.logsOptimization?.maxBatchSize || BATCH_SIZES.LOGS_MAX,
+      this.maxLogsBlockRange || 1000
+    );
+    const avgLogsPerBlock = this.logDensityStats.avgLogsPerBlock;
+
+    if (avgLogsPerBlock > 0) {
+      const sized = Math.floor(this.BACKFILL_TARGET_LOGS / avgLogsPerBlock);
+      return Math.max(maxBatchSize * 10, Math.min(1000000, sized));
+    }
+
+    return maxBatchSize * 100;
+  }
+
+  /**
+   * Split [fromBlock, toBlock] into contiguous segments
+   * @returns {Array} Segments as { from, to }
+   */
+  planBackfillSegments(fromBlock, toBlock, segmentSize) {
+    const segments = [];
+    for (let start = fromBlock; start <= toBlock; start += segmentSize) {
+      segments.push({ from: start, to: Math.min(start + segmentSize - 1, toBlock) });
+    }
+    return segments;
+  }
+
+  async loadBackfillSegments(jobId) {
+    const result = await this.queryDB(`
+      SELECT from_block, to_block, last_processed_block, status, attempts
+      FROM backfill_segments
+      WHERE network = $1 AND job_id = $2
+      ORDER BY from_block
+    `, [this.network, jobId]);
+
+    return result.rows.map(row => ({
+      from: parseInt(row.from_block, 10),
+      to: parseInt(row.to_block, 10),
+      lastProcessed: row.last_processed_block !== null ? parseInt(row.last_processed_block, 10) : null,
+      status: row.status,
+      attempts: row.attempts
+    }));
+  }
+
+  async createBackfillSegments(jobId, segments) {
+    await this.queryDB(`
+      INSERT INTO backfill_segments (network, job_id, from_block, to_block, status, updated_at)
+      SELECT $1, $2, s.from_block, s.to_block, 'pending', $5
+      FROM unnest($3::bigint[], $4::bigint[]) AS s(from_block, to_block)
+      ON CONFLICT (network, job_id, from_block) DO NOTHING
+    `, [this.network, jobId, segments.map(s => s.from), segments.map(s => s.to), now()]);
+  }
+
+  /**
+   * Update a segment row
+   * @param {Object} fields - Any of { status, attempts, lastProcessed, error }
+   */
+  async updateBackfillSegment(jobId, segmentFrom, fields) {
+    const columns = {
+      status: 'status',
+      attempts: 'attempts',
+      lastProcessed: 'last_processed_block',
+      error: 'last_error'
+    };
+    const sets = [];
+    const params = [this.network, jobId, segmentFrom];
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (fields[key] !== undefined) {
+        params.push(fields[key]);
+        sets.push(`${column} = $${params.length}`);
+      }
+    }
+    params.push(now());
+    sets.push(`updated_at = $${params.length}`);
+
+    try {
+      await this.queryDB(
+        `UPDATE backfill_segments SET ${sets.join(', ')} WHERE network = $1 AND job_id = $2 AND from_block = $3`,
+        params
+      );
+    } catch (error) {
+      this.log(`⚠️ Failed to update backfill segment ${segmentFrom}: ${error.message}`, 'warn');
+    }
+  }
+
+  /**
+   * First block of the earliest unresolved gap overlapping [fromBlock, toBlock], or null
+   */
+  async findOpenGapStart(fromBlock, toBlock) {
+    const result = await this.queryDB(`
+      SELECT MIN(from_block) AS gap_start, COUNT(*) AS gap_count
+      FROM scan_gaps
+      WHERE network = $1 AND resolved_at IS NULL AND from_block <= $3 AND to_block >= $2
+    `, [this.network, fromBlock, toBlock]);
+
+    const row = result.rows[0];
+    if (!row || row.gap_start === null || row.gap_start === undefined) return null;
+    return {
+      from: Math.max(parseInt(row.gap_start, 10), fromBlock),
+      count: parseInt(row.gap_count, 10)
+    };
+  }
+
+  /**
+   * Mark a segment done, or keep it failed and rewind it to its first open gap
+   * so the next run rescans the blocks the gap covers
+   * @returns {boolean} True when the segment is done
+   */
+  async finishBackfillSegment(jobId, segment) {
+    const gap = await this.findOpenGapStart(segment.from, segment.to);
+    if (!gap) {
+      await this.updateBackfillSegment(jobId, segment.from, { status: 'done', error: null });
+      return true;
+    }
+
+    await this.updateBackfillSegment(jobId, segment.from, {
+      status: 'failed',
+      lastProcessed: gap.from > segment.from ? gap.from - 1 : null,
+      error: `${gap.count} unresolved gap(s) from block ${gap.from}`
+    });
+    return false;
+  }
+
+  /**
+   * Copy of the scanner for one backfill worker: shares clients, DB and stats, but gets its own
+   * per-pipeline state so concurrent segments don't mix reorg tail, retries or traced creations
+   */
+  createBackfillWorker() {
+    const worker = Object.create(this);
+    worker.tailStartBlock = null;
+    worker.tailBlockHashes = new Map();
+    worker.tailSightings = new Map();
+    worker.creationInfo = new Map();
+    worker.blockRetryCount = new Map();
+    worker.openGaps = [...this.openGaps];
+    return worker;
+  }
+
+  /**
+   * Run one segment through the streaming pipeline, resuming after its last committed block
+   */
+  async runBackfillSegment(jobId, segment, workerId) {
+    const start = segment.lastProcessed !== null ? segment.lastProcessed + 1 : segment.from;
+    const label = `[worker ${workerId}] segment ${segment.from}-${segment.to}`;
+
+    if (start > segment.to) {
+      if (!(await this.finishBackfillSegment(jobId, segment))) {
+        this.log(`⚠️ ${label}: unresolved gaps remain - rewound for the next run`, 'warn');
+      }
+      return;
+    }
+
+    this.log(`🧩 ${label}: scanning ${start} → ${segment.to}${start > segment.from ? ' (resumed)' : ''}`);
+    await this.updateBackfillSegment(jobId, segment.from, { status: 'running', attempts: segment.attempts + 1 });
+
+    try {
+      const { processedAddresses } = await this.executeStreamingPipeline(start, segment.to, {
+        onCommit: (block) => this.updateBackfillSegment(jobId, segment.from, { lastProcessed: block })
+      });
+
+      if (await this.finishBackfillSegment(jobId, segment)) {
+        this.log(`✅ ${label}: done (${processedAddresses} addresses)`);
+      } else {
+        this.log(`⚠️ ${label}: scanned with unresolved gaps - rewound for the next run`, 'warn');
+      }
+    } catch (error) {
+      await this.updateBackfillSegment(jobId, segment.from, { status: 'failed', error: error.message.slice(0, 500) });
+      this.log(`❌ ${label}: failed - ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Backfill an explicit block/date range in resumable segments with bounded concurrency
+   * Segment progress lives in backfill_segments, so re-running the same command continues the job
+   */
+  async runBackfill() {
+    const { fromBlock, toBlock, jobId } = await this.resolveBackfillRange();
+    this.log(`🕰️ Backfill job ${jobId}: blocks ${fromBlock} → ${toBlock} (${toBlock - fromBlock + 1} blocks)`);
+
+    // Load open gaps so segments that cover them can resolve them
+    await this.reportGaps();
+
+    let segments = await this.loadBackfillSegments(jobId);
+    if (segments.length === 0) {
+      const segmentSize = this.getBackfillSegmentSize();
+      await this.createBackfillSegments(jobId, this.planBackfillSegments(fromBlock, toBlock, segmentSize));
+      segments = await this.loadBackfillSegments(jobId);
+      this.log(`🧩 Planned ${segments.length} segments of up to ${segmentSize} blocks`);
+    }
+
+    const queue = segments.filter(segment => segment.status !== 'done');
+    this.log(`🧩 ${segments.length - queue.length}/${segments.length} segments done, ${queue.length} remaining (concurrency: ${this.backfillConcurrency})`);
+
+    const worker = async (workerId) => {
+      const scanner = this.createBackfillWorker();
+      while (queue.length > 0) {
+        await scanner.runBackfillSegment(jobId, queue.shift(), workerId);
+      }
+    };
+    const workerCount = Math.min(this.backfillConcurrency, queue.length);
+    await Promise.all(Array.from({ length: workerCount }, (_, i) => worker(i + 1)));
+
+    const finalSegments = await this.loadBackfillSegments(jobId);
+    const done = finalSegments.filter(segment => segment.status === 'done').length;
+    const failed = finalSegments.length - done;
+
+    this.log(`🎯 BACKFILL ${failed === 0 ? 'COMPLETE' : 'INCOMPLETE'}: ${done}/${finalSegments.length} segments done`);
+    this.log(`📝 Contracts: ${this.stats.contractsFound} found, ${this.stats.contractsVerified} verified, ${this.stats.contractsUnverified} unverified`);
+    if (failed > 0) {
+      this.log(`⚠️ ${failed} segment(s) not finished - re-run the same command to resume`, 'warn');
     }
   }
 
@@ -1403,16 +2676,38 @@ class UnifiedScanner extends Scanner {
 
   async run() {
     this.log('🚀 Starting unified blockchain analysis pipeline');
+    this.log(`🧭 Discovery sources: ${this.discoverySources.map(source => source.name).join(', ')}${this.traceMethod ? `, trace (${this.traceMethod})` : ''}`);
 
     // Load permanently excluded blocks
     await this.loadPermanentlyExcludedBlocks();
 
-    // Get target block range
+    // Explicit historical range - checkpoint is left untouched
+    if (this.backfillMode) {
+      await this.runBackfill();
+      await this.deliverAlerts();
+      return;
+    }
+
+    // Report coverage gaps left by earlier runs
+    await this.reportGaps();
+
+    // Re-check the previous run's unconfirmed tail; a reorg rewinds the checkpoint
+    await this.checkForReorg();
+
+    // Get target block range (resumes from the checkpoint when one exists)
     const { fromBlock, toBlock } = await this.getTargetBlocks();
+    if (this.confirmations > 0) {
+      this.tailStartBlock = Math.max(fromBlock, toBlock - this.confirmations + 1);
+    }
+
+    // Execute streaming pipeline with parallel processing, checkpointing completed ranges
+    const { processedAddresses, totalProcessed } = await this.executeStreamingPipeline(fromBlock, toBlock, {
+      onCommit: (block) => this.saveCheckpoint(block)
+    });
     
-    // Execute streaming pipeline with parallel processing
-    const { processedAddresses, totalProcessed } = await this.executeStreamingPipeline(fromBlock, toBlock);
-    
+    // Remember the unconfirmed tail so the next run can detect reorgs
+    await this.finalizeTail(toBlock);
+
     // Update stats
     this.stats.transferAddresses = processedAddresses;
     this.stats.newAddresses = totalProcessed;
@@ -1422,6 +2717,33 @@ class UnifiedScanner extends Scanner {
     this.log(`📊 Addresses: ${this.stats.transferAddresses} found, ${this.stats.newAddresses} processed`);
     this.log(`📝 Contracts: ${this.stats.contractsFound} found, ${this.stats.contractsVerified} verified, ${this.stats.contractsUnverified} unverified`);
     this.log(`👤 EOAs: ${this.stats.eoaFiltered} identified`);
+    if (this.stats.eip7702Delegations > 0 || this.stats.eip7702Revocations > 0) {
+      this.log(`🎯 EIP-7702: ${this.stats.eip7702Delegations} delegated EOAs, ${this.stats.eip7702Revocations} revoked`);
+    }
+    if (this.stats.proxiesDetected > 0) {
+      this.log(`🔗 Proxies: ${this.stats.proxiesDetected} resolved on-chain`);
+    }
+    const tokenSummary = Object.entries(this.stats.tokenStandards).map(([tag, count]) => `${tag} ${count}`);
+    if (tokenSummary.length > 0) {
+      this.log(`🪙 Token standards: ${tokenSummary.join(', ')}`);
+    }
+    if (this.traceMethod) {
+      this.log(`🏗️ Creations: ${this.stats.contractsCreated} traced via ${this.traceMethod}`);
+    }
+    const sourceSummary = Object.entries(this.stats.sourceNewAddresses).map(([name, count]) => `${name}=${count}`);
+    if (sourceSummary.length > 0) {
+      this.log(`🧭 New addresses by source: ${sourceSummary.join(', ')}`);
+    }
+    if (this.stats.reorgsDetected > 0) {
+      this.log(`🔗 Reorgs: ${this.stats.reorgsDetected} detected and rolled back`, 'warn');
+    }
+    if (this.stats.gapsRecorded > 0) {
+      this.log(`🕳️ Gaps: ${this.stats.gapsRecorded} block range(s) skipped this run`, 'warn');
+      await this.reportGaps();
+    }
+
+    // Alerts queued by storeResults, plus earlier retries that are due
+    await this.deliverAlerts();
   }
 
   /**
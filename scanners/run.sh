@@ -250,6 +250,55 @@ main() {
             fi
             ;;
             
+        "backfill"|"UnifiedScanner-backfill")
+            network="${network:-${NETWORK:-}}"
+            if [[ -z "$network" ]]; then
+                log "ERROR: backfill requires a network (e.g. FROM_BLOCK=19000000 $0 backfill auto ethereum)"
+                exit 1
+            fi
+            if [[ -z "${FROM_BLOCK:-}" && -z "${FROM_DATE:-}" ]]; then
+                log "ERROR: backfill requires FROM_BLOCK or FROM_DATE"
+                exit 1
+            fi
+            # Backfills are resumable, so a long timeout only bounds a single session
+            export TIMEOUT_SECONDS="${BACKFILL_TIMEOUT_SECONDS:-86400}"
+            log "🕰️ Starting UnifiedScanner backfill for $network (${FROM_BLOCK:-${FROM_DATE:-}} → ${TO_BLOCK:-${TO_DATE:-head}})..."
+            lock_and_run "backfill-$network" "run_network UnifiedScanner $network"
+            ;;
+
+        "sources-backfill"|"SourceBackfiller")
+            log "📜 Starting SourceBackfiller${network:+ for $network}..."
+            if [[ -n "$network" ]]; then
+                lock_and_run "sources-backfill-$network" "run_network SourceBackfiller $network"
+            else
+                lock_and_run "sources-backfill-sequential" "run_sequential SourceBackfiller"
+            fi
+            ;;
+
+        "bytecode-analyze"|"ContractAnalyzer")
+            log "🔬 Starting ContractAnalyzer${network:+ for $network}..."
+            if [[ -n "$network" ]]; then
+                lock_and_run "bytecode-analyze-$network" "run_network ContractAnalyzer $network"
+            else
+                lock_and_run "bytecode-analyze-sequential" "run_sequential ContractAnalyzer"
+            fi
+            ;;
+
+        "token-discovery"|"TokenDiscovery")
+            log "🪙 Starting TokenDiscovery${network:+ for $network}..."
+            if [[ -n "$network" ]]; then
+                lock_and_run "token-discovery-$network" "run_network TokenDiscovery $network"
+            else
+                lock_and_run "token-discovery-sequential" "run_sequential TokenDiscovery"
+            fi
+            ;;
+
+        "clone-cluster"|"CloneClusterer")
+            # Clusters span every network; the network only picks the connection context
+            log "🧬 Starting CloneClusterer across all networks..."
+            lock_and_run "clone-cluster" "run_network CloneClusterer ${network:-ethereum}"
+            ;;
+
         "revalidate"|"data-revalidate"|"DataRevalidator")
             log "🔍 Starting DataRevalidator scanner${network:+ for $network}..."
             if [[ -n "$network" ]]; then
@@ -403,6 +452,61 @@ main() {
             ;;
             
             
+        "db-migrate-contract-sources"|"migrate-contract-sources")
+            log "📜 Migrating contract_sources table..."
+            node "$SCRIPT_DIR/utils/migrate-contract-sources.js"
+            ;;
+
+        "alert-rules"|"alerts")
+            # Everything after the command goes to the CLI (list, add, enable, disable, remove, deliveries, deliver, retry)
+            node "$SCRIPT_DIR/utils/alert-rules.js" "${@:2}"
+            ;;
+
+        "rpc-health")
+            # Optional: --network <name>, --reset <network>
+            node "$SCRIPT_DIR/utils/rpc-health-report.js" "${@:2}"
+            ;;
+
+        "db-migrate-fund-numeric"|"migrate-fund-numeric")
+            log "💵 Migrating fund columns to NUMERIC(30, 2)..."
+            node "$SCRIPT_DIR/utils/migrate-fund-numeric.js"
+            ;;
+
+        "db-migrate-fund-numeric-dry"|"migrate-fund-numeric-dry")
+            log "🔍 Preview fund column migration (dry run)..."
+            node "$SCRIPT_DIR/utils/migrate-fund-numeric.js" --dry-run
+            ;;
+
+        "db-migrate-eip7702-tags"|"migrate-eip7702-tags")
+            log "🎯 Retagging SmartWallet EOAs as EIP7702..."
+            node "$SCRIPT_DIR/utils/migrate-eip7702-tags.js"
+            ;;
+
+        "db-migrate-eip7702-tags-dry"|"migrate-eip7702-tags-dry")
+            log "🔍 Preview EIP-7702 tag migration (dry run)..."
+            node "$SCRIPT_DIR/utils/migrate-eip7702-tags.js" --dry-run
+            ;;
+
+        "db-migrate-rpc-health-keys"|"migrate-rpc-health-keys")
+            log "🔑 Dropping RPC health rows keyed by full endpoint URLs..."
+            node "$SCRIPT_DIR/utils/migrate-rpc-health-keys.js"
+            ;;
+
+        "db-migrate-rpc-health-keys-dry"|"migrate-rpc-health-keys-dry")
+            log "🔍 Preview RPC health key migration (dry run)..."
+            node "$SCRIPT_DIR/utils/migrate-rpc-health-keys.js" --dry-run
+            ;;
+
+        "db-compact-fund-snapshots"|"compact-fund-snapshots")
+            log "📸 Compacting fund snapshots..."
+            node "$SCRIPT_DIR/utils/compact-fund-snapshots.js"
+            ;;
+
+        "db-compact-fund-snapshots-dry"|"compact-fund-snapshots-dry")
+            log "🔍 Preview fund snapshot compaction (dry run)..."
+            node "$SCRIPT_DIR/utils/compact-fund-snapshots.js" --dry-run
+            ;;
+
         "db-optimize-large"|"optimize-large")
             log "🚀 Starting large dataset optimization..."
             node "$SCRIPT_DIR/utils/db-optimize-large.js"
@@ -437,6 +541,11 @@ Available Scanners:
   funds-all     Update asset balances for ALL contracts (ALL_FLAG enabled, batch size: 500,000)
   funds-high    Update asset balances for high-value addresses (fund >= 100,000, includes ALL_FLAG)
   unified       Complete blockchain analysis pipeline: addresses + EOA + verification (parallel)
+  backfill      Historical UnifiedScanner backfill for one network (FROM_BLOCK/TO_BLOCK or FROM_DATE/TO_DATE)
+  sources-backfill Store source code/ABI for contracts verified before contract_sources existed
+  clone-cluster Group contracts by code hash across networks and name unverified clones
+  bytecode-analyze Extract function selectors and notable opcodes from contract bytecode
+  token-discovery Rank tokens seen in Transfer logs into the token list used for balance checks
   revalidate    Revalidate existing data for consistency (data-revalidate, DataRevalidator)
   all           Run complete scanner suite (unified + funds + revalidate)
 
@@ -465,12 +574,20 @@ Examples:
   NETWORK=ethereum $0 funds-high   # Update high-value funds on ethereum with ALL_FLAG
   NETWORK=ethereum $0 unified      # Run unified analysis for ethereum only
   NETWORK=ethereum $0 revalidate   # Run revalidation for ethereum only
+  NETWORK=ethereum $0 sources-backfill # Store sources for already verified ethereum contracts
+  $0 clone-cluster                 # Rebuild code hash clusters and infer clone names
+  NETWORK=ethereum $0 bytecode-analyze # Index selectors/opcodes of ethereum contracts
+  NETWORK=ethereum $0 token-discovery  # Refresh the ranked ethereum token list
   NETWORK=polygon $0 unified       # Run unified analysis for polygon only
 
   # Alternative method (use correct parameter order)
   $0 funds auto ethereum      # Update funds for ethereum only
   $0 unified auto ethereum    # Run unified analysis for ethereum only
   $0 revalidate auto ethereum # Run revalidation for ethereum only
+
+  # Historical backfill (resumable - re-run the same command to continue)
+  FROM_BLOCK=19000000 TO_BLOCK=19500000 $0 backfill auto ethereum
+  FROM_DATE=2024-01-01 TO_DATE=2024-03-01 BACKFILL_CONCURRENCY=3 $0 backfill auto polygon
   
 Monitoring & Maintenance:
   $0 logs error               # Show recent errors
@@ -490,13 +607,58 @@ Monitoring & Maintenance:
   $0 db-normalize-addresses   # Analyze address normalization needs
   $0 db-normalize-addresses-dry # Dry run address normalization (preview only)
   $0 db-normalize-addresses-force # Execute address normalization with duplicates handling
+  $0 db-migrate-contract-sources # Create contract_sources and report contracts needing sources-backfill
+  $0 db-migrate-fund-numeric  # Change fund columns to NUMERIC(30, 2) and recreate views that read them
+  $0 db-migrate-fund-numeric-dry # Preview the fund column migration (dry run mode)
+  $0 db-migrate-eip7702-tags   # Retag legacy SmartWallet EOAs as EIP7702 and add their known delegations
+  $0 db-migrate-eip7702-tags-dry # Preview the EIP-7702 tag migration (dry run mode)
+  $0 db-migrate-rpc-health-keys # Delete rpc_endpoint_health rows keyed by full endpoint URLs (API keys)
+  $0 db-migrate-rpc-health-keys-dry # Preview the RPC health key migration (dry run mode)
+  $0 db-compact-fund-snapshots # Thin out old fund snapshots (daily after 7 days, weekly after 90)
+  $0 db-compact-fund-snapshots-dry # Preview fund snapshot compaction (dry run mode)
+
+Alerts:
+  $0 alert-rules list         # Alert rules with their delivery counts
+  $0 alert-rules add --name "Big new on base" --type new_contract --networks base --min-fund 500000 --verified --url https://hooks.example/x
+  $0 alert-rules add --name "Drained" --type fund_drop --min-drop-percent 80 --min-fund 100000 --url https://hooks.example/x
+  $0 alert-rules enable|disable|remove <id>
+  $0 alert-rules deliveries --status failed # Webhook delivery log
+  $0 alert-rules deliver      # Attempt due deliveries now
+  $0 alert-rules retry <id>   # Requeue a failed delivery
+
+RPC Endpoints:
+  $0 rpc-health               # Rank endpoints by recorded health, quarantined ones last
+  $0 rpc-health --network ethereum
+  $0 rpc-health --reset ethereum # Forget a network's endpoint statistics
 
 Environment Variables:
   TIMEOUT_SECONDS=7200       Script timeout (default: 7200)
   NETWORK=network_name       Override network for single-network runs
   HIGH_FUND_FLAG=true        Enable high-value address filtering (fund >= 100,000)
   FUND_UPDATE_MAX_BATCH=50000 Maximum batch size for fund updates
+  FUND_CHANGE_MIN_PERCENT=50 Fund change event threshold, percent of the previous fund
+  FUND_CHANGE_MIN_USD=100000 Fund change event threshold, absolute USD
+  DEX_ORACLE_MIN_LIQUIDITY_USD=50000 Minimum pool liquidity for DEX token prices
+  DEX_ORACLE_MAX_DEVIATION=10 Max percent spread between pools before a DEX price is rejected
+  TOKEN_DISCOVERY_MIN_TRANSFERS=100 Transfers a token needs to become a token list candidate
+  TOKEN_DISCOVERY_WINDOW_DAYS=30 Candidates must have transferred within this many days
+  TOKEN_LIST_SIZE=200        Ranked tokens per network used for balance checks
+  ALERT_MAX_ATTEMPTS=5       Webhook attempts before an alert delivery is marked failed
+  ALERT_RETRY_BASE_SECONDS=60 First retry delay for alert deliveries, doubled per attempt
+  ALERT_DEDUP_HOURS=24       Threshold alerts repeat at most once per rule and address in this window
+  ALERT_DELIVERY_BUDGET_MS=20000 Time one alert delivery pass may spend sending webhooks
+  RPC_BATCH_SIZE=50          Calls per JSON-RPC batch to public RPC endpoints (1 turns batching off)
+  RPC_BATCH_LIMITS=host=size Per-endpoint batch caps, comma-separated
+  RPC_HEALTH_SYNC_SECONDS=60 How often scanners share RPC endpoint health through the database
+  RPC_MAX_HEAD_LAG=50        Blocks an RPC endpoint may trail the best-known head before it is quarantined
+  RPC_VALIDATION_INTERVAL_SECONDS=600 How often RPC endpoints are checked for chain ID and head lag
   ALL_FLAG=true              Enable processing all addresses (for funds-all mode)
+  FROM_BLOCK/TO_BLOCK        Backfill block range (TO defaults to chain head)
+  FROM_DATE/TO_DATE          Backfill date range (ISO dates, used when blocks are not set)
+  BACKFILL_CONCURRENCY=2     Segments processed in parallel during backfill
+  BACKFILL_SEGMENT_BLOCKS    Fixed segment size (default: sized from learned log density)
+  BACKFILL_TIMEOUT_SECONDS=86400 Timeout for one backfill session
+
 
 Available Core Scanners:
   - UnifiedScanner.js        Complete blockchain analysis pipeline
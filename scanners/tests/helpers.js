@@ -0,0 +1,65 @@
+/**
+ * Shared pieces of the offline test scripts
+ *
+ *   runTest(testFn)        runs testFn(check), prints the results and exits non-zero when a
+ *                          check failed or the test threw
+ *   recordingDb(queries)   stand-in for the pg client that records { query, params } per call
+ *   fixedChunkOptimizer    ContractCall.getChunkOptimizer replacement with fixed chunk limits
+ */
+
+/**
+ * Run one test script
+ * @param {Function} testFn - async (check) => {}; check(label, condition) records one assertion
+ */
+function runTest(testFn) {
+  let passed = 0;
+  let failed = 0;
+  const check = (label, condition) => {
+    if (condition) {
+      console.log(`  ✅ ${label}`);
+      passed++;
+    } else {
+      console.log(`  ❌ ${label}`);
+      failed++;
+    }
+  };
+
+  Promise.resolve()
+    .then(() => testFn(check))
+    .then(() => {
+      console.log(`\n📊 Results: ${passed} passed, ${failed} failed`);
+      process.exit(failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('❌ Test failed:', error);
+      process.exit(1);
+    });
+}
+
+/**
+ * DB client stub; every query is recorded and answered with no rows unless respond returns a result
+ * @param {Array} queries - Receives { query, params } per call
+ * @param {Function} respond - Optional (query, params) => result, or null/undefined for no rows
+ */
+function recordingDb(queries = [], respond = () => null) {
+  return {
+    query: async (query, params) => {
+      queries.push({ query, params });
+      return (await respond(query, params)) || { rows: [], rowCount: 0 };
+    }
+  };
+}
+
+/**
+ * Chunk size learning is not under test and would write history files
+ */
+function fixedChunkOptimizer() {
+  return {
+    getLimits: () => ({ initial: 100, max: 100 }),
+    recordChunkExecution: () => {},
+    getSessionStats: () => ({}),
+    saveSession: async () => {}
+  };
+}
+
+module.exports = { runTest, recordingDb, fixedChunkOptimizer };
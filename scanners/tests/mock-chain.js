@@ -0,0 +1,698 @@
+#!/usr/bin/env node
+/**
+ * Mock Chain Server
+ * A local stand-in for the services the scanners talk to, answering from scripted chain state:
+ *
+ *   POST /rpc/:network            Alchemy proxy route (AlchemyRPCClient with USE_ALCHEMY_PROXY=true)
+ *   POST /node/:name              Public JSON-RPC endpoints (HttpRpcClient rpcUrls), one per name
+ *   GET  /api                     Etherscan-compatible API (a network's explorerApiUrl)
+ *   POST /api/etherscan/:network  Etherscan proxy route (USE_ETHERSCAN_PROXY=true)
+ *   GET  /api-keys/available-tier Alchemy tier detection
+ *
+ * JSON-RPC: eth_chainId, eth_blockNumber, eth_getBlockByNumber, eth_getLogs, eth_getCode,
+ * eth_getBalance, eth_getStorageAt, eth_getTransactionCount, eth_getTransactionByHash,
+ * eth_getTransactionReceipt and eth_call. eth_call answers the contractValidator, BalanceHelper,
+ * Multicall3 aggregate3 and ERC-20 balanceOf ABIs at any address, plus per-account scripted calls.
+ * Etherscan: contract getsourcecode/getcontractcreation/getabi, block getblocknobytime and the
+ * proxy module. Single calls and batch arrays are both accepted.
+ *
+ * Scenario (every field optional):
+ *   {
+ *     chainId: 1, head: 1000, blockTime: 12, tier: 'growth',
+ *     maxLogsPerQuery: 10000,      // eth_getLogs matching more logs fails with a range hint
+ *     creationTimestamps: false,   // getcontractcreation answers include blockNumber/timestamp
+ *     accounts: {
+ *       '0x…': {
+ *         balance, code, nonce,
+ *         tokens: { '0xtoken': amount },            // what balanceOf/getTokenBalance return
+ *         storage: { '0xslot': '0xvalue' },
+ *         calls: { 'decimals()': '0x…' },           // view calls by signature, selector or calldata
+ *         source: { ContractName, SourceCode, ABI, Proxy, Implementation },  // verified on Etherscan
+ *         creation: { blockNumber, creator, txHash } // or { genesis: true }
+ *       }
+ *     },
+ *     logs: [{ blockNumber, address, topics, data }]
+ *   }
+ *
+ * Failures are injected with fail(): { route: 'alchemy'|'rpc'|'etherscan', endpoint, method
+ * (JSON-RPC method or Etherscan action), kind, times (default 1) }. Kinds:
+ *   timeout      the request is never answered
+ *   delay        answered after delayMs
+ *   rate-limit   HTTP 429
+ *   status       HTTP status (default 503)
+ *   range-limit  eth_getLogs "query returned more than N results" with a suggested block range
+ *   error        JSON-RPC error (code, message), or an Etherscan NOTOK answer
+ * timeout, delay, rate-limit and status fail a whole HTTP request; range-limit and error fail
+ * only the matching calls of a batch.
+ *
+ * Run directly to serve a scenario file: node tests/mock-chain.js [scenario.json]
+ * (MOCK_CHAIN_PORT, default 8545); it prints the environment that points the scanners at it.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const { ethers } = require('ethers');
+
+const VALIDATOR = new ethers.Interface([
+  'function getCodeHashes(address[] memory addrs) external view returns(bytes32[] memory)',
+  'function isContract(address[] memory addrs) external view returns(bool[] memory)'
+]);
+const BALANCE_HELPER = new ethers.Interface([
+  'function getNativeBalance(address[] memory addrs) external view returns(uint256[] memory)',
+  'function getTokenBalance(address[] memory addrs, address[] memory tokens) external view returns(uint256[] memory)'
+]);
+const MULTICALL3 = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]);
+const ERC20 = new ethers.Interface(['function balanceOf(address) external view returns(uint256)']);
+
+const ZERO_WORD = ethers.ZeroHash;
+const WHOLE_REQUEST_KINDS = ['timeout', 'delay', 'rate-limit', 'status'];
+const KINDS = [...WHOLE_REQUEST_KINDS, 'range-limit', 'error'];
+
+class RpcFailure extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const selectorOf = (key) => (key.includes('(') ? ethers.id(key).slice(0, 10) : key.toLowerCase());
+const lower = (value) => (typeof value === 'string' ? value.toLowerCase() : value);
+
+class MockChain {
+  constructor(scenario = {}) {
+    this.chainId = scenario.chainId || 1;
+    this.head = scenario.head ?? 1000;
+    this.blockTime = scenario.blockTime || 12;
+    // The head block is "now", so time-window lookups land inside the scripted chain
+    this.genesisTime = scenario.genesisTime ?? Math.floor(Date.now() / 1000) - this.head * this.blockTime;
+    this.tier = scenario.tier || 'growth';
+    this.maxLogsPerQuery = scenario.maxLogsPerQuery || null;
+    this.creationTimestamps = Boolean(scenario.creationTimestamps);
+
+    this.logs = [];
+    this.transactions = new Map(); // hash -> transaction
+    this.accounts = new Map();
+    for (const [address, account] of Object.entries(scenario.accounts || {})) {
+      this.setAccount(address, account);
+    }
+    for (const log of scenario.logs || []) this.addLog(log);
+
+    this.failures = [];
+    this.requests = []; // { route, endpoint, network, method, params } per call received
+    this.server = null;
+    this.url = null;
+  }
+
+  // ====== CHAIN STATE ======
+
+  setAccount(address, account) {
+    const key = address.toLowerCase();
+    const calls = new Map(Object.entries(account.calls || {}).map(([call, result]) => [selectorOf(call), result]));
+    const storage = new Map(Object.entries(account.storage || {}).map(([slot, value]) => [
+      ethers.toBeHex(BigInt(slot), 32), ethers.zeroPadValue(value, 32)
+    ]));
+    const tokens = new Map(Object.entries(account.tokens || {}).map(([token, amount]) => [token.toLowerCase(), BigInt(amount)]));
+
+    const creation = account.creation && !account.creation.genesis
+      ? { ...account.creation, txHash: account.creation.txHash || ethers.id(`mock-creation-${key}`) }
+      : account.creation;
+    const entry = {
+      ...account,
+      address: key,
+      creation,
+      code: account.code || '0x',
+      balance: BigInt(account.balance || 0),
+      nonce: account.nonce || 0,
+      calls,
+      storage,
+      tokens
+    };
+    this.accounts.set(key, entry);
+
+    if (creation && !creation.genesis) {
+      this.transactions.set(creation.txHash.toLowerCase(), {
+        hash: creation.txHash,
+        blockNumber: creation.blockNumber,
+        from: (creation.creator || ethers.ZeroAddress).toLowerCase(),
+        to: null,
+        contractAddress: key
+      });
+    }
+    return entry;
+  }
+
+  account(address) {
+    return this.accounts.get(lower(address)) || null;
+  }
+
+  addLog(log) {
+    const entry = {
+      address: log.address.toLowerCase(),
+      topics: log.topics.map(lower),
+      data: log.data || '0x',
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash || ethers.id(`mock-log-tx-${this.logs.length}`),
+      logIndex: log.logIndex ?? this.logs.filter(other => other.blockNumber === log.blockNumber).length
+    };
+    this.logs.push(entry);
+    if (!this.transactions.has(entry.transactionHash)) {
+      this.transactions.set(entry.transactionHash, {
+        hash: entry.transactionHash,
+        blockNumber: entry.blockNumber,
+        from: ethers.ZeroAddress,
+        to: entry.address,
+        contractAddress: null
+      });
+    }
+    return entry;
+  }
+
+  blockHash(number) {
+    return ethers.id(`mock-block-${this.chainId}-${number}`);
+  }
+
+  blockTimestamp(number) {
+    return this.genesisTime + number * this.blockTime;
+  }
+
+  blockNumber(tag) {
+    if (tag === undefined || tag === null || ['latest', 'pending', 'safe', 'finalized'].includes(tag)) return this.head;
+    if (tag === 'earliest') return 0;
+    return Number(BigInt(tag));
+  }
+
+  block(tag, fullTransactions = false) {
+    const number = this.blockNumber(tag);
+    if (number < 0 || number > this.head) return null;
+    const transactions = [...this.transactions.values()].filter(tx => tx.blockNumber === number);
+    return {
+      number: ethers.toQuantity(number),
+      hash: this.blockHash(number),
+      parentHash: number > 0 ? this.blockHash(number - 1) : ZERO_WORD,
+      timestamp: ethers.toQuantity(this.blockTimestamp(number)),
+      miner: ethers.ZeroAddress,
+      gasLimit: ethers.toQuantity(30000000),
+      gasUsed: '0x0',
+      baseFeePerGas: '0x1',
+      transactions: fullTransactions ? transactions.map(tx => this.transaction(tx.hash)) : transactions.map(tx => tx.hash)
+    };
+  }
+
+  transaction(hash) {
+    const tx = this.transactions.get(lower(hash));
+    if (!tx) return null;
+    return {
+      hash: tx.hash,
+      blockNumber: ethers.toQuantity(tx.blockNumber),
+      blockHash: this.blockHash(tx.blockNumber),
+      transactionIndex: '0x0',
+      from: tx.from,
+      to: tx.to,
+      nonce: '0x0',
+      value: '0x0',
+      input: '0x'
+    };
+  }
+
+  receipt(hash) {
+    const tx = this.transactions.get(lower(hash));
+    if (!tx) return null;
+    return {
+      transactionHash: tx.hash,
+      blockNumber: ethers.toQuantity(tx.blockNumber),
+      blockHash: this.blockHash(tx.blockNumber),
+      transactionIndex: '0x0',
+      from: tx.from,
+      to: tx.to,
+      contractAddress: tx.contractAddress,
+      status: '0x1',
+      logs: this.logs.filter(log => log.transactionHash === tx.hash).map(log => this.formatLog(log))
+    };
+  }
+
+  formatLog(log) {
+    return {
+      address: log.address,
+      topics: log.topics,
+      data: log.data,
+      blockNumber: ethers.toQuantity(log.blockNumber),
+      blockHash: this.blockHash(log.blockNumber),
+      transactionHash: log.transactionHash,
+      transactionIndex: '0x0',
+      logIndex: ethers.toQuantity(log.logIndex),
+      removed: false
+    };
+  }
+
+  // Logs matching a filter, or a range-limit error when more than maxLogsPerQuery match
+  getLogs(filter = {}) {
+    let fromBlock;
+    let toBlock;
+    if (filter.blockHash) {
+      fromBlock = toBlock = [...Array(this.head + 1).keys()].find(n => this.blockHash(n) === lower(filter.blockHash)) ?? -1;
+    } else {
+      fromBlock = this.blockNumber(filter.fromBlock ?? 'latest');
+      toBlock = Math.min(this.blockNumber(filter.toBlock ?? 'latest'), this.head);
+    }
+    const addresses = filter.address ? [].concat(filter.address).map(lower) : null;
+    const topics = filter.topics || [];
+
+    const matched = this.logs
+      .filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock)
+      .filter(log => !addresses || addresses.includes(log.address))
+      .filter(log => topics.every((topic, i) => topic === null || topic === undefined
+        || [].concat(topic).map(lower).includes(log.topics[i])))
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    if (this.maxLogsPerQuery && matched.length > this.maxLogsPerQuery) {
+      const endBlock = Math.max(fromBlock, matched[this.maxLogsPerQuery].blockNumber - 1);
+      throw this.rangeLimitError(fromBlock, endBlock, this.maxLogsPerQuery);
+    }
+    return matched.map(log => this.formatLog(log));
+  }
+
+  rangeLimitError(fromBlock, endBlock, limit = 10000) {
+    return new RpcFailure(-32005,
+      `query returned more than ${limit} results. Try with this block range [${ethers.toQuantity(fromBlock)}, ${ethers.toQuantity(endBlock)}].`);
+  }
+
+  // eth_call against the scripted state: { success, returnData }, like a CALL opcode
+  call(to, data = '0x') {
+    const target = this.account(to);
+    const scripted = target?.calls.get(data.toLowerCase()) ?? target?.calls.get(data.slice(0, 10).toLowerCase());
+    if (scripted !== undefined) return { success: true, returnData: scripted };
+
+    const selector = data.slice(0, 10).toLowerCase();
+    const decode = (iface, name) => iface.decodeFunctionData(name, data);
+    const encode = (iface, name, values) => iface.encodeFunctionResult(name, values);
+
+    switch (selector) {
+      case VALIDATOR.getFunction('isContract').selector: {
+        const [addrs] = decode(VALIDATOR, 'isContract');
+        return { success: true, returnData: encode(VALIDATOR, 'isContract', [addrs.map(addr => this.codeOf(addr) !== '0x')]) };
+      }
+      case VALIDATOR.getFunction('getCodeHashes').selector: {
+        const [addrs] = decode(VALIDATOR, 'getCodeHashes');
+        const hashes = addrs.map(addr => (this.codeOf(addr) === '0x' ? ZERO_WORD : ethers.keccak256(this.codeOf(addr))));
+        return { success: true, returnData: encode(VALIDATOR, 'getCodeHashes', [hashes]) };
+      }
+      case BALANCE_HELPER.getFunction('getNativeBalance').selector: {
+        const [addrs] = decode(BALANCE_HELPER, 'getNativeBalance');
+        return { success: true, returnData: encode(BALANCE_HELPER, 'getNativeBalance', [addrs.map(addr => this.balanceOf(addr))]) };
+      }
+      case BALANCE_HELPER.getFunction('getTokenBalance').selector: {
+        const [addrs, tokens] = decode(BALANCE_HELPER, 'getTokenBalance');
+        const balances = addrs.flatMap(addr => tokens.map(token => (token === ethers.ZeroAddress
+          ? this.balanceOf(addr)
+          : this.tokenBalance(token, addr))));
+        return { success: true, returnData: encode(BALANCE_HELPER, 'getTokenBalance', [balances]) };
+      }
+      case MULTICALL3.getFunction('aggregate3').selector: {
+        const [calls] = decode(MULTICALL3, 'aggregate3');
+        const results = calls.map(({ target: callTarget, allowFailure, callData }) => {
+          const result = this.call(callTarget, callData);
+          if (!result.success && !allowFailure) throw new RpcFailure(3, 'execution reverted: Multicall3: call failed');
+          return [result.success, result.returnData];
+        });
+        return { success: true, returnData: encode(MULTICALL3, 'aggregate3', [results]) };
+      }
+      case ERC20.getFunction('balanceOf').selector:
+        if (target && target.code !== '0x') {
+          const [holder] = decode(ERC20, 'balanceOf');
+          return { success: true, returnData: encode(ERC20, 'balanceOf', [this.tokenBalance(to, holder)]) };
+        }
+        break;
+      default:
+        break;
+    }
+
+    // Calls to addresses without code succeed with no data; contracts revert on unknown functions
+    if (!target || target.code === '0x') return { success: true, returnData: '0x' };
+    return { success: false, returnData: '0x' };
+  }
+
+  codeOf(address) {
+    return this.account(address)?.code || '0x';
+  }
+
+  balanceOf(address) {
+    return this.account(address)?.balance || 0n;
+  }
+
+  tokenBalance(token, holder) {
+    return this.account(holder)?.tokens.get(lower(token)) || 0n;
+  }
+
+  storageAt(address, slot) {
+    return this.account(address)?.storage.get(ethers.toBeHex(BigInt(slot), 32)) || ZERO_WORD;
+  }
+
+  // ====== JSON-RPC ======
+
+  rpcResult(method, params = []) {
+    switch (method) {
+      case 'eth_chainId':
+        return ethers.toQuantity(this.chainId);
+      case 'net_version':
+        return String(this.chainId);
+      case 'eth_blockNumber':
+        return ethers.toQuantity(this.head);
+      case 'eth_getBlockByNumber':
+        return this.block(params[0], Boolean(params[1]));
+      case 'eth_getLogs':
+        return this.getLogs(params[0]);
+      case 'eth_getCode':
+        return this.codeOf(params[0]);
+      case 'eth_getBalance':
+        return ethers.toQuantity(this.balanceOf(params[0]));
+      case 'eth_getStorageAt':
+        return this.storageAt(params[0], params[1]);
+      case 'eth_getTransactionCount':
+        return ethers.toQuantity(this.account(params[0])?.nonce || 0);
+      case 'eth_getTransactionByHash':
+        return this.transaction(params[0]);
+      case 'eth_getTransactionReceipt':
+        return this.receipt(params[0]);
+      case 'eth_call': {
+        const result = this.call(params[0]?.to, params[0]?.data || params[0]?.input);
+        if (!result.success) throw new RpcFailure(3, 'execution reverted');
+        return result.returnData;
+      }
+      default:
+        throw new RpcFailure(-32601, `the method ${method} does not exist/is not available`);
+    }
+  }
+
+  answerCall(call, failure) {
+    const { id = null, method, params } = call;
+    try {
+      if (failure?.kind === 'range-limit') {
+        const { fromBlock, toBlock } = params?.[0] || {};
+        const from = this.blockNumber(fromBlock);
+        const to = Math.min(this.blockNumber(toBlock), this.head);
+        throw this.rangeLimitError(from, Math.max(from, from + Math.floor((to - from + 1) / 2) - 1), failure.limit);
+      }
+      if (failure?.kind === 'error') throw new RpcFailure(failure.code ?? -32000, failure.message || 'internal error');
+      return { jsonrpc: '2.0', id, result: this.rpcResult(method, params) };
+    } catch (error) {
+      return { jsonrpc: '2.0', id, error: { code: error.code ?? -32603, message: error.message } };
+    }
+  }
+
+  // ====== ETHERSCAN ======
+
+  sourceEntry(address) {
+    const source = this.account(address)?.source;
+    if (!source) {
+      return {
+        SourceCode: '', ABI: 'Contract source code not verified', ContractName: '', CompilerVersion: '',
+        OptimizationUsed: '', Runs: '', ConstructorArguments: '', EVMVersion: 'Default', Library: '',
+        LicenseType: 'Unknown', Proxy: '0', Implementation: '', SwarmSource: ''
+      };
+    }
+    return {
+      SourceCode: `// SPDX-License-Identifier: MIT\ncontract ${source.ContractName} {}`,
+      ABI: '[]',
+      CompilerVersion: 'v0.8.24+commit.e11b9ed9',
+      OptimizationUsed: '1',
+      Runs: '200',
+      ConstructorArguments: '',
+      EVMVersion: 'Default',
+      Library: '',
+      LicenseType: 'MIT',
+      Proxy: '0',
+      Implementation: '',
+      SwarmSource: '',
+      ...source
+    };
+  }
+
+  creationEntry(address) {
+    const creation = this.account(address)?.creation;
+    if (!creation) return null;
+    if (creation.genesis) {
+      return { contractAddress: address, contractCreator: 'GENESIS', txHash: `GENESIS_${address.slice(2)}` };
+    }
+    return {
+      contractAddress: address,
+      contractCreator: (creation.creator || ethers.ZeroAddress).toLowerCase(),
+      txHash: creation.txHash,
+      ...(this.creationTimestamps ? {
+        blockNumber: String(creation.blockNumber),
+        timestamp: String(this.blockTimestamp(creation.blockNumber))
+      } : {})
+    };
+  }
+
+  // Etherscan answer ({ status, message, result }) for module/action parameters
+  etherscanResult(params) {
+    const ok = (result) => ({ status: '1', message: 'OK', result });
+    const notOk = (result, message = 'NOTOK') => ({ status: '0', message, result });
+
+    if (params.module === 'proxy') {
+      const rpcParams = {
+        eth_blockNumber: [],
+        eth_getCode: [params.address, params.tag || 'latest'],
+        eth_getStorageAt: [params.address, params.position, params.tag || 'latest'],
+        eth_getTransactionByHash: [params.txhash],
+        eth_getTransactionReceipt: [params.txhash],
+        eth_getBlockByNumber: [params.tag, params.boolean === 'true'],
+        eth_call: [{ to: params.to, data: params.data }, params.tag || 'latest']
+      }[params.action];
+      if (!rpcParams) return { jsonrpc: '2.0', id: 1, error: { code: -32601, message: 'Invalid action' } };
+      return this.answerCall({ id: 1, method: params.action, params: rpcParams });
+    }
+
+    const key = `${params.module}.${params.action}`;
+    switch (key) {
+      case 'contract.getsourcecode':
+        return ok([this.sourceEntry(lower(params.address))]);
+      case 'contract.getabi': {
+        const entry = this.sourceEntry(lower(params.address));
+        return entry.SourceCode ? ok(entry.ABI) : notOk('Contract source code not verified');
+      }
+      case 'contract.getcontractcreation': {
+        const addresses = String(params.contractaddresses || '').split(',').map(lower).filter(Boolean);
+        if (addresses.length > 5) return notOk('Maximum 5 contract addresses per request');
+        const creations = addresses.map(address => this.creationEntry(address)).filter(Boolean);
+        return creations.length > 0 ? ok(creations) : notOk([], 'No data found');
+      }
+      case 'block.getblocknobytime': {
+        const elapsed = Number(params.timestamp) - this.genesisTime;
+        const number = Math.min(this.head, Math.max(0, params.closest === 'after'
+          ? Math.ceil(elapsed / this.blockTime)
+          : Math.floor(elapsed / this.blockTime)));
+        return ok(String(number));
+      }
+      default:
+        return notOk('Error! Missing Or invalid Action name');
+    }
+  }
+
+  // ====== FAILURES ======
+
+  /**
+   * Inject a failure; see the header for the rule fields
+   * @returns {Object} The rule; rule.remaining counts down as it fires
+   */
+  fail(rule) {
+    if (!KINDS.includes(rule.kind)) {
+      throw new Error(`Unknown failure kind: ${rule.kind} (expected ${KINDS.join(', ')})`);
+    }
+    const entry = { ...rule, remaining: rule.times ?? 1 };
+    this.failures.push(entry);
+    return entry;
+  }
+
+  clearFailures() {
+    this.failures = [];
+  }
+
+  takeFailure(route, endpoint, method, kinds) {
+    const rule = this.failures.find(candidate => candidate.remaining > 0
+      && kinds.includes(candidate.kind)
+      && (!candidate.route || candidate.route === route)
+      && (!candidate.endpoint || candidate.endpoint === endpoint)
+      && (!candidate.method || candidate.method === method));
+    if (rule) rule.remaining--;
+    return rule || null;
+  }
+
+  /**
+   * Calls received, optionally only for one route and method/action
+   */
+  calls(route = null, method = null) {
+    return this.requests.filter(request => (!route || request.route === route) && (!method || request.method === method));
+  }
+
+  // ====== HTTP ======
+
+  async start(port = 0) {
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        try {
+          this.handle(req, res, body);
+        } catch (error) {
+          this.send(res, 500, { error: error.message });
+        }
+      });
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', resolve);
+    });
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    // Requests held by timeout failures would otherwise keep the server open
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  rpcUrl(name = 'public') {
+    return `${this.url}/node/${name}`;
+  }
+
+  get explorerApiUrl() {
+    return `${this.url}/api`;
+  }
+
+  /**
+   * Environment that points a scanner process at this server (proxy routes, so no API keys)
+   * @param {string} rpcUrlVariable - The network's public RPC list variable in config/networks.js
+   */
+  environment(rpcUrlVariable = 'ETHEREUM_RPC_URL') {
+    return {
+      USE_ALCHEMY_PROXY: 'true',
+      ALCHEMY_PROXY_URL: this.url,
+      ALCHEMY_TIER_DETECTION_URL: this.url,
+      USE_ETHERSCAN_PROXY: 'true',
+      ETHERSCAN_PROXY_URL: this.url,
+      [rpcUrlVariable]: this.rpcUrl('public')
+    };
+  }
+
+  send(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+
+  handle(req, res, body) {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+
+    if (req.method === 'GET' && url.pathname === '/api-keys/available-tier') {
+      return this.send(res, 200, { tier: this.tier });
+    }
+    if (req.method === 'POST' && parts[0] === 'rpc' && parts.length === 2) {
+      return this.handleRpc(res, body, { route: 'alchemy', network: parts[1] });
+    }
+    if (req.method === 'POST' && parts[0] === 'node' && parts.length === 2) {
+      return this.handleRpc(res, body, { route: 'rpc', endpoint: parts[1] });
+    }
+    if (req.method === 'GET' && url.pathname === '/api') {
+      return this.handleEtherscan(res, Object.fromEntries(url.searchParams), { proxied: false });
+    }
+    if (req.method === 'POST' && parts[0] === 'api' && parts[1] === 'etherscan' && parts.length === 3) {
+      return this.handleEtherscan(res, JSON.parse(body || '{}'), { proxied: true, network: parts[2] });
+    }
+    return this.send(res, 404, { error: `No mock route for ${req.method} ${url.pathname}` });
+  }
+
+  // Whole-request failures; returns true when the response was taken over
+  applyRequestFailure(res, failure, answer, errorBody) {
+    if (!failure) return false;
+    if (failure.kind === 'timeout') return true; // never answered
+    if (failure.kind === 'delay') {
+      setTimeout(answer, failure.delayMs || 0);
+      return true;
+    }
+    const status = failure.kind === 'rate-limit' ? 429 : (failure.status || 503);
+    this.send(res, status, errorBody(status));
+    return true;
+  }
+
+  handleRpc(res, body, { route, endpoint = null, network = null }) {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      return this.send(res, 200, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+    }
+    const calls = Array.isArray(payload) ? payload : [payload];
+    calls.forEach(call => this.requests.push({ route, endpoint, network, method: call.method, params: call.params }));
+
+    const requestFailure = calls.reduce((found, call) => found
+      || this.takeFailure(route, endpoint, call.method, WHOLE_REQUEST_KINDS), null);
+    const answer = () => {
+      const answers = calls.map(call => this.answerCall(call, this.takeFailure(route, endpoint, call.method, ['range-limit', 'error'])));
+      this.send(res, 200, Array.isArray(payload) ? answers : answers[0]);
+    };
+
+    if (this.applyRequestFailure(res, requestFailure, answer, (status) => ({
+      jsonrpc: '2.0',
+      id: Array.isArray(payload) ? null : payload.id ?? null,
+      error: { code: status, message: status === 429 ? 'Too Many Requests' : `HTTP ${status}` }
+    }))) return;
+    answer();
+  }
+
+  handleEtherscan(res, params, { proxied, network = null }) {
+    const { apikey, chainid, ...request } = params;
+    this.requests.push({ route: 'etherscan', endpoint: null, network, method: request.action, params: request });
+
+    const requestFailure = this.takeFailure('etherscan', null, request.action, WHOLE_REQUEST_KINDS);
+    const answer = () => {
+      const failure = this.takeFailure('etherscan', null, request.action, ['error']);
+      const result = failure
+        ? { status: '0', message: 'NOTOK', result: failure.message || 'Max rate limit reached' }
+        : this.etherscanResult(request);
+
+      if (!proxied) return this.send(res, 200, result);
+      if (request.module === 'proxy') return this.send(res, 200, { success: true, data: result });
+      if (result.status === '1' || result.message === 'No data found') return this.send(res, 200, { success: true, data: result.result });
+      return this.send(res, 200, { success: false, error: result.result });
+    };
+
+    if (this.applyRequestFailure(res, requestFailure, answer, (status) => (proxied
+      ? { success: false, error: status === 429 ? 'Too Many Requests' : `HTTP ${status}` }
+      : { status: '0', message: 'NOTOK', result: status === 429 ? 'Max rate limit reached' : `HTTP ${status}` }))) return;
+    answer();
+  }
+}
+
+async function main() {
+  const [scenarioFile] = process.argv.slice(2);
+  const scenario = scenarioFile ? JSON.parse(fs.readFileSync(scenarioFile, 'utf8')) : {};
+  const chain = await new MockChain(scenario).start(parseInt(process.env.MOCK_CHAIN_PORT || '8545', 10));
+
+  console.log(`⛓️  Mock chain ${chain.chainId} at ${chain.url}: head ${chain.head}, ${chain.accounts.size} accounts, ${chain.logs.length} logs`);
+  console.log('\nPoint a scanner at it with:');
+  for (const [name, value] of Object.entries(chain.environment())) {
+    console.log(`  export ${name}=${value}`);
+  }
+
+  const shutdown = async () => {
+    await chain.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Mock chain failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { MockChain };
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Test per-token holdings written by FundUpdater
+ * Checks that updateAddressFunds stores each nonzero balance with its value in address_holdings,
+ * keeps unpriced tokens without a value, and leaves holders the ERC20 call missed untouched
+ */
+
+process.env.USE_ALCHEMY_PROXY = 'true'; // no rate-limit sleeps
+
+const FundUpdater = require('../core/FundUpdater.js');
+const { runTest, recordingDb } = require('./helpers');
+
+const HOLDER = '0x' + '11'.repeat(20);
+const FAILED_HOLDER = '0x' + '22'.repeat(20);
+const USDC = '0x' + 'aa'.repeat(20);
+const GOV = '0x' + 'bb'.repeat(20);
+const EMPTY = '0x' + 'cc'.repeat(20);
+
+async function testAddressHoldings(check) {
+  console.log('🧪 Testing address_holdings from FundUpdater\n');
+
+  const updater = new FundUpdater('ethereum');
+  updater.log = () => {};
+  updater.currentTime = 1700000000;
+  updater.insertMissingSymbols = async () => {};
+  updater.updateTokenPrices = async () => {};
+  updater.loadTokenAddressMapping = () => ({
+    tokenAddresses: [USDC, GOV, EMPTY],
+    addressToSymbolMap: { [USDC]: 'USDC', [GOV]: 'GOV', [EMPTY]: 'EMPTY' },
+    addressToTokenMap: {
+      [USDC]: { symbol: 'USDC', decimals: 6 },
+      [GOV]: { symbol: 'GOV', decimals: 18 },
+      [EMPTY]: { symbol: 'EMPTY', decimals: 18 }
+    }
+  });
+  updater.priceCache = {
+    fetchTokenPrices: async () => ({
+      symbols: ['ETH', 'USDC', 'EMPTY'],
+      symbolDataMap: new Map([['eth', { price: 2000, source: 'alchemy' }], ['usdc', { price: 1, source: 'alchemy' }], ['empty', { price: 5, source: 'alchemy' }]])
+    })
+  };
+  updater.getNativeBalances = async (addresses) => addresses.map(a => (a === HOLDER ? '500000000000000000' : '0'));
+  // FAILED_HOLDER is missing from the ERC20 answer
+  updater.getERC20Balances = async () => new Map([[HOLDER, new Map([
+    [USDC, { balance: '5000000000000' }],
+    [GOV, { balance: '1000000000000000000000' }],
+    [EMPTY, { balance: '0' }]
+  ])]]);
+  updater.alchemyClient = {
+    getTokenPricesByAddress: async () => ({
+      data: [{ network: 'eth-mainnet', address: USDC, prices: [{ currency: 'usd', value: '1' }] }]
+    })
+  };
+  updater.processBatch = async (items, processor) => [await processor(items)];
+  // No DEX pools either, so GOV stays unpriced
+  updater.multicall = async (calls) => calls.map(() => null);
+
+  const queries = [];
+  updater.db = recordingDb(queries);
+  updater.queryDB = updater.db.query;
+
+  await updater.updateAddressFunds([HOLDER, FAILED_HOLDER]);
+
+  const addressInsert = queries.find(q => q.query.includes('INSERT INTO addresses'));
+  check('Fund still counts priced holdings only', addressInsert.params.includes('5001000.00'));
+
+  const insert = queries.find(q => q.query.includes('INSERT INTO address_holdings'));
+  const rows = [];
+  for (let i = 0; i < insert.params.length; i += 9) rows.push(insert.params.slice(i, i + 9));
+  const byToken = new Map(rows.map(row => [row[2], row]));
+  check('Only nonzero balances stored', rows.length === 3 && !byToken.has(EMPTY));
+  check('Native balance stored under the native key', byToken.get('native')?.[3] === 'ETH' && byToken.get('native')[6] === '1000.00');
+  check('Token stored with raw balance, decimals and value', byToken.get(USDC)?.[4] === '5000000000000' && byToken.get(USDC)[5] === 6 && byToken.get(USDC)[6] === '5000000.00' && byToken.get(USDC)[8] === 'alchemy');
+  check('Unpriced token kept without a value', byToken.get(GOV)?.[6] === null && byToken.get(GOV)[8] === null);
+
+  const deletes = queries.filter(q => q.query.startsWith('DELETE FROM address_holdings'));
+  check('Stale holdings dropped for refreshed holders', deletes.length === 1 && deletes[0].params[1].join() === HOLDER);
+  check('Holdings untouched when the ERC20 call missed the holder', !rows.some(row => row[0] === FAILED_HOLDER));
+}
+
+runTest(testAddressHoldings);
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Test token prices keyed by address
+ * Checks canonical asset mapping, that FundUpdater.updateAddressPrices reuses fresh token_prices
+ * rows, asks Alchemy by address for the rest and maps its network names back, and that tokens
+ * sharing a ticker no longer share a price
+ */
+
+process.env.USE_ALCHEMY_PROXY = 'true'; // no rate-limit sleeps
+
+const { CANONICAL_ASSETS, canonicalAsset } = require('../config/canonical-assets');
+const FundUpdater = require('../core/FundUpdater.js');
+const { runTest } = require('./helpers');
+
+const ETH_USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const ETH_WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const ARB_USDC_E = '0xff970a61a04b1ca14834a43f5de4533ebddb5cc8';
+const ARB_WETH = '0x82af49447d8a07e3bd95bd0d56f35241523fbab1';
+const ARB_GMX = '0xfc5a1a6eb076a2c7ad06ed22c90d7e710e35ad0a';
+const ARB_FAKE_GMX = '0x' + '66'.repeat(20);
+const HOLDER = '0x' + '11'.repeat(20);
+
+async function testAddressPrices(check) {
+  console.log('🧪 Testing token prices by address\n');
+
+  // Canonical assets
+  check('Bridged token maps to its canonical asset', canonicalAsset('arbitrum', '0xFF970A61A04b1cA14834A43f5dE4533eBDDB5CC8')?.address === ETH_USDC);
+  check('Canonical token is priced as itself', canonicalAsset('ethereum', ETH_USDC) === null);
+  const keys = Object.values(CANONICAL_ASSETS).flatMap(map => Object.keys(map));
+  check('Canonical keys are lowercase addresses', keys.every(key => /^0x[0-9a-f]{40}$/.test(key)));
+
+  // updateAddressPrices
+  const updater = new FundUpdater('arbitrum');
+  updater.log = () => {};
+  updater.currentTime = 1700000000;
+  const queries = [];
+  updater.queryDB = async (query, params) => {
+    queries.push({ query, params });
+    if (query.includes('FROM token_prices')) {
+      return { rows: [{ network: 'ethereum', token: ETH_WETH, price_usd: '2000' }] };
+    }
+    return { rows: [], rowCount: 0 };
+  };
+  const requested = [];
+  updater.alchemyClient = {
+    getTokenPricesByAddress: async (tokens) => {
+      requested.push(...tokens);
+      return { data: [
+        { network: 'eth-mainnet', address: ETH_USDC, prices: [{ currency: 'usd', value: '0.9998' }] },
+        { network: 'arb-mainnet', address: ARB_GMX, prices: [{ currency: 'usd', value: '25.5' }] },
+        { network: 'arb-mainnet', address: ARB_FAKE_GMX, prices: [], error: 'Token not found' }
+      ] };
+    }
+  };
+
+  const addressToTokenMap = {
+    [ARB_USDC_E]: { symbol: 'USDC.e', decimals: 6 },
+    [ARB_WETH]: { symbol: 'WETH', decimals: 18 },
+    [ARB_GMX]: { symbol: 'GMX', decimals: 18 },
+    [ARB_FAKE_GMX]: { symbol: 'GMX', decimals: 18 }
+  };
+  const prices = await updater.updateAddressPrices(addressToTokenMap);
+
+  check('Fresh cached canonical price reused', prices.get(ARB_WETH)?.price === 2000 && prices.get(ARB_WETH).source === 'canonical');
+  check('Cached prices are not requested again', !requested.some(token => token.address === ETH_WETH));
+  check('Canonical assets requested on their own network', requested.some(token => token.network === 'eth-mainnet' && token.address === ETH_USDC));
+  check('Bridged token takes the canonical price', prices.get(ARB_USDC_E)?.price === 0.9998 && prices.get(ARB_USDC_E).source === 'canonical');
+  check('Own by-address price used', prices.get(ARB_GMX)?.price === 25.5 && prices.get(ARB_GMX).source === 'alchemy');
+  check('Token with the same ticker stays unpriced by address', !prices.has(ARB_FAKE_GMX));
+
+  const upsert = queries.find(q => q.query.includes('INSERT INTO token_prices'));
+  check('Fetched prices stored under their own network', upsert?.params.length === 10
+    && upsert.params[0] === 'ethereum' && upsert.params[1] === ETH_USDC && upsert.params[5] === 'arbitrum');
+
+  // Symbol collision in updateAddressFunds
+  updater.insertMissingSymbols = async () => {};
+  updater.updateTokenPrices = async () => {};
+  updater.updateDexPrices = async () => new Map();
+  updater.updateAddressPrices = async () => new Map([[ARB_GMX, { price: 25.5, source: 'alchemy' }]]);
+  updater.loadTokenAddressMapping = () => ({
+    tokenAddresses: [ARB_GMX, ARB_FAKE_GMX],
+    addressToSymbolMap: { [ARB_GMX]: 'GMX', [ARB_FAKE_GMX]: 'GMX' },
+    addressToTokenMap: { [ARB_GMX]: { symbol: 'GMX', decimals: 18 }, [ARB_FAKE_GMX]: { symbol: 'GMX', decimals: 18 } }
+  });
+  updater.priceCache = {
+    fetchTokenPrices: async () => ({ symbols: ['GMX'], symbolDataMap: new Map([['gmx', { price: 0.01, source: 'alchemy' }]]) })
+  };
+  updater.getNativeBalances = async (addresses) => addresses.map(() => '0');
+  updater.getERC20Balances = async () => new Map([[HOLDER, new Map([
+    [ARB_GMX, { balance: '1000000000000000000' }],
+    [ARB_FAKE_GMX, { balance: '1000000000000000000' }]
+  ])]]);
+  updater.processBatch = async (items, processor) => [await processor(items)];
+  updater.db = { query: updater.queryDB };
+  queries.length = 0;
+  await updater.updateAddressFunds([HOLDER]);
+
+  const holdings = queries.find(q => q.query.includes('INSERT INTO address_holdings'));
+  const rows = [];
+  for (let i = 0; i < holdings.params.length; i += 9) rows.push(holdings.params.slice(i, i + 9));
+  const byToken = new Map(rows.map(row => [row[2], row]));
+  check('Address price wins over the symbol price', byToken.get(ARB_GMX)?.[6] === '25.50' && byToken.get(ARB_GMX)[8] === 'alchemy');
+  check('Symbol price is only the fallback', byToken.get(ARB_FAKE_GMX)?.[6] === '0.01' && byToken.get(ARB_FAKE_GMX)[8] === 'alchemy_symbol');
+}
+
+runTest(testAddressPrices);
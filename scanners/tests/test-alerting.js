@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/**
+ * Test fund alerting
+ * Checks rule validation and matching, and that FundUpdater and UnifiedScanner queue matches once per
+ * dedup key inside their loops and deliver them at the end of the run to a local HTTP receiver, retrying failed requests with wall-clock
+ * backoff until the delivery is marked failed, and that a delivery pass stops at its time budget
+ */
+
+const http = require('http');
+const {
+  ALERT_DEFAULTS,
+  validateAlertRule,
+  matchAlertRules,
+  recordAlerts,
+  deliverPendingAlerts
+} = require('../common/alerting');
+const FundUpdater = require('../core/FundUpdater.js');
+const UnifiedScanner = require('../core/UnifiedScanner.js');
+const { runTest } = require('./helpers');
+
+const NEW_VAULT = '0x' + '11'.repeat(20);
+const DRAINED = '0x' + '22'.repeat(20);
+const STEADY = '0x' + '33'.repeat(20);
+const NOW = 1700000000;
+
+const wallClock = () => Math.floor(Date.now() / 1000);
+
+/**
+ * alert_rules / alert_deliveries kept in memory, answering the statements common/alerting.js issues
+ */
+function alertStore(rules, addressRows = []) {
+  const deliveries = [];
+  const query = async (sql, params) => {
+    if (sql.includes('FROM alert_rules')) {
+      return { rows: rules.filter(rule => !rule.networks || rule.networks.includes(params[0])) };
+    }
+    if (sql.includes('SELECT address, contract_name, tags')) {
+      return { rows: addressRows.filter(row => params[1].includes(row.address)) };
+    }
+    if (sql.includes('INSERT INTO alert_deliveries')) {
+      const rows = [];
+      for (let i = 0; i < params.length; i += 8) {
+        const [ruleId, network, address, dedupKey, payload, webhookUrl, nextAttemptAt, createdAt] = params.slice(i, i + 8);
+        if (deliveries.some(d => d.dedup_key === dedupKey)) continue;
+        const delivery = {
+          id: deliveries.length + 1, rule_id: ruleId, network, address, dedup_key: dedupKey,
+          payload: JSON.parse(payload), webhook_url: webhookUrl, status: 'pending', attempts: 0,
+          next_attempt_at: nextAttemptAt, created_at: createdAt
+        };
+        deliveries.push(delivery);
+        rows.push({ id: delivery.id });
+      }
+      return { rows };
+    }
+    if (sql.includes('WHERE id = ANY($1)')) {
+      deliveries.filter(d => params[0].includes(d.id)).forEach(d => { d.next_attempt_at = params[1]; });
+      return { rows: [], rowCount: params[0].length };
+    }
+    if (sql.includes('UPDATE alert_deliveries SET next_attempt_at')) {
+      const due = deliveries.filter(d => d.status === 'pending' && d.next_attempt_at <= params[0]).slice(0, params[2]);
+      due.forEach(d => { d.next_attempt_at = params[1]; });
+      return { rows: due.map(d => ({ ...d })) };
+    }
+    if (sql.includes("SET status = 'delivered'")) {
+      Object.assign(deliveries.find(d => d.id === params[0]), {
+        status: 'delivered', attempts: params[1], last_status: params[2], last_error: null, delivered_at: params[3]
+      });
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.includes('SET status = $2')) {
+      Object.assign(deliveries.find(d => d.id === params[0]), {
+        status: params[1], attempts: params[2], last_status: params[3], last_error: params[4], next_attempt_at: params[5]
+      });
+      return { rows: [], rowCount: 1 };
+    }
+    return { rows: [], rowCount: 0 };
+  };
+  return { query, deliveries };
+}
+
+async function testAlerting(check) {
+  console.log('🧪 Testing fund alerting\n');
+
+  // Local webhook receiver; answers 500 to the first request, then 200
+  const received = [];
+  let failNext = 1;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      if (failNext > 0) {
+        failNext--;
+        res.writeHead(500);
+        res.end('busy');
+        return;
+      }
+      res.writeHead(200);
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  // Validation
+  check('Rules need a known type and an http webhook', validateAlertRule({ name: 'x', rule_type: 'sometimes', webhook_url: url }) !== null
+    && validateAlertRule({ name: 'x', rule_type: 'new_contract', webhook_url: 'ftp://host' }) !== null);
+  check('Threshold rules need their threshold', validateAlertRule({ name: 'x', rule_type: 'fund_drop', webhook_url: url }) !== null
+    && validateAlertRule({ name: 'x', rule_type: 'fund_above', webhook_url: url }) !== null
+    && validateAlertRule({ name: 'x', rule_type: 'fund_drop', min_drop_percent: '80', webhook_url: url }) === null);
+
+  // Matching
+  const newOnBase = { id: 1, name: 'Big new verified on base', rule_type: 'new_contract', networks: ['base'], min_fund: '500000.00', verified_only: true, webhook_url: `${url}/new` };
+  const drained = { id: 2, name: 'Drained', rule_type: 'fund_drop', networks: null, min_fund: '100000.00', min_drop_percent: 80, webhook_url: `${url}/drop` };
+  const above = { id: 3, name: 'Crossed $1M', rule_type: 'fund_above', networks: null, min_fund: '1000000.00', webhook_url: `${url}/above` };
+  const event = (overrides) => ({
+    network: 'base', address: NEW_VAULT, tags: ['Contract', 'Verified'], isContract: true, verified: true,
+    isNew: false, previousFund: null, fund: null, ...overrides
+  });
+
+  const matchedRules = (events) => matchAlertRules([newOnBase, drained, above], events, NOW).map(m => m.rule.id);
+  check('New verified contract matches once valued above min_fund', matchedRules([event({ isNew: true, fund: '500000.00' })]).join() === '1');
+  check('New contract below min_fund or not yet valued is skipped', matchedRules([event({ isNew: true, fund: '499999.99' }), event({ isNew: true })]).length === 0);
+  check('Network and verified filters applied', matchedRules([event({ isNew: true, fund: '900000', network: 'ethereum' }), event({ isNew: true, fund: '900000', verified: false })]).length === 0);
+  check('Drop of 80% from a large fund matches', matchedRules([event({ previousFund: '200000.00', fund: '39999.99' })]).join() === '2');
+  check('Drop on dust ignored', matchedRules([event({ previousFund: '99999.99', fund: '0.00' })]).length === 0);
+  check('Crossing up through min_fund matches, staying above does not', matchedRules([event({ previousFund: '999999.99', fund: '1000000.00' })]).join() === '3'
+    && matchedRules([event({ previousFund: '1000000.00', fund: '2000000.00' })]).length === 0);
+  const dropKey = (now) => matchAlertRules([drained], [event({ previousFund: '200000', fund: '0' })], now)[0].dedupKey;
+  check('Threshold alerts dedup within the window', dropKey(NOW) === dropKey(NOW + 60) && dropKey(NOW) !== dropKey(NOW + ALERT_DEFAULTS.dedupHours * 3600));
+
+  // UnifiedScanner: contracts are stored before they are valued
+  const store = alertStore([{ ...newOnBase, min_fund: null }, drained], [
+    { address: NEW_VAULT, contract_name: 'Vault', tags: ['Contract', 'Verified'] },
+    { address: DRAINED, contract_name: 'Pool', tags: ['Contract', 'Verified'] },
+    { address: STEADY, contract_name: null, tags: ['EOA'] }
+  ]);
+  const scanner = new UnifiedScanner();
+  scanner.log = () => {};
+  scanner.network = 'base';
+  scanner.currentTime = NOW;
+  scanner.queryDB = store.query;
+  await scanner.sendContractAlerts([{ address: NEW_VAULT, contractName: 'Vault', tags: ['Contract', 'Verified'] }]);
+  check('New contract alert queued from storeResults', store.deliveries.length === 1 && store.deliveries[0].rule_id === 1);
+  check('Scan pipeline only queues alerts', store.deliveries[0].attempts === 0 && received.length === 0);
+
+  const claims = [];
+  const noRules = alertStore([]);
+  scanner.queryDB = async (sql, params) => { claims.push(sql); return noRules.query(sql, params); };
+  await scanner.sendContractAlerts([{ address: NEW_VAULT, contractName: 'Vault', tags: ['Contract', 'Verified'] }]);
+  check('Without rules nothing beyond the rule lookup runs', claims.length === 1 && claims[0].includes('FROM alert_rules'));
+
+  scanner.queryDB = store.query;
+  const attemptedAt = wallClock();
+  await scanner.deliverAlerts();
+  check('Failed webhook request left for retry', store.deliveries[0].status === 'pending' && store.deliveries[0].attempts === 1
+    && store.deliveries[0].last_error === 'HTTP 500');
+  check('Backoff counts from the wall clock, not the scan time', store.deliveries[0].next_attempt_at >= attemptedAt + ALERT_DEFAULTS.retryBaseSeconds
+    && store.deliveries[0].next_attempt_at <= wallClock() + ALERT_DEFAULTS.retryBaseSeconds);
+
+  // FundUpdater: first valuation of the same contract, a drain and a steady EOA
+  const updater = new FundUpdater('base');
+  updater.log = () => {};
+  updater.currentTime = NOW + 30;
+  updater.queryDB = store.query;
+  const updates = [
+    { address: NEW_VAULT, fund: '750000.00' },
+    { address: DRAINED, fund: '1000.00' },
+    { address: STEADY, fund: '10.00' }
+  ];
+  const previousFunds = new Map([
+    [DRAINED, { fund: '250000.00', updatedAt: NOW - 86400 }],
+    [STEADY, { fund: '10.00', updatedAt: NOW - 86400 }]
+  ]);
+  await updater.sendFundAlerts(updates, previousFunds);
+  await updater.sendFundAlerts(updates, previousFunds);
+  check('Same contract is not alerted twice as new', store.deliveries.filter(d => d.address === NEW_VAULT).length === 1);
+  check('Drain queued once across repeated batches', store.deliveries.filter(d => d.address === DRAINED).length === 1 && updater.alertsQueued === 1);
+  check('Balance batches only queue alerts', !received.some(r => r.path === '/drop'));
+
+  await updater.deliverAlerts();
+
+  const drain = received.find(r => r.path === '/drop');
+  check('Webhook receives the match with its delivery headers', drain?.body.address === DRAINED && drain.body.fund === '1000.00'
+    && drain.body.previous_fund === '250000.00' && drain.body.change_percent === -99.6
+    && drain.headers['x-alert-dedup-key'] === store.deliveries.find(d => d.address === DRAINED).dedup_key);
+  check('Retry waits for its backoff', store.deliveries[0].status === 'pending');
+
+  await deliverPendingAlerts(store.query, { clock: () => wallClock() + ALERT_DEFAULTS.retryBaseSeconds });
+  check('Retried delivery succeeds on the next attempt', store.deliveries[0].status === 'delivered' && store.deliveries[0].attempts === 2
+    && received.filter(r => r.path === '/new').length === 2);
+
+  // A webhook that never answers 2xx ends up failed
+  failNext = Infinity;
+  const failing = alertStore([drained]);
+  const settings = { ...ALERT_DEFAULTS, maxAttempts: 2 };
+  updater.queryDB = failing.query;
+  await updater.sendFundAlerts([{ address: DRAINED, fund: '0.00' }], previousFunds);
+  await deliverPendingAlerts(failing.query, { settings });
+  await deliverPendingAlerts(failing.query, { clock: () => wallClock() + ALERT_DEFAULTS.retryBaseSeconds, settings });
+  check('Delivery marked failed after the last attempt', failing.deliveries[0]?.status === 'failed' && failing.deliveries[0].attempts === 2);
+
+  // A slow webhook: the pass stops starting requests at its budget and releases the rest
+  const slow = alertStore([drained]);
+  await recordAlerts(slow.query, [STEADY, NEW_VAULT, DRAINED].map(address => ({
+    rule: drained, event: event({ address }), dedupKey: `slow:${address}`, changePercent: null
+  })), NOW);
+  const posted = [];
+  const slowPost = async (target, payload) => {
+    posted.push(payload.address);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return { status: 200 };
+  };
+  const budgeted = await deliverPendingAlerts(slow.query, { settings: { ...ALERT_DEFAULTS, deliveryBudgetMs: 80 }, post: slowPost });
+  check('Delivery pass stops at its time budget', budgeted.delivered === 2 && budgeted.deferred === 1 && posted.length === 2);
+  const released = slow.deliveries.find(d => d.status === 'pending');
+  check('Unattempted claims are released for the next pass', released?.attempts === 0 && released.next_attempt_at <= wallClock());
+
+  // A failed ERC20 call must not read as a drain of every token holder in the batch
+  const unknown = alertStore([drained], [{ address: DRAINED, contract_name: 'Pool', tags: ['Contract', 'Verified'] }]);
+  const balances = new FundUpdater('base');
+  balances.log = () => {};
+  balances.currentTime = NOW + 60;
+  balances.insertMissingSymbols = async () => {};
+  balances.updateTokenPrices = async () => {};
+  balances.updateAddressPrices = async () => new Map();
+  balances.updateDexPrices = async () => new Map();
+  balances.loadTokenAddressMapping = () => ({
+    tokenAddresses: [NEW_VAULT],
+    addressToSymbolMap: { [NEW_VAULT]: 'VLT' },
+    addressToTokenMap: { [NEW_VAULT]: { symbol: 'VLT', decimals: 18 } }
+  });
+  balances.priceCache = { fetchTokenPrices: async () => ({ symbols: ['ETH'], symbolDataMap: new Map([['eth', { price: 2000 }]]) }) };
+  balances.getNativeBalances = async (addresses) => addresses.map(() => '0');
+  balances.getERC20Balances = async () => { throw new Error('execution reverted'); };
+  balances.processBatch = async (items, processor) => [await processor(items)];
+  balances.queryDB = async (sql, params) => (sql.includes('SELECT address, fund, last_fund_updated')
+    ? { rows: [{ address: DRAINED, fund: '250000.00', last_fund_updated: NOW - 86400 }] }
+    : unknown.query(sql, params));
+  balances.db = { query: balances.queryDB };
+  await balances.updateAddressFunds([DRAINED]);
+  check('No fund_drop queued for a holder whose token balances are unknown', unknown.deliveries.length === 0);
+
+  server.close();
+}
+
+runTest(testAlerting);
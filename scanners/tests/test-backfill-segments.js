@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Test backfill segment planning
+ * Verifies range parsing, segment sizing from learned log density, that
+ * planned segments cover the requested range exactly once, that segments with
+ * open gaps are not marked done, that a rescan resolves gaps wider than one batch,
+ * and that workers get their own pipeline state
+ */
+
+const UnifiedScanner = require('../core/UnifiedScanner.js');
+const { runTest, recordingDb } = require('./helpers');
+
+async function testBackfillSegments(check) {
+  console.log('🧪 Testing backfill segment planning\n');
+
+  // Range parsing
+  process.env.FROM_BLOCK = '1000';
+  process.env.TO_DATE = '2024-03-01';
+  delete process.env.TO_BLOCK;
+  delete process.env.FROM_DATE;
+
+  const scanner = new UnifiedScanner();
+  scanner.log = () => {};
+
+  const options = scanner.parseBackfillOptions();
+  check('Backfill mode enabled by FROM_BLOCK', scanner.backfillMode === true);
+  check('FROM_BLOCK parsed as block number', options.fromBlock === 1000);
+  check('TO_DATE parsed as unix timestamp', options.toTime === Date.parse('2024-03-01') / 1000);
+
+  process.env.FROM_BLOCK = 'abc';
+  let threw = false;
+  try {
+    scanner.parseBackfillOptions();
+  } catch (error) {
+    threw = error.message.includes('FROM_BLOCK');
+  }
+  check('Invalid FROM_BLOCK is rejected', threw);
+  delete process.env.FROM_BLOCK;
+  delete process.env.TO_DATE;
+
+  // Segment planning
+  const segments = scanner.planBackfillSegments(100, 1049, 200);
+  check('Range split into 5 segments', segments.length === 5);
+  check('First segment starts at range start', segments[0].from === 100);
+  check('Last segment ends at range end', segments[segments.length - 1].to === 1049);
+  const contiguous = segments.every((segment, i) => i === 0 || segment.from === segments[i - 1].to + 1);
+  check('Segments are contiguous without overlap', contiguous);
+
+  // Segment sizing
+  scanner.maxLogsBlockRange = 500;
+  scanner.logsOptimization = { maxBatchSize: 1000 };
+  scanner.logDensityStats.avgLogsPerBlock = 0;
+  check('Without learned density: 100 x max batch', scanner.getBackfillSegmentSize() === 50000);
+
+  scanner.logDensityStats.avgLogsPerBlock = 100;
+  check('Learned density sizes segments by target logs', scanner.getBackfillSegmentSize() === 20000);
+
+  scanner.logDensityStats.avgLogsPerBlock = 5000;
+  check('Dense chains never go below 10 x max batch', scanner.getBackfillSegmentSize() === 5000);
+
+  scanner.backfillSegmentBlocks = 1234;
+  check('BACKFILL_SEGMENT_BLOCKS overrides sizing', scanner.getBackfillSegmentSize() === 1234);
+
+  // Segment completion against open gaps
+  let openGap = null;
+  let queries = [];
+  scanner.db = recordingDb(queries, (query) => (
+    query.includes('FROM scan_gaps')
+      ? { rows: [{ gap_start: openGap ? String(openGap) : null, gap_count: openGap ? '1' : '0' }] }
+      : null
+  ));
+  const segmentUpdate = () => queries.find(q => q.query.startsWith('UPDATE backfill_segments'));
+
+  check('Segment without open gaps is done', await scanner.finishBackfillSegment('job', { from: 100, to: 299 }) === true);
+  check('Done segment stored as done', segmentUpdate()?.params.includes('done'));
+
+  openGap = 150;
+  queries.length = 0;
+  check('Segment with an open gap is not done', await scanner.finishBackfillSegment('job', { from: 100, to: 299 }) === false);
+  const failedUpdate = segmentUpdate();
+  check('Gap query bounded to the segment', queries[0].params[1] === 100 && queries[0].params[2] === 299);
+  check('Segment with an open gap stored as failed', failedUpdate?.params.includes('failed'));
+  check('Segment rewound to just before the gap', failedUpdate?.params.includes(149));
+
+  // A fully processed segment is still rechecked on resume
+  queries = [];
+  scanner.db = recordingDb(queries, (query) => (
+    query.includes('FROM scan_gaps') ? { rows: [{ gap_start: '100', gap_count: '2' }] } : null
+  ));
+  await scanner.runBackfillSegment('job', { from: 100, to: 299, lastProcessed: 299, attempts: 1 }, 1);
+  const rewound = segmentUpdate();
+  check('Resumed segment with gap at its start stays failed', rewound?.params.includes('failed'));
+  check('Segment rewound to its start', rewound?.query.includes('last_processed_block') && rewound.params.includes(null));
+
+  // A gap wider than one rescan batch no longer keeps its segment failed
+  const gaps = [{ from: 150, to: 280, resolved: false }];
+  queries = [];
+  scanner.db = recordingDb(queries, (query, params) => {
+    if (query.includes('WITH covered')) {
+      const [, from, to] = params;
+      for (const gap of gaps.filter(g => !g.resolved && g.from <= to && g.to >= from)) {
+        gap.resolved = true;
+        if (gap.from < from) gaps.push({ from: gap.from, to: from - 1, resolved: false });
+        if (gap.to > to) gaps.push({ from: to + 1, to: gap.to, resolved: false });
+      }
+      return null;
+    }
+    if (query.includes('FROM scan_gaps')) {
+      const open = gaps.filter(g => !g.resolved && g.from <= params[2] && g.to >= params[1]);
+      return { rows: [{ gap_start: open.length ? String(Math.min(...open.map(g => g.from))) : null, gap_count: String(open.length) }] };
+    }
+    return null;
+  });
+  scanner.openGaps = [{ from: 150, to: 280 }];
+  const pipeline = scanner.executeStreamingPipeline;
+  scanner.executeStreamingPipeline = async (from, to, options) => {
+    for (let block = from; block <= to; block += 100) {
+      await scanner.commitCompletedRanges([{ from: block, to: Math.min(block + 99, to), done: true, gap: false }], options.onCommit);
+    }
+    return { processedAddresses: 0 };
+  };
+  await scanner.runBackfillSegment('job', { from: 100, to: 299, lastProcessed: 149, attempts: 1 }, 1);
+  scanner.executeStreamingPipeline = pipeline;
+  check('Gap wider than one batch resolved across batches', gaps.every(gap => gap.resolved) && scanner.openGaps.length === 0);
+  check('Segment rescanned over the wide gap is done', queries.filter(q => q.query.startsWith('UPDATE backfill_segments')).pop()?.params.includes('done'));
+
+  // Worker state
+  scanner.tailBlockHashes.set(1, '0xabc');
+  scanner.openGaps = [{ from: 1, to: 2 }];
+  const worker = scanner.createBackfillWorker();
+  worker.creationInfo.set('0x1', {});
+  worker.blockRetryCount.set('1-2', 1);
+  check('Worker gets its own reorg tail', worker.tailBlockHashes !== scanner.tailBlockHashes && worker.tailBlockHashes.size === 0);
+  check('Worker state does not leak into the scanner', scanner.creationInfo.size === 0 && scanner.blockRetryCount.size === 0);
+  check('Worker shares stats and DB', worker.stats === scanner.stats && worker.db === scanner.db);
+  check('Worker starts from the loaded open gaps', worker.openGaps.length === 1 && worker.openGaps !== scanner.openGaps);
+}
+
+runTest(testBackfillSegments);
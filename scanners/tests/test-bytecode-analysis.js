@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Test bytecode analysis
+ * Checks dispatcher selector extraction, that PUSH data and CBOR metadata are not read as code,
+ * notable opcode flags and ContractAnalyzer's code hash check and storage
+ */
+
+const { keccak256 } = require('ethers');
+const { analyzeBytecode, stripMetadata } = require('../common/bytecodeAnalyzer');
+const ContractAnalyzer = require('../core/ContractAnalyzer.js');
+const { runTest } = require('./helpers');
+
+// Solidity-style dispatcher: DUP1 PUSH4 sel EQ PUSH2 dest JUMPI
+const dispatch = (selector, dest) => '80' + '63' + selector + '14' + '61' + dest + '57';
+// Newer solc shape: PUSH4 sel DUP2 EQ PUSH2 dest JUMPI
+const dispatchDup = (selector, dest) => '63' + selector + '81' + '14' + '61' + dest + '57';
+// CBOR metadata: a2 64 'ipfs' 58 22 <34 bytes> 64 'solc' 43 <3 bytes>, then its length (0x0033)
+const METADATA = 'a2646970667358221220' + 'ff'.repeat(32) + '64736f6c6343' + '000818' + '0033';
+
+async function testBytecodeAnalysis(check) {
+  console.log('🧪 Testing bytecode analysis\n');
+
+  const code = '0x' +
+    '6080604052' + '60043610' + '61003f57' + '60003560e01c' +
+    dispatch('a9059cbb', '0044') +
+    dispatch('23b872dd', '0050') +
+    dispatchDup('70a08231', '0060') +
+    '63ffffffff16' +                 // PUSH4 mask + AND: not a selector
+    '7f' + 'f4'.repeat(32) +         // DELEGATECALL bytes inside PUSH32 data
+    '5b' + 'f4' +                    // real DELEGATECALL
+    'fe' + METADATA;
+
+  const analysis = analyzeBytecode(code);
+  check('Dispatcher selectors extracted and sorted', analysis.selectors.join() === '0x23b872dd,0x70a08231,0xa9059cbb');
+  check('PUSH4 masks are not selectors', !analysis.selectors.includes('0xffffffff'));
+  check('DELEGATECALL flagged', analysis.opcodes.join() === 'DELEGATECALL');
+  check('Code size counts the whole code', analysis.codeSize === (code.length - 2) / 2);
+
+  const bytes = Uint8Array.from(Buffer.from(code.slice(2), 'hex'));
+  check('CBOR metadata stripped', stripMetadata(bytes).length === bytes.length - METADATA.length / 2);
+  check('SELFDESTRUCT bytes inside metadata are ignored', !analysis.opcodes.includes('SELFDESTRUCT'));
+
+  const flagged = analyzeBytecode('0x' + 'f2' + 'f5' + 'ff');
+  check('CALLCODE, CREATE2 and SELFDESTRUCT flagged', flagged.opcodes.join() === 'CALLCODE,CREATE2,SELFDESTRUCT');
+  check('Empty or malformed code yields nothing', analyzeBytecode('0x').selectors.length === 0 && analyzeBytecode('0xabc').codeSize === 0);
+
+  // ContractAnalyzer
+  const analyzer = new ContractAnalyzer();
+  analyzer.log = () => {};
+  analyzer.alchemyClient = { getCode: async () => code };
+
+  const row = { address: '0x' + 'AB'.repeat(20), code_hash: keccak256(code) };
+  const result = await analyzer.analyzeContract(row);
+  check('Analysis kept when the code matches its hash', result && result.selectors.length === 3);
+  check('Changed code is skipped', (await analyzer.analyzeContract({ ...row, code_hash: '0x' + '00'.repeat(31) + '01' })) === null);
+
+  const queries = [];
+  analyzer.queryDB = async (query, params) => {
+    queries.push({ query, params });
+    return { rows: [], rowCount: 1 };
+  };
+  await analyzer.storeAnalyses([result]);
+  check('Analysis stored per code hash with lowercase source address', queries[0].query.includes('ON CONFLICT (code_hash)') && queries[0].params[4] === row.address.toLowerCase());
+}
+
+runTest(testBytecodeAnalysis);
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Test clone clustering
+ * Checks cluster rebuild parameters, stale cluster removal, batched name propagation and that
+ * address upserts keep the InferredName marker while the inferred name is kept
+ */
+
+process.env.CLONE_MIN_CLUSTER_SIZE = '3';
+process.env.CLONE_PROPAGATE_BATCH = '2';
+
+const { batchUpsertAddresses } = require('../common/database');
+const CloneClusterer = require('../core/CloneClusterer.js');
+const { runTest } = require('./helpers');
+
+async function testCloneClusters(check) {
+  console.log('🧪 Testing clone clustering\n');
+
+  const queries = [];
+  const clusterer = new CloneClusterer();
+  clusterer.log = () => {};
+  clusterer.queryDB = async (query, params = []) => {
+    queries.push({ query, params });
+    if (query.includes('INSERT INTO code_hash_clusters')) return { rows: [], rowCount: 7 };
+    if (query.includes('DELETE FROM code_hash_clusters')) return { rows: [], rowCount: 2 };
+    if (query.includes('UPDATE addresses')) return { rows: [], rowCount: params[0].length * 10 };
+    if (query.includes('SELECT code_hash\n')) return { rows: ['0x01', '0x02', '0x03', '0x04', '0x05'].map(code_hash => ({ code_hash })) };
+    if (query.includes('network_count > 1')) return { rows: [{ count: 4 }] };
+    return { rows: [], rowCount: 0 };
+  };
+
+  check('Minimum cluster size from CLONE_MIN_CLUSTER_SIZE', clusterer.minClusterSize === 3);
+
+  await clusterer.buildClusters();
+  const build = queries.find(q => q.query.includes('INSERT INTO code_hash_clusters'));
+  check('Rebuild skips empty code and applies the minimum size', build.params[0] === clusterer.ZERO_HASH && build.params[2] === 3);
+  check('Rebuild is cross-network (no network filter)', !build.query.includes('network = $'));
+  check('Proxy bytecode is not name-inferable unless EIP-1167', build.query.includes("'MinimalProxy' = ANY(c.tags)") && build.query.includes('cs.proxy'));
+
+  const stale = queries.find(q => q.query.includes('DELETE FROM code_hash_clusters'));
+  check('Clusters not rebuilt in this run are removed', stale.params[0] === build.params[1]);
+  check('Cluster stats recorded', clusterer.stats.clusters === 7 && clusterer.stats.staleClustersRemoved === 2);
+
+  queries.length = 0;
+  const hashes = await clusterer.findInferableCodeHashes();
+  const updated = await clusterer.propagateNames(hashes);
+  const updates = queries.filter(q => q.query.includes('UPDATE addresses'));
+  check('Propagation runs in batches', updates.length === 3 && updates[2].params[0].length === 1);
+  check('Verified names are never overwritten', updates[0].query.includes("NOT ('Verified' = ANY(COALESCE(a.tags, '{}')))"));
+  check('Propagated names are tagged InferredName', updates[0].query.includes("'InferredName')"));
+  check('Inferred name count returned', updated === 50 && clusterer.stats.namesInferred === 50);
+
+  // Address upserts keep the marker when they keep the inferred name
+  let upsert = null;
+  await batchUpsertAddresses({ query: async (query, params) => { upsert = { query, params }; return { rowCount: 1 }; } }, [{
+    address: '0x' + 'ab'.repeat(20),
+    network: 'ethereum',
+    codeHash: '0x' + '12'.repeat(32),
+    tags: ['Contract', 'Unverified']
+  }]);
+  check('Upsert re-adds InferredName when no new name arrives', upsert.query.includes("THEN array_append(EXCLUDED.tags, 'InferredName')"));
+}
+
+runTest(testCloneClusters);
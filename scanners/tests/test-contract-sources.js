@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Test contract source storage
+ * Checks that verified metadata is written to contract_sources keyed by code hash and that
+ * SourceBackfiller maps Etherscan getsourcecode responses to the same shape
+ */
+
+const { upsertContractSources } = require('../common/database');
+const UnifiedScanner = require('../core/UnifiedScanner.js');
+const SourceBackfiller = require('../core/SourceBackfiller.js');
+const { runTest, recordingDb } = require('./helpers');
+
+const CODE_HASH = '0x' + '12'.repeat(32);
+const ADDRESS = '0x' + 'ab'.repeat(20);
+
+async function testContractSources(check) {
+  console.log('🧪 Testing contract source storage\n');
+
+  const queries = [];
+  const client = recordingDb(queries, (query, params) => ({
+    rows: [],
+    rowCount: params ? params.filter(p => p === CODE_HASH).length : 0
+  }));
+
+  const contract = {
+    address: ADDRESS.toUpperCase().replace('0X', '0x'),
+    network: 'ethereum',
+    verified: true,
+    codeHash: CODE_HASH,
+    contractName: 'Vault',
+    sourceCode: 'contract Vault {}',
+    abi: [{ type: 'function', name: 'deposit' }],
+    compilerVersion: 'v0.8.24+commit.e11b9ed9',
+    optimization: true,
+    runs: 200,
+    evmVersion: 'paris',
+    licenseType: 'MIT',
+    proxy: false
+  };
+
+  // Duplicate code hashes are collapsed, rows without source or code hash are skipped
+  await upsertContractSources(client, [contract, { ...contract }, { ...contract, codeHash: null }, { ...contract, sourceCode: null }]);
+  check('One statement for one distinct code hash', queries.length === 1 && queries[0].params.filter(p => p === CODE_HASH).length === 1);
+  check('Keyed by code hash', queries[0].query.includes('ON CONFLICT (code_hash)'));
+  check('ABI stored as JSON text', queries[0].params[3] === JSON.stringify(contract.abi));
+  check('Source address stored lowercase', queries[0].params.includes(ADDRESS));
+  check('Missing values never overwrite stored ones', queries[0].query.includes('COALESCE(EXCLUDED.source_code, contract_sources.source_code)'));
+
+  queries.length = 0;
+  await upsertContractSources(client, [{ ...contract, verified: false, sourceCode: null }]);
+  check('Unverified contracts are not written', queries.length === 0);
+
+  // storeResults passes verified metadata through
+  const scanner = new UnifiedScanner();
+  scanner.log = () => {};
+  scanner.db = client;
+  scanner.recordTailSightings = async () => {};
+  queries.length = 0;
+  await scanner.storeResults([], [contract]);
+  check('storeResults writes contract_sources', queries.some(q => q.query.includes('INSERT INTO contract_sources')));
+
+  // SourceBackfiller response mapping
+  const backfiller = new SourceBackfiller();
+  backfiller.log = () => {};
+  backfiller.etherscanCall = async () => [{
+    SourceCode: 'contract Vault {}',
+    ABI: '[{"type":"function","name":"deposit"}]',
+    ContractName: 'Vault',
+    CompilerVersion: 'v0.8.24+commit.e11b9ed9',
+    OptimizationUsed: '1',
+    Runs: '200',
+    EVMVersion: 'Default',
+    LicenseType: 'MIT',
+    Proxy: '1',
+    Implementation: '0x' + 'cd'.repeat(20)
+  }];
+  const source = await backfiller.fetchSource({ address: ADDRESS, code_hash: CODE_HASH, contract_name: 'Vault (Proxy)' });
+  check('Backfill keeps the scanner-resolved contract name', source.contractName === 'Vault (Proxy)');
+  check('Backfill parses ABI and compiler settings', Array.isArray(source.abi) && source.optimization === true && source.runs === 200);
+  check('Backfill records proxy implementation', source.proxy === true && source.implementation === '0x' + 'cd'.repeat(20));
+
+  backfiller.etherscanCall = async () => [{ SourceCode: '', ABI: 'Contract source code not verified' }];
+  check('Unverified response yields no record', (await backfiller.fetchSource({ address: ADDRESS, code_hash: CODE_HASH })) === null);
+}
+
+runTest(testContractSources);
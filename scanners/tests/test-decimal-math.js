@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Test exact decimal fund valuation
+ * Checks decimal parsing and rounding, that token values are exact for balances past Number
+ * precision, and that FundUpdater stores funds and holding values as cent strings
+ */
+
+const {
+  parseDecimal,
+  formatDecimal,
+  tokenValue,
+  formatFund,
+  fundCents
+} = require('../common/decimalMath');
+const FundUpdater = require('../core/FundUpdater.js');
+const { runTest, recordingDb } = require('./helpers');
+
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const WHALE = '0x' + '11'.repeat(20);
+const DUST = '0x' + '22'.repeat(20);
+const BIG_TOKEN = '0x' + '44'.repeat(20);
+
+async function testDecimalMath(check) {
+  console.log('🧪 Testing exact decimal fund valuation\n');
+
+  // Parsing and formatting
+  check('Decimal strings parsed exactly', parseDecimal('0.9998', 4) === 9998n && parseDecimal('-12', 2) === -1200n);
+  check('Exponent notation from Number prices parsed', parseDecimal(1.5e-7, 10) === 1500n);
+  check('Extra places rounded half away from zero', parseDecimal('0.125', 2) === 13n && parseDecimal('-0.125', 2) === -13n);
+  check('Invalid decimals rejected', parseDecimal('1.2.3') === null && parseDecimal('') === null && parseDecimal(NaN) === null);
+  check('Fixed places formatted with sign', formatDecimal(-5n, 2, 2) === '-0.05' && formatDecimal(123450n, 3, 2) === '123.45');
+  check('Stored funds read as cents', fundCents('2000000') === 200000000n && fundCents('12.34') === 1234n && fundCents(null) === 0n);
+
+  // Token values
+  const huge = '123456789012345678901234567';
+  check('Large balances keep every digit', formatFund(tokenValue(huge, 18, '1.01')) === '124691356.90');
+  check('Sub-dollar values kept to the cent', formatFund(tokenValue('500000', 6, '0.9998')) === '0.50');
+  check('Invalid price rejected', (() => {
+    try { tokenValue('1', 18, 'n/a'); return false; } catch { return true; }
+  })());
+
+  // FundUpdater
+  const updater = new FundUpdater('ethereum');
+  updater.log = () => {};
+  updater.currentTime = 1700000000;
+  updater.insertMissingSymbols = async () => {};
+  updater.updateTokenPrices = async () => {};
+  updater.updateDexPrices = async () => new Map();
+  updater.updateAddressPrices = async () => new Map([
+    [USDC, { price: 0.9998, source: 'alchemy' }],
+    [BIG_TOKEN, { price: 1.01, source: 'alchemy' }]
+  ]);
+  updater.loadTokenAddressMapping = () => ({
+    tokenAddresses: [USDC, BIG_TOKEN],
+    addressToSymbolMap: { [USDC]: 'USDC', [BIG_TOKEN]: 'BIG' },
+    addressToTokenMap: { [USDC]: { symbol: 'USDC', decimals: 6 }, [BIG_TOKEN]: { symbol: 'BIG', decimals: 18 } }
+  });
+  updater.priceCache = {
+    fetchTokenPrices: async () => ({ symbols: ['ETH'], symbolDataMap: new Map([['eth', { price: 2000.5, source: 'alchemy' }]]) })
+  };
+  updater.getNativeBalances = async (addresses) => addresses.map(a => (a === WHALE ? '1000000000000000001' : '0'));
+  updater.getERC20Balances = async () => new Map([
+    [WHALE, new Map([[BIG_TOKEN, { balance: huge }], [USDC, { balance: '0' }]])],
+    [DUST, new Map([[USDC, { balance: '500000' }], [BIG_TOKEN, { balance: '0' }]])]
+  ]);
+  updater.processBatch = async (items, processor) => [await processor(items)];
+
+  const queries = [];
+  updater.db = recordingDb(queries);
+  updater.queryDB = updater.db.query;
+
+  await updater.updateAddressFunds([WHALE, DUST]);
+
+  const addressInsert = queries.find(q => q.query.includes('INSERT INTO addresses'));
+  check('Fund summed exactly before rounding to cents', addressInsert?.params.includes('124693357.40'));
+  check('Dust under $1 no longer floored away', addressInsert?.params.includes('0.50'));
+
+  const holdingsInsert = queries.find(q => q.query.includes('INSERT INTO address_holdings'));
+  const values = [];
+  for (let i = 0; i < holdingsInsert.params.length; i += 9) values.push(holdingsInsert.params[i + 6]);
+  check('Holding values stored as cent strings', values.join() === '2000.50,124691356.90,0.50');
+}
+
+runTest(testDecimalMath);
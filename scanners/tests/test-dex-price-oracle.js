@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Test the on-chain DEX price oracle
+ * Checks V2 reserve and V3 slot0 pricing against a fake multicall, the liquidity and pool
+ * agreement rejections, and that FundUpdater reuses fresh token_prices rows
+ */
+
+const { Interface, AbiCoder } = require('ethers');
+const { dexOracleSettings, priceTokens, DEX_ORACLE_DEFAULTS } = require('../common/dexPriceOracle');
+const FundUpdater = require('../core/FundUpdater.js');
+const { runTest } = require('./helpers');
+
+const V2_FACTORY = '0x' + 'f2'.repeat(20);
+const V3_FACTORY = '0x' + 'f3'.repeat(20);
+const WETH = '0x' + '0e'.repeat(20);
+const USDC = '0x' + '0c'.repeat(20);
+const PRICED_V2 = '0x' + 'a1'.repeat(20);
+const PRICED_V3 = '0x' + 'a2'.repeat(20);
+const THIN = '0x' + 'a3'.repeat(20);
+const DISPUTED = '0x' + 'a4'.repeat(20);
+const NO_POOL = '0x' + 'a5'.repeat(20);
+const CACHED = '0x' + 'a6'.repeat(20);
+
+const config = {
+  v2Factories: [V2_FACTORY],
+  v3Factories: [V3_FACTORY],
+  v3Fees: [3000],
+  quoteTokens: [
+    { address: WETH, symbol: 'WETH', decimals: 18 },
+    { address: USDC, symbol: 'USDC', decimals: 6 }
+  ]
+};
+const quotePrices = new Map([[WETH, 2000], [USDC, 1]]);
+
+const coder = AbiCoder.defaultAbiCoder();
+const iface = new Interface([
+  'function getPair(address tokenA, address tokenB) view returns (address)',
+  'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)',
+  'function getReserves() view returns (uint112, uint112, uint32)',
+  'function slot0() view returns (uint160)',
+  'function token0() view returns (address)',
+  'function balanceOf(address account) view returns (uint256)'
+]);
+const E18 = 10n ** 18n;
+const E6 = 10n ** 6n;
+
+// Chain state: pool address -> pool contract, answered by the fake multicall
+function fakeChain() {
+  const responses = new Map();
+  const answer = (target, fn, args, types, values) => {
+    responses.set(`${target.toLowerCase()}:${iface.encodeFunctionData(fn, args)}`, coder.encode(types, values));
+  };
+  let next = 1;
+  const v2Pool = (token, quote, tokenReserve, quoteReserve) => {
+    const pool = '0x' + (next++).toString(16).padStart(40, '0');
+    answer(V2_FACTORY, 'getPair', [token, quote], ['address'], [pool]);
+    answer(pool, 'token0', [], ['address'], [token]);
+    answer(pool, 'getReserves', [], ['uint112', 'uint112', 'uint32'], [tokenReserve, quoteReserve, 0]);
+    return pool;
+  };
+  // quote is token0; sqrtPriceX96 = sqrt(raw token per raw quote) * 2^96
+  const v3Pool = (token, quote, sqrtRatio, quoteBalance) => {
+    const pool = '0x' + (next++).toString(16).padStart(40, '0');
+    answer(V3_FACTORY, 'getPool', [token, quote, 3000], ['address'], [pool]);
+    answer(pool, 'token0', [], ['address'], [quote]);
+    answer(pool, 'slot0', [], ['uint160'], [sqrtRatio * 2n ** 96n]);
+    answer(quote, 'balanceOf', [pool], ['uint256'], [quoteBalance]);
+    return pool;
+  };
+  const calls = [];
+  const multicall = async (batch) => {
+    calls.push(...batch);
+    return batch.map(({ target, callData }) => responses.get(`${target.toLowerCase()}:${callData}`) || null);
+  };
+  return { v2Pool, v3Pool, multicall, calls };
+}
+
+async function testDexPriceOracle(check) {
+  console.log('🧪 Testing on-chain DEX price oracle\n');
+
+  const near = (value, expected) => Math.abs(value - expected) / expected < 1e-9;
+
+  const settings = dexOracleSettings({ DEX_ORACLE_MIN_LIQUIDITY_USD: '1000', DEX_ORACLE_MAX_DEVIATION: '' });
+  check('Settings read from env with defaults', settings.minLiquidityUsd === 1000 && settings.maxDeviation === DEX_ORACLE_DEFAULTS.maxDeviation);
+
+  const chain = fakeChain();
+  // 1000 tokens / 100 WETH -> 0.1 WETH = $200, $200k on the quote side
+  const v2 = chain.v2Pool(PRICED_V2, WETH, 1000n * E18, 100n * E18);
+  // 4 USDC per token -> 0.25e12 raw token per raw USDC, sqrt = 5e5
+  const v3 = chain.v3Pool(PRICED_V3, USDC, 500000n, 100000n * E6);
+  // $2000 of WETH only
+  chain.v2Pool(THIN, WETH, 1000n * E18, 1n * E18);
+  // $100 on V2 against $4 on V3
+  chain.v2Pool(DISPUTED, WETH, 1000n * E18, 50n * E18);
+  chain.v3Pool(DISPUTED, USDC, 500000n, 500000n * E6);
+
+  const tokens = [PRICED_V2, PRICED_V3, THIN, DISPUTED, NO_POOL].map(address => ({ address, decimals: 18 }));
+  const { prices, rejected } = await priceTokens(chain.multicall, tokens, { config, quotePrices });
+
+  const fromV2 = prices.get(PRICED_V2);
+  check('V2 price from reserves', near(fromV2?.priceUsd, 200) && fromV2.source === 'uniswap_v2' && fromV2.pool === v2);
+  check('V2 liquidity is the quote reserve in USD', near(fromV2?.liquidityUsd, 200000) && fromV2.quoteToken === WETH);
+  const fromV3 = prices.get(PRICED_V3);
+  check('V3 price from slot0 with quote as token0', near(fromV3?.priceUsd, 4) && fromV3.source === 'uniswap_v3' && fromV3.pool === v3);
+  check('Thin pool rejected for liquidity', !prices.has(THIN) && rejected.get(THIN) === 'insufficient liquidity');
+  check('Disagreeing pools reject the token', !prices.has(DISPUTED) && rejected.get(DISPUTED)?.startsWith('pools disagree'));
+  check('Token without pools is neither priced nor rejected', !prices.has(NO_POOL) && !rejected.has(NO_POOL));
+
+  const unquoted = fakeChain();
+  await priceTokens(unquoted.multicall, [{ address: PRICED_V2, decimals: 18 }], { config, quotePrices: new Map([[WETH, 2000]]) });
+  check('Quotes without a USD price are not searched', unquoted.calls.length === 2 && unquoted.calls.every(call => !call.callData.includes(USDC.slice(2))));
+
+  // FundUpdater reuses fresh rows and prices the rest
+  const updater = new FundUpdater('ethereum');
+  updater.log = () => {};
+  updater.currentTime = 1700000000;
+  updater.priceCache = {
+    fetchTokenPrices: async () => ({ symbols: [], symbolDataMap: new Map([['eth', { price: 2000 }], ['usdc', { price: 1 }]]) })
+  };
+  const oracleChain = fakeChain();
+  const realConfig = require('../config/networks.js').CONFIG.ethereum.dexOracle;
+  const realWeth = realConfig.quoteTokens.find(quote => quote.symbol === 'ETH').address;
+  const savedV2 = realConfig.v2Factories;
+  realConfig.v2Factories = [V2_FACTORY];
+  oracleChain.v2Pool(PRICED_V2, realWeth, 1000n * E18, 100n * E18);
+  updater.multicall = oracleChain.multicall;
+  const queries = [];
+  updater.queryDB = async (query, params) => {
+    queries.push({ query, params });
+    if (query.includes('FROM token_prices')) return { rows: [{ token: CACHED, price_usd: '3.5', source: 'uniswap_v3' }] };
+    return { rows: [], rowCount: 0 };
+  };
+
+  const dexPrices = await updater.updateDexPrices({
+    [PRICED_V2]: { symbol: 'NEW', decimals: 18 },
+    [CACHED]: { symbol: 'OLD', decimals: 18 },
+    [USDC]: { symbol: 'USDC', decimals: 6 }
+  }, new Map([[USDC, { price: 1 }]]));
+  realConfig.v2Factories = savedV2;
+
+  check('Fresh cached price reused', dexPrices.get(CACHED)?.price === 3.5 && dexPrices.get(CACHED).source === 'uniswap_v3');
+  check('Stale token priced on-chain', near(dexPrices.get(PRICED_V2)?.price, 200) && dexPrices.get(PRICED_V2).source === 'uniswap_v2');
+  const lookup = queries.find(q => q.query.includes('FROM token_prices'));
+  check('Only tokens without an address price looked up', lookup?.params[1].length === 2 && !lookup.params[1].includes(USDC));
+  const upsert = queries.find(q => q.query.includes('INSERT INTO token_prices'));
+  check('Only refreshed prices upserted', upsert?.params.length === 8 && upsert.params[1] === PRICED_V2);
+}
+
+runTest(testDexPriceOracle);
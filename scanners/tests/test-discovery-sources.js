@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Test pluggable log discovery sources
+ * Checks topic filter construction, per-source address extraction (topics and data words),
+ * custom source definitions and per-source new address stats
+ */
+
+process.env.DISCOVERY_SOURCES = 'transfer,erc1155,uniswapV3Pools';
+
+const {
+  BUILTIN_DISCOVERY_SOURCES,
+  resolveDiscoverySources,
+  buildTopicFilter,
+  extractAddresses
+} = require('../common/discoverySources');
+const UnifiedScanner = require('../core/UnifiedScanner.js');
+const { runTest } = require('./helpers');
+
+const pad = (address) => '0x' + address.slice(2).padStart(64, '0');
+const A = '0x' + 'a'.repeat(40);
+const B = '0x' + 'b'.repeat(40);
+const C = '0x' + 'c'.repeat(40);
+const D = '0x' + 'd'.repeat(40);
+const EMITTER = '0x' + 'e'.repeat(40);
+
+async function testDiscoverySources(check) {
+  console.log('🧪 Testing pluggable discovery sources\n');
+
+  // Topic filter
+  const transferOnly = buildTopicFilter(resolveDiscoverySources(['transfer']));
+  check('Single topic keeps the plain Transfer filter', typeof transferOnly.topics[0] === 'string');
+
+  const sources = resolveDiscoverySources(['transfer', 'erc1155', 'uniswapV3Pools']);
+  const filter = buildTopicFilter(sources);
+  check('Multiple sources OR their topic0s in one filter', Array.isArray(filter.topics[0]) && filter.topics[0].length === 4);
+
+  // Extraction rules
+  const [single] = BUILTIN_DISCOVERY_SOURCES.erc1155.topics;
+  const erc1155 = sources.find(source => source.name === 'erc1155');
+  const singleLog = { address: EMITTER, topics: [single, pad(A), pad(B), pad(C)], data: '0x' };
+  const fromSingle = extractAddresses(erc1155, singleLog);
+  check('TransferSingle yields emitter, operator, from and to', fromSingle.length === 4 && fromSingle.includes(C));
+
+  const pools = sources.find(source => source.name === 'uniswapV3Pools');
+  const poolLog = {
+    address: EMITTER,
+    topics: [pools.topics[0], pad(A), pad(B), pad('0x0bb8')],
+    data: pad('0x3c') + pad(D).slice(2)
+  };
+  const fromPool = extractAddresses(pools, poolLog);
+  check('PoolCreated pool address read from data word 1', fromPool.includes(D));
+  check('PoolCreated fee tier topic is not treated as an address', fromPool.length === 4);
+
+  const custom = resolveDiscoverySources([{ name: 'ownership', topics: ['0x8BE0'], addressTopics: [2], emitter: false }])[0];
+  check('Custom source topics normalized to lowercase', custom.topics[0] === '0x8be0');
+  check('Custom source honours emitter: false', extractAddresses(custom, { address: EMITTER, topics: ['0x8be0', pad(A), pad(B)] }).join() === B);
+
+  let threw = false;
+  try {
+    resolveDiscoverySources(['nope']);
+  } catch (error) {
+    threw = error.message.includes('Unknown discovery source');
+  }
+  check('Unknown source name is rejected', threw);
+
+  // Scanner integration
+  const scanner = new UnifiedScanner();
+  scanner.log = () => {};
+  check('DISCOVERY_SOURCES overrides the network config', scanner.discoverySources.map(s => s.name).join() === 'transfer,erc1155,uniswapV3Pools');
+
+  let requestedTopics = null;
+  scanner.getLogs = async (logFilter) => {
+    requestedTopics = logFilter.topics;
+    return [singleLog, poolLog];
+  };
+  scanner.updateLogDensityStats = async () => {};
+  const result = await scanner.fetchLogsWithAdaptiveBatching(100, 110);
+  check('getLogs called with the combined topic filter', requestedTopics === scanner.discoveryFilter.topics);
+  check('Addresses attributed to the source that found them', [...result.addressSources.get(D)].join() === 'uniswapV3Pools');
+
+  scanner.countSourceNewAddresses([A, C, D], result.addressSources);
+  check('New addresses counted per source', scanner.stats.sourceNewAddresses.erc1155 === 2 && scanner.stats.sourceNewAddresses.uniswapV3Pools === 2);
+}
+
+runTest(testDiscoverySources);
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Test EIP-7702 delegated EOA tracking
+ * Checks designator parsing, that performEOAFiltering recognizes delegations from known code hashes
+ * and fetched code, revocations, and the eip7702_delegations writes in storeResults
+ */
+
+const { keccak256 } = require('ethers');
+const { DELEGATION_PREFIX, parseDelegation, delegationCodeHash } = require('../common/eip7702');
+const { safeGetAddressType } = require('../common');
+const UnifiedScanner = require('../core/UnifiedScanner.js');
+const { runTest, recordingDb } = require('./helpers');
+
+const DELEGATE = '0x' + 'de'.repeat(20);
+const NEW_DELEGATE = '0x' + 'ef'.repeat(20);
+const KNOWN_EOA = '0x' + '11'.repeat(20);
+const NEW_EOA = '0x' + '22'.repeat(20);
+const CONTRACT = '0x' + '33'.repeat(20);
+const REVOKED_EOA = '0x' + '44'.repeat(20);
+const designator = (delegate) => DELEGATION_PREFIX + delegate.slice(2);
+const CONTRACT_CODE = '0x6080604052';
+
+async function testEip7702(check) {
+  console.log('🧪 Testing EIP-7702 delegated EOA tracking\n');
+
+  // Designator helpers
+  check('Delegate parsed from designator', parseDelegation(designator(DELEGATE)) === DELEGATE);
+  check('Ordinary bytecode is not a designator', parseDelegation(CONTRACT_CODE) === null);
+  check('Designator with trailing bytes rejected', parseDelegation(designator(DELEGATE) + '00') === null);
+  check('Designator code hash is keccak of the code', delegationCodeHash(DELEGATE) === keccak256(designator(DELEGATE)));
+  check('Address type uses the code, not the code hash',
+    safeGetAddressType(KNOWN_EOA, delegationCodeHash(DELEGATE), null, designator(DELEGATE)) === 'eip7702_eoa');
+
+  // Classification
+  const scanner = new UnifiedScanner();
+  scanner.log = () => {};
+  scanner.network = 'ethereum';
+  scanner.ZERO_HASH = '0x' + '0'.repeat(64);
+
+  const addresses = [KNOWN_EOA, NEW_EOA, CONTRACT, REVOKED_EOA];
+  const codeHashes = [delegationCodeHash(DELEGATE), delegationCodeHash(NEW_DELEGATE), keccak256(CONTRACT_CODE), null];
+  scanner.isContracts = async () => [true, true, true, false];
+  scanner.getCodeHashes = async () => codeHashes;
+
+  const codeFetches = [];
+  scanner.alchemyClient = {
+    getCode: async (address) => {
+      codeFetches.push(address);
+      return address === NEW_EOA ? designator(NEW_DELEGATE) : CONTRACT_CODE;
+    }
+  };
+  scanner.queryDB = async (query) => {
+    if (query.includes('FROM eip7702_delegations')) return { rows: [{ delegate: DELEGATE }] };
+    if (query.includes('SELECT DISTINCT code_hash')) return { rows: [] };
+    if (query.includes('SELECT address, deployed')) {
+      return { rows: [{ address: REVOKED_EOA, deployed: null, code_hash: delegationCodeHash(DELEGATE), tags: ['EOA', 'EIP7702'] }] };
+    }
+    return { rows: [] };
+  };
+
+  const { eoas, contracts, selfDestructed } = await scanner.performEOAFiltering(addresses);
+  const byAddress = new Map(eoas.map(eoa => [eoa.address, eoa]));
+  check('Known delegate matched by code hash without fetching code', !codeFetches.includes(KNOWN_EOA) && byAddress.get(KNOWN_EOA)?.delegate === DELEGATE);
+  check('New delegate found from fetched code', byAddress.get(NEW_EOA)?.delegate === NEW_DELEGATE);
+  check('Delegated EOAs tagged EIP7702', byAddress.get(NEW_EOA)?.tags.join() === 'EOA,EIP7702');
+  check('Ordinary contract still classified as contract', contracts.length === 1 && contracts[0].address === CONTRACT);
+  check('Cleared delegation is a revocation, not a self-destruct', byAddress.get(REVOKED_EOA)?.delegationRevoked === true && selfDestructed.length === 0);
+
+  codeFetches.length = 0;
+  await scanner.performEOAFiltering(addresses);
+  check('Code hashes are only fetched once per run', codeFetches.length === 0);
+
+  // Storage
+  const queries = [];
+  scanner.db = recordingDb(queries);
+  scanner.queryDB = scanner.db.query;
+  scanner.recordTailSightings = async () => {};
+  scanner.currentTime = 1700000000;
+  await scanner.storeResults(eoas, []);
+
+  const insert = queries.find(q => q.query.includes('INSERT INTO addresses'));
+  const row = insert.params.slice(eoas.indexOf(byAddress.get(KNOWN_EOA)) * 13).slice(0, 13);
+  check('Delegated EOA stored with designator hash and delegate', row[1] === codeHashes[0] && row[12] === DELEGATE);
+
+  const delegations = queries.find(q => q.query.includes('INSERT INTO eip7702_delegations'));
+  check('Delegations upserted for both delegated EOAs', delegations?.params.length === 12 && delegations.params.includes(NEW_DELEGATE));
+  check('Revoked delegation removed', queries.some(q => q.query.includes('DELETE FROM eip7702_delegations') && q.params[1].includes(REVOKED_EOA)));
+  check('Revoked EOA loses code hash and delegate', queries.some(q => q.query.includes('SET code_hash = NULL') && q.params[1].includes(REVOKED_EOA)));
+}
+
+runTest(testEip7702);
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Test fund history
+ * Checks fund change thresholds, snapshot compaction tiers and that FundUpdater writes snapshots
+ * for every update and events only for large moves, and none for addresses whose token balances
+ * are unknown
+ */
+
+const {
+  FUND_CHANGE_DEFAULTS,
+  SNAPSHOT_RETENTION,
+  fundChangeThresholds,
+  detectFundChange,
+  compactFundSnapshots
+} = require('../common/fundHistory');
+const FundUpdater = require('../core/FundUpdater.js');
+const { runTest } = require('./helpers');
+
+const DRAINED = '0x' + '11'.repeat(20);
+const STEADY = '0x' + '22'.repeat(20);
+const NEW = '0x' + '33'.repeat(20);
+
+async function testFundHistory(check) {
+  console.log('🧪 Testing fund history\n');
+
+  // Thresholds
+  const drain = detectFundChange(2000000, 0);
+  check('Drain to zero is an event', drain?.change === '-2000000.00' && drain.changePercent === -100);
+  check('Small relative move is ignored', detectFundChange(1000000, 950000) === null);
+  check('Large absolute move counts below the percentage', detectFundChange(10000000, 9800000)?.change === '-200000.00');
+  check('Percentage moves on dust are ignored', detectFundChange(10, 500) === null);
+  check('Growth from zero counts once it is large enough', detectFundChange(0, 5000)?.changePercent === null);
+  check('Never-measured fund has no baseline', detectFundChange(null, 5000000) === null);
+  check('Cent moves are exact', detectFundChange('1000000.10', '899999.99')?.change === '-100000.11');
+  check('Sub-dollar moves count against the USD threshold', detectFundChange('1000000.00', '1099999.99') === null && detectFundChange('1000000.00', '1100000.00')?.change === '100000.00');
+
+  const thresholds = fundChangeThresholds({ FUND_CHANGE_MIN_PERCENT: '10', FUND_CHANGE_MIN_USD: '' });
+  check('Thresholds read from env with defaults', thresholds.minPercent === 10 && thresholds.minUsd === FUND_CHANGE_DEFAULTS.minUsd);
+
+  // Compaction
+  const compactions = [];
+  const deleted = await compactFundSnapshots(async (sql, params) => {
+    compactions.push(params);
+    return { rowCount: 3 };
+  }, 1700000000);
+  check('One compaction pass per retention tier', compactions.length === SNAPSHOT_RETENTION.length && deleted === 3 * SNAPSHOT_RETENTION.length);
+  check('Daily buckets after 7 days', compactions[0][0] === 1700000000 - 7 * 86400 && compactions[0][1] === 86400);
+
+  // FundUpdater integration
+  const updater = new FundUpdater('ethereum');
+  updater.log = () => {};
+  updater.currentTime = 1700000000;
+  const queries = [];
+  updater.queryDB = async (query, params) => {
+    queries.push({ query, params });
+    if (query.includes('SELECT address, fund, last_fund_updated')) {
+      return { rows: [
+        { address: DRAINED, fund: '2000000', last_fund_updated: 1699000000 },
+        { address: STEADY, fund: '50000', last_fund_updated: 1699000000 }
+      ] };
+    }
+    return { rows: [], rowCount: 0 };
+  };
+
+  const updates = [
+    { address: DRAINED, fund: 0 },
+    { address: STEADY, fund: 51000 },
+    { address: NEW, fund: 3000000 }
+  ];
+  const previous = await updater.loadPreviousFunds(updates.map(u => u.address));
+  await updater.recordFundHistory(updates, previous);
+
+  const snapshots = queries.find(q => q.query.includes('INSERT INTO fund_snapshots'));
+  check('Snapshot written for every update', snapshots?.params.length === 12 && snapshots.params[2] === 1700000000);
+
+  const events = queries.find(q => q.query.includes('INSERT INTO fund_change_events'));
+  check('Only the drain becomes an event', events?.params.length === 8 && events.params[1] === DRAINED);
+  check('Event keeps both sides and the previous time', events.params[2] === '2000000.00' && events.params[3] === '0.00' && events.params[6] === 1699000000);
+  check('Event count tracked for the summary', updater.fundChangeEvents === 1);
+
+  // Token balances unknown: a native-only fund must not read as a drain
+  const USDC = '0x' + 'aa'.repeat(20);
+  const balances = new FundUpdater('ethereum');
+  balances.log = () => {};
+  balances.currentTime = 1700000000;
+  balances.insertMissingSymbols = async () => {};
+  balances.updateTokenPrices = async () => {};
+  balances.updateAddressPrices = async () => new Map([[USDC, { price: '1', source: 'alchemy' }]]);
+  balances.updateDexPrices = async () => new Map();
+  balances.loadTokenAddressMapping = () => ({
+    tokenAddresses: [USDC],
+    addressToSymbolMap: { [USDC]: 'USDC' },
+    addressToTokenMap: { [USDC]: { symbol: 'USDC', decimals: 6 } }
+  });
+  balances.priceCache = {
+    fetchTokenPrices: async () => ({ symbols: ['ETH', 'USDC'], symbolDataMap: new Map([['eth', { price: 2000 }], ['usdc', { price: 1 }]]) })
+  };
+  balances.getNativeBalances = async (addresses) => addresses.map(() => '0');
+  balances.processBatch = async (items, processor) => [await processor(items)];
+  const balanceQueries = [];
+  balances.db = {
+    query: async (query, params) => {
+      balanceQueries.push({ query, params });
+      if (query.includes('SELECT address, fund, last_fund_updated')) {
+        return { rows: params[1].map(address => ({ address, fund: '2000000', last_fund_updated: 1699000000 })) };
+      }
+      return { rows: [], rowCount: 0 };
+    }
+  };
+  balances.queryDB = balances.db.query;
+  const written = (table) => balanceQueries.filter(q => q.query.includes(`INSERT INTO ${table}`));
+
+  balances.getERC20Balances = async () => { throw new Error('execution reverted'); };
+  await balances.updateAddressFunds([DRAINED, STEADY]);
+  check('Failed ERC20 call leaves funds, snapshots and events untouched', written('addresses').length === 0
+    && written('fund_snapshots').length === 0 && written('fund_change_events').length === 0);
+
+  // Partial answer (accepted at 50%): only the holder it answered for is updated
+  balanceQueries.length = 0;
+  balances.getERC20Balances = async () => new Map([[DRAINED, new Map([[USDC, { balance: '2000000000000' }]])]]);
+  await balances.updateAddressFunds([DRAINED, STEADY]);
+  const snapshot = written('fund_snapshots')[0];
+  check('Holder missing from a partial answer gets no snapshot', snapshot?.params.length === 4 && snapshot.params[1] === DRAINED);
+  check('No event for the holder missing from a partial answer', written('fund_change_events').length === 0);
+}
+
+runTest(testFundHistory);
@@ -1,134 +1,104 @@
 #!/usr/bin/env node
 /**
- * Test FundUpdater with Alchemy Portfolio API
- * Tests the fund update process using fetchPortfolioWithAlchemy
+ * Test FundUpdater balances against Alchemy
+ * Runs updateAddressFunds for three ethereum holders with the BalanceHelper calls and Alchemy
+ * Prices API answered from tests/fixtures/fundupdater-alchemy.json, and checks the stored holdings
+ * against plain eth_getBalance / balanceOf reads and the fund against its holdings.
+ * RPC_FIXTURES=record re-records the fixture against live Alchemy (needs ALCHEMY_API_KEY or the proxy)
  */
 
-const chalk = require('chalk');
-require('dotenv').config();
-const { Pool } = require('pg');
+const path = require('path');
+const { useFixtures } = require('../common/rpcRecorder');
 
-async function testFundUpdaterWithAlchemy() {
-  console.log(chalk.cyan.bold('\n🧪 Testing FundUpdater with Alchemy API\n'));
-  console.log(chalk.gray('=' .repeat(60)));
-  
-  const FundUpdater = require('../core/FundUpdater');
-  
-  try {
-    const updater = new FundUpdater();
-    await updater.initialize();
-    
-    // Test addresses with known balances
-    const testAddresses = [
-      '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045', // vitalik.eth
-      '0xcB1C1FdE09f811B294172696404e88E658659905', // Test wallet
-      '0x95222290DD7278Aa3Ddd389Cc1E1d165CC4BAfe5'  // Another test wallet
-    ];
-    
-    // First, let's check current fund values in database
-    const pool = new Pool({
-      host: process.env.PGHOST || 'localhost',
-      port: process.env.PGPORT || 5432,
-      database: process.env.PGDATABASE || 'bugchain_indexer',
-      user: process.env.PGUSER || 'postgres',
-      password: process.env.PGPASSWORD || ''
-    });
-    
-    console.log(chalk.yellow('\n📍 Current fund values in database:\n'));
-    
-    for (const address of testAddresses) {
-      try {
-        const result = await pool.query(
-          'SELECT address, network, fund, last_fund_updated FROM addresses WHERE LOWER(address) = LOWER($1)',
-          [address]
-        );
-        
-        if (result.rows.length > 0) {
-          const row = result.rows[0];
-          console.log(chalk.gray(`${address}:`));
-          console.log(chalk.gray(`  Current fund: $${row.fund || 0}`));
-          console.log(chalk.gray(`  Last updated: ${row.last_fund_updated || 'Never'}\n`));
-        } else {
-          console.log(chalk.gray(`${address}: Not in database yet\n`));
-          // Insert the address if it doesn't exist
-          await pool.query(
-            'INSERT INTO addresses (address, network, status, created_at) VALUES ($1, $2, $3, NOW()) ON CONFLICT DO NOTHING',
-            [address.toLowerCase(), 'ethereum', 'active']
-          );
-        }
-      } catch (error) {
-        console.log(chalk.red(`Error checking ${address}: ${error.message}\n`));
-      }
-    }
-    
-    console.log(chalk.yellow('\n📍 Running FundUpdater with Alchemy API:\n'));
-    
-    // Update funds for test addresses
-    const startTime = Date.now();
-    await updater.updateAddressFunds(testAddresses);
-    const duration = Date.now() - startTime;
-    
-    console.log(chalk.green(`\n✅ Update completed in ${duration}ms`));
-    
-    console.log(chalk.yellow('\n📍 Updated fund values in database:\n'));
-    
-    // Check updated values
-    for (const address of testAddresses) {
-      const result = await pool.query(
-        'SELECT address, network, fund, last_fund_updated FROM addresses WHERE LOWER(address) = LOWER($1)',
-        [address]
-      );
-      
-      if (result.rows.length > 0) {
-        const row = result.rows[0];
-        console.log(chalk.green(`${address}:`));
-        console.log(chalk.white(`  Updated fund: $${row.fund || 0}`));
-        console.log(chalk.gray(`  Last updated: ${row.last_fund_updated}\n`));
-      }
-    }
-    
-    // Test the cache effectiveness
-    console.log(chalk.yellow('\n📍 Testing cache effectiveness (second run):\n'));
-    
-    const cacheStartTime = Date.now();
-    await updater.updateAddressFunds(testAddresses);
-    const cacheDuration = Date.now() - cacheStartTime;
-    
-    console.log(chalk.green(`✅ Cache run completed in ${cacheDuration}ms (${Math.round((duration - cacheDuration) / duration * 100)}% faster)`));
-    
-    // Get cache statistics
-    console.log(chalk.yellow('\n📍 Cache Statistics:\n'));
-    
-    const priceStats = await updater.priceCache.getCacheStats();
-    console.log(chalk.white('Price Cache:'));
-    priceStats.forEach(stat => {
-      console.log(chalk.gray(`  ${stat.network}: ${stat.token_count} tokens, avg age: ${stat.avg_age_hours}h`));
-    });
-    
-    const metadataStats = await updater.metadataCache.getCacheStats();
-    console.log(chalk.white('\nMetadata Cache:'));
-    metadataStats.forEach(stat => {
-      console.log(chalk.gray(`  ${stat.network}: ${stat.token_count} tokens, avg age: ${stat.avg_age_days}d`));
-    });
-    
-    // Close connections
-    await pool.end();
-    await updater.priceCache.close();
-    await updater.metadataCache.close();
-    
-    console.log(chalk.green('\n✅ Test completed successfully'));
-    
-  } catch (error) {
-    console.error(chalk.red('❌ Test failed:'), error.message);
-    console.error(error.stack);
-    process.exit(1);
-  }
-  
-  process.exit(0);
+const mode = useFixtures(path.join(__dirname, 'fixtures', 'fundupdater-alchemy.json'));
+if (mode === 'replay') {
+  process.env.USE_ALCHEMY_PROXY = 'true'; // replays need no key, and skip rate-limit sleeps
 }
 
-// Run the test
-testFundUpdaterWithAlchemy().catch(error => {
-  console.error(chalk.red('Fatal error:'), error);
-  process.exit(1);
-});
\ No newline at end of file
+const { ethers } = require('ethers');
+const FundUpdater = require('../core/FundUpdater.js');
+const { contractCall, createRpcClient } = require('../common/core');
+const { runTest, recordingDb, fixedChunkOptimizer } = require('./helpers');
+
+const NOW = 1700000000;
+const HOLDERS = [
+  '0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045',
+  '0xcB1C1FdE09f811B294172696404e88E658659905',
+  '0x95222290DD7278Aa3Ddd389Cc1E1d165CC4BAfe5'
+];
+const TOKENS = {
+  '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': { symbol: 'USDC', decimals: 6 },
+  '0xdac17f958d2ee523a2206206994597c13d831ec7': { symbol: 'USDT', decimals: 6 },
+  '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': { symbol: 'WETH', decimals: 18 }
+};
+const erc20 = new ethers.Interface(['function balanceOf(address) external view returns(uint256)']);
+
+async function testFundUpdaterAlchemy(check) {
+  console.log(`🧪 Testing FundUpdater balances against Alchemy (${mode})\n`);
+
+  contractCall.getChunkOptimizer = fixedChunkOptimizer;
+
+  const updater = new FundUpdater('ethereum');
+  updater.log = () => {};
+  updater.currentTime = NOW;
+  updater.alchemyClient = createRpcClient('ethereum').alchemyClient;
+  updater.insertMissingSymbols = async () => {};
+  updater.updateTokenPrices = async () => {};
+  updater.loadTokenAddressMapping = () => ({
+    tokenAddresses: Object.keys(TOKENS),
+    addressToSymbolMap: Object.fromEntries(Object.entries(TOKENS).map(([address, token]) => [address, token.symbol])),
+    addressToTokenMap: TOKENS
+  });
+  // symbol_prices row for the native token
+  updater.priceCache = {
+    fetchTokenPrices: async () => ({ symbols: ['ETH'], symbolDataMap: new Map([['eth', { price: 2000, source: 'alchemy' }]]) })
+  };
+  updater.processBatch = async (items, processor) => [await processor(items)];
+  // No DEX pools: tokens are priced by the Prices API only
+  updater.multicall = async (calls) => calls.map(() => null);
+
+  const queries = [];
+  updater.db = recordingDb(queries);
+  updater.queryDB = updater.db.query;
+
+  await updater.updateAddressFunds(HOLDERS);
+
+  const holdingsInsert = queries.find(q => q.query.includes('INSERT INTO address_holdings'));
+  const holdings = [];
+  for (let i = 0; i < (holdingsInsert?.params.length || 0); i += 9) holdings.push(holdingsInsert.params.slice(i, i + 9));
+  const holding = (holder, token) => holdings.find(row => row[0] === holder.toLowerCase() && row[2] === token);
+
+  // Plain reads of the same balances
+  const alchemy = updater.alchemyClient;
+  const nativeBalances = await Promise.all(HOLDERS.map(holder => alchemy.getBalance(holder)));
+  const tokenBalances = await Promise.all(HOLDERS.map(holder => Promise.all(Object.keys(TOKENS).map(async token => {
+    const result = await alchemy.call({ to: ethers.getAddress(token), data: erc20.encodeFunctionData('balanceOf', [holder]) });
+    return erc20.decodeFunctionResult('balanceOf', result)[0];
+  }))));
+
+  check('Holdings stored for the holders', holdings.length > 0 && HOLDERS.every(holder => holdings.some(row => row[0] === holder.toLowerCase())));
+  check('Native holdings match eth_getBalance', HOLDERS.every((holder, i) => {
+    const balance = BigInt(nativeBalances[i]);
+    return balance === 0n ? !holding(holder, 'native') : BigInt(holding(holder, 'native')?.[4] ?? -1) === balance;
+  }));
+  check('Token holdings match balanceOf', HOLDERS.every((holder, i) => Object.keys(TOKENS).every((token, j) => {
+    const balance = tokenBalances[i][j];
+    return balance === 0n ? !holding(holder, token) : BigInt(holding(holder, token)?.[4] ?? -1) === balance;
+  })));
+  check('Token decimals taken from the token list', holdings.filter(row => row[2] !== 'native').every(row => row[5] === TOKENS[row[2]].decimals));
+
+  const addressInsert = queries.find(q => q.query.includes('INSERT INTO addresses'));
+  const rows = [];
+  for (let i = 0; i < (addressInsert?.params.length || 0); i += 13) rows.push(addressInsert.params.slice(i, i + 13));
+  check('Fund written once per holder', rows.length === HOLDERS.length && rows.every(row => row[9] === NOW));
+  check('Fund is the sum of the valued holdings', rows.every(row => {
+    const valued = holdings.filter(entry => entry[0] === row[0] && entry[6] !== null);
+    const sum = valued.reduce((total, entry) => total + Number(entry[6]), 0);
+    return Math.abs(Number(row[8]) - sum) <= 0.01 * Math.max(valued.length, 1);
+  }));
+  const pricedTokens = queries.find(q => q.query.includes('INSERT INTO token_prices'));
+  check('Prices API answers cached in token_prices', pricedTokens?.params.includes('alchemy')
+    && holdings.filter(row => row[2] !== 'native' && row[6] !== null).every(row => row[8] === 'alchemy' || row[8] === 'canonical'));
+}
+
+runTest(testFundUpdaterAlchemy);
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+/**
+ * Test UnifiedScanner against the mock chain (tests/mock-chain.js)
+ * Serves a scripted chain with EOAs, a verified vault, an ERC-20 token, an unverified EIP-1967
+ * proxy and its unfunded implementation, then checks the contract validator, BalanceHelper,
+ * proxy detection and deployment lookups against the script, failover away from a rate-limited
+ * public endpoint, Etherscan 429 retries, handleBatchError on timeouts, range-limit errors and
+ * other getLogs errors, and a full streaming pipeline run over the scripted blocks. No DB or network
+ */
+
+process.env.NETWORK = 'ethereum';
+// Endpoint validation probes every public endpoint; it has its own test
+process.env.RPC_ENDPOINT_VALIDATION = 'false';
+
+const { ethers } = require('ethers');
+const { MockChain } = require('./mock-chain');
+const { NETWORKS } = require('../config/networks');
+const {
+  contractCall, createRpcClient, etherscanRequest, HttpRpcClient, TIMEOUTS, getContractDeploymentTimeBatch
+} = require('../common/core');
+const { detectProxy } = require('../common/proxyDetector');
+const UnifiedScanner = require('../core/UnifiedScanner');
+const { runTest, recordingDb, fixedChunkOptimizer } = require('./helpers');
+
+const TRANSFER = ethers.id('Transfer(address,address,uint256)');
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+
+const address = (byte) => '0x' + byte.repeat(20);
+const ALICE = address('a1');
+const BOB = address('b0');
+const TOKEN = address('70');
+const VAULT = address('7a');
+const PROXY = address('9e');
+const IMPLEMENTATION = address('1e');
+const runtime = (byte) => `0x6080604052${byte}`;
+
+const transfer = (blockNumber, from, to) => ({
+  blockNumber,
+  address: TOKEN,
+  topics: [TRANSFER, ethers.zeroPadValue(from, 32), ethers.zeroPadValue(to, 32)],
+  data: ethers.toBeHex(1000n, 32)
+});
+
+const SCENARIO = {
+  head: 1000,
+  // The 6th log of 900-999 is in block 911, so a full-range query suggests [900, 910]
+  maxLogsPerQuery: 5,
+  accounts: {
+    [ALICE]: { balance: 10n ** 18n, nonce: 3 },
+    [TOKEN]: {
+      code: runtime('01'),
+      tokens: { [USDC]: 1000n * 10n ** 6n },
+      calls: { 'totalSupply()': ethers.toBeHex(10n ** 24n, 32), 'decimals()': ethers.toBeHex(18n, 32) },
+      source: { ContractName: 'MockToken' },
+      creation: { blockNumber: 300, creator: ALICE }
+    },
+    [VAULT]: {
+      code: runtime('02'),
+      balance: 5n * 10n ** 18n,
+      source: { ContractName: 'Vault' },
+      creation: { blockNumber: 400, creator: ALICE }
+    },
+    [PROXY]: {
+      code: runtime('03'),
+      tokens: { [USDC]: 5n * 10n ** 6n },
+      storage: { [EIP1967_IMPLEMENTATION_SLOT]: IMPLEMENTATION },
+      creation: { blockNumber: 500, creator: BOB }
+    },
+    // No funds: discovered but never stored
+    [IMPLEMENTATION]: {
+      code: runtime('04'),
+      source: { ContractName: 'VaultImplementation' },
+      creation: { blockNumber: 450, creator: BOB }
+    }
+  },
+  logs: [
+    transfer(900, ALICE, BOB),
+    transfer(902, BOB, VAULT),
+    transfer(905, ALICE, PROXY),
+    transfer(907, VAULT, ALICE),
+    transfer(909, PROXY, IMPLEMENTATION),
+    transfer(911, ALICE, BOB),
+    transfer(950, BOB, ALICE),
+    transfer(990, ALICE, VAULT)
+  ]
+};
+
+const ALL = [ALICE, BOB, TOKEN, VAULT, PROXY, IMPLEMENTATION];
+const CONTRACTS = [TOKEN, VAULT, PROXY, IMPLEMENTATION];
+
+const LOGS_OPTIMIZATION = {
+  initialBatchSize: 100,
+  minBatchSize: 1,
+  maxBatchSize: 1000,
+  targetDuration: 5000,
+  targetLogsPerRequest: 10000,
+  fastMultiplier: 2,
+  slowMultiplier: 0.5
+};
+
+function mockScanner(queries) {
+  const scanner = new UnifiedScanner();
+  scanner.log = () => {};
+  scanner.sleep = async () => {};
+  scanner.alchemyClient = createRpcClient('ethereum').alchemyClient;
+  scanner.maxLogsBlockRange = 1000;
+  scanner.logsOptimization = LOGS_OPTIMIZATION;
+  // Nothing stored yet: every discovered address is new
+  scanner.db = recordingDb(queries);
+  return scanner;
+}
+
+async function testMockChain(check) {
+  console.log('🧪 Testing UnifiedScanner against the mock chain\n');
+
+  const chain = await new MockChain(SCENARIO).start();
+  process.env.USE_ALCHEMY_PROXY = 'true';
+  process.env.ALCHEMY_PROXY_URL = chain.url;
+  process.env.ALCHEMY_TIER_DETECTION_URL = chain.url;
+  process.env.USE_ETHERSCAN_PROXY = 'false';
+  Object.assign(NETWORKS.ethereum, {
+    rpcUrls: [chain.rpcUrl('flaky'), chain.rpcUrl('backup')],
+    explorerApiUrl: chain.explorerApiUrl,
+    apiKeys: ['mock-key']
+  });
+  // The first public endpoint rejects everything for the whole run
+  chain.fail({ route: 'rpc', endpoint: 'flaky', kind: 'rate-limit', times: Infinity });
+
+  contractCall.getChunkOptimizer = fixedChunkOptimizer;
+
+  try {
+    const account = (addr) => SCENARIO.accounts[addr] || {};
+    const scanner = mockScanner([]);
+
+    console.log('\n📋 Chain reads');
+    const flags = await contractCall.isContracts('ethereum', ALL);
+    check('Contract validator flags the scripted contracts', ALL.every((addr, i) => flags[i] === CONTRACTS.includes(addr)));
+    const hashes = await contractCall.getCodeHashes('ethereum', ALL);
+    check('Code hashes are keccak256 of the scripted code', ALL.every((addr, i) => hashes[i]
+      === (CONTRACTS.includes(addr) ? ethers.keccak256(account(addr).code) : ethers.ZeroHash)));
+
+    const nativeBalances = await scanner.getNativeBalances(ALL);
+    check('BalanceHelper native balances match', ALL.every((addr, i) => BigInt(nativeBalances[i] || 0) === BigInt(account(addr).balance || 0)));
+    const tokenBalances = await scanner.getERC20Balances(ALL, [USDC]);
+    check('BalanceHelper token balances match', ALL.every(addr => BigInt(tokenBalances.get(addr)?.get(USDC)?.balance ?? -1)
+      === BigInt(account(addr).tokens?.[USDC] || 0)));
+
+    const proxy = await detectProxy(scanner.alchemyClient, PROXY);
+    check('EIP-1967 implementation slot resolved', proxy?.implementation?.toLowerCase() === IMPLEMENTATION && proxy.tags.includes('Proxy'));
+
+    const deployments = await getContractDeploymentTimeBatch(scanner, [TOKEN, VAULT, PROXY]);
+    check('Deployment times are the creation block timestamps', [TOKEN, VAULT, PROXY].every(addr =>
+      deployments.get(addr)?.timestamp === chain.blockTimestamp(account(addr).creation.blockNumber)));
+
+    console.log('\n🔀 Failover and retries');
+    const rpc = new HttpRpcClient('ethereum');
+    // Endpoint order is a weighted random draw; keep the rate-limited endpoint first
+    rpc.isRpcSlow = (url) => url === chain.rpcUrl('backup');
+    const codes = await Promise.all(CONTRACTS.map(addr => rpc.makeRequest('eth_getCode', [addr, 'latest'])));
+    check('Public RPC answers while the first endpoint is rate limited', CONTRACTS.every((addr, i) => codes[i] === account(addr).code)
+      && chain.calls('rpc').some(call => call.endpoint === 'flaky')
+      && chain.calls('rpc').some(call => call.endpoint === 'backup'));
+
+    const sourceRequests = chain.calls('etherscan', 'getsourcecode').length;
+    chain.fail({ route: 'etherscan', method: 'getsourcecode', kind: 'rate-limit' });
+    const [source] = await etherscanRequest('ethereum', { module: 'contract', action: 'getsourcecode', address: VAULT });
+    check('Etherscan 429 retried', source?.ContractName === 'Vault'
+      && chain.calls('etherscan', 'getsourcecode').length === sourceRequests + 2);
+
+    console.log('\n🧱 handleBatchError');
+    const batchQueries = [];
+    const batchScanner = mockScanner(batchQueries);
+    const fetchBatch = (from, batchSize, pendingRanges = []) => batchScanner.fetchAndQueueBatch(
+      from, 1000, batchSize, LOGS_OPTIMIZATION.minBatchSize, 1000, 1, new Set(), [], LOGS_OPTIMIZATION, pendingRanges
+    );
+
+    const getLogsTimeout = TIMEOUTS.GET_LOGS;
+    TIMEOUTS.GET_LOGS = 300;
+    chain.fail({ route: 'alchemy', method: 'eth_getLogs', kind: 'timeout', times: 2 });
+    const timedOut = await fetchBatch(900, 100);
+    TIMEOUTS.GET_LOGS = getLogsTimeout;
+    check('Timeout retries the same range with half the batch', timedOut.nextBlock === 900 && timedOut.newBatchSize === 50
+      && batchScanner.blockRetryCount.get('900-999') === 1);
+
+    const rangeLimited = await fetchBatch(900, 100);
+    check('Range-limit error uses the suggested range', rangeLimited.nextBlock === 900 && rangeLimited.newBatchSize === 11);
+
+    chain.fail({ route: 'alchemy', method: 'eth_getLogs', kind: 'error', message: 'header not found', times: 2 });
+    const skippedRanges = [];
+    const skipped = await fetchBatch(900, 11, skippedRanges);
+    const gap = batchQueries.find(q => q.query.includes('INSERT INTO scan_gaps'));
+    check('Other errors skip the range and record it as a gap', skipped.nextBlock === 911
+      && gap?.params[1] === 900 && gap.params[2] === 910 && gap.params[3].includes('header not found')
+      && skippedRanges[0]?.gap === true);
+
+    console.log('\n🚀 Streaming pipeline');
+    const queries = [];
+    const pipelineScanner = mockScanner(queries);
+    const commits = [];
+    const result = await pipelineScanner.executeStreamingPipeline(900, chain.head, { onCommit: block => commits.push(block) });
+
+    const rows = new Map();
+    for (const upsert of queries.filter(q => q.query.includes('INSERT INTO addresses'))) {
+      for (let i = 0; i < upsert.params.length; i += 13) {
+        const [addr, codeHash, contractName, deployed, , network, , tags, , , , , implementation] = upsert.params.slice(i, i + 13);
+        rows.set(addr, { codeHash, contractName, deployed, network, tags, implementation });
+      }
+    }
+    const deployedAt = (addr) => chain.blockTimestamp(account(addr).creation.blockNumber);
+
+    check('Every address in the logs discovered once', result.processedAddresses === ALL.length);
+    check('EOAs stored as EOA without code hash', [ALICE, BOB].every(addr => rows.get(addr)?.tags.join() === 'EOA'
+      && rows.get(addr).codeHash === null));
+    check('Unfunded contract not stored', !rows.has(IMPLEMENTATION) && rows.size === ALL.length - 1);
+    check('Verified vault stored with name and deployment time', rows.get(VAULT)?.tags.join() === 'Contract,Verified'
+      && rows.get(VAULT).contractName === 'Vault' && rows.get(VAULT).deployed === deployedAt(VAULT)
+      && rows.get(VAULT).codeHash === ethers.keccak256(account(VAULT).code));
+    check('Token tagged ERC20', rows.get(TOKEN)?.tags.includes('Verified') && rows.get(TOKEN).tags.includes('ERC20')
+      && rows.get(TOKEN).contractName === 'MockToken' && rows.get(TOKEN).deployed === deployedAt(TOKEN));
+    check('Unverified proxy stored with its implementation', rows.get(PROXY)?.tags.includes('Unverified')
+      && rows.get(PROXY).tags.includes('Proxy') && rows.get(PROXY).implementation?.toLowerCase() === IMPLEMENTATION);
+    check('Progress committed up to the head', commits[commits.length - 1] === chain.head
+      && commits.every((block, i) => i === 0 || block > commits[i - 1]));
+    check('No coverage gaps recorded', pipelineScanner.stats.gapsRecorded === 0
+      && !queries.some(q => q.query.includes('INSERT INTO scan_gaps')));
+    check('Oversized getLogs ranges were split', chain.calls('alchemy', 'eth_getLogs').some(call => {
+      const [filter] = call.params;
+      return parseInt(filter.toBlock, 16) - parseInt(filter.fromBlock, 16) + 1 < LOGS_OPTIMIZATION.initialBatchSize;
+    }));
+  } finally {
+    await chain.stop();
+  }
+}
+
+runTest(testMockChain);
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Test on-chain proxy detection
+ * Checks EIP-1967 / beacon / EIP-1822 / OZ legacy slot reads, EIP-1167 bytecode parsing and
+ * that storeResults writes proxy tags and the implementation column
+ */
+
+const {
+  PROXY_SLOTS,
+  BEACON_IMPLEMENTATION_SELECTOR,
+  addressFromWord,
+  parseMinimalProxy,
+  detectProxy
+} = require('../common/proxyDetector');
+const UnifiedScanner = require('../core/UnifiedScanner.js');
+const { runTest, recordingDb } = require('./helpers');
+
+const PROXY = '0x' + '11'.repeat(20);
+const IMPLEMENTATION = '0x' + 'aa'.repeat(20);
+const ADMIN = '0x' + 'bb'.repeat(20);
+const BEACON = '0x' + 'cc'.repeat(20);
+const EMPTY_WORD = '0x' + '0'.repeat(64);
+const word = (address) => '0x' + address.slice(2).padStart(64, '0');
+const MINIMAL_PROXY_CODE = '0x363d3d373d3d3d363d73' + IMPLEMENTATION.slice(2) + '5af43d82803e903d91602b57fd5bf3';
+
+// Fake RPC client answering storage reads from a slot map
+function fakeClient(slots = {}, { code = '0x6080', beaconImplementation = null } = {}) {
+  const calls = [];
+  return {
+    calls,
+    getCode: async () => code,
+    getStorageAt: async (address, slot) => slots[slot] || EMPTY_WORD,
+    call: async (tx) => {
+      calls.push(tx);
+      if (!beaconImplementation) throw new Error('execution reverted');
+      return word(beaconImplementation);
+    }
+  };
+}
+
+async function testProxyDetection(check) {
+  console.log('🧪 Testing on-chain proxy detection\n');
+
+  // Helpers
+  check('Empty storage word is not an address', addressFromWord(EMPTY_WORD) === null);
+  check('Address read from the low 20 bytes', addressFromWord(word(IMPLEMENTATION)) === IMPLEMENTATION);
+  check('EIP-1167 implementation parsed from bytecode', parseMinimalProxy(MINIMAL_PROXY_CODE) === IMPLEMENTATION);
+  check('Ordinary bytecode is not a minimal proxy', parseMinimalProxy('0x6080604052') === null);
+
+  // Slot-based detection
+  const eip1967 = await detectProxy(fakeClient({
+    [PROXY_SLOTS.EIP1967_IMPLEMENTATION]: word(IMPLEMENTATION),
+    [PROXY_SLOTS.EIP1967_ADMIN]: word(ADMIN)
+  }), PROXY);
+  check('EIP-1967 implementation and admin resolved', eip1967?.type === 'EIP1967' && eip1967.implementation === IMPLEMENTATION && eip1967.admin === ADMIN);
+  check('EIP-1967 tagged', eip1967?.tags.join() === 'Proxy,EIP1967Proxy');
+
+  const beaconClient = fakeClient({ [PROXY_SLOTS.EIP1967_BEACON]: word(BEACON) }, { beaconImplementation: IMPLEMENTATION });
+  const beacon = await detectProxy(beaconClient, PROXY);
+  check('Beacon implementation read from the beacon', beacon?.type === 'Beacon' && beacon.beacon === BEACON && beacon.implementation === IMPLEMENTATION);
+  check('Beacon queried with implementation()', beaconClient.calls[0]?.to === BEACON && beaconClient.calls[0]?.data === BEACON_IMPLEMENTATION_SELECTOR);
+
+  const brokenBeacon = await detectProxy(fakeClient({ [PROXY_SLOTS.EIP1967_BEACON]: word(BEACON) }), PROXY);
+  check('Reverting beacon still reported as beacon proxy', brokenBeacon?.type === 'Beacon' && brokenBeacon.implementation === null);
+
+  const uups = await detectProxy(fakeClient({ [PROXY_SLOTS.EIP1822_PROXIABLE]: word(IMPLEMENTATION) }), PROXY);
+  check('EIP-1822 slot detected', uups?.type === 'EIP1822' && uups.tags.includes('UUPSProxy'));
+
+  const legacy = await detectProxy(fakeClient({ [PROXY_SLOTS.OZ_LEGACY_IMPLEMENTATION]: word(IMPLEMENTATION) }), PROXY);
+  check('OpenZeppelin legacy slot detected', legacy?.type === 'OZLegacy' && legacy.implementation === IMPLEMENTATION);
+
+  const minimal = await detectProxy(fakeClient({}, { code: MINIMAL_PROXY_CODE }), PROXY);
+  check('EIP-1167 clone detected from code', minimal?.type === 'EIP1167' && minimal.tags.includes('MinimalProxy'));
+
+  check('Plain contract is not a proxy', (await detectProxy(fakeClient(), PROXY)) === null);
+
+  // Scanner integration
+  const scanner = new UnifiedScanner();
+  scanner.log = () => {};
+  scanner.recordTailSightings = async () => {};
+  scanner.alchemyClient = fakeClient({ [PROXY_SLOTS.EIP1967_IMPLEMENTATION]: word(IMPLEMENTATION) });
+
+  const contracts = [
+    { address: PROXY, codeHash: '0x' + '12'.repeat(32), verified: false },
+    { address: ADMIN, codeHash: '0x' + '34'.repeat(32), verified: true, contractName: 'Old', proxy: true, implementation: BEACON }
+  ];
+  scanner.alchemyClient.getStorageAt = async (address, slot) =>
+    address === PROXY && slot === PROXY_SLOTS.EIP1967_IMPLEMENTATION ? word(IMPLEMENTATION) : EMPTY_WORD;
+  const detected = await scanner.detectProxies(contracts);
+  check('detectProxies annotates only proxies', detected === 1 && contracts[0].proxyInfo && !contracts[1].proxyInfo);
+
+  const queries = [];
+  scanner.db = recordingDb(queries);
+  await scanner.storeResults([], contracts);
+  const insert = queries.find(q => q.query.includes('INSERT INTO addresses'));
+  const row = (index) => insert.params.slice(index * 13, index * 13 + 13);
+  check('Unverified proxy stored with proxy tags', row(0)[7].join() === 'Contract,Unverified,Proxy,EIP1967Proxy');
+  check('On-chain implementation stored', row(0)[12] === IMPLEMENTATION);
+  check('Etherscan proxy flag is the fallback', row(1)[7].includes('Proxy') && row(1)[12] === BEACON);
+}
+
+runTest(testProxyDetection);
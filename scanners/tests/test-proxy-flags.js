@@ -1,152 +1,85 @@
 #!/usr/bin/env node
-
 /**
  * Test Proxy Flags
- * Tests both proxy-enabled and direct API modes for Alchemy and Etherscan
+ * Checks that USE_ALCHEMY_PROXY and USE_ETHERSCAN_PROXY route requests through the proxy servers
+ * or the direct APIs, and that both routes give the same answers. Requests are answered from
+ * tests/fixtures/proxy-flags.json; RPC_FIXTURES=record re-records it, which needs both proxy
+ * servers running as well as ALCHEMY_API_KEY and DEFAULT_ETHERSCAN_KEYS
  */
 
-require('dotenv').config();
-const { createRpcClient, etherscanRequest } = require('../common/core');
+const path = require('path');
+const { useFixtures } = require('../common/rpcRecorder');
+
+const mode = useFixtures(path.join(__dirname, 'fixtures', 'proxy-flags.json'));
+
+const { NETWORKS } = require('../config/networks');
+const { createRpcClient, etherscanRequest, AlchemyRPCClient } = require('../common/core');
+const { runTest } = require('./helpers');
+
+const network = 'ethereum';
+const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
 
-async function testProxyFlags() {
-  console.log('🧪 Testing Proxy Flags Configuration\n');
-  console.log('=' .repeat(60) + '\n');
-  
-  const network = 'ethereum';
-  const testAddress = '0xdAC17F958D2ee523a2206206994597C13D831ec7'; // USDT
-  
-  // Display current configuration
-  console.log('📋 Current Configuration:');
-  console.log(`  USE_ALCHEMY_PROXY: ${process.env.USE_ALCHEMY_PROXY}`);
-  console.log(`  ALCHEMY_PROXY_URL: ${process.env.ALCHEMY_PROXY_URL}`);
-  console.log(`  ALCHEMY_API_KEY: ${process.env.ALCHEMY_API_KEY ? '***' + process.env.ALCHEMY_API_KEY.slice(-4) : 'NOT SET'}`);
-  console.log(`  USE_ETHERSCAN_PROXY: ${process.env.USE_ETHERSCAN_PROXY}`);
-  console.log(`  ETHERSCAN_PROXY_URL: ${process.env.ETHERSCAN_PROXY_URL}`);
-  console.log('');
-  
-  // Test 1: Alchemy with current settings
-  console.log('🔬 Test 1: Alchemy RPC with current settings');
-  console.log(`  Mode: ${process.env.USE_ALCHEMY_PROXY === 'true' ? 'PROXY' : 'DIRECT API'}`);
-  
+// Replays need no credentials; the clients only insist that some are configured
+if (mode === 'replay') {
+  process.env.ALCHEMY_API_KEY = process.env.ALCHEMY_API_KEY || 'fixture-key';
+  if (!NETWORKS[network].apiKeys?.length) NETWORKS[network].apiKeys = ['fixture-key'];
+}
+
+const abiFunctions = (abi) => {
   try {
-    const clients = createRpcClient(network);
-    const { alchemyClient } = clients;
-    
-    // Test eth_blockNumber
-    const startTime = Date.now();
-    const blockNumber = await alchemyClient.getBlockNumber();
-    const duration = Date.now() - startTime;
-    
-    console.log(`  ✅ eth_blockNumber successful (${duration}ms)`);
-    console.log(`  Block: ${blockNumber.toLocaleString()}`);
-    console.log(`  Using: ${alchemyClient.useProxy ? 'Proxy Server' : 'Direct Alchemy API'}`);
-    
-    // Test eth_getCode
-    const codeStartTime = Date.now();
-    const code = await alchemyClient.getCode(testAddress);
-    const codeDuration = Date.now() - codeStartTime;
-    
-    console.log(`  ✅ eth_getCode successful (${codeDuration}ms)`);
-    console.log(`  Contract bytecode size: ${code.length} characters`);
+    return JSON.parse(abi).filter(entry => entry.type === 'function').map(entry => entry.name).sort().join();
   } catch (error) {
-    console.log(`  ❌ Alchemy test failed: ${error.message}`);
+    return null;
   }
-  
-  console.log('');
-  
-  // Test 2: Etherscan with current settings
-  console.log('🔬 Test 2: Etherscan API with current settings');
-  console.log(`  Mode: ${process.env.USE_ETHERSCAN_PROXY === 'true' ? 'PROXY' : 'DIRECT API'}`);
-  
+};
+
+async function testProxyFlags(check) {
+  console.log(`🧪 Testing proxy flags (${mode})\n`);
+
+  const original = {
+    USE_ALCHEMY_PROXY: process.env.USE_ALCHEMY_PROXY,
+    USE_ETHERSCAN_PROXY: process.env.USE_ETHERSCAN_PROXY,
+    ALCHEMY_API_KEY: process.env.ALCHEMY_API_KEY
+  };
+
+  // Alchemy routing
+  process.env.USE_ALCHEMY_PROXY = 'true';
+  const { alchemyClient: proxyClient } = createRpcClient(network);
+  const proxyUrl = process.env.ALCHEMY_PROXY_URL || 'http://localhost:3002';
+  check('USE_ALCHEMY_PROXY=true routes through the proxy', proxyClient.useProxy && proxyClient.alchemyUrl === `${proxyUrl}/rpc/${network}`);
+
+  process.env.USE_ALCHEMY_PROXY = 'false';
+  const { alchemyClient: directClient } = createRpcClient(network);
+  check('USE_ALCHEMY_PROXY=false calls Alchemy directly', !directClient.useProxy
+    && directClient.alchemyUrl === `https://${NETWORKS[network].alchemyNetwork}.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`);
+
+  delete process.env.ALCHEMY_API_KEY;
+  let missingKey = null;
   try {
-    const startTime = Date.now();
-    const result = await etherscanRequest(network, {
-      module: 'contract',
-      action: 'getabi',
-      address: testAddress
-    });
-    const duration = Date.now() - startTime;
-    
-    console.log(`  ✅ Etherscan API successful (${duration}ms)`);
-    console.log(`  Response status: ${result.status || 'success'}`);
-    console.log(`  Using: ${process.env.USE_ETHERSCAN_PROXY === 'true' ? 'Proxy Server' : 'Direct Etherscan API'}`);
+    new AlchemyRPCClient(network);
   } catch (error) {
-    console.log(`  ❌ Etherscan test failed: ${error.message}`);
+    missingKey = error;
   }
-  
-  console.log('\n' + '=' .repeat(60) + '\n');
-  
-  // Test toggling modes
-  console.log('🔄 Testing Mode Switching\n');
-  
-  // Test Alchemy mode switching
-  console.log('📝 Alchemy Mode Switch Test:');
-  
-  // Save original values
-  const originalAlchemyProxy = process.env.USE_ALCHEMY_PROXY;
-  const originalEtherscanProxy = process.env.USE_ETHERSCAN_PROXY;
-  
-  try {
-    // Test with proxy disabled (if originally enabled)
-    if (originalAlchemyProxy === 'true') {
-      process.env.USE_ALCHEMY_PROXY = 'false';
-      console.log('  Switching to DIRECT API mode...');
-      
-      const directClients = createRpcClient(network);
-      const { alchemyClient: directClient } = directClients;
-      
-      const startTime = Date.now();
-      const blockNumber = await directClient.getBlockNumber();
-      const duration = Date.now() - startTime;
-      
-      console.log(`  ✅ Direct API mode works (${duration}ms)`);
-      console.log(`  Block: ${blockNumber.toLocaleString()}`);
-      console.log(`  Confirmed using: ${directClient.useProxy ? 'Proxy (unexpected!)' : 'Direct Alchemy API'}`);
-    } else {
-      // Test with proxy enabled (if originally disabled)
-      process.env.USE_ALCHEMY_PROXY = 'true';
-      console.log('  Switching to PROXY mode...');
-      
-      const proxyClients = createRpcClient(network);
-      const { alchemyClient: proxyClient } = proxyClients;
-      
-      const startTime = Date.now();
-      const blockNumber = await proxyClient.getBlockNumber();
-      const duration = Date.now() - startTime;
-      
-      console.log(`  ✅ Proxy mode works (${duration}ms)`);
-      console.log(`  Block: ${blockNumber.toLocaleString()}`);
-      console.log(`  Confirmed using: ${proxyClient.useProxy ? 'Proxy Server' : 'Direct API (unexpected!)'}`);
-    }
-  } catch (error) {
-    console.log(`  ❌ Mode switch test failed: ${error.message}`);
+  check('Direct mode refuses to start without ALCHEMY_API_KEY', missingKey?.message.includes('ALCHEMY_API_KEY'));
+  if (original.ALCHEMY_API_KEY !== undefined) process.env.ALCHEMY_API_KEY = original.ALCHEMY_API_KEY;
+
+  const [proxyBlock, directBlock] = [await proxyClient.getBlockNumber(), await directClient.getBlockNumber()];
+  check('Both routes answer eth_blockNumber', proxyBlock > 0 && directBlock > 0 && Math.abs(proxyBlock - directBlock) < 100);
+  const [proxyCode, directCode] = [await proxyClient.getCode(USDT), await directClient.getCode(USDT)];
+  check('Both routes return the same USDT bytecode', proxyCode.length > 2 && proxyCode === directCode);
+
+  // Etherscan routing
+  process.env.USE_ETHERSCAN_PROXY = 'true';
+  const proxyAbi = await etherscanRequest(network, { module: 'contract', action: 'getabi', address: USDT });
+  process.env.USE_ETHERSCAN_PROXY = 'false';
+  const directAbi = await etherscanRequest(network, { module: 'contract', action: 'getabi', address: USDT });
+  check('Both Etherscan routes return the USDT ABI', abiFunctions(proxyAbi)?.includes('transfer') && abiFunctions(directAbi)?.includes('transfer'));
+  check('Proxy and direct ABIs match', abiFunctions(proxyAbi) === abiFunctions(directAbi));
+
+  for (const [name, value] of Object.entries(original)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
   }
-  
-  // Restore original values
-  process.env.USE_ALCHEMY_PROXY = originalAlchemyProxy;
-  process.env.USE_ETHERSCAN_PROXY = originalEtherscanProxy;
-  
-  console.log('\n' + '=' .repeat(60));
-  console.log('✅ Proxy Flag Testing Complete\n');
-  
-  // Summary
-  console.log('📊 Summary:');
-  console.log('  • Both proxy and direct modes are configurable');
-  console.log('  • USE_ALCHEMY_PROXY controls Alchemy RPC routing');
-  console.log('  • USE_ETHERSCAN_PROXY controls Etherscan API routing');
-  console.log('  • Proxy mode provides:');
-  console.log('    - Centralized throughput management');
-  console.log('    - API key rotation');
-  console.log('    - Rate limit protection');
-  console.log('  • Direct mode provides:');
-  console.log('    - Lower latency (no proxy overhead)');
-  console.log('    - Direct control over API usage');
-  
-  process.exit(0);
 }
 
-// Run the test
-testProxyFlags().catch(error => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
\ No newline at end of file
+runTest(testProxyFlags);
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Test reorg detection in UnifiedScanner
+ * Simulates a recorded tail whose hashes no longer match the canonical chain and
+ * checks that the lowest orphaned block triggers a transactional rollback of the addresses
+ * first seen after it (and their dependent rows) and a checkpoint rewind
+ */
+
+const UnifiedScanner = require('../core/UnifiedScanner.js');
+const { runTest } = require('./helpers');
+
+async function testReorgDetection(check) {
+  console.log('🧪 Testing reorg detection and rollback\n');
+
+  const scanner = new UnifiedScanner();
+  scanner.log = () => {};
+
+  check('Network confirmation depth loaded from config', scanner.confirmations === scanner.config.confirmations);
+
+  // Tail recorded by the "previous run": blocks 100-104, canonical chain diverges at 102
+  const recorded = [100, 101, 102, 103, 104].map(block => ({ block_number: String(block), block_hash: `0xold${block}` }));
+  const canonical = { 100: '0xold100', 101: '0xold101', 102: '0xnew102', 103: '0xnew103', 104: '0xnew104' };
+
+  const queries = [];
+  scanner.queryDB = async (query, params) => {
+    queries.push({ query: query.replace(/\s+/g, ' ').trim(), params });
+    if (query.includes('SELECT block_number, block_hash FROM block_hashes')) return { rows: recorded };
+    if (query.includes('DELETE FROM addresses')) return { rows: [{ address: '0xabc', code_hash: '0xcode' }], rowCount: 1 };
+    return { rows: [], rowCount: 0 };
+  };
+  scanner.getBlockByNumber = async (block) => ({ hash: canonical[block] });
+
+  const reorgBlock = await scanner.checkForReorg();
+  check('Lowest orphaned block is detected', reorgBlock === 102);
+  check('Reorg counted in stats', scanner.stats.reorgsDetected === 1);
+
+  const rollback = queries.find(q => q.query.startsWith('DELETE FROM addresses'));
+  check('Addresses first seen in orphaned blocks are removed', rollback && rollback.params[1] === 102);
+  check('Removal only touches rows whose first_seen is unchanged', rollback && rollback.query.includes('a.first_seen = s.first_seen'));
+
+  const rewind = queries.find(q => q.query.startsWith('UPDATE scan_checkpoints'));
+  check('Checkpoint rewound to the block before the reorg', rewind && rewind.params[1] === 101);
+
+  check('Rollback runs in one transaction', queries.findIndex(q => q.query === 'BEGIN') < queries.indexOf(rollback)
+    && queries.findIndex(q => q.query === 'COMMIT') > queries.indexOf(rewind));
+  const dependent = (table) => queries.find(q => q.query.startsWith(`DELETE FROM ${table}`));
+  check('Holdings and fund history of removed addresses are deleted', ['address_holdings', 'fund_snapshots']
+    .every(table => dependent(table)?.params[1].includes('0xabc')));
+  const sources = dependent('contract_sources');
+  check('Source metadata removed only when no address still uses it', sources?.params[0].includes('0xcode')
+    && sources.query.includes('NOT EXISTS'));
+
+  // A failed statement rolls the whole transaction back
+  queries.length = 0;
+  const respond = scanner.queryDB;
+  scanner.queryDB = async (query, params) => {
+    if (query.startsWith('DELETE FROM fund_snapshots')) throw new Error('boom');
+    return respond(query, params);
+  };
+  await scanner.rollbackOrphanedBlocks(102);
+  check('Failed rollback is undone', queries.some(q => q.query === 'ROLLBACK') && !queries.some(q => q.query === 'COMMIT'));
+  scanner.queryDB = respond;
+
+  // No reorg when all hashes still match
+  queries.length = 0;
+  canonical[102] = '0xold102';
+  canonical[103] = '0xold103';
+  canonical[104] = '0xold104';
+  check('Matching tail reports no reorg', (await scanner.checkForReorg()) === null);
+  check('Matching tail triggers no rollback', !queries.some(q => q.query.startsWith('DELETE FROM addresses')));
+
+  // Tail tracking keeps the earliest tail block per address and ignores confirmed blocks
+  scanner.tailStartBlock = 200;
+  scanner.trackTailLog({ blockNumber: '0xca', blockHash: '0xHASH202' }, ['0xaaa']);   // 202
+  scanner.trackTailLog({ blockNumber: '0xc9', blockHash: '0xhash201' }, ['0xaaa']);   // 201
+  scanner.trackTailLog({ blockNumber: '0xc7', blockHash: '0xhash199' }, ['0xbbb']);   // 199 (confirmed)
+  check('Earliest tail block kept per address', scanner.tailSightings.get('0xaaa') === 201);
+  check('Blocks before the tail never become sightings', scanner.tailSightings.get('0xbbb') === null);
+  check('Tail block hashes are normalized to lowercase', scanner.tailBlockHashes.get(202) === '0xhash202');
+
+  // An address seen before and after the fork point is never recorded as a tail sighting
+  scanner.trackTailLog({ blockNumber: '0xc8', blockHash: '0xhash200' }, ['0xccc']);   // 200 (tail)
+  scanner.trackTailLog({ blockNumber: '0xc6', blockHash: '0xhash198' }, ['0xccc']);   // 198 (confirmed)
+  scanner.trackTailLog({ blockNumber: '0xcb', blockHash: '0xhash203' }, ['0xccc']);   // 203 (tail)
+  check('Address also seen in a confirmed block is marked confirmed', scanner.tailSightings.get('0xccc') === null);
+
+  queries.length = 0;
+  await scanner.recordTailSightings(['0xaaa', '0xbbb', '0xccc']);
+  const sightings = queries.find(q => q.query.startsWith('INSERT INTO reorg_tail_sightings'));
+  check('Only tail-only addresses are recorded as sightings', sightings && sightings.params[1].join() === '0xaaa');
+}
+
+runTest(testReorgDetection);
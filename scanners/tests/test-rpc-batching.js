@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * Test JSON-RPC request batching
+ * Runs HttpRpcClient against local JSON-RPC endpoints and checks that concurrent calls are coalesced
+ * into batch arrays, oversized batches are split to the endpoint's limit, per-call errors reach only
+ * their caller and unanswered calls fail over to the next endpoint. AlchemyRPCClient's transaction
+ * and block lookups, as made by getContractDeploymentTimeBatch, are checked the same way.
+ */
+
+const http = require('http');
+const { NETWORKS } = require('../config/networks');
+const { rpcBatchSettings, mapBatchResponse } = require('../common/rpcBatcher');
+const { HttpRpcClient, getContractDeploymentTimeBatch } = require('../common/core');
+const { AlchemyRPCClient } = require('../common/alchemyRpc');
+const { runTest } = require('./helpers');
+
+// Endpoint validation probes would show up in the payload counts; it has its own test
+process.env.RPC_ENDPOINT_VALIDATION = 'false';
+
+const REVERTS = '0x' + 'dd'.repeat(20);
+const blockHex = (n) => `0x${n.toString(16)}`;
+const txHash = (n) => `0x${n.toString(16).padStart(64, '0')}`;
+
+/**
+ * Local JSON-RPC endpoint; records every HTTP payload it receives
+ * @param {Object} options - { maxBatch, status, rateLimited: Set of tx hashes answered with a rate limit error }
+ */
+async function rpcEndpoint(options = {}) {
+  const payloads = [];
+  const answer = (request) => {
+    const { id, method, params } = request;
+    if (method === 'eth_getTransactionByHash') {
+      if (options.rateLimited?.has(params[0])) return { jsonrpc: '2.0', id, error: { code: -32005, message: 'rate limit exceeded' } };
+      return { jsonrpc: '2.0', id, result: { hash: params[0], blockNumber: blockHex(1000 + parseInt(params[0], 16)) } };
+    }
+    if (method === 'eth_getBlockByNumber') {
+      return { jsonrpc: '2.0', id, result: { number: params[0], timestamp: blockHex(1600000000 + parseInt(params[0], 16)) } };
+    }
+    if (method === 'eth_call' && params[0].to === REVERTS) {
+      return { jsonrpc: '2.0', id, error: { code: 3, message: 'execution reverted' } };
+    }
+    return { jsonrpc: '2.0', id, result: '0x01' };
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      payloads.push(payload);
+      res.setHeader('Content-Type', 'application/json');
+      if (options.status) {
+        res.writeHead(options.status);
+        res.end('{}');
+        return;
+      }
+      if (Array.isArray(payload) && options.maxBatch && payload.length > options.maxBatch) {
+        res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32600, message: `batch size ${payload.length} exceeds limit ${options.maxBatch}` } }));
+        return;
+      }
+      // Batch answers come back out of order, as some providers do
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer).reverse() : answer(payload)));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/rpc`, payloads, server };
+}
+
+function alchemyClientFor(network, endpoint) {
+  process.env.USE_ALCHEMY_PROXY = 'true';
+  process.env.ALCHEMY_PROXY_URL = endpoint.url.replace(/\/rpc$/, '');
+  return new AlchemyRPCClient(network);
+}
+
+function clientFor(network, rpcUrls, slowUrls = []) {
+  NETWORKS[network] = { name: network, rpcUrls };
+  const client = new HttpRpcClient(network);
+  client.isRpcSlow = (url) => slowUrls.includes(url);
+  return client;
+}
+
+async function testRpcBatching(check) {
+  console.log('🧪 Testing JSON-RPC request batching\n');
+
+  // Settings and response mapping
+  const settings = rpcBatchSettings({ RPC_BATCH_SIZE: '20', RPC_BATCH_LIMITS: 'rpc.example.org=5, other.example.org=0' });
+  check('Batch size and per-endpoint limits read from env', settings.maxBatchSize === 20
+    && settings.endpointLimits.get('rpc.example.org') === 5 && settings.endpointLimits.get('other.example.org') === 1);
+  check('RPC_BATCH_SIZE=1 turns batching off', rpcBatchSettings({ RPC_BATCH_SIZE: '1' }).maxBatchSize === 1);
+  const mapped = mapBatchResponse([7, 8, 9], [{ id: 9, result: null }, { id: '7', result: '0x1' }, { id: 8, error: { code: 3, message: 'x' } }]);
+  check('Responses matched to calls by id', mapped[0].result === '0x1' && mapped[1].error.code === 3 && mapped[2].result === null);
+
+  const limited = await rpcEndpoint({ maxBatch: 4 });
+  const busy = await rpcEndpoint({ rateLimited: new Set([txHash(3)]) });
+  const backup = await rpcEndpoint();
+  const down = await rpcEndpoint({ status: 503 });
+
+  // Coalescing and the endpoint's batch limit
+  const client = clientFor('batch-limit', [limited.url]);
+  const lookups = await Promise.all([
+    ...[1, 2, 3, 4, 5, 6].map(n => client.getTransactionByHash(txHash(n))),
+    client.getBlockByNumber(1001),
+    client.getBlockByNumber(1002)
+  ]);
+  check('Concurrent calls answered with their own results', lookups.slice(0, 6).every((tx, n) => tx.hash === txHash(n + 1))
+    && lookups[6].timestamp === blockHex(1600001001) && lookups[7].timestamp === blockHex(1600001002));
+  check('Concurrent calls sent as batch arrays', Array.isArray(limited.payloads[0]) && limited.payloads[0].length === 8);
+  check('Oversized batch split to the endpoint limit', limited.payloads.length === 3
+    && limited.payloads.slice(1).every(payload => payload.length === 4) && client.batchLimit(limited.url) === 4);
+
+  // Per-call errors
+  const calls = await Promise.allSettled([
+    client.call({ to: REVERTS, data: '0x' }),
+    client.call({ to: '0x' + 'ee'.repeat(20), data: '0x' })
+  ]);
+  check('Per-call error rejects only its caller', calls[0].status === 'rejected' && calls[0].reason.message.includes('execution reverted')
+    && calls[1].status === 'fulfilled' && calls[1].value === '0x01');
+  check('Per-call error does not fail the endpoint', client.getAvailableRpcs().includes(limited.url));
+
+  // Failover: the backup is marked slow so the busy endpoint is always asked first
+  const failover = clientFor('batch-failover', [busy.url, backup.url], [backup.url]);
+  const partial = await Promise.all([2, 3, 4].map(n => failover.getTransactionByHash(txHash(n))));
+  check('Rate-limited call retried on the next endpoint', partial.every((tx, n) => tx.hash === txHash(n + 2))
+    && backup.payloads.length === 1 && backup.payloads[0].id !== undefined && backup.payloads[0].params[0] === txHash(3));
+
+  const fallback = clientFor('batch-down', [down.url, backup.url], [backup.url]);
+  const before = backup.payloads.length;
+  const rescued = await Promise.all([5, 6].map(n => fallback.getTransactionByHash(txHash(n))));
+  check('Failed endpoint skipped and the batch resent to the next', rescued.every((tx, n) => tx.hash === txHash(n + 5))
+    && down.payloads.length === 1 && backup.payloads.length === before + 1 && !fallback.getAvailableRpcs().includes(down.url));
+
+  // Methods with large responses keep their own request
+  const logsBefore = backup.payloads.length;
+  await Promise.all([fallback.getLogs({ fromBlock: '0x1' }), fallback.getLogs({ fromBlock: '0x2' })]);
+  check('eth_getLogs not batched', backup.payloads.slice(logsBefore).every(payload => !Array.isArray(payload) && payload.method === 'eth_getLogs'));
+
+  // Deployment lookups on Alchemy: Etherscan gives creation transactions without timestamps
+  const alchemy = await rpcEndpoint({ rateLimited: new Set([txHash(9)]) });
+  const creations = [1, 2, 3, 4, 5].map(n => ({ contractAddress: '0x' + n.toString(16).padStart(40, '0'), txHash: txHash(n) }));
+  const scanner = {
+    network: 'ethereum',
+    config: { chainId: 1 },
+    alchemyClient: alchemyClientFor('ethereum', alchemy),
+    etherscanCall: async () => creations
+  };
+  const deployments = await getContractDeploymentTimeBatch(scanner, creations.map(creation => creation.contractAddress));
+  check('Deployment times come from the creation blocks', creations.every((creation, n) =>
+    deployments.get(creation.contractAddress)?.timestamp === 1600000000 + 1000 + n + 1));
+  check('Deployment transaction lookups sent as one batch', alchemy.payloads.length === 2
+    && alchemy.payloads[0].length === 5 && alchemy.payloads[0].every(call => call.method === 'eth_getTransactionByHash'));
+  check('Deployment block lookups sent as one batch', alchemy.payloads[1].length === 5
+    && alchemy.payloads[1].every(call => call.method === 'eth_getBlockByNumber'));
+
+  const alchemyCalls = await Promise.allSettled([8, 9].map(n => scanner.alchemyClient.getTransactionByHash(txHash(n))));
+  check('Alchemy per-call error rejects only its caller', alchemyCalls[0].status === 'fulfilled' && alchemyCalls[0].value.hash === txHash(8)
+    && alchemyCalls[1].status === 'rejected' && alchemyCalls[1].reason.message.includes('rate limit'));
+
+  const refusing = await rpcEndpoint({ maxBatch: 1 });
+  const refused = alchemyClientFor('polygon', refusing);
+  const resent = await Promise.all([1, 2].map(n => refused.getTransactionByHash(txHash(n))));
+  check('Batch Alchemy refuses resent call by call', resent.every((tx, n) => tx.hash === txHash(n + 1))
+    && refusing.payloads.length === 3 && refusing.payloads.slice(1).every(payload => !Array.isArray(payload)));
+
+  for (const endpoint of [limited, busy, backup, down, alchemy, refusing]) endpoint.server.close();
+}
+
+runTest(testRpcBatching);
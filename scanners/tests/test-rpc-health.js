@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * Test persisted RPC endpoint health
+ * Checks health scoring and weighted endpoint order, that outcomes recorded by HttpRpcClient against
+ * local endpoints merge into rpc_endpoint_health across flushes under redacted keys, that a process
+ * loading the table prefers the endpoints earlier runs found healthy, and that a scanner syncs through
+ * the pool and stops its sync timer on cleanup
+ */
+
+const http = require('http');
+const { NETWORKS } = require('../config/networks');
+const {
+  displayRpcUrl,
+  redactRpcUrl,
+  recordRpcOutcome,
+  scoreRpcHealth,
+  orderRpcsByHealth,
+  flushRpcHealth,
+  loadRpcHealth,
+  syncRpcHealth,
+  rankRpcEndpoints
+} = require('../common/rpcHealth');
+const { HttpRpcClient } = require('../common/core');
+const Scanner = require('../common/Scanner');
+const { runTest, recordingDb } = require('./helpers');
+
+// Validation probes would add to the request counts; it has its own test
+process.env.RPC_ENDPOINT_VALIDATION = 'false';
+
+const NOW = 1700000000;
+
+/**
+ * rpc_endpoint_health kept in memory, merging upserts the way the ON CONFLICT clause does
+ */
+function healthStore() {
+  const rows = new Map();
+  let failNext = false;
+  const query = async (sql, params) => {
+    if (failNext) {
+      failNext = false;
+      throw new Error('connection lost');
+    }
+    if (sql.includes('INSERT INTO rpc_endpoint_health')) {
+      const [network, rpcUrl, requests, failures, timeouts, latencyMs, errorRate, lastSuccessAt, lastFailureAt, lastError, updatedAt, latencyWeight, errorWeight] = params;
+      const key = `${network}|${rpcUrl}`;
+      const row = rows.get(key);
+      if (!row) {
+        rows.set(key, {
+          network, rpc_url: rpcUrl, requests, failures, timeouts, latency_ms: latencyMs, error_rate: errorRate,
+          last_success_at: lastSuccessAt, last_failure_at: lastFailureAt, last_error: lastError, updated_at: updatedAt
+        });
+      } else {
+        const greatest = (a, b) => (a === null ? b : b === null ? a : Math.max(a, b));
+        Object.assign(row, {
+          requests: row.requests + requests,
+          failures: row.failures + failures,
+          timeouts: row.timeouts + timeouts,
+          latency_ms: latencyMs === null ? row.latency_ms : row.latency_ms === null ? latencyMs : row.latency_ms * (1 - latencyWeight) + latencyMs * latencyWeight,
+          error_rate: row.error_rate * (1 - errorWeight) + errorRate * errorWeight,
+          last_success_at: greatest(row.last_success_at, lastSuccessAt),
+          last_failure_at: greatest(row.last_failure_at, lastFailureAt),
+          last_error: lastError ?? row.last_error,
+          updated_at: updatedAt
+        });
+      }
+      return { rows: [], rowCount: 1 };
+    }
+    if (sql.includes('FROM rpc_endpoint_health')) {
+      return { rows: [...rows.values()].map(row => ({ ...row })) };
+    }
+    return { rows: [], rowCount: 0 };
+  };
+  return { query, rows, failOnce: () => { failNext = true; } };
+}
+
+async function rpcEndpoint(status) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+      if (status) {
+        res.writeHead(status);
+        res.end('{}');
+        return;
+      }
+      const answer = (request) => ({ jsonrpc: '2.0', id: request.id, result: '0x10' });
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/rpc`, server };
+}
+
+// Deterministic Math.random replacement
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+const firstShare = (network, urls, url, draws = 1000) => {
+  const random = seededRandom(42);
+  let first = 0;
+  for (let i = 0; i < draws; i++) {
+    if (orderRpcsByHealth(network, urls, random, NOW)[0] === url) first++;
+  }
+  return first / draws;
+};
+
+async function testRpcHealth(check) {
+  console.log('🧪 Testing persisted RPC endpoint health\n');
+
+  // Scoring
+  const fast = { errorRate: 0, latencyMs: 100, lastSuccessAt: NOW, lastFailureAt: null };
+  const slow = { errorRate: 0, latencyMs: 3000, lastSuccessAt: NOW, lastFailureAt: null };
+  const flaky = { errorRate: 0.5, latencyMs: 100, lastSuccessAt: NOW, lastFailureAt: NOW - 3600 };
+  check('Fast beats slow beats flaky', scoreRpcHealth(fast, NOW) > scoreRpcHealth(slow, NOW) && scoreRpcHealth(slow, NOW) > scoreRpcHealth(flaky, NOW));
+  const justFailed = { ...fast, lastSuccessAt: NOW - 100, lastFailureAt: NOW - 10 };
+  check('Fresh failure cuts the score until a success or the cooldown', scoreRpcHealth(justFailed, NOW) < scoreRpcHealth(fast, NOW) / 5
+    && scoreRpcHealth(justFailed, NOW + 600) === scoreRpcHealth(fast, NOW + 600));
+  check('Dead endpoints keep a minimum score', scoreRpcHealth({ errorRate: 1, latencyMs: null }, NOW) === 0.01);
+  check('Keys masked in displayed URLs', displayRpcUrl('https://eth.example.org/v2/AbCdEf0123456789AbCdEf0123') === 'https://eth.example.org/v2/***');
+  const keyed = 'https://eth.example.org/v2/AbCdEf0123456789AbCdEf0123';
+  check('Stored endpoint keeps the host and hashes the path', /^https:\/\/eth\.example\.org\/#[0-9a-f]{12}$/.test(redactRpcUrl(keyed))
+    && redactRpcUrl(keyed) !== redactRpcUrl(keyed.replace('0123', '4567')) && redactRpcUrl('https://eth.example.org/') === 'https://eth.example.org');
+
+  // Weighted order
+  const good = 'https://good.example.org/rpc';
+  const bad = 'https://bad.example.org/rpc';
+  const fresh = 'https://fresh.example.org/rpc';
+  for (let i = 0; i < 10; i++) {
+    recordRpcOutcome('order-test', good, { ok: true, latencyMs: 150, now: NOW - 60 });
+    recordRpcOutcome('order-test', bad, { ok: false, error: 'ECONNREFUSED', now: NOW - 60 });
+  }
+  check('Healthy endpoint tried first almost always', firstShare('order-test', [bad, good], good) > 0.95);
+  const unmeasured = firstShare('order-unknown', ['https://a.example.net/rpc', 'https://b.example.net/rpc'], 'https://a.example.net/rpc');
+  check('Unmeasured endpoints shuffled evenly', unmeasured > 0.4 && unmeasured < 0.6);
+  check('Host record from another network carried over', firstShare('order-other', [bad.replace('/rpc', '/other'), fresh], fresh) > 0.9);
+
+  // Persistence
+  const store = healthStore();
+  check('Outcomes flushed once per endpoint', await flushRpcHealth(store.query, NOW) === 2 && await flushRpcHealth(store.query, NOW) === 0);
+  const goodRow = store.rows.get(`order-test|${redactRpcUrl(good)}`);
+  check('Flushed row carries counts and averages', goodRow.requests === 10 && goodRow.failures === 0 && goodRow.latency_ms === 150
+    && store.rows.get(`order-test|${redactRpcUrl(bad)}`).error_rate === 1 && store.rows.get(`order-test|${redactRpcUrl(bad)}`).last_error === 'ECONNREFUSED');
+
+  recordRpcOutcome('order-test', good, { ok: true, latencyMs: 650, now: NOW });
+  await flushRpcHealth(store.query, NOW);
+  check('Later runs move the averages instead of replacing them', store.rows.get(`order-test|${redactRpcUrl(good)}`).requests === 11
+    && Math.abs(store.rows.get(`order-test|${redactRpcUrl(good)}`).latency_ms - 250) < 1e-9);
+
+  recordRpcOutcome('order-test', bad, { ok: false, error: 'timeout', timeout: true, now: NOW });
+  store.failOnce();
+  await flushRpcHealth(store.query, NOW).catch(() => {});
+  await flushRpcHealth(store.query, NOW);
+  check('Outcomes kept when a flush fails', store.rows.get(`order-test|${redactRpcUrl(bad)}`).failures === 11 && store.rows.get(`order-test|${redactRpcUrl(bad)}`).timeouts === 1);
+
+  // HttpRpcClient records outcomes; a new process loads them
+  const down = await rpcEndpoint(503);
+  const up = await rpcEndpoint();
+  NETWORKS['health-test'] = { name: 'health-test', rpcUrls: [down.url, up.url] };
+  const client = new HttpRpcClient('health-test');
+  client.isRpcSlow = (url) => url === up.url; // the failing endpoint is always asked first
+  for (let i = 0; i < 4; i++) {
+    await client.getBlockNumber();
+  }
+  await syncRpcHealth(store.query, NOW);
+  const upRow = store.rows.get(`health-test|${redactRpcUrl(up.url)}`);
+  const downRow = store.rows.get(`health-test|${redactRpcUrl(down.url)}`);
+  check('No stored row carries an endpoint path', [...store.rows.values()].every(row => !row.rpc_url.includes('/rpc') && !row.rpc_url.includes('/v2')));
+  check('Client requests recorded per endpoint', upRow?.requests === 4 && upRow.latency_ms > 0 && downRow?.failures === 1 && downRow.requests === 1);
+
+  await loadRpcHealth(store.query);
+  check('Loaded health puts the working endpoint first', firstShare('health-test', [down.url, up.url], up.url) > 0.95);
+
+  // Report ranking
+  const ranked = rankRpcEndpoints([...store.rows.values()].filter(row => row.network === 'order-test'), [bad, fresh], NOW);
+  check('Report ranks measured endpoints and lists the rest', ranked[0].rpcUrl === redactRpcUrl(good) && !ranked[0].configured
+    && ranked[1].rpcUrl === bad && ranked[2].rpcUrl === fresh && !ranked[2].measured);
+
+  // Scanner sync: runs beside the pipeline, so it never uses the scanner's client
+  const scanner = new Scanner('HealthSync', { network: 'ethereum' });
+  scanner.log = () => {};
+  const poolQueries = [];
+  let clientQueries = 0;
+  scanner.db = { query: async () => { clientQueries++; return { rows: [] }; }, release: () => {} };
+  scanner.queryPool = recordingDb(poolQueries).query;
+  const first = scanner.syncRpcHealth();
+  const overlapping = scanner.syncRpcHealth();
+  await Promise.all([first, overlapping]);
+  check('Scanner health sync goes through the pool', poolQueries.length > 0 && clientQueries === 0);
+  check('Overlapping syncs share one run', first === overlapping);
+
+  scanner.rpcHealthTimer = setInterval(() => {}, 60000);
+  scanner.db = null;
+  await scanner.cleanup();
+  check('Cleanup stops the sync timer', scanner.rpcHealthTimer === null);
+
+  down.server.close();
+  up.server.close();
+}
+
+runTest(testRpcHealth);
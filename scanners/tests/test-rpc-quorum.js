@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * Test cross-provider quorum reads
+ * Runs contractCall.isContracts and getCodeHashes for networks with a `quorum` config against a fake
+ * preferred provider and local public endpoints, one of which lies about a funded contract. Checks
+ * that disagreements are detected, re-read from the preferred provider and kept for rpc_disagreements,
+ * which scanners write at batch commits
+ */
+
+const http = require('http');
+const { ethers } = require('ethers');
+const { NETWORKS } = require('../config/networks');
+const { quorumSize, disputedIndexes, flushDisagreements, quorumStats } = require('../common/quorum');
+const { contractCall } = require('../common/core');
+const UnifiedScanner = require('../core/UnifiedScanner');
+const { runTest, recordingDb, fixedChunkOptimizer } = require('./helpers');
+
+const VALIDATOR = '0x' + '11'.repeat(20);
+const CONTRACT = '0x' + 'c1'.repeat(20);
+const FUNDED = '0x' + 'c2'.repeat(20);
+const EOA = '0x' + 'e0'.repeat(20);
+const CODE = { [CONTRACT]: '0x6001600101', [FUNDED]: '0x60016002' };
+const validatorAbi = new ethers.Interface([
+  'function getCodeHashes(address[] memory addrs) external view returns(bytes32[] memory)',
+  'function isContract(address[] memory addrs) external view returns(bool[] memory)'
+]);
+
+const codeOf = (address) => CODE[address.toLowerCase()] || '0x';
+const hashOf = (address) => (codeOf(address) === '0x' ? ethers.ZeroHash : ethers.keccak256(codeOf(address)));
+
+/**
+ * Answers getCode and validator calls; `lies` lists addresses the endpoint reports as having no code
+ */
+function answerCall(method, params, lies = new Set()) {
+  const lying = (address) => lies.has(address.toLowerCase());
+  if (method === 'eth_getCode') return lying(params[0]) ? '0x' : codeOf(params[0]);
+  if (method === 'eth_call') {
+    const call = validatorAbi.parseTransaction({ data: params[0].data });
+    const addresses = call.args[0];
+    if (call.name === 'isContract') {
+      return validatorAbi.encodeFunctionResult('isContract', [addresses.map(address => !lying(address) && codeOf(address) !== '0x')]);
+    }
+    return validatorAbi.encodeFunctionResult('getCodeHashes', [addresses.map(address => (lying(address) ? ethers.ZeroHash : hashOf(address)))]);
+  }
+  return null;
+}
+
+async function rpcEndpoint(options = {}) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      calls.push(method);
+      res.setHeader('Content-Type', 'application/json');
+      if (options.status) {
+        res.writeHead(options.status);
+        res.end('{}');
+        return;
+      }
+      const result = method === 'eth_chainId' ? '0x1'
+        : method === 'eth_blockNumber' ? '0x100'
+          : answerCall(method, params, options.lies);
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/rpc`, calls, server };
+}
+
+// Stand-in for the Alchemy client: always right, counts reads per address
+function preferredClient() {
+  const reads = new Map();
+  const count = (address) => reads.set(address.toLowerCase(), (reads.get(address.toLowerCase()) || 0) + 1);
+  return {
+    reads,
+    getCode: async (address) => {
+      count(address);
+      return codeOf(address);
+    },
+    call: async (transaction) => {
+      validatorAbi.parseTransaction({ data: transaction.data }).args[0].forEach(count);
+      return answerCall('eth_call', [transaction]);
+    }
+  };
+}
+
+function quorumNetwork(network, quorum, rpcUrls, validator = null) {
+  NETWORKS[network] = { name: network, chainId: 1, rpcUrls, quorum, ...(validator ? { contractValidator: validator } : {}) };
+  const preferred = preferredClient();
+  contractCall.rpcClients.set(network, { alchemyClient: preferred, logsClient: preferred });
+  return preferred;
+}
+
+async function testRpcQuorum(check) {
+  console.log('🧪 Testing cross-provider quorum reads\n');
+
+  contractCall.getChunkOptimizer = fixedChunkOptimizer;
+
+  check('Quorum size read per operation', quorumSize({ quorum: { isContracts: 3 } }, 'isContracts') === 3
+    && quorumSize({ quorum: { isContracts: 3 } }, 'getCodeHashes') === 1 && quorumSize({}, 'isContracts') === 1);
+  check('Missing answers not counted as disagreement', disputedIndexes([
+    { endpoint: 'a', values: [true, false, null] },
+    { endpoint: 'b', values: [true, true, true] }
+  ]).join() === '1');
+
+  const honest = await rpcEndpoint();
+  const liar = await rpcEndpoint({ lies: new Set([FUNDED]) });
+  const down = await rpcEndpoint({ status: 503 });
+  const addresses = [CONTRACT, FUNDED, EOA];
+
+  // Quorum off: one read from the preferred provider only
+  const single = quorumNetwork('quorum-off', undefined, [honest.url]);
+  const plain = await contractCall.isContracts('quorum-off', addresses);
+  check('Without quorum config only the preferred provider is read', plain.join() === 'true,true,false' && honest.calls.length === 0
+    && single.reads.get(FUNDED) === 1);
+
+  // isContracts via eth_getCode on three endpoints
+  const preferred = quorumNetwork('quorum-getcode', { isContracts: 3 }, [honest.url, liar.url]);
+  const flags = await contractCall.isContracts('quorum-getcode', addresses);
+  check('Classification comes from the preferred provider', flags.join() === 'true,true,false');
+  check('Both public endpoints asked', honest.calls.includes('eth_getCode') && liar.calls.includes('eth_getCode'));
+  check('Only the disputed address re-read from the preferred provider', preferred.reads.get(FUNDED) === 2
+    && preferred.reads.get(CONTRACT) === 1 && preferred.reads.get(EOA) === 1 && quorumStats().disagreements === 1);
+
+  // getCodeHashes through the validator contract
+  const viaValidator = quorumNetwork('quorum-validator', { getCodeHashes: 2 }, [liar.url], VALIDATOR);
+  const hashes = await contractCall.getCodeHashes('quorum-validator', addresses);
+  check('Validator reads compared per address', hashes.join() === addresses.map(hashOf).join()
+    && viaValidator.reads.get(FUNDED) === 2 && viaValidator.reads.get(CONTRACT) === 1 && quorumStats().disagreements === 2);
+
+  // Endpoints that fail are left out; with none left the read is unverified
+  quorumNetwork('quorum-down', { isContracts: 2 }, [down.url]);
+  const unverified = quorumStats().unverified;
+  const fallback = await contractCall.isContracts('quorum-down', addresses);
+  check('Read unverified but answered when no independent endpoint answers', fallback.join() === 'true,true,false'
+    && quorumStats().unverified === unverified + 1);
+
+  // rpc_disagreements
+  const inserts = [];
+  const query = async (sql, params) => {
+    inserts.push({ sql, params });
+    return { rows: [], rowCount: params.length / 6 };
+  };
+  let failing = true;
+  await flushDisagreements(async () => {
+    if (failing) {
+      failing = false;
+      throw new Error('connection lost');
+    }
+  }).catch(() => {});
+  check('Disagreements kept when a flush fails', quorumStats().pending === 2);
+
+  // Scanners write them at batch commits, not with the RPC health sync
+  const scanner = new UnifiedScanner();
+  scanner.log = () => {};
+  scanner.db = recordingDb();
+  const poolQueries = [];
+  scanner.queryPool = recordingDb(poolQueries, (sql) => {
+    if (sql.includes('rpc_disagreements')) throw new Error('connection lost');
+  }).query;
+  const disagreementWrites = () => poolQueries.filter(q => q.query.includes('rpc_disagreements')).length;
+  await scanner.syncRpcHealth();
+  check('RPC health sync leaves disagreements alone', disagreementWrites() === 0 && poolQueries.length > 0);
+  await scanner.commitCompletedRanges([{ from: 1, to: 10, done: true }], async () => {});
+  check('Batch commit flushes disagreements', disagreementWrites() === 1 && quorumStats().pending === 2);
+
+  check('Disagreements written once', await flushDisagreements(query) === 2 && await flushDisagreements(query) === 0
+    && inserts.length === 1 && inserts[0].sql.includes('INSERT INTO rpc_disagreements'));
+  const [network, operation, address, answers, resolved] = inserts[0].params;
+  const recorded = JSON.parse(answers);
+  check('Row names every endpoint answer and the resolution', network === 'quorum-getcode' && operation === 'isContracts'
+    && address === FUNDED && recorded.alchemy === 'true' && recorded[liar.url] === 'false' && recorded[honest.url] === 'true'
+    && resolved === 'true');
+
+  for (const endpoint of [honest, liar, down]) endpoint.server.close();}
+
+runTest(testRpcQuorum);
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Test RPC endpoint validation
+ * Runs HttpRpcClient against local endpoints serving the right chain, another chain, a stale head
+ * and no answer, and checks that wrong-chain and lagging endpoints are quarantined on first use,
+ * never receive eth_getLogs, are persisted for the health report, and rejoin once they catch up
+ */
+
+const http = require('http');
+const { NETWORKS } = require('../config/networks');
+const {
+  rpcValidationSettings,
+  classifyRpcEndpoints,
+  flushRpcHealth,
+  rankRpcEndpoints,
+  redactRpcUrl
+} = require('../common/rpcHealth');
+const { HttpRpcClient } = require('../common/core');
+const { runTest } = require('./helpers');
+
+const NOW = 1700000000;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Local JSON-RPC endpoint answering from a mutable state; records every request it receives
+ * @param {Object} state - { chainId, head, status }
+ */
+async function rpcEndpoint(state) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      const calls = Array.isArray(payload) ? payload : [payload];
+      requests.push(...calls.map(call => call.method));
+      res.setHeader('Content-Type', 'application/json');
+      if (state.status) {
+        res.writeHead(state.status);
+        res.end('{}');
+        return;
+      }
+      const answer = ({ id, method }) => {
+        if (method === 'eth_chainId') return { jsonrpc: '2.0', id, result: `0x${state.chainId.toString(16)}` };
+        if (method === 'eth_getLogs') return { jsonrpc: '2.0', id, result: [] };
+        return { jsonrpc: '2.0', id, result: `0x${state.head.toString(16)}` };
+      };
+      res.end(JSON.stringify(Array.isArray(payload) ? payload.map(answer) : answer(payload)));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/rpc`, state, requests, server };
+}
+
+const served = (endpoint) => endpoint.requests.filter(method => method !== 'eth_chainId' && method !== 'eth_blockNumber').length;
+
+async function testRpcValidation(check) {
+  console.log('🧪 Testing RPC endpoint validation\n');
+
+  // Settings and classification
+  const settings = rpcValidationSettings({ maxHeadLag: 5 }, { RPC_MAX_HEAD_LAG: '100', RPC_VALIDATION_INTERVAL_SECONDS: '30' });
+  check('Network maxHeadLag overrides RPC_MAX_HEAD_LAG', settings.maxHeadLag === 5 && settings.intervalSeconds === 30
+    && rpcValidationSettings({}, { RPC_MAX_HEAD_LAG: '100' }).maxHeadLag === 100
+    && !rpcValidationSettings({}, { RPC_ENDPOINT_VALIDATION: 'false' }).enabled);
+
+  const probes = [
+    { rpcUrl: 'a', chainId: 1, head: 1000 },
+    { rpcUrl: 'b', chainId: 56, head: 9000 },
+    { rpcUrl: 'c', chainId: 1, head: 980 },
+    { rpcUrl: 'd', error: 'ECONNREFUSED' }
+  ];
+  const classified = classifyRpcEndpoints(probes, { chainId: 1, maxHeadLag: 10 });
+  check('Endpoints classified against chain ID and best head', classified.map(result => result.status).join() === 'ok,wrong_chain,lagging,unreachable'
+    && classified[2].lag === 20 && classified[0].bestHead === 1000);
+  check('Chain check skipped without a configured chainId', classifyRpcEndpoints(probes, { maxHeadLag: 10 })[1].status === 'ok'
+    && classifyRpcEndpoints(probes, { maxHeadLag: 10 })[0].status === 'lagging');
+  check('Head from an earlier validation kept as best-known head', classifyRpcEndpoints([probes[2]], { chainId: 1, maxHeadLag: 10, knownHead: 1000 })[0].status === 'lagging');
+
+  // First use quarantines the wrong chain and the stale head
+  const good = await rpcEndpoint({ chainId: 1, head: 1000 });
+  const otherChain = await rpcEndpoint({ chainId: 56, head: 50000 });
+  const stale = await rpcEndpoint({ chainId: 1, head: 900 });
+  const dead = await rpcEndpoint({ chainId: 1, head: 1000, status: 503 });
+  NETWORKS['validation-test'] = { name: 'validation-test', chainId: 1, maxHeadLag: 10, rpcUrls: [otherChain.url, stale.url, dead.url, good.url] };
+  const client = new HttpRpcClient('validation-test');
+  client.isRpcSlow = (url) => url === good.url; // quarantined endpoints would be asked first
+
+  const heads = await Promise.all([client.getBlockNumber(), client.getBlockNumber()]);
+  check('Every endpoint probed once on first use', [good, otherChain, stale, dead].every(endpoint => endpoint.requests.filter(method => method === 'eth_chainId').length === 1));
+  check('Head from the wrong chain not taken as best head', heads.every(head => head === 1000) && served(otherChain) === 0 && served(stale) === 0);
+
+  for (let i = 0; i < 5; i++) {
+    await client.getLogs({ fromBlock: '0x1', toBlock: '0x2' });
+  }
+  check('Quarantined endpoints never receive eth_getLogs', !otherChain.requests.includes('eth_getLogs') && !stale.requests.includes('eth_getLogs')
+    && good.requests.filter(method => method === 'eth_getLogs').length === 5);
+  check('Validation not repeated within the interval', good.requests.filter(method => method === 'eth_chainId').length === 1);
+
+  // Persisted for the health report
+  const writes = [];
+  await flushRpcHealth(async (sql, params) => {
+    if (sql.includes('validation_status')) writes.push(params);
+    return { rows: [], rowCount: 1 };
+  }, NOW);
+  const written = (url) => writes.find(params => params[1] === redactRpcUrl(url));
+  check('Validation results persisted per endpoint', writes.length === 4 && written(otherChain.url)[2] === 56
+    && written(otherChain.url)[5] === 'wrong_chain' && written(stale.url)[4] === 100 && written(stale.url)[5] === 'lagging'
+    && written(dead.url)[5] === 'unreachable' && written(good.url)[5] === 'ok');
+
+  const rows = writes.map(([network, rpcUrl, chainId, headBlock, headLag, status, validatedAt]) => ({
+    network, rpc_url: rpcUrl, requests: 10, failures: 0, timeouts: 0, latency_ms: 50, error_rate: 0,
+    last_success_at: NOW, last_failure_at: null, last_error: null,
+    chain_id: chainId, head_block: headBlock, head_lag: headLag, validation_status: status, validated_at: validatedAt
+  }));
+  const ranked = rankRpcEndpoints(rows, [], NOW);
+  check('Report ranks quarantined endpoints last', ranked.slice(-2).every(entry => entry.health.quarantined)
+    && ranked.slice(0, 2).every(entry => !entry.health.quarantined));
+
+  // Revalidation: a caught-up endpoint rejoins; when every public endpoint is quarantined, eth_getLogs fails
+  // rather than reading a stale head, other methods fall back to lagging endpoints but never the wrong chain
+  process.env.RPC_VALIDATION_INTERVAL_SECONDS = '1';
+  const lagging = await rpcEndpoint({ chainId: 1, head: 1000 });
+  const switching = await rpcEndpoint({ chainId: 1, head: 1000 });
+  NETWORKS['validation-lag'] = { name: 'validation-lag', chainId: 1, maxHeadLag: 10, rpcUrls: [lagging.url, switching.url] };
+  const lagClient = new HttpRpcClient('validation-lag');
+  lagClient.isRpcSlow = (url) => url === switching.url;
+  lagging.state.head = 900;
+  await lagClient.getBlockNumber();
+
+  await sleep(1100);
+  switching.state.chainId = 137;
+  await lagClient.validateEndpoints();
+  const logs = await lagClient.getLogs({ fromBlock: '0x1' }).then(() => null, error => error);
+  check('eth_getLogs refused when every endpoint is quarantined', logs?.message.includes('No validated RPC endpoints') && !lagging.requests.includes('eth_getLogs'));
+  const wrongChainRequests = switching.requests.length;
+  const lastResort = await lagClient.getBlockNumber();
+  check('Other methods fall back to lagging endpoints, never the wrong chain', lastResort === 900 && switching.requests.length === wrongChainRequests);
+
+  await sleep(1100);
+  switching.state.chainId = 1;
+  lagging.state.head = 1000;
+  await lagClient.getLogs({ fromBlock: '0x1' });
+  check('Endpoints that catch up leave quarantine', lagging.requests.includes('eth_getLogs') || switching.requests.includes('eth_getLogs'));
+
+  for (const endpoint of [good, otherChain, stale, dead, lagging, switching]) endpoint.server.close();}
+
+runTest(testRpcValidation);
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Test scan checkpoint commit ordering
+ * Verifies that UnifiedScanner only advances its checkpoint over a contiguous
+ * prefix of finished block ranges, even when processing tasks complete out of order, and that
+ * committed ranges resolve or trim the open gaps they cover
+ */
+
+const UnifiedScanner = require('../core/UnifiedScanner.js');
+const { runTest } = require('./helpers');
+
+async function testCheckpointOrdering(check) {
+  console.log('🧪 Testing scan checkpoint commit ordering\n');
+
+  const scanner = new UnifiedScanner();
+  scanner.log = () => {}; // Keep output focused on the test
+
+  const commits = [];
+  const onCommit = async (block) => { commits.push(block); };
+
+  const ranges = [
+    { from: 100, to: 149, done: false, gap: false },
+    { from: 150, to: 199, done: true, gap: false },   // No new addresses - done immediately
+    { from: 200, to: 249, done: false, gap: false },
+    { from: 250, to: 250, done: true, gap: true }     // Skipped block (recorded as gap)
+  ];
+
+  // Step 1: first range still processing - nothing may be committed
+  await scanner.commitCompletedRanges(ranges, onCommit);
+  check('No commit while the first range is still processing', commits.length === 0);
+
+  // Step 2: third range finishes before the first one
+  ranges[2].done = true;
+  await scanner.commitCompletedRanges(ranges, onCommit);
+  check('Out-of-order completion does not advance the checkpoint', commits.length === 0);
+
+  // Step 3: first range finishes - everything up to the skipped block is committed
+  ranges[0].done = true;
+  await scanner.commitCompletedRanges(ranges, onCommit);
+  check('Checkpoint advances over the contiguous finished prefix', commits[0] === 250);
+  check('All finished ranges are removed from the pending list', ranges.length === 0);
+
+  // Step 4: resolving gaps resolves the covered ones and trims the ones a range only overlaps
+  scanner.openGaps = [{ from: 300, to: 310 }, { from: 390, to: 420 }];
+  const queries = [];
+  scanner.queryDB = async (query, params) => { queries.push({ query, params }); return { rows: [] }; };
+  await scanner.resolveGaps(300, 400);
+  check('Covered gap is resolved', !scanner.openGaps.some(gap => gap.from === 300));
+  check('Partially covered gap keeps only its uncovered end', scanner.openGaps.length === 1
+    && scanner.openGaps[0].from === 401 && scanner.openGaps[0].to === 420);
+  check('Resolution and trimming persisted with a single query', queries.length === 1
+    && queries[0].query.includes('INSERT INTO scan_gaps'));
+
+  // Step 5: a gap wider than the rescan batches resolves once two committed batches cover it
+  scanner.openGaps = [{ from: 500, to: 599 }];
+  const rescan = [
+    { from: 500, to: 549, done: true, gap: false },
+    { from: 550, to: 599, done: false, gap: false }
+  ];
+  await scanner.commitCompletedRanges(rescan, onCommit);
+  check('First batch trims the gap to the blocks it did not cover', scanner.openGaps.length === 1
+    && scanner.openGaps[0].from === 550 && scanner.openGaps[0].to === 599);
+  rescan[0].done = true;
+  await scanner.commitCompletedRanges(rescan, onCommit);
+  check('Second batch resolves the rest of the gap', scanner.openGaps.length === 0);
+
+  // Step 6: ranges committed together are resolved as one span
+  scanner.openGaps = [{ from: 600, to: 699 }];
+  queries.length = 0;
+  await scanner.commitCompletedRanges([
+    { from: 600, to: 649, done: true, gap: false },
+    { from: 650, to: 699, done: true, gap: false }
+  ], onCommit);
+  check('Contiguous committed ranges resolve a gap across them in one query', scanner.openGaps.length === 0
+    && queries.filter(q => q.query.includes('scan_gaps')).length === 1 && queries[0].params[1] === 600 && queries[0].params[2] === 699);
+}
+
+runTest(testCheckpointOrdering);
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Test a full UnifiedScanner run against the mock chain and a local Postgres
+ * Points every RPC and Etherscan route at tests/mock-chain.js, runs initialize/run/cleanup the
+ * way run.sh does, and checks the stored addresses, the scan checkpoint and that no coverage
+ * gaps were left. Uses its own database (PGDATABASE, default bugchain_indexer_mock, created
+ * if missing) and clears the ethereum rows first. Skips when Postgres is not reachable
+ */
+
+process.env.NETWORK = 'ethereum';
+process.env.PGDATABASE = process.env.PGDATABASE || 'bugchain_indexer_mock';
+// Scan the last hour: the mock head is "now" and blocks are 12s apart
+process.env.TIMEDELAY_HOURS = '1';
+
+const { Pool } = require('pg');
+const { ethers } = require('ethers');
+const { MockChain } = require('./mock-chain');
+const { runTest } = require('./helpers');
+
+const TRANSFER = ethers.id('Transfer(address,address,uint256)');
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+
+const address = (byte) => '0x' + byte.repeat(20);
+const ALICE = address('a1');
+const BOB = address('b0');
+const TOKEN = address('70');
+const VAULT = address('7a');
+const SPENT = address('5e');
+
+const transfer = (blockNumber, from, to) => ({
+  blockNumber,
+  address: TOKEN,
+  topics: [TRANSFER, ethers.zeroPadValue(from, 32), ethers.zeroPadValue(to, 32)],
+  data: ethers.toBeHex(1000n, 32)
+});
+
+const SCENARIO = {
+  head: 1000,
+  accounts: {
+    [ALICE]: { balance: 10n ** 18n, nonce: 3 },
+    [TOKEN]: {
+      code: '0x608060405201',
+      tokens: { [USDC]: 1000n * 10n ** 6n },
+      calls: { 'totalSupply()': ethers.toBeHex(10n ** 24n, 32), 'decimals()': ethers.toBeHex(18n, 32) },
+      source: { ContractName: 'MockToken' },
+      creation: { blockNumber: 300, creator: ALICE }
+    },
+    [VAULT]: {
+      code: '0x608060405202',
+      balance: 5n * 10n ** 18n,
+      source: { ContractName: 'Vault' },
+      creation: { blockNumber: 400, creator: ALICE }
+    },
+    // No funds: discovered but never stored
+    [SPENT]: {
+      code: '0x608060405203',
+      creation: { blockNumber: 450, creator: BOB }
+    }
+  },
+  logs: [
+    transfer(950, ALICE, BOB),
+    transfer(960, BOB, VAULT),
+    transfer(975, VAULT, SPENT),
+    transfer(990, ALICE, VAULT)
+  ]
+};
+
+async function postgresReachable() {
+  const pool = new Pool({
+    user: process.env.PGUSER || 'postgres',
+    host: process.env.PGHOST || 'localhost',
+    database: 'postgres',
+    password: process.env.PGPASSWORD || '',
+    port: Number(process.env.PGPORT || 5432),
+    max: 1,
+    connectionTimeoutMillis: 3000
+  });
+  try {
+    await pool.query('SELECT 1');
+    return true;
+  } catch (error) {
+    console.log(`⏭️  Postgres not reachable (${error.message}) - skipping`);
+    return false;
+  } finally {
+    await pool.end();
+  }
+}
+
+async function testScannerPostgres(check) {
+  console.log(`🧪 Testing a UnifiedScanner run against the mock chain and Postgres (${process.env.PGDATABASE})\n`);
+
+  if (!(await postgresReachable())) {
+    process.exit(0);
+  }
+
+  const chain = await new MockChain(SCENARIO).start();
+  Object.assign(process.env, chain.environment());
+
+  // Network config reads the RPC list from the environment when loaded
+  const UnifiedScanner = require('../core/UnifiedScanner');
+
+  const scanner = new UnifiedScanner();
+  try {
+    await scanner.initialize();
+    for (const table of ['addresses', 'scan_checkpoints', 'scan_gaps', 'block_hashes', 'reorg_tail_sightings']) {
+      await scanner.queryDB(`DELETE FROM ${table} WHERE network = $1`, ['ethereum']);
+    }
+
+    await scanner.run();
+
+    const { rows } = await scanner.queryDB(
+      'SELECT address, code_hash, contract_name, deployed, tags FROM addresses WHERE network = $1',
+      ['ethereum']
+    );
+    const stored = new Map(rows.map(row => [row.address, row]));
+    const deployedAt = (addr) => chain.blockTimestamp(SCENARIO.accounts[addr].creation.blockNumber);
+
+    check('EOAs stored', [ALICE, BOB].every(addr => stored.get(addr)?.tags.join() === 'EOA'));
+    check('Funded contracts stored with names and deployment times', [TOKEN, VAULT].every(addr =>
+      stored.get(addr)?.tags.includes('Verified')
+      && stored.get(addr).contract_name === SCENARIO.accounts[addr].source.ContractName
+      && Number(stored.get(addr).deployed) === deployedAt(addr)));
+    check('Token tagged ERC20', stored.get(TOKEN)?.tags.includes('ERC20'));
+    check('Unfunded contract not stored', !stored.has(SPENT) && stored.size === 4);
+
+    const checkpoint = await scanner.queryDB('SELECT last_processed_block FROM scan_checkpoints WHERE network = $1', ['ethereum']);
+    check('Checkpoint at the head', Number(checkpoint.rows[0]?.last_processed_block) === chain.head);
+
+    const gaps = await scanner.queryDB('SELECT from_block, to_block FROM scan_gaps WHERE network = $1 AND resolved_at IS NULL', ['ethereum']);
+    check('No open coverage gaps', gaps.rows.length === 0);
+  } finally {
+    await scanner.cleanup();
+    await chain.stop();
+  }
+}
+
+runTest(testScannerPostgres);
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Test token standard classification
+ * Checks ERC-165 / view-call probe evaluation, selector and ABI evidence, the Multicall3 probe
+ * batching in ContractCall and the tags storeResults writes
+ */
+
+const { Interface, AbiCoder } = require('ethers');
+const { TOKEN_PROBES, classifyToken, abiSelectors } = require('../common/tokenClassifier');
+const { contractCall } = require('../common/core');
+const UnifiedScanner = require('../core/UnifiedScanner.js');
+const { runTest, recordingDb } = require('./helpers');
+
+const word = (value) => '0x' + BigInt(value).toString(16).padStart(64, '0');
+const TRUE = word(1);
+const FALSE = word(0);
+const ASSET = word('0x' + 'aa'.repeat(20));
+
+const erc20Probes = { erc165: null, invalidInterface: null, erc721: null, erc1155: null, totalSupply: word(1000), decimals: word(18), asset: null, totalAssets: null, granularity: null };
+const nftProbes = { ...erc20Probes, erc165: TRUE, invalidInterface: FALSE, erc721: TRUE, erc1155: FALSE, decimals: null };
+
+async function testTokenClassification(check) {
+  console.log('🧪 Testing token standard classification\n');
+
+  // Probe evaluation
+  check('totalSupply + decimals is ERC20', classifyToken({ probes: erc20Probes }).join() === 'ERC20');
+  check('ERC-165 ERC721 answer is ERC721 (not ERC20)', classifyToken({ probes: nftProbes }).join() === 'ERC721');
+  check('Contracts answering true to everything are ignored',
+    classifyToken({ probes: { ...nftProbes, invalidInterface: TRUE, erc1155: TRUE } }).length === 0);
+  check('ERC1155 via supportsInterface',
+    classifyToken({ probes: { ...nftProbes, erc721: FALSE, erc1155: TRUE } }).join() === 'ERC1155');
+  check('asset() + totalAssets() on an ERC20 is an ERC4626 vault',
+    classifyToken({ probes: { ...erc20Probes, asset: ASSET, totalAssets: word(5) } }).join() === 'ERC20,ERC4626');
+  check('granularity() on an ERC20 is ERC777',
+    classifyToken({ probes: { ...erc20Probes, granularity: word(1) } }).join() === 'ERC20,ERC777');
+  check('No probes, no selectors: no tags', classifyToken({}).length === 0);
+
+  // Selector and ABI evidence
+  const erc20Abi = [
+    'function transfer(address,uint256) returns (bool)',
+    'function transferFrom(address,address,uint256) returns (bool)',
+    'function approve(address,uint256) returns (bool)',
+    'function allowance(address,address) view returns (uint256)',
+    'function balanceOf(address) view returns (uint256)',
+    'function totalSupply() view returns (uint256)'
+  ];
+  const abiJson = new Interface(erc20Abi).formatJson();
+  check('ABI selectors computed from JSON ABI', abiSelectors(abiJson).includes('0xa9059cbb'));
+  check('Full ERC20 ABI is ERC20 without probes', classifyToken({ abi: JSON.parse(abiJson) }).join() === 'ERC20');
+  check('Partial selector sets are not enough', classifyToken({ selectors: ['0xa9059cbb', '0x70a08231'] }).length === 0);
+  check('ERC4626 selectors imply ERC20',
+    classifyToken({ selectors: ['0x38d52e0f', '0x01e1d114', '0xc6e6f592', '0x6e553f65', '0xba087652'] }).join() === 'ERC20,ERC4626');
+
+  // Multicall3 batching
+  const multicall = new Interface([
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+  ]);
+  const calls = [];
+  contractCall.rpcClients.set('ethereum', {
+    alchemyClient: {
+      call: async (tx) => {
+        const [decoded] = multicall.decodeFunctionData('aggregate3', tx.data);
+        calls.push(decoded);
+        const results = decoded.map(call => {
+          const probe = TOKEN_PROBES.find(p => p.data === call.callData);
+          const value = erc20Probes[probe.name];
+          return [value !== null, value || '0x'];
+        });
+        return AbiCoder.defaultAbiCoder().encode(['(bool,bytes)[]'], [results]);
+      }
+    }
+  });
+  const probes = await contractCall.probeTokenInterfaces('ethereum', ['0x' + '11'.repeat(20), '0x' + '22'.repeat(20)]);
+  check('One aggregate3 call carries every probe for the chunk', calls.length === 1 && calls[0].length === 2 * TOKEN_PROBES.length);
+  check('Probe results mapped back per address, failures as null',
+    probes.length === 2 && probes[1].totalSupply === erc20Probes.totalSupply && probes[1].erc165 === null);
+
+  // Scanner integration
+  const scanner = new UnifiedScanner();
+  scanner.log = () => {};
+  scanner.recordTailSightings = async () => {};
+  scanner.probeTokenInterfaces = async (addresses) => addresses.map(() => ({ ...erc20Probes, asset: ASSET, totalAssets: word(5) }));
+  const queries = [];
+  scanner.queryDB = async () => ({ rows: [] });
+  scanner.db = recordingDb(queries);
+
+  const contracts = [{ address: '0x' + '33'.repeat(20), codeHash: '0x' + '12'.repeat(32), verified: true, contractName: 'Vault' }];
+  await scanner.classifyTokens(contracts);
+  check('Stats count token standards', scanner.stats.tokenStandards.ERC4626 === 1);
+
+  await scanner.storeResults([], contracts);
+  const insert = queries.find(q => q.query.includes('INSERT INTO addresses'));
+  check('storeResults appends token standard tags', insert.params[7].join() === 'Contract,Verified,ERC20,ERC4626');
+}
+
+runTest(testTokenClassification);
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * Test token discovery
+ * Checks Transfer counting, ranking, that UnifiedScanner records transfer stats, that TokenDiscovery
+ * stores new candidates with their metadata and ranks only priced tokens, and that scanners read the
+ * ranked tokens table before falling back to tokens/{network}.json
+ */
+
+const { BLOCKCHAIN_CONSTANTS } = require('../common/core');
+const {
+  TOKEN_DISCOVERY_DEFAULTS,
+  tokenDiscoverySettings,
+  countTokenTransfers,
+  rankTokens
+} = require('../common/tokenDiscovery');
+const UnifiedScanner = require('../core/UnifiedScanner.js');
+const TokenDiscovery = require('../core/TokenDiscovery.js');
+const { runTest } = require('./helpers');
+
+const TOKEN = '0x' + 'a1'.repeat(20);
+const NFT = '0x' + 'a2'.repeat(20);
+const NEW_TOKEN = '0x' + 'b1'.repeat(20);
+const JUNK = '0x' + 'b2'.repeat(20);
+const UNPRICED = '0x' + 'b3'.repeat(20);
+const topic = (address) => '0x' + address.slice(2).padStart(64, '0');
+const transfer = (token, extraTopic = false) => ({
+  address: token,
+  topics: [BLOCKCHAIN_CONSTANTS.TRANSFER_EVENT, topic('0x' + '01'.repeat(20)), topic('0x' + '02'.repeat(20))]
+    .concat(extraTopic ? [topic('0x' + '03'.repeat(20))] : [])
+});
+
+async function testTokenDiscovery(check) {
+  console.log('🧪 Testing token discovery\n');
+
+  // Counting and ranking
+  const counts = countTokenTransfers([transfer(TOKEN), transfer(TOKEN.toUpperCase().replace('0X', '0x')), transfer(NFT, true)]);
+  check('ERC-20 transfers counted per token', counts.get(TOKEN) === 2);
+  check('ERC-721 transfers skipped', !counts.has(NFT));
+
+  const settings = tokenDiscoverySettings({ TOKEN_LIST_SIZE: '2', TOKEN_DISCOVERY_MIN_TRANSFERS: 'x' });
+  check('Settings read from env with defaults', settings.listSize === 2 && settings.minTransfers === TOKEN_DISCOVERY_DEFAULTS.minTransfers);
+
+  const ranked = rankTokens([
+    { address: 'busy', transferCount: 100000, pricedUsd: 0, priced: true },
+    { address: 'rich', transferCount: 10, pricedUsd: 50000000, priced: true },
+    { address: 'small', transferCount: 10, pricedUsd: 10, priced: true },
+    { address: 'unpriced', transferCount: 1000000, pricedUsd: 0, priced: false }
+  ], 2);
+  const rankOf = (address) => ranked.find(token => token.address === address).rank;
+  check('Priced liquidity and activity both rank', rankOf('rich') === 1 && rankOf('busy') === 2);
+  check('List size is respected', rankOf('small') === null);
+  check('Unpriced tokens are not ranked', rankOf('unpriced') === null);
+
+  // UnifiedScanner transfer stats
+  const scanner = new UnifiedScanner();
+  scanner.log = () => {};
+  scanner.network = 'ethereum';
+  scanner.currentTime = 1700000000;
+  const scannerQueries = [];
+  scanner.queryDB = async (query, params) => { scannerQueries.push({ query, params }); return { rows: [] }; };
+  await scanner.recordTransferStats([transfer(TOKEN), transfer(TOKEN), transfer(NEW_TOKEN)]);
+  const stats = scannerQueries.find(q => q.query.includes('INSERT INTO token_transfer_stats'));
+  check('Transfer counts upserted per range', stats?.params[1].join() === [TOKEN, NEW_TOKEN].join() && stats.params[2].join() === '2,1');
+
+  // Token list source
+  scanner.queryDB = async () => ({ rows: [{ token_address: NEW_TOKEN.toUpperCase().replace('0X', '0x'), symbol: 'NEW', name: 'New', decimals: 18, rank: 1 }] });
+  const fromTable = await scanner.loadTokenList();
+  check('Ranked tokens table is the token list', fromTable.length === 1 && fromTable[0].address === NEW_TOKEN && scanner.tokenListSource === 'tokens table');
+  scanner.queryDB = async () => ({ rows: [] });
+  const fromFile = await scanner.loadTokenList();
+  check('JSON file used until the network is ranked', fromFile.length > 0 && scanner.tokenListSource === 'tokens/ethereum.json');
+
+  // TokenDiscovery
+  const discovery = new TokenDiscovery();
+  discovery.log = () => {};
+  discovery.network = 'ethereum';
+  discovery.currentTime = 1700000000;
+  discovery.settings = { ...TOKEN_DISCOVERY_DEFAULTS };
+  discovery.seedListTokens = async () => 0;
+  const metadataFetches = [];
+  discovery.alchemyClient = {
+    getTokenMetadata: async (address) => {
+      metadataFetches.push(address);
+      return address === NEW_TOKEN ? { name: 'New Token', symbol: 'NEW', decimals: 18 } : { name: null, symbol: null, decimals: null };
+    },
+    getTokenPricesByAddress: async () => ({ data: [
+      { network: 'eth-mainnet', address: TOKEN, prices: [{ currency: 'usd', value: '1' }] },
+      { network: 'eth-mainnet', address: NEW_TOKEN, prices: [{ currency: 'usd', value: '3' }] }
+    ] })
+  };
+  const queries = [];
+  discovery.queryDB = async (query, params) => {
+    queries.push({ query, params });
+    if (query.includes('FROM token_transfer_stats s')) {
+      return { rows: [{ token_address: NEW_TOKEN, transfer_count: '5000' }, { token_address: JUNK, transfer_count: '900' }] };
+    }
+    if (query.includes('FROM tokens t')) {
+      return { rows: [
+        { token_address: TOKEN, rank: 1, transfer_count: '100' },
+        { token_address: NEW_TOKEN, rank: null, transfer_count: '5000' },
+        { token_address: UNPRICED, rank: 2, transfer_count: '90000' }
+      ] };
+    }
+    if (query.includes('FROM address_holdings')) return { rows: [{ token: TOKEN, usd_value: '2500000' }] };
+    return { rows: [], rowCount: 0 };
+  };
+
+  await discovery.run();
+
+  check('Metadata fetched for new candidates only', metadataFetches.join() === [NEW_TOKEN, JUNK].join());
+  const inserted = queries.find(q => q.query.includes("'discovered'"));
+  check('Tokens without metadata stored as invalid', inserted?.params[2].join() === [NEW_TOKEN, JUNK].join() && inserted.params[6].join() === 'true,false');
+
+  const cleared = queries.find(q => q.query.includes('SET rank = NULL'));
+  check('Tokens that lost their price drop out of the list', cleared?.params[1].join() === [TOKEN, NEW_TOKEN].join());
+  const update = queries.find(q => q.query.includes('UPDATE tokens t SET'));
+  const rankByToken = new Map(update?.params[2].map((address, i) => [address, update.params[3][i]]) || []);
+  check('Held value ranks above raw activity', rankByToken.get(TOKEN) === 1 && rankByToken.get(NEW_TOKEN) === 2 && rankByToken.get(UNPRICED) === null);
+  check('Run stats count newly ranked tokens', discovery.stats.ranked === 2 && discovery.stats.newlyRanked === 1 && discovery.stats.invalid === 1);
+}
+
+runTest(testTokenDiscovery);
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Test trace-based contract creation discovery
+ * Parses sample trace_block and callTracer output (including factory and reverted deployments)
+ * and checks that traced deployment times are used instead of an Etherscan lookup
+ */
+
+process.env.TRACE_DISCOVERY = 'trace_block';
+
+const { parseTraceBlockCreations, parseCallTracerCreations } = require('../common/traceDiscovery');
+const UnifiedScanner = require('../core/UnifiedScanner.js');
+const { runTest } = require('./helpers');
+
+const DEPLOYER = '0x1111111111111111111111111111111111111111';
+const FACTORY = '0x2222222222222222222222222222222222222222';
+const CREATED = '0x3333333333333333333333333333333333333333';
+const CLONE = '0x4444444444444444444444444444444444444444';
+const REVERTED = '0x5555555555555555555555555555555555555555';
+
+async function testTraceDiscovery(check) {
+  console.log('🧪 Testing trace-based contract creation discovery\n');
+
+  // trace_block (Parity/Erigon format)
+  const traces = [
+    { type: 'create', action: { from: DEPLOYER, creationMethod: 'create' }, result: { address: CREATED.toUpperCase().replace('0X', '0x') }, transactionHash: '0xaa', traceAddress: [] },
+    { type: 'call', action: { from: DEPLOYER, to: FACTORY }, result: {}, transactionHash: '0xbb', traceAddress: [] },
+    { type: 'create', action: { from: FACTORY, creationMethod: 'create2' }, result: { address: CLONE }, transactionHash: '0xbb', traceAddress: [0] },
+    { type: 'call', action: { from: DEPLOYER, to: FACTORY }, error: 'Reverted', transactionHash: '0xcc', traceAddress: [] },
+    { type: 'create', action: { from: FACTORY, creationMethod: 'create2' }, result: { address: REVERTED }, transactionHash: '0xcc', traceAddress: [0] }
+  ];
+  const fromTraceBlock = parseTraceBlockCreations(traces, 100);
+  check('trace_block: top-level and factory deployments found', fromTraceBlock.length === 2);
+  check('trace_block: addresses normalized to lowercase', fromTraceBlock[0].address === CREATED);
+  check('trace_block: factory recorded as deployer of CREATE2 clone', fromTraceBlock[1].deployer === FACTORY && fromTraceBlock[1].creationType === 'CREATE2');
+  check('trace_block: deployments inside reverted frames skipped', !fromTraceBlock.some(c => c.address === REVERTED));
+
+  // debug_traceBlockByNumber with callTracer (geth format)
+  const callTraces = [
+    { txHash: '0xaa', result: { type: 'CREATE', from: DEPLOYER, to: CREATED } },
+    { txHash: '0xbb', result: { type: 'CALL', from: DEPLOYER, to: FACTORY, calls: [{ type: 'CREATE2', from: FACTORY, to: CLONE }] } },
+    { txHash: '0xcc', result: { type: 'CALL', from: DEPLOYER, to: FACTORY, error: 'execution reverted', calls: [{ type: 'CREATE2', from: FACTORY, to: REVERTED }] } }
+  ];
+  const fromCallTracer = parseCallTracerCreations(callTraces, 100);
+  check('callTracer: nested factory deployment found', fromCallTracer.some(c => c.address === CLONE && c.deployer === FACTORY));
+  check('callTracer: reverted subtree skipped', fromCallTracer.length === 2);
+  check('callTracer: transaction hash kept', fromCallTracer[0].txHash === '0xaa');
+
+  // Scanner integration
+  const scanner = new UnifiedScanner();
+  scanner.log = () => {};
+  check('Trace method read from TRACE_DISCOVERY', scanner.traceMethod === 'trace_block');
+
+  const queries = [];
+  scanner.queryDB = async (query, params) => {
+    queries.push({ query: query.replace(/\s+/g, ' ').trim(), params });
+    return { rows: [], rowCount: 0 };
+  };
+  scanner.getTraceClient = () => ({
+    makeRequest: async (method, params) => (params[0] === '0x64' ? traces : [])
+  });
+  scanner.getBlockByNumber = async (block) => ({ timestamp: `0x${(1700000000 + block).toString(16)}` });
+
+  const traced = await scanner.traceCreations(99, 101);
+  check('Created contracts and deployers fed into the pipeline', traced.addresses.has(CLONE) && traced.addresses.has(FACTORY));
+  check('Creations persisted to contract_creations', queries.some(q => q.query.startsWith('INSERT INTO contract_creations')));
+  check('Deployment time taken from the creation block', scanner.creationInfo.get(CLONE).deployed === 1700000100);
+
+  // performEOAFiltering uses the traced time instead of scheduling a getcontractcreation lookup
+  scanner.isContracts = async (addresses) => addresses.map(() => true);
+  scanner.getCodeHashes = async (addresses) => addresses.map(() => '0x' + 'ab'.repeat(32));
+  const { contracts } = await scanner.performEOAFiltering([CLONE]);
+  check('Traced contract needs no deployment time lookup', contracts.length === 1 && !contracts[0].needsDeploymentTime);
+  check('Traced contract carries its deployment time', contracts[0].deployTime === 1700000100);
+}
+
+runTest(testTraceDiscovery);
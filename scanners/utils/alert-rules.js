@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * Alert Rules
+ * Manage the rules FundUpdater and UnifiedScanner match after each batch, inspect the webhook
+ * delivery log and retry deliveries (see common/alerting.js)
+ *
+ * Usage:
+ *   node utils/alert-rules.js list
+ *   node utils/alert-rules.js add --name <name> --type <new_contract|fund_above|fund_drop> --url <webhook>
+ *        [--networks base,ethereum] [--min-fund 500000] [--min-drop-percent 80] [--verified] [--tags ERC4626,Proxy]
+ *   node utils/alert-rules.js enable|disable|remove <rule id>
+ *   node utils/alert-rules.js deliveries [--status pending|delivered|failed] [--limit 50]
+ *   node utils/alert-rules.js deliver            # attempt due deliveries now
+ *   node utils/alert-rules.js retry <delivery id> # requeue a failed delivery
+ *
+ * Examples:
+ *   add --name "Big new verified on base" --type new_contract --networks base --min-fund 500000 --verified --url https://hooks.example/alerts
+ *   add --name "Drained" --type fund_drop --min-drop-percent 80 --min-fund 100000 --url https://hooks.example/alerts
+ */
+
+const { Pool } = require('pg');
+const { ALERT_RULE_TYPES, alertSettings, validateAlertRule, deliverPendingAlerts } = require('../common/alerting');
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const key = argv[i].slice(2);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        options[key] = true;
+      } else {
+        options[key] = next;
+        i++;
+      }
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, options };
+}
+
+const list = (value) => (typeof value === 'string' && value ? value.split(',').map(item => item.trim()).filter(Boolean) : null);
+
+class AlertRulesCli {
+  constructor() {
+    this.pool = new Pool({
+      user: process.env.PGUSER || 'postgres',
+      host: process.env.PGHOST || 'localhost',
+      database: process.env.PGDATABASE || 'bugchain_indexer',
+      password: process.env.PGPASSWORD || '',
+      port: Number(process.env.PGPORT || 5432),
+      max: 2,
+      connectionTimeoutMillis: 15000
+    });
+  }
+
+  now() {
+    return Math.floor(Date.now() / 1000);
+  }
+
+  async list() {
+    const result = await this.pool.query(`
+      SELECT r.*, COUNT(d.id) FILTER (WHERE d.status = 'delivered') AS delivered,
+        COUNT(d.id) FILTER (WHERE d.status = 'pending') AS pending,
+        COUNT(d.id) FILTER (WHERE d.status = 'failed') AS failed
+      FROM alert_rules r
+      LEFT JOIN alert_deliveries d ON d.rule_id = r.id
+      GROUP BY r.id
+      ORDER BY r.id
+    `);
+    if (result.rows.length === 0) {
+      console.log('No alert rules. Rule types:');
+      for (const [type, description] of Object.entries(ALERT_RULE_TYPES)) {
+        console.log(`  ${type.padEnd(13)} ${description}`);
+      }
+      return;
+    }
+
+    for (const rule of result.rows) {
+      const conditions = [
+        rule.networks?.length ? `networks=${rule.networks.join(',')}` : 'all networks',
+        rule.min_fund !== null ? `min_fund=$${rule.min_fund}` : null,
+        rule.min_drop_percent !== null ? `drop>=${rule.min_drop_percent}%` : null,
+        rule.verified_only ? 'verified only' : null,
+        rule.tags?.length ? `tags=${rule.tags.join(',')}` : null
+      ].filter(Boolean).join(', ');
+      console.log(`${rule.enabled ? '🟢' : '⚪'} #${rule.id} ${rule.name} [${rule.rule_type}] ${conditions}`);
+      console.log(`     → ${rule.webhook_url} (delivered ${rule.delivered}, pending ${rule.pending}, failed ${rule.failed})`);
+    }
+  }
+
+  async add(options) {
+    const rule = {
+      name: typeof options.name === 'string' ? options.name : null,
+      rule_type: options.type,
+      networks: list(options.networks),
+      min_fund: options['min-fund'] ?? null,
+      min_drop_percent: options['min-drop-percent'] ?? null,
+      verified_only: Boolean(options.verified),
+      tags: list(options.tags),
+      webhook_url: options.url
+    };
+    const problem = validateAlertRule(rule);
+    if (problem) throw new Error(problem);
+
+    const result = await this.pool.query(`
+      INSERT INTO alert_rules (name, rule_type, networks, min_fund, min_drop_percent, verified_only, tags, webhook_url, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING id
+    `, [rule.name, rule.rule_type, rule.networks, rule.min_fund, rule.min_drop_percent, rule.verified_only, rule.tags, rule.webhook_url, this.now()]);
+    console.log(`✅ Added alert rule #${result.rows[0].id} (${rule.name})`);
+  }
+
+  async setEnabled(id, enabled) {
+    const result = await this.pool.query('UPDATE alert_rules SET enabled = $2 WHERE id = $1', [id, enabled]);
+    if (result.rowCount === 0) throw new Error(`No alert rule #${id}`);
+    console.log(`✅ Alert rule #${id} ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  async remove(id) {
+    const result = await this.pool.query('DELETE FROM alert_rules WHERE id = $1', [id]);
+    if (result.rowCount === 0) throw new Error(`No alert rule #${id}`);
+    console.log(`🗑️ Removed alert rule #${id} and its deliveries`);
+  }
+
+  async deliveries(options) {
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 1000);
+    const status = typeof options.status === 'string' ? options.status : null;
+    const result = await this.pool.query(`
+      SELECT id, rule_id, network, address, status, attempts, last_status, last_error, created_at, delivered_at
+      FROM alert_deliveries
+      WHERE $1::text IS NULL OR status = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2
+    `, [status, limit]);
+    if (result.rows.length === 0) {
+      console.log('No deliveries');
+      return;
+    }
+
+    const icons = { delivered: '✅', pending: '⏳', failed: '❌' };
+    for (const row of result.rows) {
+      const when = new Date(Number(row.created_at) * 1000).toISOString();
+      const detail = row.last_error ? ` - ${row.last_error}` : '';
+      console.log(`${icons[row.status] || '•'} #${row.id} rule #${row.rule_id} ${row.network} ${row.address} ${when} (${row.attempts} attempts${detail})`);
+    }
+  }
+
+  async deliver() {
+    const settings = alertSettings();
+    const totals = { delivered: 0, retrying: 0, failed: 0 };
+    let stats;
+    // Each pass is time-boxed; keep going until nothing due was left over
+    do {
+      stats = await deliverPendingAlerts((query, params) => this.pool.query(query, params), {
+        settings,
+        log: (message) => console.log(message)
+      });
+      for (const key of Object.keys(totals)) totals[key] += stats[key];
+    } while (stats.deferred > 0);
+    console.log(`📬 Delivered ${totals.delivered}, retrying ${totals.retrying}, failed ${totals.failed}`);
+  }
+
+  async retry(id) {
+    const result = await this.pool.query(`
+      UPDATE alert_deliveries SET status = 'pending', attempts = 0, next_attempt_at = $2
+      WHERE id = $1 AND status = 'failed'
+    `, [id, this.now()]);
+    if (result.rowCount === 0) throw new Error(`No failed delivery #${id}`);
+    console.log(`🔁 Delivery #${id} requeued`);
+  }
+
+  async run(argv) {
+    const { positional, options } = parseArgs(argv);
+    const [command = 'list', id] = positional;
+    if (['enable', 'disable', 'remove', 'retry'].includes(command) && !/^\d+$/.test(id || '')) {
+      throw new Error(`${command} needs a numeric id`);
+    }
+    switch (command) {
+      case 'list': return this.list();
+      case 'add': return this.add(options);
+      case 'enable': return this.setEnabled(id, true);
+      case 'disable': return this.setEnabled(id, false);
+      case 'remove': return this.remove(id);
+      case 'deliveries': return this.deliveries(options);
+      case 'deliver': return this.deliver();
+      case 'retry': return this.retry(id);
+      default:
+        throw new Error(`Unknown command: ${command} (list, add, enable, disable, remove, deliveries, deliver, retry)`);
+    }
+  }
+
+  async cleanup() {
+    await this.pool.end();
+  }
+}
+
+async function main() {
+  const cli = new AlertRulesCli();
+  try {
+    await cli.run(process.argv.slice(2));
+  } catch (error) {
+    console.error('💥 Alert rules:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await cli.cleanup();
+  }
+}
+
+// Execute if run directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = AlertRulesCli;
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Fund Snapshot Compaction
+ * Keeps every fund_snapshots row for 7 days, then one per day, then one per week after 90 days
+ * (SNAPSHOT_RETENTION in common/fundHistory.js). fund_change_events are never compacted.
+ *
+ * Usage: node utils/compact-fund-snapshots.js [--dry-run]
+ */
+
+const { Pool } = require('pg');
+const { SNAPSHOT_RETENTION, compactFundSnapshots } = require('../common/fundHistory');
+
+class FundSnapshotCompaction {
+  constructor(options = {}) {
+    this.options = options;
+    this.pool = new Pool({
+      user: process.env.PGUSER || 'postgres',
+      host: process.env.PGHOST || 'localhost',
+      database: process.env.PGDATABASE || 'bugchain_indexer',
+      password: process.env.PGPASSWORD || '',
+      port: Number(process.env.PGPORT || 5432),
+      max: 2,
+      connectionTimeoutMillis: 15000,
+      query_timeout: 1800000
+    });
+  }
+
+  async countSnapshots() {
+    const result = await this.pool.query('SELECT COUNT(*)::bigint AS count FROM fund_snapshots');
+    return Number(result.rows[0].count);
+  }
+
+  async run() {
+    const now = Math.floor(Date.now() / 1000);
+    const before = await this.countSnapshots();
+    console.log(`📸 ${before.toLocaleString()} fund snapshots`);
+    for (const tier of SNAPSHOT_RETENTION) {
+      console.log(`  Older than ${tier.afterDays} days: one per ${tier.bucketSeconds / 86400} day(s)`);
+    }
+
+    // Dry run: compact inside a transaction and roll it back
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const deleted = await compactFundSnapshots((sql, params) => client.query(sql, params), now);
+      await client.query(this.options.dryRun ? 'ROLLBACK' : 'COMMIT');
+
+      if (this.options.dryRun) {
+        console.log(`🔍 [dry-run] Would delete ${deleted.toLocaleString()} snapshots`);
+      } else {
+        console.log(`✅ Deleted ${deleted.toLocaleString()} snapshots (${(before - deleted).toLocaleString()} left)`);
+      }
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async cleanup() {
+    await this.pool.end();
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const compaction = new FundSnapshotCompaction({ dryRun: args.includes('--dry-run') });
+
+  try {
+    await compaction.run();
+  } catch (error) {
+    console.error('💥 Fund snapshot compaction failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await compaction.cleanup();
+  }
+}
+
+// Execute if run directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = FundSnapshotCompaction;
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * Contract Sources Migration
+ * Creates the contract_sources table on existing databases and reports, per network,
+ * how many verified contracts (name_checked) still need their source metadata backfilled
+ *
+ * Usage: node utils/migrate-contract-sources.js [--dry-run]
+ * Then:  ./run.sh sources-backfill auto <network>
+ */
+
+const { Pool } = require('pg');
+
+const CREATE_CONTRACT_SOURCES = `
+  CREATE TABLE IF NOT EXISTS contract_sources (
+    code_hash TEXT PRIMARY KEY,
+    contract_name TEXT,
+    source_code TEXT,
+    abi JSONB,
+    compiler_version TEXT,
+    optimization BOOLEAN,
+    runs INTEGER,
+    evm_version TEXT,
+    license_type TEXT,
+    library TEXT,
+    constructor_arguments TEXT,
+    proxy BOOLEAN DEFAULT false,
+    implementation TEXT,
+    swarm_source TEXT,
+    source_address TEXT NOT NULL,
+    source_network VARCHAR(50) NOT NULL,
+    fetched_at BIGINT NOT NULL
+  )
+`;
+
+const ZERO_HASH = '0x0000000000000000000000000000000000000000000000000000000000000000';
+
+class ContractSourcesMigration {
+  constructor(options = {}) {
+    this.options = options;
+    this.pool = new Pool({
+      user: process.env.PGUSER || 'postgres',
+      host: process.env.PGHOST || 'localhost',
+      database: process.env.PGDATABASE || 'bugchain_indexer',
+      password: process.env.PGPASSWORD || '',
+      port: Number(process.env.PGPORT || 5432),
+      max: 2,
+      connectionTimeoutMillis: 15000,
+      query_timeout: 600000
+    });
+  }
+
+  async tableExists() {
+    const result = await this.pool.query(`SELECT to_regclass('public.contract_sources') IS NOT NULL AS exists`);
+    return result.rows[0].exists;
+  }
+
+  async createTable() {
+    if (await this.tableExists()) {
+      console.log('✅ contract_sources already exists');
+      return;
+    }
+
+    if (this.options.dryRun) {
+      console.log('🔍 [dry-run] Would create table contract_sources');
+      return;
+    }
+
+    await this.pool.query(CREATE_CONTRACT_SOURCES);
+    console.log('✅ Created table contract_sources');
+  }
+
+  /**
+   * Distinct code hashes of verified contracts that have no stored source, per network
+   */
+  async reportPending() {
+    const hasTable = await this.tableExists();
+    const result = await this.pool.query(`
+      SELECT network, COUNT(DISTINCT code_hash) AS pending
+      FROM addresses a
+      WHERE name_checked = true
+        AND code_hash IS NOT NULL
+        AND code_hash <> $1
+        AND NOT ('SelfDestroyed' = ANY(COALESCE(tags, '{}')))
+        ${hasTable ? 'AND NOT EXISTS (SELECT 1 FROM contract_sources s WHERE s.code_hash = a.code_hash)' : ''}
+      GROUP BY network
+      ORDER BY pending DESC
+    `, [ZERO_HASH]);
+
+    if (result.rows.length === 0) {
+      console.log('✅ No verified contracts are missing source metadata');
+      return;
+    }
+
+    console.log('\n📊 Verified code hashes without stored source:');
+    for (const row of result.rows) {
+      console.log(`  ${row.network.padEnd(12)} ${Number(row.pending).toLocaleString()}`);
+    }
+    console.log('\n💡 Backfill with: ./run.sh sources-backfill auto <network>');
+  }
+
+  async run() {
+    console.log(`🚀 Contract sources migration${this.options.dryRun ? ' (dry run)' : ''}`);
+    await this.createTable();
+    await this.reportPending();
+  }
+
+  async cleanup() {
+    await this.pool.end();
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const migration = new ContractSourcesMigration({ dryRun: args.includes('--dry-run') });
+
+  try {
+    await migration.run();
+  } catch (error) {
+    console.error('💥 Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await migration.cleanup();
+  }
+}
+
+// Execute if run directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = ContractSourcesMigration;
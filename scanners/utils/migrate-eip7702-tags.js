@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * EIP-7702 Tag Migration
+ * Delegated EOAs used to be tagged ['EOA', 'SmartWallet']; they are now tagged ['EOA', 'EIP7702'],
+ * and FundUpdater, the revocation check and the API only look for EIP7702. This retags the stored
+ * rows and adds their eip7702_delegations rows where the delegate is known: a delegated EOA's code
+ * hash depends only on its delegate, so any code hash already in eip7702_delegations names it.
+ * EOAs on other delegates get their row when UnifiedScanner next sees them. Runs in one transaction.
+ *
+ * Usage: node utils/migrate-eip7702-tags.js [--dry-run]
+ */
+
+const { Pool } = require('pg');
+
+const LEGACY_TAG = 'SmartWallet';
+const TAG = 'EIP7702';
+
+class Eip7702TagMigration {
+  constructor(options = {}) {
+    this.options = options;
+    this.pool = new Pool({
+      user: process.env.PGUSER || 'postgres',
+      host: process.env.PGHOST || 'localhost',
+      database: process.env.PGDATABASE || 'bugchain_indexer',
+      password: process.env.PGPASSWORD || '',
+      port: Number(process.env.PGPORT || 5432),
+      max: 2,
+      connectionTimeoutMillis: 15000,
+      query_timeout: 600000
+    });
+  }
+
+  /**
+   * Legacy-tagged rows per network, and how many of them have a known delegate
+   */
+  async reportPending(client) {
+    const result = await client.query(`
+      SELECT a.network, COUNT(*) AS legacy,
+        COUNT(*) FILTER (WHERE EXISTS (SELECT 1 FROM eip7702_delegations d WHERE d.code_hash = a.code_hash)) AS known_delegate
+      FROM addresses a
+      WHERE $1 = ANY(a.tags)
+      GROUP BY a.network
+      ORDER BY legacy DESC
+    `, [LEGACY_TAG]);
+    return result.rows.map(row => ({
+      network: row.network,
+      legacy: Number(row.legacy),
+      knownDelegate: Number(row.known_delegate)
+    }));
+  }
+
+  async run() {
+    console.log(`🚀 EIP-7702 tag migration${this.options.dryRun ? ' (dry run)' : ''}`);
+    const client = await this.pool.connect();
+    try {
+      const pending = await this.reportPending(client);
+      if (pending.length === 0) {
+        console.log(`✅ No addresses are tagged ${LEGACY_TAG}`);
+        return;
+      }
+
+      console.log(`\n📊 Addresses tagged ${LEGACY_TAG}:`);
+      for (const row of pending) {
+        console.log(`  ${row.network.padEnd(12)} ${row.legacy.toLocaleString()} (${row.knownDelegate.toLocaleString()} with a known delegate)`);
+      }
+
+      if (this.options.dryRun) {
+        console.log('🔍 [dry-run] No changes made');
+        return;
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      await client.query('BEGIN');
+
+      // One delegate per code hash; fill the rows first, while the legacy tag still marks them
+      const delegations = await client.query(`
+        INSERT INTO eip7702_delegations (network, address, delegate, code_hash, first_seen, last_seen)
+        SELECT a.network, a.address, known.delegate, a.code_hash, $2, $2
+        FROM addresses a
+        JOIN (SELECT DISTINCT ON (code_hash) code_hash, delegate FROM eip7702_delegations) known
+          ON known.code_hash = a.code_hash
+        WHERE $1 = ANY(a.tags)
+        ON CONFLICT (network, address) DO NOTHING
+      `, [LEGACY_TAG, now]);
+
+      const retagged = await client.query(`
+        UPDATE addresses
+        SET tags = CASE WHEN $2 = ANY(tags) THEN array_remove(tags, $1) ELSE array_replace(tags, $1, $2) END
+        WHERE $1 = ANY(tags)
+      `, [LEGACY_TAG, TAG]);
+
+      await client.query('COMMIT');
+      console.log(`✅ Retagged ${retagged.rowCount.toLocaleString()} addresses ${LEGACY_TAG} → ${TAG}`);
+      console.log(`✅ Added ${delegations.rowCount.toLocaleString()} eip7702_delegations rows; the rest are added when UnifiedScanner next sees them`);
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async cleanup() {
+    await this.pool.end();
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const migration = new Eip7702TagMigration({ dryRun: args.includes('--dry-run') });
+
+  try {
+    await migration.run();
+  } catch (error) {
+    console.error('💥 Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await migration.cleanup();
+  }
+}
+
+// Execute if run directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = Eip7702TagMigration;
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * Fund Numeric Migration
+ * Changes addresses.fund, fund_snapshots.fund and the fund_change_events amounts from BIGINT
+ * (whole dollars) to NUMERIC(30, 2) on existing databases. Views that read these columns
+ * (mv_distinct_contracts) block the type change, so they are dropped and recreated from their
+ * stored definition with their indexes, owner and grants; indexes on the columns themselves
+ * (idx_addresses_fund) are rebuilt by PostgreSQL as part of the ALTER. Everything runs in one
+ * transaction.
+ *
+ * Usage: node utils/migrate-fund-numeric.js [--dry-run]
+ */
+
+const { Pool } = require('pg');
+
+const FUND_TYPE = 'NUMERIC(30, 2)';
+
+// Columns holding USD amounts, per table
+const FUND_COLUMNS = {
+  addresses: ['fund'],
+  fund_snapshots: ['fund'],
+  fund_change_events: ['previous_fund', 'new_fund', 'change']
+};
+
+class FundNumericMigration {
+  constructor(options = {}) {
+    this.options = options;
+    this.pool = new Pool({
+      user: process.env.PGUSER || 'postgres',
+      host: process.env.PGHOST || 'localhost',
+      database: process.env.PGDATABASE || 'bugchain_indexer',
+      password: process.env.PGPASSWORD || '',
+      port: Number(process.env.PGPORT || 5432),
+      max: 2,
+      connectionTimeoutMillis: 15000,
+      query_timeout: 3600000
+    });
+  }
+
+  /**
+   * Fund columns that still need the type change
+   * @returns {Array} { table, column, type }
+   */
+  async pendingColumns(client) {
+    const result = await client.query(`
+      SELECT table_name, column_name, data_type, numeric_precision, numeric_scale
+      FROM information_schema.columns
+      WHERE table_schema = 'public' AND table_name = ANY($1)
+    `, [Object.keys(FUND_COLUMNS)]);
+
+    const pending = [];
+    for (const row of result.rows) {
+      if (!FUND_COLUMNS[row.table_name].includes(row.column_name)) continue;
+      const done = row.data_type === 'numeric' && Number(row.numeric_precision) === 30 && Number(row.numeric_scale) === 2;
+      if (!done) pending.push({ table: row.table_name, column: row.column_name, type: row.data_type });
+    }
+    return pending;
+  }
+
+  /**
+   * Views and materialized views reading any of the pending columns, with their definition,
+   * indexes, owner and the privileges granted to other roles
+   */
+  async dependentViews(client, pending) {
+    const result = await client.query(`
+      SELECT DISTINCT v.oid, v.relname AS name, v.relkind AS kind, pg_get_viewdef(v.oid) AS definition,
+        quote_ident(pg_get_userbyid(v.relowner)) AS owner
+      FROM unnest($1::text[], $2::text[]) AS c(table_name, column_name)
+      JOIN pg_attribute a ON a.attrelid = c.table_name::regclass AND a.attname = c.column_name
+      JOIN pg_depend d ON d.refobjid = a.attrelid AND d.refobjsubid = a.attnum
+      JOIN pg_rewrite r ON r.oid = d.objid
+      JOIN pg_class v ON v.oid = r.ev_class
+      WHERE v.relkind IN ('m', 'v') AND v.oid <> a.attrelid
+    `, [pending.map(p => p.table), pending.map(p => p.column)]);
+
+    const views = [];
+    for (const row of result.rows) {
+      const indexes = await client.query(
+        `SELECT indexname, indexdef FROM pg_indexes WHERE schemaname = 'public' AND tablename = $1 ORDER BY indexname`,
+        [row.name]
+      );
+      const grants = await client.query(`
+        SELECT CASE WHEN g.grantee = 0 THEN 'PUBLIC' ELSE quote_ident(pg_get_userbyid(g.grantee)) END AS grantee,
+          g.privilege_type, g.is_grantable
+        FROM pg_class c, aclexplode(c.relacl) g
+        WHERE c.oid = $1 AND g.grantee <> c.relowner
+        ORDER BY 1, 2
+      `, [row.oid]);
+      views.push({ ...row, indexes: indexes.rows, grants: grants.rows });
+    }
+    return views;
+  }
+
+  async run() {
+    console.log(`🚀 Fund numeric migration${this.options.dryRun ? ' (dry run)' : ''}`);
+    const client = await this.pool.connect();
+
+    try {
+      const pending = await this.pendingColumns(client);
+      if (pending.length === 0) {
+        console.log(`✅ All fund columns are already ${FUND_TYPE}`);
+        return;
+      }
+
+      const views = await this.dependentViews(client, pending);
+      for (const column of pending) {
+        console.log(`  ${column.table}.${column.column}: ${column.type} → ${FUND_TYPE}`);
+      }
+      for (const view of views) {
+        console.log(`  ${view.kind === 'm' ? 'materialized view' : 'view'} ${view.name} will be recreated with ${view.indexes.length} indexes and ${view.grants.length} grants (owner ${view.owner})`);
+      }
+
+      if (this.options.dryRun) {
+        console.log('🔍 [dry-run] No changes made');
+        return;
+      }
+
+      await client.query('BEGIN');
+      for (const view of views) {
+        await client.query(`DROP ${view.kind === 'm' ? 'MATERIALIZED VIEW' : 'VIEW'} ${view.name}`);
+      }
+
+      for (const [table, columns] of Object.entries(FUND_COLUMNS)) {
+        const alters = columns
+          .filter(column => pending.some(p => p.table === table && p.column === column))
+          .map(column => `ALTER COLUMN ${column} TYPE ${FUND_TYPE} USING ${column}::${FUND_TYPE}`);
+        if (alters.length === 0) continue;
+        const started = Date.now();
+        await client.query(`ALTER TABLE ${table} ${alters.join(', ')}`);
+        console.log(`✅ ${table} altered in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+      }
+
+      for (const view of views) {
+        const kind = view.kind === 'm' ? 'MATERIALIZED VIEW' : 'VIEW';
+        await client.query(`CREATE ${kind} ${view.name} AS ${view.definition.replace(/;\s*$/, '')}`);
+        for (const index of view.indexes) {
+          await client.query(index.indexdef);
+        }
+        await client.query(`ALTER ${kind} ${view.name} OWNER TO ${view.owner}`);
+        for (const grant of view.grants) {
+          await client.query(`GRANT ${grant.privilege_type} ON ${view.name} TO ${grant.grantee}${grant.is_grantable ? ' WITH GRANT OPTION' : ''}`);
+        }
+        console.log(`✅ Recreated ${view.name} (${view.indexes.map(index => index.indexname).join(', ') || 'no indexes'})`);
+      }
+
+      await client.query('COMMIT');
+
+      for (const table of new Set(pending.map(p => p.table))) {
+        await client.query(`ANALYZE ${table}`);
+      }
+      console.log('🎉 Fund columns migrated; FundUpdater fills in cents on the next update of each address');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async cleanup() {
+    await this.pool.end();
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const migration = new FundNumericMigration({ dryRun: args.includes('--dry-run') });
+
+  try {
+    await migration.run();
+  } catch (error) {
+    console.error('💥 Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await migration.cleanup();
+  }
+}
+
+// Execute if run directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = FundNumericMigration;
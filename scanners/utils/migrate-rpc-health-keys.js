@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * RPC Health Key Migration
+ * rpc_endpoint_health used to be keyed by the full endpoint URL, which often carries an API key in
+ * its path. Rows are now keyed by redactRpcUrl (scheme and host, path hashed). This deletes the rows
+ * still holding a path in the clear; scanners measure those endpoints again under the redacted key.
+ * Endpoints without a path have the same key in both forms and are kept.
+ *
+ * Usage: node utils/migrate-rpc-health-keys.js [--dry-run]
+ */
+
+const { Pool } = require('pg');
+
+// A path or query after the host that is not the redacted '/#<12 hex>' form
+const UNREDACTED = `rpc_url ~ '^[a-z]+://[^/?]+[/?]' AND rpc_url !~ '^[a-z]+://[^/?]+/#[0-9a-f]{12}$'`;
+
+class RpcHealthKeyMigration {
+  constructor(options = {}) {
+    this.options = options;
+    this.pool = new Pool({
+      user: process.env.PGUSER || 'postgres',
+      host: process.env.PGHOST || 'localhost',
+      database: process.env.PGDATABASE || 'bugchain_indexer',
+      password: process.env.PGPASSWORD || '',
+      port: Number(process.env.PGPORT || 5432),
+      max: 2,
+      connectionTimeoutMillis: 15000,
+      query_timeout: 600000
+    });
+  }
+
+  async tableExists() {
+    const result = await this.pool.query(`SELECT to_regclass('public.rpc_endpoint_health') IS NOT NULL AS exists`);
+    return result.rows[0].exists;
+  }
+
+  async run() {
+    console.log(`🚀 RPC health key migration${this.options.dryRun ? ' (dry run)' : ''}`);
+    if (!(await this.tableExists())) {
+      console.log('✅ rpc_endpoint_health does not exist yet - nothing to migrate');
+      return;
+    }
+
+    const pending = await this.pool.query(`
+      SELECT network, COUNT(*) AS rows
+      FROM rpc_endpoint_health
+      WHERE ${UNREDACTED}
+      GROUP BY network
+      ORDER BY network
+    `);
+    if (pending.rows.length === 0) {
+      console.log('✅ Every rpc_endpoint_health row is already keyed by its redacted URL');
+      return;
+    }
+
+    console.log('\n📊 Rows keyed by a full endpoint URL:');
+    for (const row of pending.rows) {
+      console.log(`  ${row.network.padEnd(12)} ${Number(row.rows).toLocaleString()}`);
+    }
+
+    if (this.options.dryRun) {
+      console.log('🔍 [dry-run] No changes made');
+      return;
+    }
+
+    const result = await this.pool.query(`DELETE FROM rpc_endpoint_health WHERE ${UNREDACTED}`);
+    console.log(`✅ Deleted ${result.rowCount.toLocaleString()} rows; scanners record those endpoints again under redacted keys`);
+  }
+
+  async cleanup() {
+    await this.pool.end();
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const migration = new RpcHealthKeyMigration({ dryRun: args.includes('--dry-run') });
+
+  try {
+    await migration.run();
+  } catch (error) {
+    console.error('💥 Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await migration.cleanup();
+  }
+}
+
+// Execute if run directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = RpcHealthKeyMigration;
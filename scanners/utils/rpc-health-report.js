@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * RPC Health Report
+ * Ranks each network's RPC endpoints by the health score HttpRpcClient orders them with
+ * (common/rpcHealth.js), from the statistics scanner runs persisted in rpc_endpoint_health.
+ * Configured endpoints without statistics are listed as unmeasured; endpoints that were removed
+ * from config/networks.js are flagged. Endpoints the last validation quarantined (serving another
+ * chain or lagging behind the best-known head) are ranked last with the reason.
+ *
+ * Usage: node utils/rpc-health-report.js [--network ethereum] [--reset <network>]
+ */
+
+const { Pool } = require('pg');
+const { NETWORKS } = require('../config/networks');
+const { displayRpcUrl, rankRpcEndpoints } = require('../common/rpcHealth');
+
+const validationNote = (health) => {
+  if (health.validationStatus === 'wrong_chain') return `🚧 quarantined: serves chain ${health.chainId}`;
+  if (health.validationStatus === 'lagging') return `🚧 quarantined: ${health.headLag} blocks behind (head ${health.headBlock})`;
+  if (health.validationStatus === 'unreachable') return 'unreachable at last validation';
+  return null;
+};
+
+const ago = (seconds, now) => {
+  if (!seconds) return '-';
+  const elapsed = now - Number(seconds);
+  if (elapsed < 3600) return `${Math.max(Math.round(elapsed / 60), 0)}m ago`;
+  if (elapsed < 86400) return `${Math.round(elapsed / 3600)}h ago`;
+  return `${Math.round(elapsed / 86400)}d ago`;
+};
+
+class RpcHealthReport {
+  constructor(options = {}) {
+    this.options = options;
+    this.pool = new Pool({
+      user: process.env.PGUSER || 'postgres',
+      host: process.env.PGHOST || 'localhost',
+      database: process.env.PGDATABASE || 'bugchain_indexer',
+      password: process.env.PGPASSWORD || '',
+      port: Number(process.env.PGPORT || 5432),
+      max: 2,
+      connectionTimeoutMillis: 15000
+    });
+  }
+
+  async reset(network) {
+    const result = await this.pool.query('DELETE FROM rpc_endpoint_health WHERE network = $1', [network]);
+    console.log(`🗑️ Cleared health of ${result.rowCount} ${network} endpoints`);
+  }
+
+  async run() {
+    if (this.options.reset) {
+      return this.reset(this.options.reset);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const result = await this.pool.query(`
+      SELECT * FROM rpc_endpoint_health
+      WHERE $1::text IS NULL OR network = $1
+      ORDER BY network
+    `, [this.options.network || null]);
+
+    const networks = this.options.network
+      ? [this.options.network]
+      : [...new Set([...Object.keys(NETWORKS), ...result.rows.map(row => row.network)])].sort();
+
+    for (const network of networks) {
+      const configured = (NETWORKS[network]?.rpcUrls || [])
+        .filter(url => !url.includes('alchemy.com') && !url.includes(':3001/rpc/'));
+      const rows = result.rows.filter(row => row.network === network);
+      if (configured.length === 0 && rows.length === 0) continue;
+
+      const ranked = rankRpcEndpoints(rows, configured, now);
+      const measured = ranked.filter(entry => entry.measured).length;
+      const quarantined = ranked.filter(entry => entry.health?.quarantined).length;
+      const chainId = NETWORKS[network]?.chainId;
+      console.log(`\n🌐 ${network}${chainId ? ` (chain ${chainId})` : ''}: ${configured.length} endpoints, ${measured} measured, ${quarantined} quarantined`);
+      console.log('   #  score  errors  latency  requests  last failure  endpoint');
+
+      ranked.forEach((entry, index) => {
+        const rank = String(index + 1).padStart(4);
+        const url = `${displayRpcUrl(entry.rpcUrl)}${entry.configured ? '' : ' (not configured)'}`;
+        if (!entry.measured) {
+          console.log(`${rank}      -       -        -         -             -  ${url}`);
+          return;
+        }
+        const { health } = entry;
+        const score = entry.score.toFixed(2).padStart(6);
+        const errors = `${(health.errorRate * 100).toFixed(0)}%`.padStart(7);
+        const latency = (health.latencyMs === null ? '-' : `${Math.round(health.latencyMs)}ms`).padStart(8);
+        const requests = String(health.requests).padStart(9);
+        const lastFailure = ago(health.lastFailureAt, now).padStart(13);
+        console.log(`${rank} ${score} ${errors} ${latency} ${requests} ${lastFailure}  ${url}`);
+        const note = validationNote(health);
+        if (note) {
+          console.log(`${' '.repeat(48)}↳ ${note}, validated ${ago(health.validatedAt, now)}`);
+        }
+        if (health.lastError && health.lastFailureAt && health.lastFailureAt > (health.lastSuccessAt || 0)) {
+          console.log(`${' '.repeat(48)}↳ ${health.lastError.substring(0, 100)}`);
+        }
+      });
+    }
+  }
+
+  async cleanup() {
+    await this.pool.end();
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const valueOf = (flag) => {
+    const index = args.indexOf(flag);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+  const report = new RpcHealthReport({ network: valueOf('--network'), reset: valueOf('--reset') });
+
+  try {
+    await report.run();
+  } catch (error) {
+    console.error('💥 RPC health report failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await report.cleanup();
+  }
+}
+
+// Execute if run directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = RpcHealthReport;
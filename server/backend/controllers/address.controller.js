@@ -1,5 +1,7 @@
 const service = require('../services/address.service');
-const { parseNumber, parseStringArray, parseBool, decodeCursor } = require('../utils/parsers');
+const {
+  parseNumber, parseStringArray, parseBool, parseAddress, parseAddressList, parseSelectors, parseOpcodes, decodeCursor,
+} = require('../utils/parsers');
 
 exports.getContractCount = async (req, res) => {
   try{
@@ -25,6 +27,20 @@ exports.getAddressesByFilter = async (req, res) => {
     // Whether to include total count/pages (default false)
     const includeTotal = parseBool(q.includeTotal);
 
+    // Bytecode filters are validated up front; a typo must not silently match nothing
+    const selectors = parseSelectors(q.selectors);
+    if (!selectors) {
+      return res.status(400).json({ ok: false, error: 'Invalid selectors (expected 4-byte hex, e.g. 0xa9059cbb)' });
+    }
+    const opcodes = parseOpcodes(q.opcodes);
+    if (!opcodes) {
+      return res.status(400).json({ ok: false, error: 'Invalid opcodes (supported: CALLCODE, CREATE2, DELEGATECALL, SELFDESTRUCT)' });
+    }
+    const delegatesTo = parseAddressList(q.delegatesTo);
+    if (!delegatesTo) {
+      return res.status(400).json({ ok: false, error: 'Invalid delegatesTo address' });
+    }
+
     const filters = {
       // Range filters
       deployedFrom: parseNumber(q.deployedFrom), // deployed >= deployedFrom
@@ -40,8 +56,18 @@ exports.getAddressesByFilter = async (req, res) => {
       address:      q.address ? String(q.address).trim() : null,           // address ILIKE %address%
       contractName: q.contractName ? String(q.contractName).trim() : null, // contract_name ILIKE %contractName%
 
+      // Clone cluster filter
+      minClusterSize: parseNumber(q.minClusterSize), // code hash deployed at least N times (all networks)
+
+      // Bytecode filters (contract_bytecode_analysis)
+      selectors, // bytecode dispatches on all of these selectors
+      opcodes,   // bytecode contains all of these opcodes
+
+      // EIP-7702: list delegated EOAs whose delegate is one of these (instead of contracts)
+      delegatesTo,
+
       // Sorting
-      sortBy: q.sortBy && ['fund', 'first_seen'].includes(q.sortBy) ? q.sortBy : 'fund',
+      sortBy: q.sortBy && ['fund', 'first_seen', 'cluster_size'].includes(q.sortBy) ? q.sortBy : 'fund',
 
       // Hide unnamed/duplicate contracts
       hideUnnamed: parseBool(q.hideUnnamed),
@@ -80,7 +106,123 @@ exports.getAddressesByFilter = async (req, res) => {
 };
 
 
-// getAddress / getBridge removed
+// Everything stored for a single address
+exports.getAddressDetail = async (req, res) => {
+  try {
+    const network = String(req.params.network || '').trim().toLowerCase();
+    if (!/^[a-z0-9-]{1,50}$/.test(network)) {
+      return res.status(400).json({ ok: false, error: 'Invalid network' });
+    }
+
+    const address = parseAddress(req.params.address);
+    if (!address) {
+      return res.status(400).json({ ok: false, error: 'Invalid address' });
+    }
+
+    const data = await service.getAddressDetail(network, address);
+    if (!data) {
+      return res.status(404).json({ ok: false, error: 'Address not found' });
+    }
+
+    res.json({ ok: true, data });
+  } catch (err) {
+    console.error('getAddressDetail failed:', err?.message || err);
+    res.status(500).json({ ok: false, error: 'Internal Server Error' });
+  }
+};
+
+
+// Token-by-token breakdown of an address's fund
+exports.getAddressHoldings = async (req, res) => {
+  try {
+    const network = String(req.params.network || '').trim().toLowerCase();
+    if (!/^[a-z0-9-]{1,50}$/.test(network)) {
+      return res.status(400).json({ ok: false, error: 'Invalid network' });
+    }
+
+    const address = parseAddress(req.params.address);
+    if (!address) {
+      return res.status(400).json({ ok: false, error: 'Invalid address' });
+    }
+
+    const data = await service.getAddressHoldings(network, address);
+    if (!data) {
+      return res.status(404).json({ ok: false, error: 'Address not found' });
+    }
+
+    res.json({ ok: true, data });
+  } catch (err) {
+    console.error('getAddressHoldings failed:', err?.message || err);
+    res.status(500).json({ ok: false, error: 'Internal Server Error' });
+  }
+};
+
+
+// Fund over time for one address, with the fund change events in the same range
+exports.getFundHistory = async (req, res) => {
+  try {
+    const network = String(req.params.network || '').trim().toLowerCase();
+    if (!/^[a-z0-9-]{1,50}$/.test(network)) {
+      return res.status(400).json({ ok: false, error: 'Invalid network' });
+    }
+
+    const address = parseAddress(req.params.address);
+    if (!address) {
+      return res.status(400).json({ ok: false, error: 'Invalid address' });
+    }
+
+    const data = await service.getFundHistory(network, address, {
+      from: parseNumber(req.query.from), // unix seconds, inclusive
+      to:   parseNumber(req.query.to),   // unix seconds, inclusive
+    });
+    if (!data) {
+      return res.status(404).json({ ok: false, error: 'Address not found' });
+    }
+
+    res.json({ ok: true, data });
+  } catch (err) {
+    console.error('getFundHistory failed:', err?.message || err);
+    res.status(500).json({ ok: false, error: 'Internal Server Error' });
+  }
+};
+
+
+// Biggest fund moves (default: last 24 hours)
+exports.getFundMovers = async (req, res) => {
+  try {
+    const q = { ...req.query, ...req.body };
+    const limit = Math.min(Math.max(parseNumber(q.limit) ?? 50, 1), 200);
+    const since = parseNumber(q.since) ?? Math.floor(Date.now() / 1000) - 24 * 60 * 60;
+    const direction = ['drain', 'gain', 'all'].includes(q.direction) ? q.direction : 'all';
+
+    const data = await service.getFundMovers({
+      since,
+      networks: parseStringArray(q.networks),
+      direction,
+      limit,
+    });
+    res.json({ ok: true, data });
+  } catch (err) {
+    console.error('getFundMovers failed:', err?.message || err);
+    res.status(500).json({ ok: false, error: 'Internal Server Error' });
+  }
+};
+
+
+// EIP-7702 delegates ranked by the funds held in the EOAs delegating to them
+exports.getDelegateStats = async (req, res) => {
+  try {
+    const q = { ...req.query, ...req.body };
+    const limit = Math.min(Math.max(parseNumber(q.limit) ?? 50, 1), 200);
+    const networks = parseStringArray(q.networks);
+
+    const data = await service.getDelegateStats({ networks, limit });
+    res.json({ ok: true, data });
+  } catch (err) {
+    console.error('getDelegateStats failed:', err?.message || err);
+    res.status(500).json({ ok: false, error: 'Internal Server Error' });
+  }
+};
 
 
 exports.getNetworkCounts = async (req, res) => {
@@ -7,5 +7,10 @@ const router = Router();
 router.get('/getAddressesByFilter', ctrl.getAddressesByFilter);
 router.get('/getContractCount', ctrl.getContractCount);
 router.get('/networkCounts', ctrl.getNetworkCounts);
+router.get('/address/:network/:address', ctrl.getAddressDetail);
+router.get('/address/:network/:address/fund-history', ctrl.getFundHistory);
+router.get('/address/:network/:address/holdings', ctrl.getAddressHoldings);
+router.get('/fund-movers', ctrl.getFundMovers);
+router.get('/delegates', ctrl.getDelegateStats);
 
 module.exports = router;
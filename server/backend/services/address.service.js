@@ -46,7 +46,10 @@ exports.getContractCount = async () => {
 
 // Generate cache key for count queries
 function getCountCacheKey(filters, hideUnnamed) {
-  const { deployedFrom, deployedTo, fundFrom, fundTo, networks, tags, address, contractName } = filters;
+  const {
+    deployedFrom, deployedTo, fundFrom, fundTo, networks, tags, address, contractName,
+    minClusterSize, selectors, opcodes, delegatesTo,
+  } = filters;
 
   const cacheKeyObj = {
     hideUnnamed,
@@ -58,6 +61,10 @@ function getCountCacheKey(filters, hideUnnamed) {
     tags: tags ? [...tags].sort() : null,
     address: address ?? null,
     contractName: contractName ?? null,
+    minClusterSize: minClusterSize ?? null,
+    selectors: selectors ? [...selectors].sort() : null,
+    opcodes: opcodes ? [...opcodes].sort() : null,
+    delegatesTo: delegatesTo ? [...delegatesTo].sort() : null,
   };
 
   const keyStr = JSON.stringify(cacheKeyObj);
@@ -74,10 +81,34 @@ exports.getAddressesByFilter = async (filters = {}) => {
 
   const take = Math.min(Math.max(+limit || 50, 1), 200);
 
+  // delegatesTo lists EIP-7702 delegated EOAs instead of contracts; they have no contract name,
+  // so the distinct-name view does not apply
+  const delegatedOnly = rest.delegatesTo?.length > 0;
+  const useView = hideUnnamed && !delegatedOnly;
+  const basePredicate = delegatedOnly
+    ? `'EIP7702' = ANY(COALESCE(tags, '{}'))`
+    : `(tags IS NULL OR NOT 'EOA' = ANY(tags))`;
+
+  // Code hash of each row; the materialized view has none, so it is looked up in addresses
+  const codeHashExpr = useView
+    ? `(SELECT x.code_hash FROM addresses x
+        WHERE x.address = mv_distinct_contracts.address AND x.network = mv_distinct_contracts.network)`
+    : 'addresses.code_hash';
+
+  // Clone cluster of each row's code hash (code_hash_clusters, built by CloneClusterer);
+  // contracts outside any cluster count as size 1
+  const clusterJoin = `LEFT JOIN code_hash_clusters c ON c.code_hash = ${codeHashExpr}`;
+  // Selectors/opcodes of each row's bytecode (contract_bytecode_analysis, built by ContractAnalyzer)
+  const bytecodeJoin = `LEFT JOIN contract_bytecode_analysis b ON b.code_hash = ${codeHashExpr}`;
+  const needsBytecode = rest.selectors?.length > 0 || rest.opcodes?.length > 0;
+  const dataJoins = [clusterJoin, needsBytecode && bytecodeJoin].filter(Boolean).join('\n      ');
+
   // Determine ORDER BY clause based on sortBy parameter
   let orderByClause;
   if (sortBy === 'first_seen') {
     orderByClause = 'ORDER BY first_seen DESC NULLS LAST, address ASC';
+  } else if (sortBy === 'cluster_size') {
+    orderByClause = 'ORDER BY COALESCE(c.cluster_size, 1) DESC, fund DESC NULLS LAST, address ASC';
   } else {
     // Default: sort by fund
     orderByClause = 'ORDER BY fund DESC NULLS LAST, deployed DESC NULLS LAST, address ASC';
@@ -85,12 +116,14 @@ exports.getAddressesByFilter = async (filters = {}) => {
 
   // Build SQL based on hideUnnamed flag
   let dataSql;
-  if (hideUnnamed) {
+  if (useView) {
     // Use Materialized View for fast distinct contract queries
     // mv_distinct_contracts pre-computes DISTINCT ON (contract_name) with latest first_seen
     dataSql = `
-      SELECT address, contract_name, deployed, fund, network, first_seen
+      SELECT address, contract_name, deployed, fund, network, first_seen,
+        COALESCE(c.cluster_size, 1) AS cluster_size
       FROM mv_distinct_contracts
+      ${dataJoins}
       WHERE 1=1
         ${whereSql ? 'AND ' + whereSql.replace('WHERE ', '') : ''}
       ${orderByClause}
@@ -98,10 +131,12 @@ exports.getAddressesByFilter = async (filters = {}) => {
     `;
   } else {
     dataSql = `
-      SELECT address, contract_name, deployed, fund, network, first_seen
+      SELECT address, contract_name, deployed, fund, network, first_seen,
+        COALESCE(c.cluster_size, 1) AS cluster_size
       FROM addresses
+      ${dataJoins}
       WHERE
-        (tags IS NULL OR NOT 'EOA' = ANY(tags))
+        ${basePredicate}
         ${whereSql ? 'AND ' + whereSql.replace('WHERE ', '') : ''}
       ${orderByClause}
       LIMIT ${take + 1}
@@ -117,6 +152,9 @@ exports.getAddressesByFilter = async (filters = {}) => {
       && !rest.address && !rest.contractName
       && !rest.deployedFrom && !rest.deployedTo
       && !rest.fundFrom && !rest.fundTo
+      && rest.minClusterSize == null
+      && !needsBytecode
+      && !delegatedOnly
       && !hideUnnamed;
 
     if (hasOnlyNetworkFilter) {
@@ -146,12 +184,16 @@ exports.getAddressesByFilter = async (filters = {}) => {
         }
 
         // Cache miss or Redis unavailable - query database
+        // Joins are only needed when filtering on them
+        const countJoins = [rest.minClusterSize != null && clusterJoin, needsBytecode && bytecodeJoin]
+          .filter(Boolean).join('\n            ');
         let countSql;
-        if (hideUnnamed) {
+        if (useView) {
           // Count from materialized view (fast - already distinct by contract_name)
           countSql = `
             SELECT COUNT(*)::bigint AS total
             FROM mv_distinct_contracts
+            ${countJoins}
             WHERE 1=1
               ${whereSqlNoCursor ? 'AND ' + whereSqlNoCursor.replace('WHERE ', '') : ''}
           `;
@@ -160,7 +202,8 @@ exports.getAddressesByFilter = async (filters = {}) => {
           countSql = `
             SELECT COUNT(*)::bigint AS total
             FROM addresses
-            WHERE (tags IS NULL OR NOT 'EOA' = ANY(tags))
+            ${countJoins}
+            WHERE ${basePredicate}
               ${whereSqlNoCursor ? 'AND ' + whereSqlNoCursor.replace('WHERE ', '') : ''}
           `;
         }
@@ -197,6 +240,12 @@ exports.getAddressesByFilter = async (filters = {}) => {
         first_seen: last.first_seen ?? null,
         address: last.address,
       };
+    } else if (sortBy === 'cluster_size') {
+      nextCursor = {
+        cluster_size: last.cluster_size,
+        fund: last.fund ?? null,
+        address: last.address,
+      };
     } else {
       // Default: fund-based cursor
       nextCursor = {
@@ -215,7 +264,7 @@ exports.getAddressesByFilter = async (filters = {}) => {
 
 function buildWhere({
   deployedFrom, deployedTo, fundFrom, fundTo, networks, tags,
-  address, contractName, cursor
+  address, contractName, minClusterSize, selectors, opcodes, delegatesTo, cursor
 }, sortBy = 'fund') {
   const where = [], params = [];
   const whereNoCursor = [], paramsNoCursor = [];
@@ -248,6 +297,15 @@ function buildWhere({
     }
   }
   if (contractName)         addBoth(`contract_name ILIKE $1`, `%${contractName}%`);
+  if (minClusterSize != null) addBoth(`COALESCE(c.cluster_size, 1) >= $1`, minClusterSize);
+  if (selectors?.length)    addBoth(`b.selectors @> $1::text[]`, selectors);
+  if (opcodes?.length)      addBoth(`b.opcodes @> $1::text[]`, opcodes);
+  if (delegatesTo?.length) {
+    addBoth(`EXISTS (
+      SELECT 1 FROM eip7702_delegations d
+      WHERE d.network = addresses.network AND d.address = addresses.address AND d.delegate = ANY($1)
+    )`, delegatesTo);
+  }
 
   // 🔑 Cursor conditions are added only to "data where" (not added to count query)
   if (cursor && cursor.address) {
@@ -261,6 +319,18 @@ function buildWhere({
           OR (COALESCE(first_seen, -1) = COALESCE(${f1}, -1) AND address > ${f2})
         )
       `);
+    } else if (sortBy === 'cluster_size') {
+      params.push(cursor.cluster_size ?? 1, cursor.fund ?? null, cursor.address);
+      const f1 = `$${params.length-2}`;
+      const f2 = `$${params.length-1}`;
+      const f3 = `$${params.length}`;
+      where.push(`
+        (
+          COALESCE(c.cluster_size, 1) <  ${f1}
+          OR (COALESCE(c.cluster_size, 1) = ${f1} AND COALESCE(fund, -1) <  COALESCE(${f2}::numeric, -1))
+          OR (COALESCE(c.cluster_size, 1) = ${f1} AND COALESCE(fund, -1) = COALESCE(${f2}::numeric, -1) AND address > ${f3})
+        )
+      `);
     } else {
       // Default: fund-based cursor
       params.push(cursor.fund ?? null, cursor.deployed ?? null, cursor.address);
@@ -269,9 +339,9 @@ function buildWhere({
       const f3 = `$${params.length}`;
       where.push(`
         (
-          COALESCE(fund, -1) <  COALESCE(${f1}, -1)
-          OR (COALESCE(fund, -1) = COALESCE(${f1}, -1) AND COALESCE(deployed, -1) <  COALESCE(${f2}, -1))
-          OR (COALESCE(fund, -1) = COALESCE(${f1}, -1) AND COALESCE(deployed, -1) = COALESCE(${f2}, -1) AND address > ${f3})
+          COALESCE(fund, -1) <  COALESCE(${f1}::numeric, -1)
+          OR (COALESCE(fund, -1) = COALESCE(${f1}::numeric, -1) AND COALESCE(deployed, -1) <  COALESCE(${f2}, -1))
+          OR (COALESCE(fund, -1) = COALESCE(${f1}::numeric, -1) AND COALESCE(deployed, -1) = COALESCE(${f2}, -1) AND address > ${f3})
         )
       `);
     }
@@ -287,6 +357,232 @@ function buildWhere({
 
 // ensureDbUrl is provided by ./db; local duplicate removed
 
+// Single address lookup: address row plus stored source metadata (by code hash) and traced creation
+exports.getAddressDetail = async (network, address) => {
+  ensureDbUrl();
+  const { rows } = await pool.query(`
+    SELECT
+      a.address, a.network, a.tags, a.fund, a.last_fund_updated,
+      a.deployed, a.first_seen, a.last_updated, a.code_hash,
+      a.contract_name, a.name_checked, a.name_checked_at,
+      s.code_hash IS NOT NULL AS has_source,
+      s.contract_name AS source_contract_name, s.source_code, s.abi,
+      s.compiler_version, s.optimization, s.runs, s.evm_version,
+      s.license_type, s.library, s.constructor_arguments,
+      s.swarm_source, s.fetched_at,
+      -- On-chain detection is per address; the source record is shared by every clone of the code hash
+      (s.proxy OR 'Proxy' = ANY(COALESCE(a.tags, '{}'))) AS proxy,
+      COALESCE(a.implementation, s.implementation) AS implementation,
+      c.deployer, c.block_number AS creation_block, c.tx_hash AS creation_tx, c.creation_type,
+      k.cluster_size, k.network_count, k.cluster_networks, k.verified_count,
+      k.canonical_name, k.canonical_address, k.canonical_network,
+      b.selectors, b.opcodes, b.code_size, b.analyzed_at,
+      d.delegate, d.first_seen AS delegated_since, d.last_seen AS delegation_seen
+    FROM addresses a
+    LEFT JOIN contract_sources s ON s.code_hash = a.code_hash
+    LEFT JOIN contract_creations c ON c.network = a.network AND c.address = a.address
+    LEFT JOIN code_hash_clusters k ON k.code_hash = a.code_hash
+    LEFT JOIN contract_bytecode_analysis b ON b.code_hash = a.code_hash
+    LEFT JOIN eip7702_delegations d ON d.network = a.network AND d.address = a.address
+    WHERE a.network = $1 AND a.address = $2
+  `, [network, address]);
+
+  if (rows.length === 0) return null;
+  const r = rows[0];
+
+  return {
+    address: r.address,
+    network: r.network,
+    tags: r.tags || [],
+    fund: r.fund,
+    last_fund_updated: r.last_fund_updated,
+    deployed: r.deployed,
+    first_seen: r.first_seen,
+    last_updated: r.last_updated,
+    code_hash: r.code_hash,
+    contract_name: r.contract_name,
+    name_checked: r.name_checked,
+    name_checked_at: r.name_checked_at,
+    proxy: {
+      is_proxy: !!r.proxy,
+      implementation: r.implementation || null,
+    },
+    creation: r.creation_block != null ? {
+      deployer: r.deployer,
+      block_number: r.creation_block,
+      tx_hash: r.creation_tx,
+      creation_type: r.creation_type,
+    } : null,
+    cluster: r.cluster_size != null ? {
+      size: r.cluster_size,
+      network_count: r.network_count,
+      networks: r.cluster_networks,
+      verified_count: r.verified_count,
+      canonical_name: r.canonical_name,
+      canonical_address: r.canonical_address,
+      canonical_network: r.canonical_network,
+    } : null,
+    bytecode: r.analyzed_at != null ? {
+      selectors: r.selectors,
+      opcodes: r.opcodes,
+      code_size: r.code_size,
+      analyzed_at: r.analyzed_at,
+    } : null,
+    delegation: r.delegate ? {
+      delegate: r.delegate,
+      first_seen: r.delegated_since,
+      last_seen: r.delegation_seen,
+    } : null,
+    source: r.has_source ? {
+      contract_name: r.source_contract_name,
+      compiler_version: r.compiler_version,
+      optimization: r.optimization,
+      runs: r.runs,
+      evm_version: r.evm_version,
+      license_type: r.license_type,
+      library: r.library,
+      constructor_arguments: r.constructor_arguments,
+      swarm_source: r.swarm_source,
+      fetched_at: r.fetched_at,
+      abi: r.abi,
+      source_code: r.source_code,
+    } : null,
+  };
+};
+
+
+// Per-token breakdown of an address's fund (address_holdings, written by FundUpdater)
+exports.getAddressHoldings = async (network, address) => {
+  ensureDbUrl();
+  const [{ rows: addressRows }, { rows }] = await Promise.all([
+    pool.query(
+      `SELECT fund, last_fund_updated FROM addresses WHERE network = $1 AND address = $2`,
+      [network, address]
+    ),
+    pool.query(`
+      SELECT token, symbol, balance::text AS balance, decimals, usd_value, price_source, updated_at
+      FROM address_holdings
+      WHERE network = $1 AND address = $2
+      ORDER BY usd_value DESC NULLS LAST, token ASC
+    `, [network, address]),
+  ]);
+
+  if (addressRows.length === 0) return null;
+
+  return {
+    address,
+    network,
+    fund: addressRows[0].fund,
+    last_fund_updated: addressRows[0].last_fund_updated,
+    holdings: rows.map(r => ({
+      token: r.token,
+      symbol: r.symbol,
+      balance: r.balance, // raw integer units, as a string
+      decimals: r.decimals,
+      usd_value: r.usd_value, // NUMERIC string like fund, null when the token has no price
+      price_source: r.price_source, // 'alchemy', 'canonical', 'uniswap_v2', 'uniswap_v3' or 'alchemy_symbol'
+      updated_at: r.updated_at,
+    })),
+  };
+};
+
+// Fund snapshots and fund change events of one address (written by FundUpdater)
+exports.getFundHistory = async (network, address, { from = null, to = null } = {}) => {
+  ensureDbUrl();
+  const range = [network, address, from ?? 0, to ?? Number.MAX_SAFE_INTEGER];
+  const [{ rows: addressRows }, { rows: snapshots }, { rows: events }] = await Promise.all([
+    pool.query(
+      `SELECT fund, last_fund_updated FROM addresses WHERE network = $1 AND address = $2`,
+      [network, address]
+    ),
+    pool.query(`
+      SELECT snapshot_at, fund
+      FROM fund_snapshots
+      WHERE network = $1 AND address = $2 AND snapshot_at >= $3 AND snapshot_at <= $4
+      ORDER BY snapshot_at ASC
+    `, range),
+    pool.query(`
+      SELECT previous_fund, new_fund, change, change_percent, previous_at, detected_at
+      FROM fund_change_events
+      WHERE network = $1 AND address = $2 AND detected_at >= $3 AND detected_at <= $4
+      ORDER BY detected_at DESC
+    `, range),
+  ]);
+
+  if (addressRows.length === 0) return null;
+
+  return {
+    address,
+    network,
+    fund: addressRows[0].fund,
+    last_fund_updated: addressRows[0].last_fund_updated,
+    snapshots,
+    events,
+  };
+};
+
+// Largest fund change events since a given time; drains are negative changes
+exports.getFundMovers = async ({ since, networks = [], direction = 'all', limit = 50 } = {}) => {
+  ensureDbUrl();
+  const where = ['e.detected_at >= $1'];
+  const params = [since];
+  if (networks.length > 0) {
+    params.push(networks);
+    where.push(`e.network = ANY($${params.length})`);
+  }
+  if (direction === 'drain') where.push('e.change < 0');
+  if (direction === 'gain') where.push('e.change > 0');
+  params.push(limit);
+
+  const { rows } = await pool.query(`
+    SELECT
+      e.network, e.address, a.contract_name, a.tags,
+      e.previous_fund, e.new_fund, e.change, e.change_percent, e.previous_at, e.detected_at
+    FROM fund_change_events e
+    LEFT JOIN addresses a ON a.network = e.network AND a.address = e.address
+    WHERE ${where.join(' AND ')}
+    ORDER BY ABS(e.change) DESC, e.detected_at DESC
+    LIMIT $${params.length}
+  `, params);
+
+  return rows;
+};
+
+// EIP-7702 delegates by total funds of the EOAs delegating to them
+exports.getDelegateStats = async ({ networks = [], limit = 50 } = {}) => {
+  ensureDbUrl();
+  const params = [];
+  let networkFilter = '';
+  if (networks.length > 0) {
+    params.push(networks);
+    networkFilter = `WHERE d.network = ANY($${params.length})`;
+  }
+  params.push(limit);
+
+  const { rows } = await pool.query(`
+    SELECT
+      d.delegate,
+      COUNT(*)::int AS eoa_count,
+      COALESCE(SUM(a.fund), 0) AS total_fund,
+      array_agg(DISTINCT d.network ORDER BY d.network) AS networks,
+      MAX(k.contract_name) AS delegate_name
+    FROM eip7702_delegations d
+    JOIN addresses a ON a.network = d.network AND a.address = d.address
+    LEFT JOIN addresses k ON k.network = d.network AND k.address = d.delegate
+    ${networkFilter}
+    GROUP BY d.delegate
+    ORDER BY total_fund DESC, eoa_count DESC, d.delegate ASC
+    LIMIT $${params.length}
+  `, params);
+
+  return rows.map(r => ({
+    delegate: r.delegate,
+    delegate_name: r.delegate_name || null,
+    eoa_count: r.eoa_count,
+    total_fund: r.total_fund,
+    networks: r.networks,
+  }));
+};
 
 // Cache for network counts (refreshed every 4 hours)
 let networkCountsCache = null;
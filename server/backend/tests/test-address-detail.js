@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Test the address detail endpoint
+ * Runs the controller against a stubbed pool and checks request parsing (network and address
+ * validation, address normalization) and how the joined row is shaped into the response
+ */
+
+const { pool } = require('../services/db');
+const ctrl = require('../controllers/address.controller');
+
+const ADDRESS = '0x' + 'ab'.repeat(20);
+
+const ROW = {
+  address: ADDRESS,
+  network: 'ethereum',
+  tags: ['Contract', 'Verified'],
+  fund: '1234.56',
+  last_fund_updated: '1700000000',
+  deployed: '1600000000',
+  first_seen: '1650000000',
+  last_updated: '1700000100',
+  code_hash: '0xcode',
+  contract_name: 'Vault',
+  name_checked: true,
+  name_checked_at: '1700000200',
+  has_source: true,
+  source_contract_name: 'Vault',
+  source_code: 'contract Vault {}',
+  abi: [],
+  compiler_version: 'v0.8.24',
+  optimization: true,
+  runs: 200,
+  evm_version: 'paris',
+  license_type: 'MIT',
+  library: null,
+  constructor_arguments: '',
+  swarm_source: null,
+  fetched_at: '1700000300',
+  proxy: false,
+  implementation: null,
+  deployer: null,
+  creation_block: null,
+  creation_tx: null,
+  creation_type: null,
+  cluster_size: 3,
+  network_count: 2,
+  cluster_networks: ['ethereum', 'base'],
+  verified_count: 1,
+  canonical_name: 'Vault',
+  canonical_address: ADDRESS,
+  canonical_network: 'ethereum',
+  selectors: null,
+  opcodes: null,
+  code_size: null,
+  analyzed_at: null,
+  delegate: null,
+  delegated_since: null,
+  delegation_seen: null,
+};
+
+let passed = 0;
+let failed = 0;
+function check(label, condition) {
+  if (condition) {
+    console.log(`  ✅ ${label}`);
+    passed++;
+  } else {
+    console.log(`  ❌ ${label}`);
+    failed++;
+  }
+}
+
+// Minimal express req/res pair; resolves with { status, body } once the handler responds
+function call(handler, params) {
+  return new Promise(resolve => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body }); },
+    };
+    handler({ params, query: {}, body: {} }, res);
+  });
+}
+
+async function testAddressDetail() {
+  console.log('🧪 Testing the address detail endpoint\n');
+
+  const queries = [];
+  let rows = [ROW];
+  pool.query = async (query, params) => {
+    queries.push({ query, params });
+    return { rows };
+  };
+
+  // Parsing
+  let result = await call(ctrl.getAddressDetail, { network: 'Ethereum', address: ' ' + ADDRESS.toUpperCase().replace('0X', '0x') });
+  check('Valid request answers 200', result.status === 200 && result.body.ok === true);
+  check('Network and address normalized before querying', queries[0]?.params[0] === 'ethereum' && queries[0].params[1] === ADDRESS);
+
+  queries.length = 0;
+  result = await call(ctrl.getAddressDetail, { network: 'ethereum', address: '0x1234' });
+  check('Malformed address rejected with 400', result.status === 400 && result.body.error === 'Invalid address');
+  check('Malformed address never reaches the database', queries.length === 0);
+
+  result = await call(ctrl.getAddressDetail, { network: 'eth mainnet', address: ADDRESS });
+  check('Invalid network rejected with 400', result.status === 400 && result.body.error === 'Invalid network');
+
+  // Shaping
+  rows = [ROW];
+  const { body: { data } } = await call(ctrl.getAddressDetail, { network: 'ethereum', address: ADDRESS });
+  check('Fund passed through as a string', data.fund === '1234.56');
+  check('Proxy flags grouped', data.proxy.is_proxy === false && data.proxy.implementation === null);
+  check('Source grouped with its compiler metadata', data.source?.contract_name === 'Vault' && data.source.runs === 200);
+  check('Clone cluster grouped', data.cluster?.size === 3 && data.cluster.networks.join() === 'ethereum,base');
+  check('Missing creation, bytecode and delegation are null', data.creation === null && data.bytecode === null && data.delegation === null);
+
+  rows = [{ ...ROW, has_source: false, tags: null, proxy: true, implementation: '0xi', creation_block: '123', deployer: '0xd', creation_tx: '0xt', creation_type: 'create2' }];
+  const { body: { data: bare } } = await call(ctrl.getAddressDetail, { network: 'ethereum', address: ADDRESS });
+  check('No source record gives source null', bare.source === null);
+  check('Missing tags default to []', Array.isArray(bare.tags) && bare.tags.length === 0);
+  check('Creation grouped when known', bare.creation?.block_number === '123' && bare.creation.creation_type === 'create2');
+  check('Proxy implementation surfaced', bare.proxy.is_proxy === true && bare.proxy.implementation === '0xi');
+
+  rows = [];
+  result = await call(ctrl.getAddressDetail, { network: 'ethereum', address: ADDRESS });
+  check('Unknown address answers 404', result.status === 404 && result.body.ok === false);
+
+  pool.query = async () => { throw new Error('connection refused'); };
+  const error = console.error;
+  console.error = () => {};
+  result = await call(ctrl.getAddressDetail, { network: 'ethereum', address: ADDRESS });
+  console.error = error;
+  check('Database errors answer 500 without details', result.status === 500 && result.body.error === 'Internal Server Error');
+}
+
+testAddressDetail()
+  .then(() => {
+    console.log(`\n📊 Results: ${passed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+  })
+  .catch(error => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
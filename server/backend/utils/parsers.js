@@ -1,4 +1,16 @@
 // Lightweight parsing helpers shared by controllers/services
+// The backend installs on its own, so these mirror the scanners' rules instead of requiring them
+
+// Opcodes the scanners record in contract_bytecode_analysis (scanners/common/bytecodeAnalyzer.js)
+const NOTABLE_OPCODES = ['CALLCODE', 'DELEGATECALL', 'CREATE2', 'SELFDESTRUCT'];
+
+// address: same cleanup as the scanners' normalizeAddress (trim, strip quotes, add a missing 0x),
+// returning the lowercase form they store; checksums are not verified here
+function normalizeAddress(v) {
+  const s = String(v).trim().replace(/['"]/g, '');
+  const hex = /^0x/i.test(s) ? s.slice(2) : s;
+  return /^[a-fA-F0-9]{40}$/.test(hex) ? '0x' + hex.toLowerCase() : null;
+}
 
 // number: returns number or null for empty/invalid
 function parseNumber(v) {
@@ -24,6 +36,30 @@ function parseBool(v) {
   return s === '1' || s === 'true' || s === 'yes' || s === 'on';
 }
 
+// address: returns normalized lowercase address or null for malformed input
+function parseAddress(v) {
+  if (v === undefined || v === null || v === '') return null;
+  return normalizeAddress(v);
+}
+
+// address list: normalized addresses ([] when absent), or null if any entry is malformed
+function parseAddressList(v) {
+  const addresses = parseStringArray(v).map(parseAddress);
+  return addresses.every(Boolean) ? addresses : null;
+}
+
+// selectors: lowercase 4-byte hex list ([] when absent), or null if any entry is malformed
+function parseSelectors(v) {
+  const selectors = parseStringArray(v).map(s => s.toLowerCase());
+  return selectors.every(s => /^0x[0-9a-f]{8}$/.test(s)) ? selectors : null;
+}
+
+// opcodes: uppercase names the scanners flag ([] when absent), or null if any is unknown
+function parseOpcodes(v) {
+  const opcodes = parseStringArray(v).map(s => s.toUpperCase());
+  return opcodes.every(o => NOTABLE_OPCODES.includes(o)) ? opcodes : null;
+}
+
 // decode cursor from base64 JSON (Node friendly)
 function decodeCursor(b64) {
   if (!b64 || typeof b64 !== 'string') return null;
@@ -51,6 +87,10 @@ module.exports = {
   parseNumber,
   parseStringArray,
   parseBool,
+  parseAddress,
+  parseAddressList,
+  parseSelectors,
+  parseOpcodes,
   decodeCursor,
   encodeCursor,
 };